@@ -0,0 +1,1271 @@
+/**
+ * Server Action Handlers
+ * Reference implementation of every `?action=` the frontend calls (see src/config/constants.js).
+ * Each handler receives the decoded request params (all strings) and returns the `data` payload.
+ */
+
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { ApiActionError } from './errors.js';
+import {
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  createSession,
+  getSessionUser,
+  touchSession,
+  publicSession,
+  requireUser,
+  requirePermission,
+  createPasswordReset,
+  consumePasswordReset,
+  createLoginChallenge,
+  findLoginChallenge,
+  hashToken,
+  needsTwoFactorSetup,
+  MAX_CHALLENGE_ATTEMPTS,
+} from './auth.js';
+import {
+  ACTION_PERMISSIONS,
+  ROLES,
+  ROLE_LABELS,
+  canDeletePost,
+  canEditPost,
+  canSetPostStatus,
+  getUserRole,
+  isValidRole,
+} from '../src/config/permissions.js';
+import {
+  generateBackupCodes,
+  generateTotpSecret,
+  getTotpUri,
+  normalizeBackupCode,
+  verifyTotp,
+} from '../src/services/totp.js';
+import {
+  AUDITED_ACTIONS,
+  createAuditEntries,
+  queryAuditLog,
+  snapshotEntity,
+} from '../src/services/auditLog.js';
+
+const BOOLEAN_FIELDS = ['is_featured', 'is_active', 'is_super_admin'];
+const NUMBER_FIELDS = ['year', 'display_order', 'articles', 'view_count', 'read_time_minutes'];
+const MAX_PAGE_SIZE = 50;
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_REQUEST_INTERVAL = 60 * 1000; // At most one reset email per user per minute
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;
+const MAX_AUDIT_ENTRIES = 10000; // The oldest entries are dropped beyond this
+
+const now = () => new Date().toISOString();
+const generateId = (prefix) => `${prefix}_${crypto.randomUUID()}`;
+
+// Fields the server keeps itself: ids, timestamps, the concurrency `version` (updates read the
+// expected one from params), view counts, and the author, always the session user
+const SERVER_FIELDS = ['id', 'version', 'created_at', 'updated_at', 'author_id', 'view_count'];
+
+/**
+ * Coerces form-encoded strings into stored types and drops protocol and server-kept fields.
+ * Values the client JSON-encoded (see formEncoding) already arrive typed.
+ */
+const getPayload = ({ action: _action, token: _token, ...rest }) => {
+  const result = {};
+  Object.keys(rest).forEach((key) => {
+    if (SERVER_FIELDS.includes(key)) return;
+    const value = rest[key];
+    if (BOOLEAN_FIELDS.includes(key)) {
+      result[key] = value === true || value === 'true' || value === 'TRUE';
+    } else if (NUMBER_FIELDS.includes(key) && value !== '' && !isNaN(Number(value))) {
+      result[key] = Number(value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+};
+
+
+const findById = (collection, id, label) => {
+  const item = collection.find((entry) => String(entry.id) === String(id));
+  if (!item) {
+    throw new ApiActionError(`${label} not found`, 'NOT_FOUND');
+  }
+  return item;
+};
+
+/**
+ * Accepts a current authenticator code, each only once, or an unused backup code, which is
+ * then used up. The caller saves the user.
+ */
+const consumeSecondFactor = (user, code) => {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step !== null && step > (user.totp_last_step ?? -1)) {
+    user.totp_last_step = step;
+    return true;
+  }
+  const hash = hashToken(normalizeBackupCode(code));
+  if (user.backup_code_hashes?.includes(hash)) {
+    user.backup_code_hashes = user.backup_code_hashes.filter((h) => h !== hash);
+    return true;
+  }
+  return false;
+};
+
+const issueBackupCodes = (user) => {
+  const backupCodes = generateBackupCodes();
+  user.backup_code_hashes = backupCodes.map((code) => hashToken(normalizeBackupCode(code)));
+  return backupCodes;
+};
+
+// Checked only once the password is right, so they tell someone guessing nothing
+const assertCanSignIn = (user) => {
+  if (user.disabled) {
+    throw new ApiActionError(
+      'This account has been disabled. Ask a super admin to enable it.',
+      'ACCOUNT_DISABLED'
+    );
+  }
+  if (user.password_reset_required) {
+    throw new ApiActionError(
+      'You need to choose a new password. Use the link we emailed you, or request a new one.',
+      'PASSWORD_RESET_REQUIRED'
+    );
+  }
+};
+
+const assertNewPassword = (params) => {
+  if (!params.newPassword || params.newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiActionError('Password is too short', 'VALIDATION_ERROR', {
+      newPassword: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+    });
+  }
+  if (params.newPassword !== params.confirmPassword) {
+    throw new ApiActionError('New password and confirmation do not match', 'VALIDATION_ERROR', {
+      confirmPassword: 'Passwords do not match',
+    });
+  }
+};
+
+const signOutEverywhere = (store, user) => {
+  store.db.sessions = store.db.sessions.filter((s) => s.userId !== user.id);
+};
+
+/**
+ * Signs out the sessions of `user` except the one of `keepToken`; returns how many ended
+ */
+const revokeSessionsOf = (store, user, keepToken) => {
+  const count = store.db.sessions.length;
+  store.db.sessions = store.db.sessions.filter(
+    (s) => s.userId !== user.id || s.token === keepToken
+  );
+  store.save();
+  return count - store.db.sessions.length;
+};
+
+const assertPassword = (user, password) => {
+  if (!verifyPassword(password, user.password_hash)) {
+    throw new ApiActionError('Password is incorrect', 'VALIDATION_ERROR', {
+      password: 'Password is incorrect',
+    });
+  }
+};
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const POST_STATUSES = ['draft', 'published', 'archived'];
+const BULK_CHANGE_FIELDS = ['status', 'category', 'addTags', 'removeTags'];
+
+const getBulkIds = (params) => {
+  const ids = splitList(params.ids);
+  if (ids.length === 0) {
+    throw new ApiActionError('No posts selected', 'VALIDATION_ERROR', {
+      ids: 'Select at least one post',
+    });
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Validates a bulk `changes` object: { status?, category?, addTags?, removeTags? }
+ */
+const getBulkChanges = (changes) => {
+  const fields = Object.keys(changes || {}).filter((key) => BULK_CHANGE_FIELDS.includes(key));
+  if (typeof changes !== 'object' || fields.length === 0) {
+    throw new ApiActionError('No changes provided', 'VALIDATION_ERROR', {
+      changes: `Provide one of: ${BULK_CHANGE_FIELDS.join(', ')}`,
+    });
+  }
+  if ('status' in changes && !POST_STATUSES.includes(changes.status)) {
+    throw new ApiActionError('Invalid post status', 'VALIDATION_ERROR', {
+      status: `Status must be one of: ${POST_STATUSES.join(', ')}`,
+    });
+  }
+  return changes;
+};
+
+const applyBulkChanges = (post, changes) => {
+  if (changes.status) {
+    post.status = changes.status;
+    if (changes.status === 'published' && !post.published_at) {
+      post.published_at = now();
+    }
+  }
+  if ('category' in changes) {
+    post.category = changes.category || '';
+  }
+  if (changes.addTags || changes.removeTags) {
+    const removed = splitList(changes.removeTags);
+    const tags = splitList(post.tags).filter((tag) => !removed.includes(tag));
+    splitList(changes.addTags).forEach((tag) => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+    post.tags = tags;
+  }
+  post.version = (Number(post.version) || 0) + 1;
+  post.updated_at = now();
+};
+
+/**
+ * Ownership and publishing checks on top of the role check in runAction.
+ * `status` is the status the change would give the post, if any.
+ */
+const assertCanEditPost = (user, post, status) => {
+  if (!canEditPost(user, post)) {
+    throw new ApiActionError('You cannot edit this post', 'FORBIDDEN');
+  }
+  if (status && status !== post.status && !canSetPostStatus(user, status)) {
+    throw new ApiActionError('Your role cannot publish posts', 'FORBIDDEN');
+  }
+};
+
+const assertCanDeletePost = (user, post) => {
+  if (!canDeletePost(user, post)) {
+    throw new ApiActionError('You cannot delete this post', 'FORBIDDEN');
+  }
+};
+
+/**
+ * Runs `apply(id)` for every id, recording a per-item outcome instead of failing the whole request
+ */
+const runBulk = (ids, apply) => {
+  const results = ids.map((id) => {
+    try {
+      apply(id);
+      return { id, success: true };
+    } catch (error) {
+      return {
+        id,
+        success: false,
+        error: { message: error.message, code: error.code || 'SERVER_ERROR' },
+      };
+    }
+  });
+  const succeeded = results.filter((result) => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+};
+
+/**
+ * Optimistic concurrency: `version` in an update is the version the client started editing.
+ * A stale version is rejected with CONFLICT and the stored record; updates without a version
+ * keep last-write-wins. Every update bumps the version.
+ */
+const applyVersionedUpdate = (record, data, label, version) => {
+  const currentVersion = Number(record.version) || 0;
+  if (version !== undefined && version !== '' && Number(version) !== currentVersion) {
+    throw new ApiActionError(`${label} was changed by someone else`, 'CONFLICT', null, {
+      ...record,
+    });
+  }
+  return Object.assign(record, data, { version: currentVersion + 1, updated_at: now() });
+};
+
+/**
+ * Generic CRUD handlers for simple collections
+ */
+const createCrudHandlers = (key, prefix, label) => ({
+  list: (store, params) => {
+    const items = [...store.db[key]].sort(
+      (a, b) => (a.display_order || 0) - (b.display_order || 0)
+    );
+    // Inactive entries are only visible to signed-in admins
+    return getSessionUser(store, params.token)
+      ? items
+      : items.filter((item) => item.is_active !== false);
+  },
+  create: (store, params) => {
+    requireUser(store, params);
+    const item = {
+      is_active: true,
+      ...getPayload(params),
+      id: generateId(prefix),
+      created_at: now(),
+      updated_at: now(),
+    };
+    store.db[key].push(item);
+    store.save();
+    return item;
+  },
+  update: (store, params) => {
+    requireUser(store, params);
+    const item = findById(store.db[key], params.id, label);
+    applyVersionedUpdate(item, getPayload(params), label, params.version);
+    store.save();
+    return item;
+  },
+  remove: (store, params) => {
+    requireUser(store, params);
+    findById(store.db[key], params.id, label);
+    store.db[key] = store.db[key].filter((entry) => String(entry.id) !== String(params.id));
+    store.save();
+    return { id: params.id };
+  },
+});
+
+const categories = createCrudHandlers('categories', 'cat', 'Category');
+const awards = createCrudHandlers('awards', 'award', 'Award');
+const publications = createCrudHandlers('publications', 'pub', 'Publication');
+const socialLinks = createCrudHandlers('socialLinks', 'link', 'Social link');
+
+// Kept on stored files so they open in the right app once downloaded
+const getMediaExtension = (fileName) => {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  return /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+};
+
+/**
+ * Adds a media record for a file that `writeFile(name)` saves under uploads/media.
+ * Its URL points at the server's media route (`context.mediaUrl`).
+ */
+const createMedia = (store, context, fileName, fileType, writeFile) => {
+  const id = generateId('media');
+  const file = `${id}${getMediaExtension(fileName)}`;
+  writeFile(file);
+  const url = `${context.mediaUrl}/${file}`;
+  const media = {
+    id,
+    file_name: fileName,
+    file_type: fileType,
+    file,
+    url,
+    public_url: url,
+    created_at: now(),
+  };
+  store.db.media.push(media);
+  return media;
+};
+
+/**
+ * The caller's upload session; another admin's upload counts as not found
+ */
+const findUpload = (store, params) => {
+  const user = requireUser(store, params);
+  const upload = findById(store.db.uploads, params.uploadId, 'Upload');
+  if (upload.user_id !== user.id) {
+    throw new ApiActionError('Upload not found', 'NOT_FOUND');
+  }
+  return upload;
+};
+
+const removeUpload = (store, uploadId) => {
+  store.removeChunks(uploadId);
+  store.db.uploads = store.db.uploads.filter((upload) => upload.id !== uploadId);
+};
+
+// Abandoned uploads are dropped, with their chunks, after UPLOAD_TTL
+const pruneUploads = (store) => {
+  const cutoff = Date.now() - UPLOAD_TTL;
+  store.db.uploads
+    .filter((upload) => new Date(upload.created_at).getTime() < cutoff)
+    .forEach((upload) => removeUpload(store, upload.id));
+};
+
+/**
+ * Filters, sorts and paginates posts.
+ * Returns `{ data, total, page, limit }` which is sent top-level in the envelope.
+ */
+const queryPosts = (store, params) => {
+  const isAdmin = !!getSessionUser(store, params.token);
+  let posts = [...store.db.posts];
+
+  if (!isAdmin) {
+    posts = posts.filter((post) => post.status === 'published');
+  }
+  if (params.status) {
+    posts = posts.filter((post) => post.status === params.status);
+  }
+  if (params.type) {
+    // 'both' posts belong to news and programs
+    posts = posts.filter((post) => post.type === params.type || post.type === 'both');
+  }
+  if (params.category) {
+    const category = params.category.toLowerCase();
+    posts = posts.filter((post) => {
+      const postCategory = String(post.category || '').toLowerCase();
+      return postCategory === category || postCategory.replace(/\s+/g, '-') === category;
+    });
+  }
+  if (params.featured === 'true') {
+    posts = posts.filter((post) => post.is_featured === true);
+  }
+  if (params.tag) {
+    posts = posts.filter((post) => splitList(post.tags).includes(params.tag));
+  }
+  if (params.exclude) {
+    posts = posts.filter((post) => String(post.id) !== String(params.exclude));
+  }
+  if (params.query) {
+    const query = params.query.toLowerCase();
+    posts = posts.filter((post) =>
+      [post.title, post.subtitle, post.excerpt, post.content, post.tags]
+        .filter(Boolean)
+        .some((field) => String(field).toLowerCase().includes(query))
+    );
+  }
+
+  const sortField = params.sort || 'published_at';
+  const direction = params.order === 'asc' ? 1 : -1;
+  posts.sort((a, b) => {
+    const valueA = a[sortField] || a.created_at || '';
+    const valueB = b[sortField] || b.created_at || '';
+    return valueA < valueB ? -direction : valueA > valueB ? direction : 0;
+  });
+
+  const total = posts.length;
+  const limit = params.limit ? Math.min(Number(params.limit), MAX_PAGE_SIZE) : total;
+  const page = Math.max(Number(params.page) || 1, 1);
+
+  return {
+    data: limit > 0 ? posts.slice((page - 1) * limit, page * limit) : posts,
+    total,
+    page,
+    limit,
+  };
+};
+
+export const actions = {
+  // Public actions
+  listPosts: queryPosts,
+  searchPosts: queryPosts,
+
+  getPost: (store, params) => {
+    const isAdmin = !!getSessionUser(store, params.token);
+    const post = store.db.posts.find(
+      (entry) =>
+        (params.id && String(entry.id) === String(params.id)) ||
+        (params.slug && entry.slug === params.slug)
+    );
+    if (!post || (!isAdmin && post.status !== 'published')) {
+      throw new ApiActionError('Post not found', 'NOT_FOUND');
+    }
+    if (!isAdmin) {
+      post.view_count = (Number(post.view_count) || 0) + 1;
+      store.save();
+    }
+    return post;
+  },
+
+  getProfile: (store) => store.db.profile,
+  getSocialLinks: socialLinks.list,
+  getCategories: categories.list,
+  getAwards: awards.list,
+  getPublications: publications.list,
+  getDonateInfo: (store) => store.db.donateInfo,
+
+  getTags: (store) => {
+    const tags = new Set();
+    store.db.posts
+      .filter((post) => post.status === 'published')
+      .forEach((post) => splitList(post.tags).forEach((tag) => tags.add(tag)));
+    return [...tags].sort();
+  },
+
+  // Authentication
+  login: (store, params, { client }) => {
+    const email = String(params.email || '').trim().toLowerCase();
+    const user = store.db.users.find((u) => u.email.toLowerCase() === email);
+    if (!user || !verifyPassword(params.password, user.password_hash)) {
+      throw new ApiActionError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+    assertCanSignIn(user);
+    if (user.two_factor_enabled) {
+      return createLoginChallenge(store, user);
+    }
+    user.last_login_at = now();
+    return createSession(store, user, client);
+  },
+
+  // Second sign-in step for users with two-factor authentication
+  verifyTwoFactor: (store, params, { client }) => {
+    const challenge = findLoginChallenge(store, params.challenge);
+    const user = challenge && store.db.users.find((u) => u.id === challenge.userId);
+    if (!user) {
+      throw new ApiActionError('Your sign-in has expired. Please sign in again.', 'UNAUTHORIZED');
+    }
+    if (!consumeSecondFactor(user, params.code)) {
+      challenge.attempts += 1;
+      if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        store.db.loginChallenges = store.db.loginChallenges.filter((c) => c !== challenge);
+      }
+      store.save();
+      throw new ApiActionError('Invalid verification code', 'INVALID_CREDENTIALS');
+    }
+    store.db.loginChallenges = store.db.loginChallenges.filter((c) => c !== challenge);
+    // Disabled or reset while the code was being entered
+    assertCanSignIn(user);
+    user.last_login_at = now();
+    return createSession(store, user, client);
+  },
+
+  logout: (store, params) => {
+    store.db.sessions = store.db.sessions.filter((s) => s.token !== params.token);
+    store.save();
+    return { loggedOut: true };
+  },
+
+  refreshToken: (store, params, { client }) => {
+    const session = store.db.sessions.find((s) => s.refreshToken === params.refreshToken);
+    if (!session || Date.parse(session.refreshExpiresAt) < Date.now()) {
+      throw new ApiActionError('Invalid or expired refresh token', 'UNAUTHORIZED');
+    }
+    const user = findById(store.db.users, session.userId, 'User');
+    // Refresh tokens are single use
+    store.db.sessions = store.db.sessions.filter((s) => s !== session);
+    return createSession(store, user, client, session);
+  },
+
+  // The caller's signed-in sessions, most recently used first
+  listSessions: (store, params) => {
+    const user = requireUser(store, params);
+    const sessions = store.db.sessions.filter((s) => s.userId === user.id);
+    // Sessions from before they had ids
+    if (sessions.some((s) => !s.id)) {
+      sessions.forEach((s) => {
+        s.id = s.id || generateId('session');
+      });
+      store.save();
+    }
+    return sessions
+      .map((s) => publicSession(s, params.token))
+      .sort((a, b) => Date.parse(b.last_seen_at) - Date.parse(a.last_seen_at));
+  },
+
+  revokeSession: (store, params) => {
+    const user = requireUser(store, params);
+    const session = store.db.sessions.find((s) => s.userId === user.id && s.id === params.id);
+    if (!session) {
+      throw new ApiActionError('Session not found', 'NOT_FOUND');
+    }
+    store.db.sessions = store.db.sessions.filter((s) => s !== session);
+    store.save();
+    return { revoked: 1 };
+  },
+
+  revokeOtherSessions: (store, params) => ({
+    revoked: revokeSessionsOf(store, requireUser(store, params), params.token),
+  }),
+
+  // Signs a user out everywhere; the caller's own session stays
+  revokeUserSessions: (store, params) => ({
+    revoked: revokeSessionsOf(store, findById(store.db.users, params.id, 'User'), params.token),
+  }),
+
+  changePassword: (store, params) => {
+    const user = requireUser(store, params);
+    if (!verifyPassword(params.currentPassword, user.password_hash)) {
+      throw new ApiActionError('Current password is incorrect', 'VALIDATION_ERROR', {
+        currentPassword: 'Current password is incorrect',
+      });
+    }
+    assertNewPassword(params);
+    user.password_hash = hashPassword(params.newPassword);
+    signOutEverywhere(store, user);
+    store.save();
+    return { requiresReauth: true };
+  },
+
+  // Answers the same whether or not the email has an account, so it cannot be used to probe
+  requestPasswordReset: (store, params, { mailer, resetUrl }) => {
+    const email = String(params.email || '').trim().toLowerCase();
+    const user = store.db.users.find((u) => u.email.toLowerCase() === email);
+    const cutoff = Date.now() - RESET_REQUEST_INTERVAL;
+    const recent = store.db.passwordResets.some(
+      (r) => r.userId === user?.id && Date.parse(r.created_at) > cutoff
+    );
+    if (user && !user.disabled && !recent) {
+      const link = `${resetUrl}?token=${encodeURIComponent(createPasswordReset(store, user))}`;
+      mailer
+        .send({
+          to: user.email,
+          subject: 'Reset your admin password',
+          text:
+            `Someone asked to reset the password for ${user.email}.\n\n` +
+            `Open this link within an hour to choose a new password:\n${link}\n\n` +
+            'The link works once. If you did not ask for it, ignore this email.',
+        })
+        .catch((error) => console.error('Password reset email failed:', error));
+    }
+    return { sent: true };
+  },
+
+  resetPassword: (store, params) => {
+    assertNewPassword(params);
+    const user = consumePasswordReset(store, params.token);
+    if (!user) {
+      throw new ApiActionError('This reset link is invalid or has expired', 'VALIDATION_ERROR', {
+        token: 'Request a new reset link',
+      });
+    }
+    user.password_hash = hashPassword(params.newPassword);
+    // Also the answer to an invitation or a reset a super admin asked for
+    delete user.invite_pending;
+    delete user.password_reset_required;
+    user.updated_at = now();
+    // Signs out every device, including whoever may have had the old password
+    signOutEverywhere(store, user);
+    store.save();
+    return { email: user.email };
+  },
+
+  acceptInvite: (store, params) => {
+    assertNewPassword(params);
+    const user = consumePasswordReset(store, params.token, 'invite');
+    if (!user?.invite_pending) {
+      throw new ApiActionError('This invitation is invalid or has expired', 'VALIDATION_ERROR', {
+        token: 'Ask for a new invitation',
+      });
+    }
+    user.password_hash = hashPassword(params.newPassword);
+    delete user.invite_pending;
+    user.updated_at = now();
+    store.save();
+    return { email: user.email };
+  },
+
+  // Two-factor authentication. Setup keeps the new secret aside until a code from the
+  // authenticator app proves it was scanned.
+  setupTwoFactor: (store, params, { totpIssuer }) => {
+    const user = requireUser(store, params);
+    if (user.two_factor_enabled) {
+      throw new ApiActionError('Two-factor authentication is already on', 'BAD_REQUEST');
+    }
+    const secret = generateTotpSecret();
+    user.totp_pending_secret = secret;
+    store.save();
+    return { secret, uri: getTotpUri({ secret, account: user.email, issuer: totpIssuer }) };
+  },
+
+  enableTwoFactor: (store, params) => {
+    const user = requireUser(store, params);
+    if (!user.totp_pending_secret) {
+      throw new ApiActionError('Start the two-factor setup again', 'BAD_REQUEST');
+    }
+    const step = verifyTotp(user.totp_pending_secret, params.code);
+    if (step === null) {
+      throw new ApiActionError('Invalid verification code', 'VALIDATION_ERROR', {
+        code: 'The code is not valid. Check the time on your phone and try again.',
+      });
+    }
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_last_step = step;
+    user.two_factor_enabled = true;
+    delete user.totp_pending_secret;
+    const backupCodes = issueBackupCodes(user);
+    user.updated_at = now();
+    store.save();
+    return { backupCodes, user: publicUser(user) };
+  },
+
+  disableTwoFactor: (store, params) => {
+    const user = requireUser(store, params);
+    assertPassword(user, params.password);
+    if (store.db.security.require_two_factor) {
+      throw new ApiActionError('Two-factor authentication is required on this site', 'FORBIDDEN');
+    }
+    user.two_factor_enabled = false;
+    delete user.totp_secret;
+    delete user.totp_last_step;
+    delete user.backup_code_hashes;
+    user.updated_at = now();
+    store.save();
+    return publicUser(user);
+  },
+
+  regenerateBackupCodes: (store, params) => {
+    const user = requireUser(store, params);
+    if (!user.two_factor_enabled) {
+      throw new ApiActionError('Two-factor authentication is off', 'BAD_REQUEST');
+    }
+    assertPassword(user, params.password);
+    const backupCodes = issueBackupCodes(user);
+    store.save();
+    return { backupCodes };
+  },
+
+  getSecuritySettings: (store, params) => {
+    requireUser(store, params);
+    return store.db.security;
+  },
+
+  updateSecuritySettings: (store, params) => {
+    const user = requireUser(store, params);
+    if (params.require_two_factor !== undefined) {
+      const required = String(params.require_two_factor) === 'true';
+      // Otherwise the super admin would be locked out of everything but the setup
+      if (required && !user.two_factor_enabled) {
+        throw new ApiActionError(
+          'Turn on two-factor authentication for your own account first',
+          'VALIDATION_ERROR',
+          { require_two_factor: 'Set up two-factor authentication for your account first' }
+        );
+      }
+      store.db.security.require_two_factor = required;
+    }
+    store.db.security.updated_at = now();
+    store.save();
+    return store.db.security;
+  },
+
+  // Posts
+  createPost: (store, params) => {
+    const user = requireUser(store, params);
+    const data = getPayload(params);
+    if (!canSetPostStatus(user, data.status)) {
+      throw new ApiActionError('Your role cannot publish posts', 'FORBIDDEN');
+    }
+    if (!data.title) {
+      throw new ApiActionError('Title is required', 'VALIDATION_ERROR', {
+        title: 'Title is required',
+      });
+    }
+    if (data.slug && store.db.posts.some((post) => post.slug === data.slug)) {
+      throw new ApiActionError('A post with this slug already exists', 'DUPLICATE_SLUG', {
+        slug: 'This slug is already in use',
+      });
+    }
+    const post = {
+      status: 'draft',
+      view_count: 0,
+      author_name: user.name || user.email,
+      ...data,
+      author_id: user.id,
+      id: generateId('post'),
+      created_at: now(),
+      updated_at: now(),
+    };
+    store.db.posts.push(post);
+    store.save();
+    return post;
+  },
+
+  updatePost: (store, params) => {
+    const user = requireUser(store, params);
+    const post = findById(store.db.posts, params.id, 'Post');
+    const data = getPayload(params);
+    assertCanEditPost(user, post, data.status);
+    if (data.slug && store.db.posts.some((p) => p.slug === data.slug && p !== post)) {
+      throw new ApiActionError('A post with this slug already exists', 'DUPLICATE_SLUG', {
+        slug: 'This slug is already in use',
+      });
+    }
+    applyVersionedUpdate(post, data, 'Post', params.version);
+    store.save();
+    return post;
+  },
+
+  deletePost: (store, params) => {
+    const user = requireUser(store, params);
+    assertCanDeletePost(user, findById(store.db.posts, params.id, 'Post'));
+    store.db.posts = store.db.posts.filter((post) => String(post.id) !== String(params.id));
+    store.save();
+    return { id: params.id };
+  },
+
+  bulkDeletePosts: (store, params) => {
+    const user = requireUser(store, params);
+    const report = runBulk(getBulkIds(params), (id) => {
+      assertCanDeletePost(user, findById(store.db.posts, id, 'Post'));
+      store.db.posts = store.db.posts.filter((post) => String(post.id) !== id);
+    });
+    store.save();
+    return { ...report, deleted: report.succeeded };
+  },
+
+  bulkUpdatePosts: (store, params) => {
+    const user = requireUser(store, params);
+    const ids = getBulkIds(params);
+    const changes = getBulkChanges(params.changes);
+    const report = runBulk(ids, (id) => {
+      const post = findById(store.db.posts, id, 'Post');
+      assertCanEditPost(user, post, changes.status);
+      applyBulkChanges(post, changes);
+    });
+    store.save();
+    return report;
+  },
+
+  // Media (files under uploads/media, served by index.js; point a CDN at them in production)
+  uploadMedia: (store, params, context) => {
+    requireUser(store, params);
+    if (!params.file) {
+      throw new ApiActionError('No file provided', 'VALIDATION_ERROR');
+    }
+    const media = createMedia(store, context, params.fileName, params.fileType, (name) =>
+      store.writeMediaFile(name, Buffer.from(params.file, 'base64'))
+    );
+    store.save();
+    return media;
+  },
+
+  // Chunked uploads (see src/services/chunkedUpload.js)
+  startUpload: (store, params) => {
+    const user = requireUser(store, params);
+    const size = Number(params.size);
+    const chunkSize = Number(params.chunkSize);
+    const totalChunks = Number(params.totalChunks);
+    if (
+      !params.fileName ||
+      !(size >= 0 && chunkSize > 0 && chunkSize <= MAX_CHUNK_SIZE) ||
+      totalChunks !== Math.ceil(size / chunkSize)
+    ) {
+      throw new ApiActionError('Invalid upload', 'VALIDATION_ERROR');
+    }
+    pruneUploads(store);
+    const upload = {
+      id: generateId('upload'),
+      user_id: user.id,
+      file_name: params.fileName,
+      file_type: params.fileType,
+      size,
+      chunk_size: chunkSize,
+      total_chunks: totalChunks,
+      received: [],
+      created_at: now(),
+    };
+    store.db.uploads.push(upload);
+    store.save();
+    return upload;
+  },
+
+  uploadChunk: (store, params) => {
+    const upload = findUpload(store, params);
+    const index = Number(params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= upload.total_chunks) {
+      throw new ApiActionError('Invalid chunk index', 'VALIDATION_ERROR');
+    }
+    const chunk = Buffer.from(params.chunk || '', 'base64');
+    const expected = Math.min(upload.chunk_size, upload.size - index * upload.chunk_size);
+    if (chunk.length !== expected) {
+      throw new ApiActionError(`Chunk ${index} should be ${expected} bytes`, 'VALIDATION_ERROR');
+    }
+    store.writeChunk(upload.id, index, chunk);
+    if (!upload.received.includes(index)) {
+      upload.received.push(index);
+      upload.received.sort((a, b) => a - b);
+      store.save();
+    }
+    return upload;
+  },
+
+  getUploadStatus: (store, params) => findUpload(store, params),
+
+  finishUpload: (store, params, context) => {
+    const upload = findUpload(store, params);
+    if (upload.received.length < upload.total_chunks) {
+      throw new ApiActionError(
+        `Upload is missing ${upload.total_chunks - upload.received.length} chunk(s)`,
+        'VALIDATION_ERROR'
+      );
+    }
+    const media = createMedia(store, context, upload.file_name, upload.file_type, (name) =>
+      store.assembleChunks(upload.id, upload.received, name)
+    );
+    removeUpload(store, upload.id);
+    store.save();
+    return media;
+  },
+
+  cancelUpload: (store, params) => {
+    removeUpload(store, findUpload(store, params).id);
+    store.save();
+    return { id: params.uploadId };
+  },
+
+  getMediaFiles: (store, params) => {
+    requireUser(store, params);
+    return store.db.media;
+  },
+
+  deleteMedia: (store, params) => {
+    requireUser(store, params);
+    const media = findById(store.db.media, params.fileId, 'Media file');
+    store.db.media = store.db.media.filter((entry) => entry.id !== params.fileId);
+    // Records from before files were stored on disk have only their data URL
+    if (media.file) {
+      store.removeMediaFile(media.file);
+    }
+    store.save();
+    return { id: params.fileId };
+  },
+
+  // Profile and social links
+  updateProfile: (store, params) => {
+    requireUser(store, params);
+    applyVersionedUpdate(store.db.profile, getPayload(params), 'Profile', params.version);
+    store.save();
+    return store.db.profile;
+  },
+
+  listSocialLinks: (store, params) => {
+    requireUser(store, params);
+    return socialLinks.list(store, params);
+  },
+  createSocialLink: socialLinks.create,
+  updateSocialLink: socialLinks.update,
+  deleteSocialLink: socialLinks.remove,
+
+  // Categories, awards, publications
+  createCategory: categories.create,
+  updateCategory: categories.update,
+  deleteCategory: categories.remove,
+  createAward: awards.create,
+  updateAward: awards.update,
+  deleteAward: awards.remove,
+  createPublication: publications.create,
+  updatePublication: publications.update,
+  deletePublication: publications.remove,
+
+  // Donate info
+  updateDonateInfo: (store, params) => {
+    requireUser(store, params);
+    Object.assign(store.db.donateInfo, getPayload(params));
+    store.save();
+    return store.db.donateInfo;
+  },
+
+  // Users
+  listUsers: (store, params) => {
+    requireUser(store, params);
+    return store.db.users.map(publicUser);
+  },
+
+  createUser: (store, params) => {
+    requireUser(store, params);
+    const email = String(params.email || '').trim().toLowerCase();
+    const role = params.role || ROLES.EDITOR;
+    if (!email || !params.password) {
+      throw new ApiActionError('Email and password are required', 'VALIDATION_ERROR');
+    }
+    if (!isValidRole(role)) {
+      throw new ApiActionError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+    }
+    if (store.db.users.some((u) => u.email.toLowerCase() === email)) {
+      throw new ApiActionError('A user with this email already exists', 'DUPLICATE_EMAIL', {
+        email: 'This email is already registered',
+      });
+    }
+    const user = {
+      id: generateId('user'),
+      email,
+      password_hash: hashPassword(params.password),
+      name: params.name || '',
+      role,
+      is_super_admin: role === ROLES.SUPER_ADMIN,
+      created_at: now(),
+    };
+    store.db.users.push(user);
+    store.save();
+    return publicUser(user);
+  },
+
+  updateUser: (store, params) => {
+    const currentUser = requireUser(store, params);
+    const user = findById(store.db.users, params.id, 'User');
+    if (params.role !== undefined && params.role !== getUserRole(user)) {
+      if (!isValidRole(params.role)) {
+        throw new ApiActionError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+      }
+      // Keeps at least one super admin: the one making the change
+      if (user.id === currentUser.id) {
+        throw new ApiActionError('You cannot change your own role', 'FORBIDDEN');
+      }
+      user.role = params.role;
+      user.is_super_admin = params.role === ROLES.SUPER_ADMIN;
+    }
+    if (params.name !== undefined) {
+      user.name = params.name;
+    }
+    if (params.disabled !== undefined) {
+      const disabled = String(params.disabled) === 'true';
+      if (disabled && user.id === currentUser.id) {
+        throw new ApiActionError('You cannot disable your own account', 'FORBIDDEN');
+      }
+      user.disabled = disabled;
+      if (disabled) {
+        signOutEverywhere(store, user);
+      }
+    }
+    // Lifting a forced reset; forcePasswordReset sets it
+    if (String(params.password_reset_required) === 'false') {
+      delete user.password_reset_required;
+    }
+    user.updated_at = now();
+    store.save();
+    return publicUser(user);
+  },
+
+  // Inviting someone whose invitation is still open sends them a new link
+  inviteUser: (store, params, { mailer, inviteUrl }) => {
+    const currentUser = requireUser(store, params);
+    const email = String(params.email || '').trim().toLowerCase();
+    const role = params.role || ROLES.EDITOR;
+    if (!email) {
+      throw new ApiActionError('Email is required', 'VALIDATION_ERROR', {
+        email: 'Email is required',
+      });
+    }
+    if (!isValidRole(role)) {
+      throw new ApiActionError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+    }
+    let user = store.db.users.find((u) => u.email.toLowerCase() === email);
+    if (user && !user.invite_pending) {
+      throw new ApiActionError('A user with this email already exists', 'DUPLICATE_EMAIL', {
+        email: 'This email is already registered',
+      });
+    }
+    if (!user) {
+      user = { id: generateId('user'), email, invite_pending: true, created_at: now() };
+      store.db.users.push(user);
+    }
+    Object.assign(user, {
+      name: params.name ?? user.name ?? '',
+      role,
+      is_super_admin: role === ROLES.SUPER_ADMIN,
+      invited_at: now(),
+    });
+    // Only the newest link works
+    store.db.passwordResets = store.db.passwordResets.filter((r) => r.userId !== user.id);
+    const token = createPasswordReset(store, user, 'invite');
+    const inviteLink = `${inviteUrl}?token=${encodeURIComponent(token)}`;
+    mailer
+      .send({
+        to: user.email,
+        subject: 'You are invited to the admin panel',
+        text:
+          `${currentUser.name || currentUser.email} invited you to help manage the site as ` +
+          `${ROLE_LABELS[role]}.\n\n` +
+          `Open this link within 7 days to choose your password:\n${inviteLink}\n\n` +
+          'The link works once. If you were not expecting it, ignore this email.',
+      })
+      .catch((error) => console.error('Invitation email failed:', error));
+    store.save();
+    return { user: publicUser(user), inviteLink };
+  },
+
+  forcePasswordReset: (store, params, { mailer, resetUrl }) => {
+    const currentUser = requireUser(store, params);
+    const user = findById(store.db.users, params.id, 'User');
+    if (user.id === currentUser.id) {
+      throw new ApiActionError('Use Change Password for your own account', 'FORBIDDEN');
+    }
+    if (user.invite_pending) {
+      throw new ApiActionError('This user has not accepted their invitation yet', 'BAD_REQUEST');
+    }
+    user.password_reset_required = true;
+    user.updated_at = now();
+    signOutEverywhere(store, user);
+    const link = `${resetUrl}?token=${encodeURIComponent(createPasswordReset(store, user))}`;
+    mailer
+      .send({
+        to: user.email,
+        subject: 'Choose a new admin password',
+        text:
+          `An administrator has asked you to choose a new password for ${user.email}. ` +
+          'You have been signed out, and signing in with your old password will not work.\n\n' +
+          `Open this link within an hour to choose a new password:\n${link}\n\n` +
+          'If the link has expired, request a new one from the sign-in page.',
+      })
+      .catch((error) => console.error('Password reset email failed:', error));
+    store.save();
+    return publicUser(user);
+  },
+
+  deleteUser: (store, params) => {
+    requireUser(store, params);
+    const user = store.db.users.find((u) => u.id === params.id || u.email === params.id);
+    if (!user) {
+      throw new ApiActionError('User not found', 'NOT_FOUND');
+    }
+    if (getUserRole(user) === ROLES.SUPER_ADMIN) {
+      throw new ApiActionError('Super admin cannot be deleted', 'FORBIDDEN');
+    }
+    store.db.users = store.db.users.filter((u) => u !== user);
+    signOutEverywhere(store, user);
+    store.db.passwordResets = store.db.passwordResets.filter((r) => r.userId !== user.id);
+    store.save();
+    return { id: user.id };
+  },
+
+  getAuditLog: (store, params) => queryAuditLog(store.db.auditLog, params, MAX_PAGE_SIZE),
+
+  // Also reports the caller's role and two-factor state, so the admin panel can pick up changes
+  checkSuperAdmin: (store, params) => {
+    const user = requireUser(store, params);
+    const role = getUserRole(user);
+    return {
+      isSuperAdmin: role === ROLES.SUPER_ADMIN,
+      role,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      twoFactorRequired: !!store.db.security.require_two_factor,
+    };
+  },
+};
+
+// Read actions that may be bundled into one `batch` request
+const BATCHABLE_ACTIONS = [
+  'listPosts',
+  'getPost',
+  'searchPosts',
+  'getProfile',
+  'getSocialLinks',
+  'getCategories',
+  'getAwards',
+  'getPublications',
+  'getTags',
+  'getDonateInfo',
+  'listSocialLinks',
+  'getMediaFiles',
+  'listUsers',
+  'checkSuperAdmin',
+  'getSecuritySettings',
+  'getAuditLog',
+  'listSessions',
+];
+const MAX_BATCH_SIZE = 10;
+
+// What a user who still has to set up required two-factor authentication may do
+const TWO_FACTOR_SETUP_ACTIONS = [
+  'logout',
+  'refreshToken',
+  'checkSuperAdmin',
+  'getSecuritySettings',
+  'setupTwoFactor',
+  'enableTwoFactor',
+  'batch',
+];
+
+/**
+ * Runs each request of a `batch` action and returns their envelopes in order.
+ * `requests` is a JSON array of action params, as they would appear in a query string.
+ */
+const runBatch = (store, { requests }, context) => {
+  let list;
+  try {
+    list = JSON.parse(requests || '[]');
+  } catch {
+    list = null;
+  }
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_BATCH_SIZE) {
+    throw new ApiActionError(
+      `requests must be a JSON array of 1-${MAX_BATCH_SIZE} actions`,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  return list.map((request) => {
+    if (!BATCHABLE_ACTIONS.includes(request?.action)) {
+      return {
+        success: false,
+        error: { message: `Action cannot be batched: ${request?.action}`, code: 'BAD_REQUEST' },
+      };
+    }
+    // Query string values are always strings
+    const params = Object.fromEntries(
+      Object.entries(request)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, String(value)])
+    );
+    return runAction(store, params, context);
+  });
+};
+
+/**
+ * Records what an audited action changed, comparing with the snapshot taken before it ran
+ */
+const recordAudit = (store, action, before, actor) => {
+  const entity = AUDITED_ACTIONS[action];
+  const entries = createAuditEntries({
+    action,
+    entity,
+    actor,
+    before,
+    after: snapshotEntity(store.db, entity),
+    createId: () => generateId('audit'),
+  });
+  if (entries.length === 0) return;
+  store.db.auditLog = [...store.db.auditLog, ...entries].slice(-MAX_AUDIT_ENTRIES);
+  store.save();
+};
+
+/**
+ * Runs an action and wraps the result in the `{ success, data, error }` envelope.
+ * `context` holds server settings and services handlers may need: `mailer`, `resetUrl`,
+ * `inviteUrl`, `mediaUrl` and `totpIssuer`, plus the caller's `client` (`{ ip, userAgent }`).
+ */
+export const runAction = (store, params, context = {}) => {
+  const handler = params.action === 'batch' ? runBatch : actions[params.action];
+
+  if (!handler) {
+    return {
+      success: false,
+      error: { message: `Unknown action: ${params.action}`, code: 'UNKNOWN_ACTION' },
+    };
+  }
+
+  try {
+    const sessionUser = params.token && getSessionUser(store, params.token);
+    if (sessionUser) {
+      touchSession(store, params.token, context.client);
+    }
+    if (
+      sessionUser &&
+      needsTwoFactorSetup(store, sessionUser) &&
+      !TWO_FACTOR_SETUP_ACTIONS.includes(params.action)
+    ) {
+      throw new ApiActionError(
+        'Set up two-factor authentication to continue',
+        'TWO_FACTOR_REQUIRED'
+      );
+    }
+    // Role check for the action; post handlers add ownership checks
+    if (ACTION_PERMISSIONS[params.action]) {
+      requirePermission(store, params, ACTION_PERMISSIONS[params.action]);
+    }
+    const audited = params.action in AUDITED_ACTIONS;
+    const before = audited && snapshotEntity(store.db, AUDITED_ACTIONS[params.action]);
+    const result = handler(store, params, context);
+    if (audited) {
+      recordAudit(store, params.action, before, sessionUser);
+    }
+    if (result && typeof result === 'object' && 'total' in result && Array.isArray(result.data)) {
+      return { success: true, ...result };
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    if (!(error instanceof ApiActionError)) {
+      console.error(`Action ${params.action} failed:`, error);
+    }
+    return {
+      success: false,
+      error: {
+        message: error instanceof ApiActionError ? error.message : 'Internal server error',
+        code: error.code || 'SERVER_ERROR',
+        ...(error.fields && { fields: error.fields }),
+        ...(error.current && { current: error.current }),
+      },
+    };
+  }
+};
@@ -0,0 +1,225 @@
+/**
+ * Server Authentication
+ * Password hashing and session token management
+ */
+
+import crypto from 'node:crypto';
+import { ApiActionError } from './errors.js';
+import { getUserRole, hasPermission } from '../src/config/permissions.js';
+
+export const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+export const REFRESH_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const RESET_TTL = 60 * 60 * 1000; // 1 hour
+export const INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const CHALLENGE_TTL = 5 * 60 * 1000; // Time to enter the two-factor code
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+export const LAST_SEEN_INTERVAL = 60 * 1000; // How often a session's last_seen_at is rewritten
+
+/**
+ * Hashes a password with a random salt (scrypt)
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+/**
+ * Verifies a password against a stored salt:hash pair
+ */
+export const verifyPassword = (password, stored) => {
+  if (!stored || !stored.includes(':')) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(String(password || ''), salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Strips secrets from a user record before it leaves the server. The role is always filled in,
+ * also for users saved before roles existed.
+ */
+export const publicUser = ({
+  password_hash: _hash,
+  totp_secret: _secret,
+  totp_pending_secret: _pendingSecret,
+  totp_last_step: _lastStep,
+  backup_code_hashes: backupCodes,
+  ...user
+}) => ({
+  ...user,
+  role: getUserRole(user),
+  two_factor_enabled: !!user.two_factor_enabled,
+  ...(user.two_factor_enabled && { backup_codes_remaining: backupCodes?.length || 0 }),
+});
+
+/**
+ * Whether the user has to turn on two-factor authentication before anything else
+ */
+export const needsTwoFactorSetup = (store, user) =>
+  !!store.db.security.require_two_factor && !user.two_factor_enabled;
+
+/**
+ * Creates a session and returns the login payload the frontend expects. `client` is the
+ * caller's `{ ip, userAgent }`, shown in the session list. Refreshing passes the `previous`
+ * session, whose id and sign-in time carry over so the list shows one entry per sign-in.
+ */
+export const createSession = (store, user, client = {}, previous = null) => {
+  const time = new Date().toISOString();
+  const session = {
+    id: previous?.id || `session_${crypto.randomUUID()}`,
+    token: randomToken(),
+    refreshToken: randomToken(),
+    userId: user.id,
+    expiresAt: new Date(Date.now() + SESSION_TTL).toISOString(),
+    refreshExpiresAt: new Date(Date.now() + REFRESH_TTL).toISOString(),
+    ip: client.ip || previous?.ip || null,
+    user_agent: client.userAgent || previous?.user_agent || null,
+    created_at: previous?.created_at || time,
+    last_seen_at: time,
+  };
+  store.db.sessions.push(session);
+  store.save();
+
+  return {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresAt: session.expiresAt,
+    user: publicUser(user),
+    twoFactorSetupRequired: needsTwoFactorSetup(store, user),
+  };
+};
+
+/**
+ * Resolves the user for an access token, or null when missing/expired or the user is disabled
+ */
+export const getSessionUser = (store, token) => {
+  if (!token) return null;
+  const session = store.db.sessions.find((s) => s.token === token);
+  if (!session || Date.parse(session.expiresAt) < Date.now()) return null;
+  const user = store.db.users.find((u) => u.id === session.userId);
+  return user && !user.disabled ? user : null;
+};
+
+/**
+ * Records that the session of `token` is in use, from `client`. Written at most once per
+ * LAST_SEEN_INTERVAL unless the address changes, so reads do not rewrite the data file.
+ */
+export const touchSession = (store, token, client = {}) => {
+  const session = token && store.db.sessions.find((s) => s.token === token);
+  if (!session) return;
+  const moved = client.ip && client.ip !== session.ip;
+  if (!moved && Date.now() - Date.parse(session.last_seen_at || 0) < LAST_SEEN_INTERVAL) return;
+  session.last_seen_at = new Date().toISOString();
+  if (client.ip) session.ip = client.ip;
+  if (client.userAgent) session.user_agent = client.userAgent;
+  store.save();
+};
+
+/**
+ * What the session list shows of a session; `current` marks the one of `token`
+ */
+export const publicSession = (session, token) => ({
+  id: session.id,
+  ip: session.ip || null,
+  user_agent: session.user_agent || null,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at || session.created_at,
+  expires_at: session.refreshExpiresAt || session.expiresAt,
+  current: session.token === token,
+});
+
+export const requireUser = (store, params) => {
+  const user = getSessionUser(store, params.token);
+  if (!user) {
+    throw new ApiActionError('Invalid or expired token', 'UNAUTHORIZED');
+  }
+  return user;
+};
+
+/**
+ * Resolves the session user and checks that their role grants `permission`
+ */
+export const requirePermission = (store, params, permission) => {
+  const user = requireUser(store, params);
+  if (!hasPermission(user, permission)) {
+    throw new ApiActionError('Your role does not allow this action', 'FORBIDDEN');
+  }
+  return user;
+};
+
+/**
+ * Drops expired sessions and reset tokens so the data file does not grow forever
+ */
+export const pruneSessions = (store) => {
+  const now = Date.now();
+  store.db.sessions = store.db.sessions.filter(
+    (s) => Date.parse(s.refreshExpiresAt || s.expiresAt) > now
+  );
+  store.db.passwordResets = store.db.passwordResets.filter((r) => Date.parse(r.expiresAt) > now);
+  store.db.loginChallenges = store.db.loginChallenges.filter((c) => Date.parse(c.expiresAt) > now);
+};
+
+// Reset tokens, challenges and backup codes are stored hashed, so a leaked data file cannot be
+// used to take over accounts
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issues a single-use token for choosing a password. `purpose` is 'reset' for reset links,
+ * valid for RESET_TTL, or 'invite' for invitation links, valid for INVITE_TTL.
+ */
+export const createPasswordReset = (store, user, purpose = 'reset') => {
+  const token = randomToken();
+  const ttl = purpose === 'invite' ? INVITE_TTL : RESET_TTL;
+  store.db.passwordResets.push({
+    tokenHash: hashToken(token),
+    userId: user.id,
+    purpose,
+    expiresAt: new Date(Date.now() + ttl).toISOString(),
+    created_at: new Date().toISOString(),
+  });
+  store.save();
+  return token;
+};
+
+/**
+ * Redeems a token of `purpose`: returns its user and invalidates every token of that user.
+ * Returns null for unknown, used or expired tokens.
+ */
+export const consumePasswordReset = (store, token, purpose = 'reset') => {
+  const tokenHash = hashToken(token);
+  const reset = store.db.passwordResets.find(
+    (r) => r.tokenHash === tokenHash && (r.purpose || 'reset') === purpose
+  );
+  if (!reset || Date.parse(reset.expiresAt) < Date.now()) return null;
+  store.db.passwordResets = store.db.passwordResets.filter((r) => r.userId !== reset.userId);
+  return store.db.users.find((u) => u.id === reset.userId) || null;
+};
+
+/**
+ * Starts the second step of signing in a user with two-factor authentication. The returned
+ * challenge stands in for the password while the code is entered, for CHALLENGE_TTL.
+ */
+export const createLoginChallenge = (store, user) => {
+  const challenge = randomToken();
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL).toISOString();
+  store.db.loginChallenges.push({
+    tokenHash: hashToken(challenge),
+    userId: user.id,
+    attempts: 0,
+    expiresAt,
+  });
+  store.save();
+  return { twoFactorRequired: true, challenge, expiresAt };
+};
+
+/**
+ * The pending challenge for a token, or null when unknown or expired
+ */
+export const findLoginChallenge = (store, challenge) => {
+  const tokenHash = hashToken(challenge);
+  const entry = store.db.loginChallenges.find((c) => c.tokenHash === tokenHash);
+  return entry && Date.parse(entry.expiresAt) > Date.now() ? entry : null;
+};
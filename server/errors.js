@@ -0,0 +1,20 @@
+/**
+ * Server Errors
+ */
+
+/**
+ * Error thrown by action handlers; serialized into `{ success: false, error }`
+ */
+export class ApiActionError extends Error {
+  constructor(message, code = 'BAD_REQUEST', fields = null, current = null) {
+    super(message);
+    this.name = 'ApiActionError';
+    this.code = code;
+    // Per-field messages for validation errors, keyed by form field name
+    this.fields = fields;
+    // The stored record, sent back with CONFLICT errors
+    this.current = current;
+  }
+}
+
+export default ApiActionError;
@@ -0,0 +1,246 @@
+/**
+ * Reference API Server
+ * Self-hostable replacement for the Google Apps Script backend.
+ *
+ * Speaks the same protocol as src/services/api.js:
+ *   GET  /?action=<name>&...params            (public reads)
+ *   POST /  application/x-www-form-urlencoded (writes and authenticated reads, action in the body)
+ * and always answers HTTP 200 with `{ success, data, error }`, like Apps Script does.
+ *
+ * Run with `npm run server` and point the site at it with VITE_API_BASE_URL=http://localhost:8787
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 8787)
+ *   DATA_FILE        JSON data file (default server/data/db.json); uploaded media files and
+ *                    chunks of uploads in progress are kept in an uploads/ directory beside it
+ *   ALLOWED_ORIGINS  Comma-separated CORS origins (default *)
+ *   ADMIN_EMAIL      Super admin created when the data file has no users
+ *   ADMIN_PASSWORD   Password for that super admin
+ *   APP_URL          Public URL of the site, used in password reset and invitation links
+ *                    (default http://localhost:5173)
+ *   SERVER_URL       Public URL of this server, used in the links of uploaded media, which it
+ *                    serves at /media/<file> (default http://localhost:<PORT>)
+ *   MAIL_TRANSPORT   'outbox' (default: emails are written to an outbox/ directory beside the
+ *                    data file) or 'webhook' (see server/mailer.js)
+ *   MAIL_WEBHOOK_URL Where the webhook transport POSTs messages
+ *   MAIL_FROM        Sender address (default no-reply@localhost)
+ *   TOTP_ISSUER      Name authenticator apps show for two-factor codes
+ *                    (default Berhampur Diocesan Synod)
+ *   TRUST_PROXY      'true' when behind a reverse proxy, so session lists show the address
+ *                    from X-Forwarded-For rather than the proxy's
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createStore } from './store.js';
+import { runAction } from './actions.js';
+import { createMailer } from './mailer.js';
+import { hashPassword, pruneSessions } from './auth.js';
+// Shared with the frontend so both sides agree on the form-encoding protocol
+import { decodeForm } from '../src/services/formEncoding.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json');
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const MAX_BODY_SIZE = 150 * 1024 * 1024; // base64 of a 100MB video plus form overhead
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+const SERVER_URL = (process.env.SERVER_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// Stored media file names: a generated id and an optional extension
+const MEDIA_PATH = /^\/media\/(media_[\w-]+(?:\.[a-z0-9]+)?)$/;
+
+const store = createStore(DATA_FILE);
+const context = {
+  mailer: createMailer({
+    transport: process.env.MAIL_TRANSPORT || 'outbox',
+    outboxDir: path.join(path.dirname(DATA_FILE), 'outbox'),
+    webhookUrl: process.env.MAIL_WEBHOOK_URL,
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+  }),
+  // Links always point at our own site; a client-supplied URL could send tokens elsewhere
+  resetUrl: `${APP_URL}/admin/reset-password`,
+  inviteUrl: `${APP_URL}/admin/accept-invite`,
+  mediaUrl: `${SERVER_URL}/media`,
+  totpIssuer: process.env.TOTP_ISSUER || 'Berhampur Diocesan Synod',
+};
+
+/**
+ * Creates the first super admin from ADMIN_EMAIL / ADMIN_PASSWORD
+ */
+const bootstrapAdmin = () => {
+  if (store.db.users.length > 0) return;
+
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn('No users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create a super admin.');
+    return;
+  }
+
+  store.db.users.push({
+    id: 'user_admin',
+    email: email.toLowerCase(),
+    password_hash: hashPassword(password),
+    name: 'Administrator',
+    role: 'super_admin',
+    is_super_admin: true,
+    created_at: new Date().toISOString(),
+  });
+  store.save();
+  console.warn(`Created super admin ${email}`);
+};
+
+const getCorsHeaders = (origin) => {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return { 'Access-Control-Allow-Origin': '*' };
+  }
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+  }
+  return {};
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+/**
+ * Merges query string and form-encoded body into one params object
+ */
+const decodeParams = (url, body) => {
+  const params = Object.fromEntries(url.searchParams);
+  // Session tokens are only accepted in the body, so clients never put them in URLs and logs
+  delete params.token;
+  if (body) {
+    Object.assign(params, decodeForm(body));
+  }
+  return params;
+};
+
+/**
+ * Who is calling, as shown in their session list
+ */
+const getClient = (req) => {
+  const forwarded = TRUST_PROXY
+    ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim()
+    : '';
+  return {
+    ip: forwarded || req.socket.remoteAddress || null,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null,
+  };
+};
+
+const send = (res, status, headers, payload) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * Streams an uploaded media file. Files are sandboxed so an uploaded page or SVG cannot run
+ * scripts as this server's origin.
+ */
+const sendMedia = (res, headers, name) => {
+  const media = store.db.media.find((entry) => entry.file === name);
+  let stat = null;
+  try {
+    stat = media && fs.statSync(store.mediaPath(name));
+  } catch {
+    stat = null;
+  }
+  if (!stat) {
+    send(res, 404, headers, {
+      success: false,
+      error: { message: 'Media file not found', code: 'NOT_FOUND' },
+    });
+    return;
+  }
+
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': media.file_type || 'application/octet-stream',
+    'Content-Length': stat.size,
+    // Names are never reused, so the file at a URL never changes
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+    'X-Content-Type-Options': 'nosniff',
+  });
+  fs.createReadStream(store.mediaPath(name))
+    .on('error', () => res.destroy())
+    .pipe(res);
+};
+
+const server = http.createServer(async (req, res) => {
+  const corsHeaders = getCorsHeaders(req.headers.origin);
+
+  // The frontend only sends simple requests, but answer preflights for other clients
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...corsHeaders,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    send(res, 405, corsHeaders, {
+      success: false,
+      error: { message: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' },
+    });
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const mediaMatch = req.method === 'GET' && url.pathname.match(MEDIA_PATH);
+    if (mediaMatch) {
+      sendMedia(res, corsHeaders, mediaMatch[1]);
+      return;
+    }
+    const body = req.method === 'POST' ? await readBody(req) : '';
+    const params = decodeParams(url, body);
+
+    // Writes must carry the action in the body, mirroring Apps Script's doPost
+    if (req.method === 'POST' && !new URLSearchParams(body).has('action')) {
+      params.action = undefined;
+    }
+
+    pruneSessions(store);
+    const result = runAction(store, params, { ...context, client: getClient(req) });
+    send(res, 200, corsHeaders, result);
+  } catch (error) {
+    console.error('Request failed:', error);
+    send(res, 200, corsHeaders, {
+      success: false,
+      error: { message: error.message || 'Internal server error', code: 'SERVER_ERROR' },
+    });
+  }
+});
+
+bootstrapAdmin();
+
+server.listen(PORT, () => {
+  console.warn(`API server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
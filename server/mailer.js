@@ -0,0 +1,55 @@
+/**
+ * Mailer
+ * Sends the server's emails through the transport chosen with MAIL_TRANSPORT:
+ * - `outbox` (default): writes each message as a JSON file to an outbox/ directory beside the
+ *   data file, so development needs no mail account
+ * - `webhook`: POSTs the message as JSON to MAIL_WEBHOOK_URL, e.g. an email provider's HTTP API
+ *   or an Apps Script web app calling MailApp
+ *
+ * A message is `{ to, subject, text }`. `send` resolves once the transport accepted it.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const createOutboxTransport = (outboxDir) => async (message) => {
+  fs.mkdirSync(outboxDir, { recursive: true });
+  const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto
+    .randomBytes(4)
+    .toString('hex')}.json`;
+  fs.writeFileSync(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+};
+
+const createWebhookTransport = (url) => async (message) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+  });
+  if (!response.ok) {
+    throw new Error(`Mail webhook answered ${response.status}`);
+  }
+};
+
+/**
+ * Creates a mailer for `transport` ('outbox' or 'webhook')
+ */
+export const createMailer = ({ transport = 'outbox', outboxDir, webhookUrl, from } = {}) => {
+  let deliver;
+  if (transport === 'outbox') {
+    deliver = createOutboxTransport(outboxDir);
+  } else if (transport === 'webhook') {
+    if (!webhookUrl) {
+      throw new Error('MAIL_TRANSPORT=webhook needs MAIL_WEBHOOK_URL');
+    }
+    deliver = createWebhookTransport(webhookUrl);
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}". Use outbox or webhook.`);
+  }
+
+  return {
+    transport,
+    send: (message) => deliver({ from, ...message, created_at: new Date().toISOString() }),
+  };
+};
@@ -0,0 +1,111 @@
+/**
+ * JSON File Store
+ * Persists the reference server's data in a single JSON file
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const EMPTY_DB = {
+  profile: {},
+  socialLinks: [],
+  posts: [],
+  categories: [],
+  awards: [],
+  publications: [],
+  donateInfo: {},
+  media: [],
+  uploads: [],
+  users: [],
+  sessions: [],
+  passwordResets: [],
+  // Sign-ins waiting for a two-factor code
+  loginChallenges: [],
+  security: { require_two_factor: false },
+  // Who changed what (see src/services/auditLog.js), oldest first
+  auditLog: [],
+};
+
+/**
+ * Creates a store backed by the given file.
+ * Writes go to a temp file first and are renamed into place so a crash never leaves half a file.
+ * Upload ids and media file names passed to the file helpers must be ones the server generated.
+ */
+export const createStore = (filePath) => {
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+
+    try {
+      data = { ...EMPTY_DB, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read data file ${filePath}: ${error.message}`);
+      }
+      data = structuredClone(EMPTY_DB);
+    }
+    return data;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Chunks of uploads in progress are files next to the data file, one directory per upload
+  const uploadsDir = path.join(path.dirname(filePath), 'uploads');
+  const chunkPath = (uploadId, index) => path.join(uploadsDir, uploadId, String(index));
+
+  const writeChunk = (uploadId, index, buffer) => {
+    fs.mkdirSync(path.join(uploadsDir, uploadId), { recursive: true });
+    fs.writeFileSync(chunkPath(uploadId, index), buffer);
+  };
+
+  const readChunk = (uploadId, index) => fs.readFileSync(chunkPath(uploadId, index));
+
+  const removeChunks = (uploadId) =>
+    fs.rmSync(path.join(uploadsDir, uploadId), { recursive: true, force: true });
+
+  // Finished media files live in uploads/media, so db.json only holds their URLs
+  const mediaDir = path.join(uploadsDir, 'media');
+  const mediaPath = (name) => path.join(mediaDir, name);
+
+  const writeMediaFile = (name, buffer) => {
+    fs.mkdirSync(mediaDir, { recursive: true });
+    fs.writeFileSync(mediaPath(name), buffer);
+  };
+
+  /**
+   * Joins the chunks of an upload into a media file, one chunk in memory at a time
+   */
+  const assembleChunks = (uploadId, indexes, name) => {
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const fd = fs.openSync(mediaPath(name), 'w');
+    try {
+      indexes.forEach((index) => fs.writeSync(fd, readChunk(uploadId, index)));
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  const removeMediaFile = (name) => fs.rmSync(mediaPath(name), { force: true });
+
+  return {
+    get db() {
+      return load();
+    },
+    save,
+    writeChunk,
+    readChunk,
+    removeChunks,
+    mediaPath,
+    writeMediaFile,
+    assembleChunks,
+    removeMediaFile,
+  };
+};
+
+export default createStore;
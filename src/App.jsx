@@ -14,6 +14,7 @@ import ErrorBoundary from '@/components/ErrorBoundary';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import ScrollToTop from '@/components/ScrollToTop';
 import { ROUTES } from '@/config/constants';
+import { PERMISSIONS } from '@/config/permissions';
 
 // Layouts
 import MainLayout from '@/components/Layout/MainLayout';
@@ -30,6 +31,8 @@ import Donate from '@/pages/Donate';
 
 // Admin Pages
 import AdminLogin from '@/pages/Admin/Login';
+import AdminResetPassword from '@/pages/Admin/ResetPassword';
+import AdminAcceptInvite from '@/pages/Admin/AcceptInvite';
 import AdminDashboard from '@/pages/Admin/Dashboard';
 import AdminPostList from '@/pages/Admin/PostList';
 import AdminPostEditor from '@/pages/Admin/PostEditor';
@@ -42,6 +45,8 @@ import AdminPublicationEditor from '@/pages/Admin/PublicationEditor';
 import AdminProfileEditor from '@/pages/Admin/ProfileEditor';
 import AdminDonateEditor from '@/pages/Admin/DonateEditor';
 import AdminUserList from '@/pages/Admin/UserList';
+import AdminAccountSecurity from '@/pages/Admin/AccountSecurity';
+import AdminAuditLog from '@/pages/Admin/AuditLog';
 import AdminLayout from '@/components/Layout/AdminLayout';
 
 function App() {
@@ -121,6 +126,8 @@ function App() {
 
               {/* Admin Routes */}
               <Route path={ROUTES.ADMIN_LOGIN} element={<AdminLogin />} />
+              <Route path={ROUTES.ADMIN_RESET_PASSWORD} element={<AdminResetPassword />} />
+              <Route path={ROUTES.ADMIN_ACCEPT_INVITE} element={<AdminAcceptInvite />} />
               
               <Route
                 path={ROUTES.ADMIN_DASHBOARD}
@@ -145,7 +152,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_POST_NEW}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.CREATE_POSTS}>
                     <AdminLayout>
                       <AdminPostEditor />
                     </AdminLayout>
@@ -165,7 +172,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_CATEGORIES}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_CATEGORIES}>
                     <AdminLayout>
                       <AdminCategoryList />
                     </AdminLayout>
@@ -175,7 +182,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_CATEGORY_NEW}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_CATEGORIES}>
                     <AdminLayout>
                       <AdminCategoryEditor />
                     </AdminLayout>
@@ -185,7 +192,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_CATEGORY_EDIT}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_CATEGORIES}>
                     <AdminLayout>
                       <AdminCategoryEditor />
                     </AdminLayout>
@@ -195,7 +202,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_AWARDS}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminAwardList />
                     </AdminLayout>
@@ -205,7 +212,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_AWARD_NEW}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminAwardEditor />
                     </AdminLayout>
@@ -215,7 +222,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_AWARD_EDIT}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminAwardEditor />
                     </AdminLayout>
@@ -225,7 +232,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_PUBLICATIONS}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminPublicationList />
                     </AdminLayout>
@@ -235,7 +242,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_PUBLICATION_NEW}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminPublicationEditor />
                     </AdminLayout>
@@ -245,7 +252,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_PUBLICATION_EDIT}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminPublicationEditor />
                     </AdminLayout>
@@ -255,6 +262,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_PROFILE}
                 element={
+                  // Open to every role for the password; the page gates the site content tabs
                   <ProtectedRoute>
                     <AdminLayout>
                       <AdminProfileEditor />
@@ -265,7 +273,7 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_DONATE}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE_CONTENT}>
                     <AdminLayout>
                       <AdminDonateEditor />
                     </AdminLayout>
@@ -275,13 +283,33 @@ function App() {
               <Route
                 path={ROUTES.ADMIN_USERS}
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission={PERMISSIONS.MANAGE_USERS}>
                     <AdminLayout>
                       <AdminUserList />
                     </AdminLayout>
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path={ROUTES.ADMIN_AUDIT_LOG}
+                element={
+                  <ProtectedRoute permission={PERMISSIONS.VIEW_AUDIT_LOG}>
+                    <AdminLayout>
+                      <AdminAuditLog />
+                    </AdminLayout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path={ROUTES.ADMIN_SECURITY}
+                element={
+                  <ProtectedRoute>
+                    <AdminLayout>
+                      <AdminAccountSecurity />
+                    </AdminLayout>
+                  </ProtectedRoute>
+                }
+              />
 
               {/* Catch all - redirect to home */}
               <Route path="*" element={<Navigate to={ROUTES.HOME} replace />} />
@@ -0,0 +1,153 @@
+/**
+ * Conflict Resolver Component
+ * Shown when a save is rejected with a ConflictError because someone else saved the record
+ * after it was loaded. Lists the fields where the admin's version (`local`) and the stored
+ * version (`remote`) differ side by side, using the record as it was loaded (`base`) to tell
+ * who changed what, and offers to:
+ * - merge: save with the value picked for each field (defaults to whichever side changed it)
+ * - overwrite: save the admin's version as is
+ * - discard: drop the admin's changes and load the stored version
+ */
+
+import { useMemo, useState } from 'react';
+import Modal from '@/components/Modal';
+
+// Bookkeeping fields that always differ and are not edited by hand
+const IGNORED_FIELDS = ['id', 'version', 'created_at', 'updated_at'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+// Canonical form for equality checks, so ['a'] / 'a' style and date formatting noise is ignored
+const comparable = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(String).join('\u0000');
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value).trim();
+  if (ISO_DATE.test(text) && !isNaN(Date.parse(text))) return String(Date.parse(text));
+  return text;
+};
+
+const displayValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const humanize = (field) => field.replace(/_/g, ' ').replace(/^\w/, (char) => char.toUpperCase());
+
+const ConflictResolver = ({
+  base = {},
+  local,
+  remote,
+  labels = {},
+  saving = false,
+  onResolve,
+  onDiscard,
+  onCancel,
+}) => {
+  const fields = useMemo(
+    () =>
+      Object.keys(local)
+        .filter((field) => !IGNORED_FIELDS.includes(field))
+        .filter((field) => comparable(local[field]) !== comparable(remote[field]))
+        .map((field) => {
+          const mine = comparable(local[field]) !== comparable(base[field]);
+          const theirs = comparable(remote[field]) !== comparable(base[field]);
+          return {
+            name: field,
+            bothChanged: mine && theirs,
+            defaultChoice: theirs && !mine ? 'remote' : 'local',
+          };
+        }),
+    [base, local, remote]
+  );
+
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(fields.map((field) => [field.name, field.defaultChoice]))
+  );
+
+  const handleMerge = () => {
+    const merged = { ...local };
+    fields.forEach(({ name }) => {
+      if (choices[name] === 'remote') {
+        merged[name] = remote[name];
+      }
+    });
+    onResolve(merged);
+  };
+
+  const footer = (
+    <>
+      <button onClick={onDiscard} className="btn btn-outline" disabled={saving}>
+        Discard my changes
+      </button>
+      <button onClick={() => onResolve(local)} className="btn btn-danger" disabled={saving}>
+        Overwrite with mine
+      </button>
+      <button onClick={handleMerge} className="btn btn-primary" disabled={saving}>
+        {saving ? 'Saving...' : 'Save merged version'}
+      </button>
+    </>
+  );
+
+  return (
+    <Modal title="Someone else changed this record" onClose={onCancel} footer={footer} size="lg">
+      <p className="conflict-intro">
+        It was saved by someone else
+        {remote.updated_at ? ` on ${new Date(remote.updated_at).toLocaleString()}` : ''} after you
+        opened it. Pick which value to keep for each field that differs.
+      </p>
+
+      {fields.length === 0 ? (
+        <p className="conflict-intro">
+          The other changes do not touch any field you are saving. Saving keeps both.
+        </p>
+      ) : (
+        <div className="table-container">
+          <table className="admin-table conflict-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Yours</th>
+                <th>Theirs (saved)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(({ name, bothChanged }) => (
+                <tr key={name}>
+                  <td data-label="Field">
+                    {labels[name] || humanize(name)}
+                    {bothChanged && <span className="conflict-badge">Both changed</span>}
+                  </td>
+                  {['local', 'remote'].map((side) => (
+                    <td
+                      key={side}
+                      data-label={side === 'local' ? 'Yours' : 'Theirs'}
+                      className={`conflict-choice ${choices[name] === side ? 'selected' : ''}`}
+                    >
+                      <label>
+                        <input
+                          type="radio"
+                          name={`conflict-${name}`}
+                          checked={choices[name] === side}
+                          onChange={() => setChoices({ ...choices, [name]: side })}
+                        />
+                        <pre className="conflict-value">
+                          {displayValue(side === 'local' ? local[name] : remote[name])}
+                        </pre>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ConflictResolver;
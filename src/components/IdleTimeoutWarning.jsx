@@ -0,0 +1,47 @@
+/**
+ * Idle Timeout Warning
+ * Signs the admin out after SECURITY.IDLE_TIMEOUT without activity in any tab, warning a
+ * minute ahead with a countdown (see useIdleTimeout).
+ */
+
+import { useCallback } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useIdleTimeout } from '@/hooks/useIdleTimeout';
+import Modal from './Modal';
+
+const IdleTimeoutWarning = () => {
+  const { isAuthenticated, logout } = useAuth();
+
+  // ProtectedRoute then sends the admin to the login page, which returns here afterwards
+  const handleTimeout = useCallback(() => logout({ reason: 'idle' }), [logout]);
+
+  const { warning, remaining, stayActive } = useIdleTimeout({
+    enabled: isAuthenticated,
+    onTimeout: handleTimeout,
+  });
+
+  if (!warning) return null;
+
+  const seconds = Math.ceil(remaining / 1000);
+  const footer = (
+    <>
+      <button type="button" className="btn btn-outline" onClick={() => logout()}>
+        Sign Out
+      </button>
+      <button type="button" className="btn btn-primary" onClick={stayActive}>
+        Stay Signed In
+      </button>
+    </>
+  );
+
+  return (
+    <Modal title="Are you still there?" onClose={stayActive} footer={footer}>
+      <p>
+        You will be signed out in {seconds} second{seconds === 1 ? '' : 's'} because of
+        inactivity. Unsaved changes will be lost.
+      </p>
+    </Modal>
+  );
+};
+
+export default IdleTimeoutWarning;
@@ -7,9 +7,13 @@ import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
 import { ROUTES } from '@/config/constants';
+import { PERMISSIONS, ROLE_LABELS } from '@/config/permissions';
+import OutboxStatus from '@/components/OutboxStatus';
+import IdleTimeoutWarning from '@/components/IdleTimeoutWarning';
+import SessionExpiredModal from '@/components/SessionExpiredModal';
 
 const AdminLayout = ({ children }) => {
-  const { logout, user } = useAuth();
+  const { logout, user, role, can } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(true);
@@ -51,21 +55,25 @@ const AdminLayout = ({ children }) => {
       path: ROUTES.ADMIN_POST_NEW,
       label: 'New Post',
       icon: '➕',
+      permission: PERMISSIONS.CREATE_POSTS,
     },
     {
       path: ROUTES.ADMIN_CATEGORIES,
       label: 'Categories',
       icon: '🏷️',
+      permission: PERMISSIONS.MANAGE_CATEGORIES,
     },
     {
       path: ROUTES.ADMIN_AWARDS,
       label: 'Awards',
       icon: '🏆',
+      permission: PERMISSIONS.MANAGE_SITE_CONTENT,
     },
     {
       path: ROUTES.ADMIN_PUBLICATIONS,
       label: 'Publications',
       icon: '📰',
+      permission: PERMISSIONS.MANAGE_SITE_CONTENT,
     },
     {
       path: ROUTES.ADMIN_PROFILE,
@@ -76,13 +84,26 @@ const AdminLayout = ({ children }) => {
       path: ROUTES.ADMIN_DONATE,
       label: 'Donate Info',
       icon: '💰',
+      permission: PERMISSIONS.MANAGE_SITE_CONTENT,
     },
     {
       path: ROUTES.ADMIN_USERS,
       label: 'Manage Users',
       icon: '👥',
+      permission: PERMISSIONS.MANAGE_USERS,
     },
-  ];
+    {
+      path: ROUTES.ADMIN_AUDIT_LOG,
+      label: 'Audit Log',
+      icon: '📜',
+      permission: PERMISSIONS.VIEW_AUDIT_LOG,
+    },
+    {
+      path: ROUTES.ADMIN_SECURITY,
+      label: 'Account Security',
+      icon: '🛡️',
+    },
+  ].filter((item) => !item.permission || can(item.permission));
 
   return (
     <div className="admin-layout">
@@ -160,6 +181,7 @@ const AdminLayout = ({ children }) => {
               <div className="user-details">
                 <p className="user-name">{user.name || 'Admin'}</p>
                 <p className="user-email">{user.email}</p>
+                <p className="user-email">{ROLE_LABELS[role]}</p>
               </div>
             </div>
           )}
@@ -178,8 +200,12 @@ const AdminLayout = ({ children }) => {
 
       {/* Main Content */}
       <main className="admin-main">
+        <OutboxStatus />
         <div className="admin-content">{children}</div>
       </main>
+
+      <IdleTimeoutWarning />
+      <SessionExpiredModal />
     </div>
   );
 };
@@ -0,0 +1,47 @@
+/**
+ * Modal Component
+ * Dialog rendered over the page. Escape, the close button and the backdrop call `onClose`
+ * unless `dismissible` is false.
+ */
+
+import { useEffect, useId } from 'react';
+
+const Modal = ({ title, children, footer, onClose, dismissible = true, size = 'md' }) => {
+  const titleId = useId();
+
+  useEffect(() => {
+    if (!dismissible) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [dismissible, onClose]);
+
+  return (
+    <div className="modal-backdrop" onClick={dismissible ? onClose : undefined}>
+      <div
+        className={`modal modal-${size}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2 id={titleId}>{title}</h2>
+          {dismissible && (
+            <button className="modal-close" onClick={onClose} aria-label="Close">
+              ✕
+            </button>
+          )}
+        </div>
+        <div className="modal-body">{children}</div>
+        {footer && <div className="modal-footer">{footer}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
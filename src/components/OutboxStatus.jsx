@@ -0,0 +1,196 @@
+/**
+ * Outbox Status Component
+ * Pending-sync indicator for admin changes saved while offline (see services/outbox.js).
+ * Replays the outbox on mount and whenever the browser comes back online, and lets the admin
+ * retry or discard changes the server rejected.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '@/services/api';
+import { useAuth } from '@/context/AuthContext';
+import {
+  OUTBOX_STATUS,
+  discardOutboxEntry,
+  getOutboxEntries,
+  getOutboxOwner,
+  retryOutboxEntry,
+  subscribeOutbox,
+} from '@/services/outbox';
+
+const OPERATION_LABELS = {
+  create: 'Create',
+  update: 'Update',
+  delete: 'Delete',
+};
+
+const describeEntry = (entry) => {
+  const { title, name, year, id } = entry.payload;
+  const subject = title || name || year || (entry.operation === 'delete' ? id : '');
+  return `${OPERATION_LABELS[entry.operation]} ${entry.entity}${subject ? ` "${subject}"` : ''}`;
+};
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const OutboxStatus = () => {
+  // Only the signed-in admin's changes; others wait for their own sign-in
+  const owner = getOutboxOwner(useAuth().user);
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [open, setOpen] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      getOutboxEntries(owner)
+        .then((list) => active && setEntries(list))
+        .catch((error) => console.error('Outbox error:', error));
+    };
+
+    refresh();
+    const unsubscribe = subscribeOutbox(refresh);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [owner]);
+
+  const sync = useCallback(async ({ quiet = false } = {}) => {
+    setSyncing(true);
+    try {
+      const { synced, conflicts } = await adminAPI.syncOutbox();
+      if (synced > 0) {
+        toast.success(`${pluralize(synced, 'offline change')} synced`);
+      }
+      if (conflicts > 0 && !quiet) {
+        toast.warning(`${pluralize(conflicts, 'change')} could not be synced. Review them below.`);
+        setOpen(true);
+      }
+    } catch (error) {
+      if (!quiet) {
+        toast.error(error.message || 'Failed to sync offline changes');
+      }
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    // Changes left over from an earlier session
+    if (navigator.onLine) {
+      sync({ quiet: true });
+    }
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [sync]);
+
+  const handleRetry = async (seq) => {
+    await retryOutboxEntry(seq);
+    sync();
+  };
+
+  const handleDiscard = async (entry) => {
+    if (!window.confirm(`Discard "${describeEntry(entry)}"? This change will not be saved.`)) {
+      return;
+    }
+    await discardOutboxEntry(entry.seq);
+  };
+
+  if (entries.length === 0 && online) {
+    return null;
+  }
+
+  const conflicts = entries.filter((entry) => entry.status === OUTBOX_STATUS.CONFLICT).length;
+  const pending = entries.length - conflicts;
+
+  let summary = 'Offline';
+  if (conflicts > 0) {
+    summary = `${pluralize(conflicts, 'conflict')}${pending > 0 ? `, ${pending} pending` : ''}`;
+  } else if (pending > 0) {
+    summary = `${pluralize(pending, 'change')} waiting to sync`;
+  }
+
+  return (
+    <div className="outbox-status">
+      <button
+        className={`outbox-indicator ${conflicts > 0 ? 'has-conflicts' : ''}`}
+        onClick={() => setOpen(!open)}
+        disabled={entries.length === 0}
+        aria-expanded={open}
+      >
+        <span className="outbox-indicator-icon">
+          {conflicts > 0 ? '⚠️' : online ? '⏳' : '📴'}
+        </span>
+        {syncing ? 'Syncing...' : summary}
+      </button>
+
+      {open && entries.length > 0 && (
+        <div className="outbox-panel">
+          <div className="outbox-panel-header">
+            <strong>Offline changes</strong>
+            <button
+              onClick={() => sync()}
+              className="btn btn-sm btn-outline"
+              disabled={!online || syncing}
+            >
+              {syncing ? 'Syncing...' : 'Sync now'}
+            </button>
+          </div>
+          <ul className="outbox-list">
+            {entries.map((entry) => (
+              <li key={entry.seq} className={`outbox-item outbox-item-${entry.status}`}>
+                <div className="outbox-item-details">
+                  <span className="outbox-item-label">{describeEntry(entry)}</span>
+                  <span className="outbox-item-meta">
+                    {entry.status === OUTBOX_STATUS.CONFLICT ? 'Rejected' : 'Pending'} · queued{' '}
+                    {new Date(entry.queuedAt).toLocaleString()}
+                  </span>
+                  {entry.error && (
+                    <span className="outbox-item-error">{entry.error.message}</span>
+                  )}
+                  {entry.error?.fieldErrors &&
+                    Object.entries(entry.error.fieldErrors).map(([field, message]) => (
+                      <span key={field} className="outbox-item-error">
+                        {field}: {message}
+                      </span>
+                    ))}
+                </div>
+                <div className="table-actions">
+                  {entry.status === OUTBOX_STATUS.CONFLICT && (
+                    <button
+                      onClick={() => handleRetry(entry.seq)}
+                      className="btn btn-sm btn-outline"
+                      disabled={!online || syncing}
+                    >
+                      Retry
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDiscard(entry)}
+                    className="btn btn-sm btn-danger"
+                    disabled={syncing}
+                  >
+                    Discard
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutboxStatus;
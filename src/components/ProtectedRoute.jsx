@@ -5,10 +5,16 @@
 
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
+import { ROUTES } from '@/config/constants';
 import Loading from './Loading';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+/**
+ * `permission` (see config/permissions) is required on top of being signed in; users whose
+ * role lacks it are sent to the dashboard, which explains why. Users who still have to set up
+ * two-factor authentication the site requires can only reach the security page.
+ */
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, isLoading, can, needsTwoFactorSetup } = useAuth();
   const location = useLocation();
 
   if (isLoading) {
@@ -20,6 +26,16 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/admin/login" state={{ from: location }} replace />;
   }
 
+  if (needsTwoFactorSetup && location.pathname !== ROUTES.ADMIN_SECURITY) {
+    return <Navigate to={ROUTES.ADMIN_SECURITY} replace />;
+  }
+
+  if (permission && !can(permission)) {
+    return (
+      <Navigate to={ROUTES.ADMIN_DASHBOARD} state={{ deniedFrom: location.pathname }} replace />
+    );
+  }
+
   return children;
 };
 
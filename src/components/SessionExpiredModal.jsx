@@ -0,0 +1,154 @@
+/**
+ * Session Expired Modal
+ * Asks for the password again when the session can no longer be refreshed (see
+ * services/reLogin.js). The page underneath is left as it was, and the requests that failed
+ * are sent again once the admin is signed back in. Signing out instead goes to the login page.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { useAuth } from '@/context/AuthContext';
+import { authService } from '@/services/auth';
+import { setReLoginHandler } from '@/services/reLogin';
+import { STORAGE_KEYS } from '@/config/constants';
+import Modal from './Modal';
+
+const FORM_ID = 'session-expired-form';
+
+const SessionExpiredModal = () => {
+  const { user, checkAuth } = useAuth();
+  const [open, setOpen] = useState(false);
+  // The login challenge while the two-factor code is asked for
+  const [challenge, setChallenge] = useState(null);
+  const [error, setError] = useState('');
+  const resolveRef = useRef(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ shouldUnregister: true });
+
+  // Hands the new token (or null to give up) to the requests waiting in api.js
+  const settle = useCallback(
+    (token) => {
+      resolveRef.current?.(token);
+      resolveRef.current = null;
+      setOpen(false);
+      setChallenge(null);
+      setError('');
+      reset();
+    },
+    [reset]
+  );
+
+  useEffect(
+    () =>
+      setReLoginHandler(
+        () =>
+          new Promise((resolve) => {
+            resolveRef.current = resolve;
+            setOpen(true);
+          })
+      ),
+    []
+  );
+
+  // Signing in or out in another tab settles this one too
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleStorage = (event) => {
+      if (event.key === null || event.key === STORAGE_KEYS.AUTH_TOKEN) {
+        settle(authService.getToken());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [open, settle]);
+
+  const onSubmit = async ({ password, code }) => {
+    try {
+      setError('');
+      const result = challenge
+        ? await authService.verifyTwoFactor(user.email, challenge, code)
+        : await authService.login(user.email, password);
+
+      if (result.twoFactorRequired) {
+        setChallenge(result.challenge);
+        return;
+      }
+      // Not the context's login: its loading state would replace the page being kept
+      checkAuth();
+      toast.success('Signed in again');
+      settle(authService.getToken());
+    } catch (err) {
+      setError(err.message || 'Sign-in failed');
+      // The challenge expired or ran out of attempts: start over with the password
+      if (challenge && err.code === 'UNAUTHORIZED') {
+        setChallenge(null);
+      }
+    }
+  };
+
+  if (!open) return null;
+
+  const footer = (
+    <>
+      <button type="button" className="btn btn-outline" onClick={() => settle(null)}>
+        Sign Out
+      </button>
+      <button type="submit" form={FORM_ID} className="btn btn-primary" disabled={isSubmitting}>
+        {isSubmitting ? 'Signing in...' : challenge ? 'Verify' : 'Sign In'}
+      </button>
+    </>
+  );
+
+  return (
+    <Modal title="Your session has expired" dismissible={false} footer={footer}>
+      <p>
+        Sign in again as <strong>{user?.email}</strong> to carry on where you left off. Your
+        unsaved changes are still here.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form id={FORM_ID} onSubmit={handleSubmit(onSubmit)}>
+        {challenge ? (
+          <div className="form-group">
+            <label htmlFor="session-code">Authentication Code</label>
+            <input
+              type="text"
+              id="session-code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              placeholder="123456"
+              {...register('code', { required: 'Enter the code from your app' })}
+              className={errors.code ? 'error' : ''}
+            />
+            {errors.code && <span className="error-message">{errors.code.message}</span>}
+          </div>
+        ) : (
+          <div className="form-group">
+            <label htmlFor="session-password">Password</label>
+            <input
+              type="password"
+              id="session-password"
+              autoComplete="current-password"
+              autoFocus
+              {...register('password', { required: 'Password is required' })}
+              className={errors.password ? 'error' : ''}
+            />
+            {errors.password && (
+              <span className="error-message">{errors.password.message}</span>
+            )}
+          </div>
+        )}
+      </form>
+    </Modal>
+  );
+};
+
+export default SessionExpiredModal;
@@ -6,8 +6,18 @@
 export const API_CONFIG = {
   BASE_URL: import.meta.env.REACT_APP_API_BASE_URL || '',
   TIMEOUT: 60000, // 60 seconds (Google Apps Script can be slow)
-  RETRY_ATTEMPTS: 3,
-  RETRY_DELAY: 1000, // 1 second
+  RETRY_ATTEMPTS: 3, // Retries after the first attempt (idempotent GETs only by default)
+  RETRY_DELAY: 1000, // 1 second, doubled on every retry
+  RETRY_MAX_DELAY: 10000, // 10 seconds
+  BATCH_WINDOW: 10, // ms to collect concurrent reads into one `batch` request
+  BATCH_MAX_SIZE: 10, // reads per `batch` request
+};
+
+// Backends the API layer can talk to, selected with VITE_API_DRIVER (see services/drivers)
+export const API_DRIVERS = {
+  APPS_SCRIPT: 'apps-script',
+  REST: 'rest',
+  FIRESTORE: 'firestore',
 };
 
 export const STORAGE_KEYS = {
@@ -15,6 +25,12 @@ export const STORAGE_KEYS = {
   REFRESH_TOKEN: import.meta.env.REACT_APP_REFRESH_TOKEN_KEY || 'refresh_token',
   USER_DATA: 'user_data',
   THEME: 'theme',
+  LOCAL_API_DB: 'local_api_db',
+  API_CACHE: 'api_cache',
+  UPLOAD_SESSIONS: 'upload_sessions',
+  LOGIN_ATTEMPTS: 'login_attempts',
+  LAST_ACTIVITY: 'last_activity',
+  TOKEN_EXPIRY: 'token_expiry',
 };
 
 export const ROUTES = {
@@ -44,6 +60,10 @@ export const ROUTES = {
   ADMIN_PROFILE: '/admin/profile',
   ADMIN_DONATE: '/admin/donate',
   ADMIN_USERS: '/admin/users',
+  ADMIN_RESET_PASSWORD: '/admin/reset-password',
+  ADMIN_ACCEPT_INVITE: '/admin/accept-invite',
+  ADMIN_SECURITY: '/admin/security',
+  ADMIN_AUDIT_LOG: '/admin/audit-log',
 };
 
 export const API_ACTIONS = {
@@ -58,16 +78,28 @@ export const API_ACTIONS = {
   GET_TAGS: 'getTags',
   SEARCH_POSTS: 'searchPosts',
   GET_DONATE_INFO: 'getDonateInfo',
+  BATCH: 'batch', // runs several read actions in one request
   
   // Admin actions
   LOGIN: 'login',
   LOGOUT: 'logout',
   REFRESH_TOKEN: 'refreshToken',
+  LIST_SESSIONS: 'listSessions',
+  REVOKE_SESSION: 'revokeSession',
+  REVOKE_OTHER_SESSIONS: 'revokeOtherSessions',
+  REVOKE_USER_SESSIONS: 'revokeUserSessions', // every session of another user
   CREATE_POST: 'createPost',
   UPDATE_POST: 'updatePost',
   DELETE_POST: 'deletePost',
   BULK_DELETE_POSTS: 'bulkDeletePosts',
+  BULK_UPDATE_POSTS: 'bulkUpdatePosts', // status, category and tag changes across many posts
   UPLOAD_MEDIA: 'uploadMedia',
+  // Chunked uploads (see services/chunkedUpload.js)
+  START_UPLOAD: 'startUpload',
+  UPLOAD_CHUNK: 'uploadChunk',
+  GET_UPLOAD_STATUS: 'getUploadStatus',
+  FINISH_UPLOAD: 'finishUpload',
+  CANCEL_UPLOAD: 'cancelUpload',
   GET_MEDIA_FILES: 'getMediaFiles',
   DELETE_MEDIA: 'deleteMedia',
   UPDATE_PROFILE: 'updateProfile',
@@ -88,8 +120,46 @@ export const API_ACTIONS = {
   UPDATE_DONATE_INFO: 'updateDonateInfo',
   LIST_USERS: 'listUsers',
   CREATE_USER: 'createUser',
+  UPDATE_USER: 'updateUser',
   DELETE_USER: 'deleteUser',
+  INVITE_USER: 'inviteUser', // creates the account; the invitee sets the password from a link
+  ACCEPT_INVITE: 'acceptInvite',
+  FORCE_PASSWORD_RESET: 'forcePasswordReset',
   CHECK_SUPER_ADMIN: 'checkSuperAdmin',
+  REQUEST_PASSWORD_RESET: 'requestPasswordReset',
+  RESET_PASSWORD: 'resetPassword',
+  VERIFY_TWO_FACTOR: 'verifyTwoFactor',
+  SETUP_TWO_FACTOR: 'setupTwoFactor',
+  ENABLE_TWO_FACTOR: 'enableTwoFactor',
+  DISABLE_TWO_FACTOR: 'disableTwoFactor',
+  REGENERATE_BACKUP_CODES: 'regenerateBackupCodes',
+  GET_SECURITY_SETTINGS: 'getSecuritySettings',
+  UPDATE_SECURITY_SETTINGS: 'updateSecuritySettings',
+  GET_AUDIT_LOG: 'getAuditLog',
+};
+
+// Public response cache: fresh for TTL, then served stale while revalidating until MAX_STALE
+export const API_CACHE = {
+  TTL: {
+    [API_ACTIONS.GET_PROFILE]: 10 * 60 * 1000, // 10 minutes
+    [API_ACTIONS.GET_SOCIAL_LINKS]: 10 * 60 * 1000,
+    [API_ACTIONS.GET_CATEGORIES]: 10 * 60 * 1000,
+    [API_ACTIONS.GET_TAGS]: 10 * 60 * 1000,
+    [API_ACTIONS.GET_DONATE_INFO]: 10 * 60 * 1000,
+    [API_ACTIONS.GET_AWARDS]: 30 * 60 * 1000, // 30 minutes
+    [API_ACTIONS.GET_PUBLICATIONS]: 30 * 60 * 1000,
+    [API_ACTIONS.GET_POST]: 5 * 60 * 1000, // 5 minutes
+    [API_ACTIONS.LIST_POSTS]: 2 * 60 * 1000, // 2 minutes
+  },
+  MAX_STALE: 7 * 24 * 60 * 60 * 1000, // 7 days
+  MAX_ENTRIES: 100,
+};
+
+// Offline outbox: admin mutations that could not reach the server, kept in IndexedDB
+export const OUTBOX = {
+  DB_NAME: 'synodof_outbox',
+  STORE_NAME: 'mutations',
+  LOCK_NAME: 'synodof_outbox_replay', // Web Lock so only one tab replays at a time
 };
 
 export const POST_STATUS = {
@@ -115,6 +185,11 @@ export const FILE_UPLOAD = {
   MAX_VIDEO_SIZE: 100 * 1024 * 1024, // 100MB
   ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
   ALLOWED_VIDEO_TYPES: ['video/mp4', 'video/webm', 'video/quicktime'],
+  // 1.5MB; a multiple of 3 so the base64 of consecutive chunks joins into valid base64
+  CHUNK_SIZE: 3 * 512 * 1024,
+  CHUNK_RETRY_ATTEMPTS: 4,
+  CHUNK_TIMEOUT: 60000,
+  SESSION_TTL: 24 * 60 * 60 * 1000, // interrupted uploads can be resumed for a day
 };
 
 export const VALIDATION = {
@@ -136,6 +211,12 @@ export const SECURITY = {
   TOKEN_REFRESH_THRESHOLD: 5 * 60 * 1000, // Refresh token 5 minutes before expiry
   MAX_LOGIN_ATTEMPTS: 5,
   LOGIN_ATTEMPT_WINDOW: 15 * 60 * 1000, // 15 minutes
+  LOGIN_LOCKOUT_BASE: 30 * 1000, // First lockout; doubles with each further failure
+  // Admins are signed out after this long without activity in any tab.
+  // VITE_IDLE_TIMEOUT_MINUTES overrides the 30 minutes; 0 turns it off.
+  IDLE_TIMEOUT: Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30) * 60 * 1000,
+  IDLE_WARNING: 60 * 1000, // The warning shows this long before the idle sign-out
+  ACTIVITY_WRITE_INTERVAL: 5 * 1000, // How often activity is shared with other tabs
 };
 
 export const DATE_FORMATS = {
@@ -169,6 +250,7 @@ export const SUCCESS_MESSAGES = {
   SOCIAL_LINK_UPDATED: 'Social link updated successfully',
   SOCIAL_LINK_DELETED: 'Social link deleted successfully',
   PASSWORD_CHANGED: 'Password changed successfully. Please login again.',
+  SAVED_OFFLINE: 'You are offline. The change was saved and will sync when you reconnect.',
 };
 
 export const USER_NAME = "Synodof";
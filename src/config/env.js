@@ -3,8 +3,14 @@
  * Validates and exports environment variables
  */
 
-// In Vite, environment variables must be prefixed with VITE_ to be exposed to the client
-const requiredEnvVars = ['VITE_API_BASE_URL'];
+// Which backend serves the API: 'apps-script' (default), 'rest' or 'firestore'
+const API_DRIVER = import.meta.env.VITE_API_DRIVER ||
+                   import.meta.env.REACT_APP_API_DRIVER ||
+                   'apps-script';
+
+// In Vite, environment variables must be prefixed with VITE_ to be exposed to the client.
+// Firestore is reached through the VITE_FIREBASE_* settings instead of a base URL.
+const requiredEnvVars = API_DRIVER === 'firestore' ? [] : ['VITE_API_BASE_URL'];
 
 const validateEnv = () => {
   const missing = requiredEnvVars.filter(
@@ -26,11 +32,19 @@ const validateEnv = () => {
 
 validateEnv();
 
+// 'remote' talks to the Google Apps Script URL, 'local' uses the in-browser backend
+const API_MODE = import.meta.env.VITE_API_MODE || 
+                 import.meta.env.REACT_APP_API_MODE || 
+                 'remote';
+
 export const ENV = {
   // Support both VITE_ prefix (Vite standard) and REACT_APP_ prefix (for compatibility)
   API_BASE_URL: import.meta.env.VITE_API_BASE_URL || 
                 import.meta.env.REACT_APP_API_BASE_URL || 
                 '',
+  API_MODE,
+  USE_LOCAL_API: API_MODE === 'local',
+  API_DRIVER,
   ENVIRONMENT: import.meta.env.MODE || 'development',
   SITE_NAME: import.meta.env.VITE_SITE_NAME || 
              import.meta.env.REACT_APP_SITE_NAME || 
@@ -53,22 +67,27 @@ export const ENV = {
 if (ENV.IS_DEVELOPMENT || ENV.ENABLE_DEBUG) {
   console.log('🔧 Environment Configuration:', {
     API_BASE_URL: ENV.API_BASE_URL || '❌ NOT SET - Please create .env file with VITE_API_BASE_URL',
+    API_MODE: ENV.API_MODE,
+    API_DRIVER: ENV.API_DRIVER,
     ENVIRONMENT: ENV.ENVIRONMENT,
     IS_PRODUCTION: ENV.IS_PRODUCTION,
   });
   
-  if (!ENV.API_BASE_URL) {
-    console.warn('⚠️ WARNING: VITE_API_BASE_URL (or REACT_APP_API_BASE_URL) is not set!');
-    console.warn('📝 Please create/update .env file in the root directory with:');
-    console.warn('   VITE_API_BASE_URL=https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec');
-    console.warn('   (Note: In Vite, use VITE_ prefix, not REACT_APP_)');
-    console.warn('   Then restart the dev server.');
-  } else if (ENV.API_BASE_URL.includes('localhost:3000')) {
-    console.error('❌ ERROR: API_BASE_URL is pointing to localhost:3000 (Vite dev server)!');
-    console.error('📝 This should be your Google Apps Script Web App URL.');
-    console.error('📝 Update VITE_API_BASE_URL in your .env file and restart the server.');
-  } else {
-    console.log('✅ API_BASE_URL is configured:', ENV.API_BASE_URL);
+  // The local backend and Firestore need no API URL; API_MODE and API_DRIVER above name them
+  if (!ENV.USE_LOCAL_API && ENV.API_DRIVER !== 'firestore') {
+    if (!ENV.API_BASE_URL) {
+      console.warn('⚠️ WARNING: VITE_API_BASE_URL (or REACT_APP_API_BASE_URL) is not set!');
+      console.warn('📝 Please create/update .env file in the root directory with:');
+      console.warn('   VITE_API_BASE_URL=https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec');
+      console.warn('   (Note: In Vite, use VITE_ prefix, not REACT_APP_)');
+      console.warn('   Then restart the dev server.');
+    } else if (ENV.API_BASE_URL.includes('localhost:3000')) {
+      console.error('❌ ERROR: API_BASE_URL is pointing to localhost:3000 (Vite dev server)!');
+      console.error('📝 This should be your Google Apps Script Web App URL.');
+      console.error('📝 Update VITE_API_BASE_URL in your .env file and restart the server.');
+    } else {
+      console.log('✅ API_BASE_URL is configured:', ENV.API_BASE_URL);
+    }
   }
 }
 
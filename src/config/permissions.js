@@ -0,0 +1,163 @@
+/**
+ * Roles and Permissions
+ * What each admin role may do. Shared by the frontend and the backends (reference server,
+ * local backend, Firestore driver), so this module has no imports; action names below are the
+ * API_ACTIONS values. firestore.rules repeats ROLE_PERMISSIONS and the post checks, since
+ * Firestore cannot import them; change both together.
+ *
+ * Users saved before roles existed have no `role`: super admins keep full access and everyone
+ * else becomes an editor, which matches what they could do before.
+ */
+
+export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  EDITOR: 'editor',
+  AUTHOR: 'author',
+  CONTRIBUTOR: 'contributor',
+  VIEWER: 'viewer',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.SUPER_ADMIN]: 'Super Admin',
+  [ROLES.EDITOR]: 'Editor',
+  [ROLES.AUTHOR]: 'Author',
+  [ROLES.CONTRIBUTOR]: 'Contributor',
+  [ROLES.VIEWER]: 'Viewer',
+};
+
+export const ROLE_DESCRIPTIONS = {
+  [ROLES.SUPER_ADMIN]: 'Everything, including managing users and reading the audit log',
+  [ROLES.EDITOR]: 'All posts, media, categories and site content',
+  [ROLES.AUTHOR]: 'Writes, publishes and deletes their own posts; uploads media',
+  [ROLES.CONTRIBUTOR]: 'Writes their own drafts; cannot publish',
+  [ROLES.VIEWER]: 'Read-only access to the admin panel',
+};
+
+export const PERMISSIONS = {
+  CREATE_POSTS: 'posts.create',
+  EDIT_OWN_POSTS: 'posts.edit_own',
+  EDIT_ANY_POST: 'posts.edit_any',
+  PUBLISH_POSTS: 'posts.publish',
+  DELETE_OWN_POSTS: 'posts.delete_own',
+  DELETE_ANY_POST: 'posts.delete_any',
+  UPLOAD_MEDIA: 'media.upload',
+  DELETE_MEDIA: 'media.delete',
+  MANAGE_CATEGORIES: 'categories.manage',
+  // Profile, social links, awards, publications and donate info
+  MANAGE_SITE_CONTENT: 'content.manage',
+  MANAGE_USERS: 'users.manage',
+  VIEW_AUDIT_LOG: 'audit.view',
+};
+
+const P = PERMISSIONS;
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(P),
+  [ROLES.EDITOR]: [
+    P.CREATE_POSTS,
+    P.EDIT_OWN_POSTS,
+    P.EDIT_ANY_POST,
+    P.PUBLISH_POSTS,
+    P.DELETE_OWN_POSTS,
+    P.DELETE_ANY_POST,
+    P.UPLOAD_MEDIA,
+    P.DELETE_MEDIA,
+    P.MANAGE_CATEGORIES,
+    P.MANAGE_SITE_CONTENT,
+  ],
+  [ROLES.AUTHOR]: [
+    P.CREATE_POSTS,
+    P.EDIT_OWN_POSTS,
+    P.PUBLISH_POSTS,
+    P.DELETE_OWN_POSTS,
+    P.UPLOAD_MEDIA,
+  ],
+  [ROLES.CONTRIBUTOR]: [P.CREATE_POSTS, P.EDIT_OWN_POSTS],
+  [ROLES.VIEWER]: [],
+};
+
+/**
+ * The permission each admin mutation needs; reads only need a session. Post updates and
+ * deletes are further limited by ownership (see canEditPost and canDeletePost).
+ */
+export const ACTION_PERMISSIONS = {
+  createPost: P.CREATE_POSTS,
+  updatePost: P.EDIT_OWN_POSTS,
+  deletePost: P.DELETE_OWN_POSTS,
+  bulkUpdatePosts: P.EDIT_OWN_POSTS,
+  bulkDeletePosts: P.DELETE_OWN_POSTS,
+  uploadMedia: P.UPLOAD_MEDIA,
+  startUpload: P.UPLOAD_MEDIA,
+  uploadChunk: P.UPLOAD_MEDIA,
+  getUploadStatus: P.UPLOAD_MEDIA,
+  finishUpload: P.UPLOAD_MEDIA,
+  cancelUpload: P.UPLOAD_MEDIA,
+  deleteMedia: P.DELETE_MEDIA,
+  createCategory: P.MANAGE_CATEGORIES,
+  updateCategory: P.MANAGE_CATEGORIES,
+  deleteCategory: P.MANAGE_CATEGORIES,
+  updateProfile: P.MANAGE_SITE_CONTENT,
+  createSocialLink: P.MANAGE_SITE_CONTENT,
+  updateSocialLink: P.MANAGE_SITE_CONTENT,
+  deleteSocialLink: P.MANAGE_SITE_CONTENT,
+  createAward: P.MANAGE_SITE_CONTENT,
+  updateAward: P.MANAGE_SITE_CONTENT,
+  deleteAward: P.MANAGE_SITE_CONTENT,
+  createPublication: P.MANAGE_SITE_CONTENT,
+  updatePublication: P.MANAGE_SITE_CONTENT,
+  deletePublication: P.MANAGE_SITE_CONTENT,
+  updateDonateInfo: P.MANAGE_SITE_CONTENT,
+  listUsers: P.MANAGE_USERS,
+  createUser: P.MANAGE_USERS,
+  updateUser: P.MANAGE_USERS,
+  deleteUser: P.MANAGE_USERS,
+  inviteUser: P.MANAGE_USERS,
+  forcePasswordReset: P.MANAGE_USERS,
+  revokeUserSessions: P.MANAGE_USERS,
+  updateSecuritySettings: P.MANAGE_USERS,
+  getAuditLog: P.VIEW_AUDIT_LOG,
+};
+
+export const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+/**
+ * The user's role, falling back to `is_super_admin` for users saved before roles existed
+ */
+export const getUserRole = (user) => {
+  if (!user) return null;
+  if (isValidRole(user.role)) return user.role;
+  const isSuperAdmin = user.is_super_admin === true || String(user.is_super_admin) === 'true';
+  return isSuperAdmin ? ROLES.SUPER_ADMIN : ROLES.EDITOR;
+};
+
+export const hasPermission = (user, permission) =>
+  ROLE_PERMISSIONS[getUserRole(user)]?.includes(permission) ?? false;
+
+/**
+ * Whether the user may perform an admin action at all (ownership aside)
+ */
+export const canPerformAction = (user, action) =>
+  !ACTION_PERMISSIONS[action] || hasPermission(user, ACTION_PERMISSIONS[action]);
+
+const isOwnPost = (user, post) =>
+  !!post?.author_id && !!user?.id && String(post.author_id) === String(user.id);
+
+/**
+ * Whether the user may change the post. Without the right to publish, a published post is
+ * out of reach even for its author.
+ */
+export const canEditPost = (user, post) =>
+  hasPermission(user, P.EDIT_ANY_POST) ||
+  (hasPermission(user, P.EDIT_OWN_POSTS) &&
+    isOwnPost(user, post) &&
+    (hasPermission(user, P.PUBLISH_POSTS) || post.status !== 'published'));
+
+export const canDeletePost = (user, post) =>
+  hasPermission(user, P.DELETE_ANY_POST) ||
+  (hasPermission(user, P.DELETE_OWN_POSTS) && isOwnPost(user, post));
+
+/**
+ * Whether the user may give a post this status (only publishing is restricted)
+ */
+export const canSetPostStatus = (user, status) =>
+  status !== 'published' || hasPermission(user, P.PUBLISH_POSTS);
@@ -3,8 +3,10 @@
  * Provides authentication state and methods throughout the app
  */
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { authService } from '@/services/auth';
+import { STORAGE_KEYS } from '@/config/constants';
+import { getUserRole, hasPermission } from '@/config/permissions';
 import { toast } from 'react-toastify';
 
 const AuthContext = createContext(null);
@@ -21,12 +23,54 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const isAuthenticatedRef = useRef(false);
+
+  useEffect(() => {
+    isAuthenticatedRef.current = isAuthenticated;
+  }, [isAuthenticated]);
 
   // Check authentication status on mount
   useEffect(() => {
     checkAuth();
   }, []);
 
+  // Keep every open tab in step. Login, logout, token refresh and role updates all go through
+  // localStorage, whose `storage` event fires in the other tabs. API calls read the token from
+  // storage; a refreshed token only moves this tab's next refresh to its new expiry.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === STORAGE_KEYS.TOKEN_EXPIRY) {
+        authService.scheduleTokenRefresh();
+        return;
+      }
+      // A null key means another tab cleared the whole storage
+      const keys = [STORAGE_KEYS.AUTH_TOKEN, STORAGE_KEYS.USER_DATA];
+      if (event.key !== null && !keys.includes(event.key)) {
+        return;
+      }
+      const signedIn = authService.isAuthenticated();
+      if (!signedIn) {
+        authService.clearTokenRefresh();
+        if (isAuthenticatedRef.current) {
+          toast.info('You were signed out in another tab');
+        }
+      }
+      setIsAuthenticated(signedIn);
+      setUser(signedIn ? authService.getCurrentUser() : null);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Pick up role and two-factor changes made while this session was stored
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    authService
+      .syncAccount()
+      .then((synced) => setUser((current) => (current ? synced : current)))
+      .catch((error) => console.error('Account check error:', error));
+  }, [isAuthenticated]);
+
   /**
    * Check if user is authenticated
    */
@@ -34,6 +78,10 @@ export const AuthProvider = ({ children }) => {
     try {
       const isAuth = authService.isAuthenticated();
       const currentUser = authService.getCurrentUser();
+      // The refresh timer does not survive a page load
+      if (isAuth) {
+        authService.scheduleTokenRefresh();
+      }
       
       setIsAuthenticated(isAuth);
       setUser(currentUser);
@@ -47,13 +95,19 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   /**
-   * Login
+   * Runs a sign-in step and applies its result. Resolves with `{ success }`, plus `error`,
+   * `code` and `retryAfter` (seconds locked out) on failure, or `twoFactorRequired` and the
+   * `challenge` when a code is needed next.
    */
-  const login = useCallback(async (email, password) => {
+  const signIn = useCallback(async (step) => {
     try {
       setIsLoading(true);
-      const result = await authService.login(email, password);
-      
+      const result = await step();
+
+      if (result.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challenge: result.challenge };
+      }
+
       if (result.success) {
         setUser(result.user);
         setIsAuthenticated(true);
@@ -65,22 +119,50 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const message = error.message || 'Login failed. Please check your credentials.';
       toast.error(message);
-      return { success: false, error: message };
+      return { success: false, error: message, code: error.code, retryAfter: error.retryAfter };
     } finally {
       setIsLoading(false);
     }
   }, []);
 
   /**
-   * Logout
+   * Login
+   */
+  const login = useCallback(
+    (email, password) => signIn(() => authService.login(email, password)),
+    [signIn]
+  );
+
+  /**
+   * Second sign-in step for users with two-factor authentication
    */
-  const logout = useCallback(async () => {
+  const verifyTwoFactor = useCallback(
+    (email, challenge, code) =>
+      signIn(() => authService.verifyTwoFactor(email, challenge, code)),
+    [signIn]
+  );
+
+  /**
+   * Merges changes to the signed-in user (e.g. after two-factor setup) into the stored user
+   */
+  const updateUser = useCallback((changes) => {
+    setUser(authService.updateCurrentUser(changes));
+  }, []);
+
+  /**
+   * Logout. `reason: 'idle'` is the automatic sign-out after inactivity.
+   */
+  const logout = useCallback(async ({ reason } = {}) => {
     try {
       setIsLoading(true);
       await authService.logout();
       setUser(null);
       setIsAuthenticated(false);
-      toast.success('Logged out successfully');
+      if (reason === 'idle') {
+        toast.info('You were signed out after a period of inactivity');
+      } else {
+        toast.success('Logged out successfully');
+      }
     } catch (error) {
       console.error('Logout error:', error);
       // Clear local state even if API call fails
@@ -91,11 +173,23 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Whether the signed-in user's role grants a permission (see config/permissions).
+   * Only hides and disables UI; the backend enforces the same rules.
+   */
+  const can = useCallback((permission) => hasPermission(user, permission), [user]);
+
   const value = {
     user,
+    role: getUserRole(user),
+    can,
+    // The site requires two-factor authentication and this user has not set it up yet
+    needsTwoFactorSetup: !!user?.two_factor_setup_required,
     isAuthenticated,
     isLoading,
     login,
+    verifyTwoFactor,
+    updateUser,
     logout,
     checkAuth,
   };
@@ -0,0 +1,57 @@
+/**
+ * useDataLoader Hook
+ * Runs a page's load function with an AbortSignal. The signal is aborted when the component
+ * unmounts or any of `deps` change, which cancels the outstanding publicAPI/adminAPI calls.
+ *
+ * The load function should pass the signal to every API call and stop updating state once
+ * `signal.aborted` is true, so results for a page the user already left never flash in:
+ *
+ *   useDataLoader((signal) => loadPosts(signal), [currentPage, selectedCategory]);
+ *
+ * Returns `reload()`, which cancels the current run and starts a new one.
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+
+const sameDeps = (previous, deps) =>
+  !!previous &&
+  previous.length === deps.length &&
+  previous.every((dep, index) => Object.is(dep, deps[index]));
+
+export const useDataLoader = (load, deps) => {
+  const loadRef = useRef(load);
+  const controllerRef = useRef(null);
+  // The deps of the last run; the caller's list cannot be an effect's dependency array
+  const depsRef = useRef(null);
+
+  // Always call the latest closure without restarting the effect on every render
+  useEffect(() => {
+    loadRef.current = load;
+  });
+
+  const run = useCallback(() => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadRef.current(controller.signal);
+  }, []);
+
+  useEffect(() => {
+    if (sameDeps(depsRef.current, deps)) return;
+    depsRef.current = deps;
+    run();
+  });
+
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort();
+      // Mounted again (StrictMode): load again
+      depsRef.current = null;
+    },
+    []
+  );
+
+  return run;
+};
+
+export default useDataLoader;
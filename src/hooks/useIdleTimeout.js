@@ -0,0 +1,87 @@
+/**
+ * useIdleTimeout Hook
+ * Tracks user activity for the idle sign-out. Activity is shared through localStorage, so
+ * working in one admin tab keeps the others signed in too.
+ *
+ *   const { warning, remaining, stayActive } = useIdleTimeout({ enabled, onTimeout });
+ *
+ * `warning` turns true SECURITY.IDLE_WARNING before the timeout, with `remaining` counting
+ * down in ms. From then on only `stayActive()` (e.g. a "Stay signed in" button in any tab)
+ * resets the timer; `onTimeout` is called once the time is up.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { SECURITY } from '@/config/constants';
+import { activityStorage } from '@/utils/storage';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+const TICK = 1000;
+
+export const useIdleTimeout = ({
+  enabled = true,
+  timeout = SECURITY.IDLE_TIMEOUT,
+  warningTime = SECURITY.IDLE_WARNING,
+  onTimeout,
+} = {}) => {
+  const [remaining, setRemaining] = useState(null);
+  const onTimeoutRef = useRef(onTimeout);
+  const lastWriteRef = useRef(0);
+  const active = enabled && timeout > 0;
+  const warning = remaining !== null && remaining <= warningTime;
+
+  useEffect(() => {
+    onTimeoutRef.current = onTimeout;
+  });
+
+  const stayActive = useCallback(() => {
+    lastWriteRef.current = Date.now();
+    activityStorage.set(lastWriteRef.current);
+    setRemaining(timeout);
+  }, [timeout]);
+
+  useEffect(() => {
+    if (!active) {
+      setRemaining(null);
+      return undefined;
+    }
+
+    // A session from before this tab opened may have no recorded activity yet
+    if (!activityStorage.get()) {
+      stayActive();
+    }
+
+    let timedOut = false;
+    const tick = () => {
+      const left = (activityStorage.get() || Date.now()) + timeout - Date.now();
+      setRemaining(Math.max(left, 0));
+      if (left <= 0 && !timedOut) {
+        timedOut = true;
+        onTimeoutRef.current?.();
+      }
+    };
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastWriteRef.current < SECURITY.ACTIVITY_WRITE_INTERVAL) return;
+      // Once the warning shows, only an explicit stayActive() counts
+      const last = activityStorage.get() || now;
+      if (last + timeout - now <= warningTime) return;
+      lastWriteRef.current = now;
+      activityStorage.set(now);
+    };
+
+    tick();
+    const timer = setInterval(tick, TICK);
+    ACTIVITY_EVENTS.forEach((name) =>
+      window.addEventListener(name, handleActivity, { passive: true })
+    );
+    return () => {
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+    };
+  }, [active, timeout, warningTime, stayActive]);
+
+  return { warning, remaining, stayActive };
+};
+
+export default useIdleTimeout;
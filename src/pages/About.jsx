@@ -3,10 +3,11 @@
  * Enhanced profile display with comprehensive information
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { Link } from 'react-router-dom';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import Loading from '@/components/Loading';
 import { ENV } from '@/config/env';
 import { ROUTES } from '@/config/constants';
@@ -21,22 +22,23 @@ const About = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  useDataLoader((signal) => loadData(signal), []);
 
-  const loadData = async () => {
+  const loadData = async (signal) => {
     try {
       setLoading(true);
       setError(null);
 
       const [profileData, socialData, awardsData, publicationsData] = await Promise.all([
-        publicAPI.getProfile().catch(() => null),
-        publicAPI.getSocialLinks().catch(() => null),
-        publicAPI.getAwards().catch(() => null),
-        publicAPI.getPublications().catch(() => null),
+        publicAPI.getProfile({ signal }).catch(() => null),
+        publicAPI.getSocialLinks({ signal }).catch(() => null),
+        publicAPI.getAwards({ signal }).catch(() => null),
+        publicAPI.getPublications({ signal }).catch(() => null),
       ]);
 
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
+
       // Use API data only - no mock fallbacks for dynamic content
       if (profileData?.success && profileData.data) {
         setProfile(profileData.data);
@@ -69,7 +71,9 @@ const About = () => {
       setAwards([]);
       setPublications([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
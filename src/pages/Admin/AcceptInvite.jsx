@@ -0,0 +1,62 @@
+/**
+ * Admin Invitation Page
+ * Opened from the invitation email with `?token=`: the invitee chooses the password of the
+ * account a super admin created for them, then signs in. Links expire after 7 days and work
+ * once; inviting the same email again sends a new one.
+ */
+
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { adminAPI } from '@/services/api';
+import { ROUTES } from '@/config/constants';
+import { NewPasswordForm } from './ResetPassword';
+
+const INVALID_INVITE =
+  'This invitation is invalid or has expired. Ask the person who invited you to send a new one.';
+
+const AdminAcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  return (
+    <>
+      <Helmet>
+        <title>Accept Invitation</title>
+      </Helmet>
+
+      <div className="admin-login-page">
+        <div className="login-container">
+          <div className="login-card">
+            <div className="login-header">
+              <div className="login-logo">
+                <span className="logo-icon">✉️</span>
+                <h1>Welcome</h1>
+              </div>
+              <p className="login-subtitle">Choose a password to finish setting up your account</p>
+            </div>
+
+            {token ? (
+              <NewPasswordForm
+                token={token}
+                save={adminAPI.acceptInvite}
+                successMessage="Your account is ready. Sign in with your new password."
+                submitLabel="Set Password"
+                invalidLink={INVALID_INVITE}
+              />
+            ) : (
+              <div className="error-message" role="alert">
+                This page needs the link from your invitation email.
+              </div>
+            )}
+
+            <p className="login-footer">
+              <Link to={ROUTES.ADMIN_LOGIN}>Go to sign in</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AdminAcceptInvite;
@@ -0,0 +1,379 @@
+/**
+ * Admin Account Security
+ * Two-factor authentication for the signed-in user: setup with a QR code for an authenticator
+ * app, backup codes, and turning it off. Open to every role; when the site requires
+ * two-factor authentication, users without it are held on this page (see ProtectedRoute).
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { Helmet } from 'react-helmet-async';
+import QRCode from 'qrcode';
+import { adminAPI } from '@/services/api';
+import { applyFieldErrors } from '@/services/errors';
+import { useAuth } from '@/context/AuthContext';
+import { ENV } from '@/config/env';
+import { ROUTES } from '@/config/constants';
+
+/**
+ * Backup codes shown once, with copy and download so they end up somewhere safe
+ */
+const BackupCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Backup codes copied');
+    } catch {
+      toast.error('Could not copy. Select the codes and copy them yourself.');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${ENV.SITE_NAME} admin backup codes\n\n${text}\n`], {
+      type: 'text/plain',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="two-factor-step">
+      <p>
+        Keep these backup codes somewhere safe. Each one signs you in once if you lose access to
+        your authenticator app. They will not be shown again.
+      </p>
+      <ul className="backup-codes">
+        {codes.map((code) => (
+          <li key={code}>
+            <code>{code}</code>
+          </li>
+        ))}
+      </ul>
+      <div className="form-actions">
+        <button type="button" className="btn btn-outline" onClick={handleCopy}>
+          Copy
+        </button>
+        <button type="button" className="btn btn-outline" onClick={handleDownload}>
+          Download
+        </button>
+        <button type="button" className="btn btn-primary" onClick={onDone}>
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Asks for the account password before a sensitive change
+ */
+const PasswordConfirm = ({ label, danger = false, onConfirm, onCancel }) => {
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const onSubmit = async ({ password }) => {
+    try {
+      await onConfirm(password);
+    } catch (err) {
+      if (!applyFieldErrors(err, setError)) {
+        toast.error(err.message || 'Something went wrong');
+      }
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="two-factor-step">
+      <div className="form-group">
+        <label htmlFor="confirm-password">Confirm with your password</label>
+        <input
+          type="password"
+          id="confirm-password"
+          autoComplete="current-password"
+          autoFocus
+          {...register('password', { required: 'Password is required' })}
+          className={errors.password ? 'error' : ''}
+        />
+        {errors.password && <span className="error-message">{errors.password.message}</span>}
+      </div>
+      <div className="form-actions">
+        <button type="button" className="btn btn-outline" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className={`btn ${danger ? 'btn-danger' : 'btn-primary'}`}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Please wait...' : label}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const AdminAccountSecurity = () => {
+  const navigate = useNavigate();
+  const { user, updateUser, needsTwoFactorSetup } = useAuth();
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [qrCode, setQrCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [required, setRequired] = useState(false);
+
+  const enabled = !!user?.two_factor_enabled;
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  useEffect(() => {
+    adminAPI
+      .getSecuritySettings()
+      .then((response) => setRequired(!!response.data?.require_two_factor))
+      .catch((err) => console.error('Error loading security settings:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!setup?.uri) {
+      setQrCode('');
+      return;
+    }
+    QRCode.toDataURL(setup.uri, { width: 200, margin: 1 })
+      .then(setQrCode)
+      .catch((err) => console.error('QR code error:', err));
+  }, [setup]);
+
+  const cancel = () => {
+    setMode(null);
+    setSetup(null);
+    reset();
+  };
+
+  const startSetup = async () => {
+    try {
+      setStarting(true);
+      const result = await adminAPI.setupTwoFactor();
+      setSetup(result.data);
+      setMode('setup');
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err);
+      toast.error(err.message || 'Failed to start the setup');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const onEnable = async ({ code }) => {
+    try {
+      const result = await adminAPI.enableTwoFactor(code.trim());
+      const codes = result.data.backupCodes;
+      updateUser({ two_factor_enabled: true, backup_codes_remaining: codes.length });
+      setBackupCodes(codes);
+      setSetup(null);
+      setMode(null);
+      reset();
+      toast.success('Two-factor authentication is on');
+    } catch (err) {
+      console.error('Error enabling two-factor authentication:', err);
+      if (!applyFieldErrors(err, setError)) {
+        toast.error(err.message || 'Failed to turn on two-factor authentication');
+      }
+    }
+  };
+
+  // A required setup only counts as done once the codes are dismissed, so nothing navigates
+  // away from them before
+  const finishBackupCodes = () => {
+    setBackupCodes(null);
+    if (needsTwoFactorSetup) {
+      updateUser({ two_factor_setup_required: false });
+      navigate(ROUTES.ADMIN_DASHBOARD, { replace: true });
+    }
+  };
+
+  const onDisable = async (password) => {
+    await adminAPI.disableTwoFactor(password);
+    updateUser({ two_factor_enabled: false, backup_codes_remaining: undefined });
+    setMode(null);
+    toast.success('Two-factor authentication is off');
+  };
+
+  const onRegenerate = async (password) => {
+    const result = await adminAPI.regenerateBackupCodes(password);
+    updateUser({ backup_codes_remaining: result.data.backupCodes.length });
+    setBackupCodes(result.data.backupCodes);
+    setMode(null);
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Account Security | Admin</title>
+      </Helmet>
+
+      <div className="admin-page">
+        <div className="admin-page-header">
+          <div>
+            <h1>Account Security</h1>
+            <p className="page-subtitle">Protect your sign-in with a second step</p>
+          </div>
+        </div>
+
+        {needsTwoFactorSetup && !backupCodes && (
+          <div className="admin-alert admin-alert-warning">
+            <p>
+              This site requires two-factor authentication for every admin. Set it up to
+              continue.
+            </p>
+          </div>
+        )}
+
+        <div className="admin-card">
+          <div className="card-header">
+            <h2>Two-Factor Authentication</h2>
+            <span className={`status-badge ${enabled ? 'status-published' : 'status-draft'}`}>
+              {enabled ? 'On' : 'Off'}
+            </span>
+          </div>
+          <div className="card-body">
+            {backupCodes ? (
+              <BackupCodes codes={backupCodes} onDone={finishBackupCodes} />
+            ) : mode === 'setup' && setup ? (
+              <form onSubmit={handleSubmit(onEnable)} className="two-factor-step">
+                <p>
+                  1. Scan this QR code with an authenticator app such as Google Authenticator,
+                  Microsoft Authenticator or 1Password.
+                </p>
+                <div className="two-factor-qr">
+                  {qrCode ? <img src={qrCode} alt="QR code for your authenticator app" /> : null}
+                </div>
+                <p>
+                  Can&apos;t scan it? Enter this key in the app instead:{' '}
+                  <code className="two-factor-secret">{setup.secret}</code>
+                </p>
+                <div className="form-group">
+                  <label htmlFor="code">2. Enter the 6-digit code the app shows</label>
+                  <input
+                    type="text"
+                    id="code"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    placeholder="123456"
+                    {...register('code', { required: 'Enter the code from your app' })}
+                    className={errors.code ? 'error' : ''}
+                  />
+                  {errors.code && <span className="error-message">{errors.code.message}</span>}
+                </div>
+                <div className="form-actions">
+                  <button type="button" className="btn btn-outline" onClick={cancel}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                    {isSubmitting ? 'Checking...' : 'Turn On'}
+                  </button>
+                </div>
+              </form>
+            ) : mode === 'disable' ? (
+              <PasswordConfirm
+                label="Turn Off"
+                danger
+                onConfirm={onDisable}
+                onCancel={cancel}
+              />
+            ) : mode === 'regenerate' ? (
+              <PasswordConfirm
+                label="Get New Codes"
+                onConfirm={onRegenerate}
+                onCancel={cancel}
+              />
+            ) : enabled ? (
+              <>
+                <p>
+                  Signing in asks for a code from your authenticator app after your password.
+                  {user?.backup_codes_remaining !== undefined &&
+                    ` You have ${user.backup_codes_remaining} unused backup code${
+                      user.backup_codes_remaining === 1 ? '' : 's'
+                    }.`}
+                </p>
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    className="btn btn-outline"
+                    onClick={() => setMode('regenerate')}
+                  >
+                    New Backup Codes
+                  </button>
+                  {!required && (
+                    <button
+                      type="button"
+                      className="btn btn-danger"
+                      onClick={() => setMode('disable')}
+                    >
+                      Turn Off
+                    </button>
+                  )}
+                </div>
+              </>
+            ) : (
+              <>
+                <p>
+                  Besides your password, signing in will ask for a code from an app on your
+                  phone, so a stolen password alone is not enough to get in.
+                </p>
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={startSetup}
+                    disabled={starting}
+                  >
+                    {starting ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {!needsTwoFactorSetup && (
+          <div className="admin-card" style={{ marginTop: 'var(--space-8)' }}>
+            <div className="card-header">
+              <h2>Signed-in Sessions</h2>
+            </div>
+            <div className="card-body">
+              <p>
+                See every device you are signed in on, and sign out any you no longer use, such
+                as a shared computer.
+              </p>
+              <div className="form-actions">
+                <Link to={`${ROUTES.ADMIN_PROFILE}?tab=sessions`} className="btn btn-outline">
+                  Manage Sessions
+                </Link>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AdminAccountSecurity;
@@ -0,0 +1,316 @@
+/**
+ * Admin Audit Log
+ * Who changed what and when: every admin change with its before and after values, filtered by
+ * user, entity and date, and exported as CSV. Super admins only.
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Helmet } from 'react-helmet-async';
+import { adminAPI } from '@/services/api';
+import { AUDIT_ENTITY_LABELS } from '@/services/auditLog';
+import { useDataLoader } from '@/hooks/useDataLoader';
+import { PAGINATION } from '@/config/constants';
+import { formatDateTime } from '@/utils/dateFormatter';
+import Loading from '@/components/Loading';
+
+const EMPTY_FILTERS = { actor: '', entity: '', from: '', to: '' };
+
+const OPERATION_BADGES = {
+  create: 'status-published',
+  update: 'status-draft',
+  delete: 'status-archived',
+};
+
+/**
+ * The getAuditLog params for the filter form. Dates are whole local days.
+ */
+const toQuery = ({ actor, entity, from, to }) => ({
+  ...(actor && { actor }),
+  ...(entity && { entity }),
+  ...(from && { from: new Date(`${from}T00:00:00`).toISOString() }),
+  ...(to && { to: new Date(`${to}T23:59:59.999`).toISOString() }),
+});
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : String(value));
+
+const describeChanges = (changes = {}) =>
+  Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${formatValue(from)} → ${formatValue(to)}`)
+    .join('\n');
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  // Titles, names and emails come from users; a leading quote keeps them plain text
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['Time', (entry) => entry.created_at],
+  ['User', (entry) => entry.actor_email || entry.actor_id],
+  ['Action', (entry) => entry.action],
+  ['Entity', (entry) => AUDIT_ENTITY_LABELS[entry.entity] || entry.entity],
+  ['Operation', (entry) => entry.operation],
+  ['Target ID', (entry) => entry.target_id],
+  ['Target', (entry) => entry.target_label],
+  ['Changes', (entry) => describeChanges(entry.changes)],
+];
+
+const toCsv = (entries) =>
+  [
+    CSV_COLUMNS.map(([title]) => title),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, get]) => get(entry))),
+  ]
+    .map((row) => row.map(toCsvCell).join(','))
+    .join('\r\n');
+
+const AdminAuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const limit = PAGINATION.MAX_PAGE_SIZE;
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const reloadLog = useDataLoader((signal) => loadLog(signal), [filters, page]);
+
+  useDataLoader(async (signal) => {
+    try {
+      const response = await adminAPI.listUsers({ signal });
+      if (response.success) {
+        setUsers(response.data || []);
+      }
+    } catch (err) {
+      if (signal.aborted) return;
+      // Only the user filter needs these
+      console.error('Error loading users:', err);
+    }
+  }, []);
+
+  const loadLog = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminAPI.getAuditLog(
+        { ...toQuery(filters), page, limit },
+        { signal }
+      );
+      if (response.success) {
+        setEntries(response.data || []);
+        setTotal(response.total ?? response.data?.length ?? 0);
+      }
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error('Error loading audit log:', err);
+      setError(err.message || 'Failed to load the audit log');
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((current) => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Every matching entry, not just the page on screen
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const query = toQuery(filters);
+      const all = [];
+      for (let next = 1; ; next += 1) {
+        const response = await adminAPI.getAuditLog({ ...query, page: next, limit });
+        const data = response.data || [];
+        all.push(...data);
+        if (data.length < limit || all.length >= (response.total ?? Infinity)) break;
+      }
+
+      // The byte order mark makes spreadsheet apps read the file as UTF-8
+      const blob = new Blob([`\uFEFF${toCsv(all)}\r\n`], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      toast.error(err.message || 'Failed to export the audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Audit Log | Admin</title>
+      </Helmet>
+
+      <div className="admin-page">
+        <div className="admin-page-header">
+          <div>
+            <h1>Audit Log</h1>
+            <p className="page-subtitle">Every change made in the admin panel, newest first</p>
+          </div>
+          <button
+            onClick={handleExport}
+            className="btn btn-outline"
+            disabled={exporting || total === 0}
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+
+        <div className="audit-filters" role="search">
+          <select
+            name="actor"
+            value={filters.actor}
+            onChange={handleFilterChange}
+            aria-label="User"
+          >
+            <option value="">All users</option>
+            {users.map((user) => (
+              <option key={user.id} value={user.email}>
+                {user.email}
+              </option>
+            ))}
+          </select>
+          <select
+            name="entity"
+            value={filters.entity}
+            onChange={handleFilterChange}
+            aria-label="Entity"
+          >
+            <option value="">Everything</option>
+            {Object.entries(AUDIT_ENTITY_LABELS).map(([entity, label]) => (
+              <option key={entity} value={entity}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <label>
+            From
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={handleFilterChange}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={handleFilterChange}
+            />
+          </label>
+          {hasFilters && (
+            <button onClick={clearFilters} className="btn btn-sm btn-ghost">
+              Clear
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <Loading message="Loading audit log..." />
+        ) : error ? (
+          <div className="admin-alert admin-alert-error">
+            <p>{error}</p>
+            <button onClick={reloadLog} className="btn btn-sm btn-outline">
+              Retry
+            </button>
+          </div>
+        ) : entries.length > 0 ? (
+          <div className="admin-card">
+            <div className="table-container">
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td data-label="Time">{formatDateTime(entry.created_at)}</td>
+                      <td data-label="User">{entry.actor_email || entry.actor_id || '—'}</td>
+                      <td data-label="Action">
+                        <span className={`status-badge ${OPERATION_BADGES[entry.operation] || ''}`}>
+                          {entry.operation}
+                        </span>{' '}
+                        <code>{entry.action}</code>
+                      </td>
+                      <td data-label="Target">
+                        {AUDIT_ENTITY_LABELS[entry.entity] || entry.entity}
+                        {entry.target_label && `: ${entry.target_label}`}
+                      </td>
+                      <td data-label="Changes">
+                        <ul className="audit-changes">
+                          {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+                            <li key={field}>
+                              <strong>{field}</strong>: {formatValue(from)} → {formatValue(to)}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button onClick={() => setPage(page - 1)} disabled={page === 1}>
+                  ← Previous
+                </button>
+                <span>
+                  Page {page} of {totalPages}
+                </span>
+                <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                  Next →
+                </button>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="admin-card">
+            <div className="empty-state">
+              <p>{hasFilters ? 'No changes match these filters.' : 'No changes recorded yet.'}</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AdminAuditLog;
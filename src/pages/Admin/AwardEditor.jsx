@@ -7,7 +7,8 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
-import { ROUTES } from '@/config/constants';
+import { applyFieldErrors } from '@/services/errors';
+import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
@@ -24,6 +25,7 @@ const AdminAwardEditor = () => {
     handleSubmit,
     formState: { errors },
     reset,
+    setError,
   } = useForm({
     defaultValues: {
       award: '',
@@ -98,13 +100,18 @@ const AdminAwardEditor = () => {
       }
 
       if (result.success) {
-        toast.success(`Award ${isEditing ? 'updated' : 'created'} successfully`);
+        toast.success(
+          result.queued
+            ? SUCCESS_MESSAGES.SAVED_OFFLINE
+            : `Award ${isEditing ? 'updated' : 'created'} successfully`
+        );
         navigate(ROUTES.ADMIN_AWARDS);
       } else {
         toast.error(result.message || 'Failed to save award');
       }
     } catch (err) {
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to save award');
     } finally {
       setSaving(false);
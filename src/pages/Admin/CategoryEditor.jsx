@@ -7,10 +7,12 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
-import { ROUTES } from '@/config/constants';
+import { ConflictError, applyFieldErrors } from '@/services/errors';
+import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
+import ConflictResolver from '@/components/ConflictResolver';
 
 const AdminCategoryEditor = () => {
   const { id } = useParams();
@@ -18,6 +20,9 @@ const AdminCategoryEditor = () => {
   const isEditing = !!id;
   const [loading, setLoading] = useState(isEditing);
   const [saving, setSaving] = useState(false);
+  // The category as loaded; its version detects concurrent edits and it is the base for merging
+  const [loadedCategory, setLoadedCategory] = useState(null);
+  const [conflict, setConflict] = useState(null);
 
   const {
     register,
@@ -26,6 +31,7 @@ const AdminCategoryEditor = () => {
     watch,
     setValue,
     reset,
+    setError,
   } = useForm({
     defaultValues: {
       name: '',
@@ -67,15 +73,7 @@ const AdminCategoryEditor = () => {
         const category = categoriesData.data.find(cat => String(cat.id) === String(id));
         
         if (category) {
-          reset({
-            name: category.name || '',
-            slug: category.slug || '',
-            description: category.description || '',
-            color: category.color || '#3b82f6',
-            icon: category.icon || '',
-            is_active: category.is_active !== false,
-            display_order: category.display_order !== undefined ? category.display_order : 999,
-          });
+          applyCategory(category);
         } else {
           toast.error('Category not found');
           navigate(ROUTES.ADMIN_CATEGORIES);
@@ -93,6 +91,20 @@ const AdminCategoryEditor = () => {
     }
   };
 
+  // Fills the form from a stored category
+  const applyCategory = (category) => {
+    setLoadedCategory(category);
+    reset({
+      name: category.name || '',
+      slug: category.slug || '',
+      description: category.description || '',
+      color: category.color || '#3b82f6',
+      icon: category.icon || '',
+      is_active: category.is_active !== false,
+      display_order: category.display_order !== undefined ? category.display_order : 999,
+    });
+  };
+
   const onSubmit = async (data) => {
     try {
       setSaving(true);
@@ -108,27 +120,59 @@ const AdminCategoryEditor = () => {
         display_order: parseFloat(data.display_order) || 999,
       };
 
-      let result;
-      if (isEditing) {
-        result = await adminAPI.updateCategory(id, categoryData);
-      } else {
-        result = await adminAPI.createCategory(categoryData);
-      }
+      await saveCategory(categoryData, loadedCategory?.version ?? 0);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Sends the category. An update based on a stale `version` opens the conflict resolver.
+   */
+  const saveCategory = async (categoryData, version) => {
+    try {
+      const result = isEditing
+        ? await adminAPI.updateCategory(id, { ...categoryData, version })
+        : await adminAPI.createCategory(categoryData);
 
       if (result.success) {
-        toast.success(`Category ${isEditing ? 'updated' : 'created'} successfully`);
+        toast.success(
+          result.queued
+            ? SUCCESS_MESSAGES.SAVED_OFFLINE
+            : `Category ${isEditing ? 'updated' : 'created'} successfully`
+        );
         navigate(ROUTES.ADMIN_CATEGORIES);
       } else {
         toast.error(result.message || 'Failed to save category');
       }
     } catch (err) {
+      if (err instanceof ConflictError && err.current) {
+        setConflict({ local: categoryData, remote: err.current });
+        return;
+      }
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to save category');
-    } finally {
-      setSaving(false);
     }
   };
 
+  // Saves the merged/overwriting version on top of the stored one
+  const handleResolveConflict = async (categoryData) => {
+    const { remote } = conflict;
+    setSaving(true);
+    setConflict(null);
+    // The stored version is the base now, so a second conflict diffs against it
+    setLoadedCategory(remote);
+    await saveCategory(categoryData, remote.version ?? 0);
+    setSaving(false);
+  };
+
+  const handleDiscardChanges = () => {
+    applyCategory(conflict.remote);
+    setConflict(null);
+    toast.info('Loaded the latest saved version of this category');
+  };
+
   if (loading) {
     return <Loading fullScreen message="Loading category..." />;
   }
@@ -349,6 +393,18 @@ const AdminCategoryEditor = () => {
           </div>
         </form>
       </div>
+
+      {conflict && (
+        <ConflictResolver
+          base={loadedCategory || {}}
+          local={conflict.local}
+          remote={conflict.remote}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </>
   );
 };
@@ -4,14 +4,19 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 import { adminAPI } from '@/services/api';
 import { ROUTES } from '@/config/constants';
+import { PERMISSIONS, ROLE_LABELS } from '@/config/permissions';
+import { useAuth } from '@/context/AuthContext';
 import { formatDate } from '@/utils/dateFormatter';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
 
 const AdminDashboard = () => {
+  const { can, role } = useAuth();
+  // Set by ProtectedRoute when the role lacks the page's permission
+  const deniedFrom = useLocation().state?.deniedFrom;
   const [stats, setStats] = useState({
     totalPosts: 0,
     publishedPosts: 0,
@@ -69,11 +74,22 @@ const AdminDashboard = () => {
             <h1>Dashboard</h1>
             <p className="page-subtitle">Overview of your content and statistics</p>
           </div>
-          <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
-            <span>➕</span> New Post
-          </Link>
+          {can(PERMISSIONS.CREATE_POSTS) && (
+            <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
+              <span>➕</span> New Post
+            </Link>
+          )}
         </div>
 
+        {deniedFrom && (
+          <div className="admin-alert admin-alert-error">
+            <p>
+              Your role ({ROLE_LABELS[role]}) does not have access to {deniedFrom}. Ask a super
+              admin if you need it.
+            </p>
+          </div>
+        )}
+
         {error && (
           <div className="admin-alert admin-alert-error">
             <p>{error}</p>
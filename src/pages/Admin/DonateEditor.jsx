@@ -7,6 +7,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
+import { applyFieldErrors } from '@/services/errors';
 import { firebaseStorageService } from '@/services/firebaseStorage';
 import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
 import { sanitizeInput } from '@/utils/sanitize';
@@ -29,6 +30,7 @@ const DonateEditor = () => {
     setValue,
     reset,
     watch,
+    setError,
   } = useForm({
     defaultValues: {
       bank_name: '',
@@ -145,6 +147,7 @@ const DonateEditor = () => {
       }
     } catch (err) {
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to update donate information');
     } finally {
       setSaving(false);
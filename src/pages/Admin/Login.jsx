@@ -1,29 +1,81 @@
 /**
  * Admin Login Page
- * Secure authentication for admin access
+ * Secure authentication for admin access. Repeated failures lock the email out for a while
+ * (see loginThrottle); the form shows the countdown. Users with two-factor authentication
+ * enter a code from their authenticator app (or a backup code) after their password.
  */
 
 import { useState, useEffect } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '@/context/AuthContext';
+import { getLoginLockout, getRemainingLoginAttempts } from '@/services/loginThrottle';
 import { isValidEmail } from '@/utils/validation';
 import { ROUTES } from '@/config/constants';
 import { Helmet } from 'react-helmet-async';
 
+// Warn when this few attempts are left before a lockout
+const ATTEMPTS_WARNING = 2;
+
+const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 const AdminLogin = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, isAuthenticated } = useAuth();
   const [error, setError] = useState('');
+  // Set while the two-factor code is asked for: the login challenge and the email it is for
+  const [twoFactor, setTwoFactor] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [attemptsLeft, setAttemptsLeft] = useState(null);
 
   const {
     register,
     handleSubmit,
+    watch,
     formState: { errors },
   } = useForm();
 
+  const {
+    register: registerCode,
+    handleSubmit: handleCodeSubmit,
+    reset: resetCode,
+    formState: { errors: codeErrors },
+  } = useForm();
+
+  const email = watch('email');
+  const lockout = Math.max(lockedUntil - now, 0);
+
+  const refreshThrottle = (address) => {
+    const remaining = getLoginLockout(address);
+    setLockedUntil(remaining > 0 ? Date.now() + remaining : 0);
+    setNow(Date.now());
+    setAttemptsLeft(getRemainingLoginAttempts(address));
+  };
+
+  // Lockouts are per email, so the state follows what is typed
+  useEffect(() => {
+    refreshThrottle(email);
+  }, [email]);
+
+  // Countdown while locked out
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) {
+        setLockedUntil(0);
+        setError('');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
@@ -42,8 +94,12 @@ const AdminLogin = () => {
       if (result.success) {
         const from = location.state?.from?.pathname || ROUTES.ADMIN_DASHBOARD;
         navigate(from, { replace: true });
+      } else if (result.twoFactorRequired) {
+        resetCode();
+        setTwoFactor({ email: data.email, challenge: result.challenge });
       } else {
         setError(result.error || 'Login failed');
+        refreshThrottle(data.email);
       }
     } catch (err) {
       setError(err.message || 'An error occurred during login');
@@ -52,6 +108,36 @@ const AdminLogin = () => {
     }
   };
 
+  const onSubmitCode = async (data) => {
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const result = await verifyTwoFactor(twoFactor.email, twoFactor.challenge, data.code);
+
+      if (result.success) {
+        const from = location.state?.from?.pathname || ROUTES.ADMIN_DASHBOARD;
+        navigate(from, { replace: true });
+        return;
+      }
+      setError(result.error || 'Verification failed');
+      refreshThrottle(twoFactor.email);
+      // The challenge expired or ran out of attempts: start over with the password
+      if (result.code === 'UNAUTHORIZED') {
+        setTwoFactor(null);
+      }
+    } catch (err) {
+      setError(err.message || 'An error occurred during login');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactor(null);
+    setError('');
+  };
+
   return (
     <>
       <Helmet>
@@ -66,9 +152,17 @@ const AdminLogin = () => {
                 <span className="logo-icon">✍️</span>
                 <h1>Admin Panel</h1>
               </div>
-              <p className="login-subtitle">Sign in to manage your content</p>
+              <p className="login-subtitle">
+                {twoFactor ? 'Two-factor authentication' : 'Sign in to manage your content'}
+              </p>
             </div>
 
+            {location.state?.message && !error && (
+              <div className="success-message" role="status">
+                {location.state.message}
+              </div>
+            )}
+
             {error && (
               <div className="error-message">
                 {error.split('\n').map((line, index) => (
@@ -77,53 +171,119 @@ const AdminLogin = () => {
               </div>
             )}
 
-            <form onSubmit={handleSubmit(onSubmit)} className="login-form">
-              <div className="form-group">
-                <label htmlFor="email">Email Address</label>
-                <input
-                  type="email"
-                  id="email"
-                  placeholder="Enter your email"
-                  {...register('email', {
-                    required: 'Email is required',
-                    validate: (value) => isValidEmail(value) || 'Invalid email address',
-                  })}
-                  autoComplete="email"
-                />
-                {errors.email && <span className="error">{errors.email.message}</span>}
+            {lockout > 0 ? (
+              <div className="error-message" role="status">
+                Sign-in for this email is paused. Try again in {formatCountdown(lockout)}.
               </div>
+            ) : (
+              error &&
+              attemptsLeft > 0 &&
+              attemptsLeft <= ATTEMPTS_WARNING && (
+                <div className="error-message" role="status">
+                  {attemptsLeft} attempt{attemptsLeft === 1 ? '' : 's'} left before sign-in is
+                  paused.
+                </div>
+              )
+            )}
 
-              <div className="form-group">
-                <label htmlFor="password">Password</label>
-                <input
-                  type="password"
-                  id="password"
-                  placeholder="Enter your password"
-                  {...register('password', {
-                    required: 'Password is required',
-                  })}
-                  autoComplete="current-password"
-                />
-                {errors.password && (
-                  <span className="error">{errors.password.message}</span>
-                )}
-              </div>
+            {twoFactor ? (
+              <form onSubmit={handleCodeSubmit(onSubmitCode)} className="login-form">
+                <div className="form-group">
+                  <label htmlFor="code">Authentication Code</label>
+                  <input
+                    type="text"
+                    id="code"
+                    placeholder="6-digit code"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    {...registerCode('code', { required: 'Enter the code from your app' })}
+                  />
+                  {codeErrors.code && <span className="error">{codeErrors.code.message}</span>}
+                  <small>
+                    Open your authenticator app and enter the code for this site. Lost your phone?
+                    Enter one of your backup codes instead.
+                  </small>
+                </div>
 
-              <button
-                type="submit"
-                className="btn btn-primary btn-block"
-                disabled={submitting}
-              >
-                {submitting ? (
-                  <>
-                    <span className="login-spinner"></span>
-                    Signing in...
-                  </>
-                ) : (
-                  'Sign In'
-                )}
-              </button>
-            </form>
+                <button
+                  type="submit"
+                  className="btn btn-primary btn-block"
+                  disabled={submitting || lockout > 0}
+                >
+                  {submitting ? (
+                    <>
+                      <span className="login-spinner"></span>
+                      Verifying...
+                    </>
+                  ) : lockout > 0 ? (
+                    `Try again in ${formatCountdown(lockout)}`
+                  ) : (
+                    'Verify'
+                  )}
+                </button>
+
+                <p className="login-footer">
+                  <button type="button" className="btn-link" onClick={cancelTwoFactor}>
+                    Sign in with a different account
+                  </button>
+                </p>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit(onSubmit)} className="login-form">
+                <div className="form-group">
+                  <label htmlFor="email">Email Address</label>
+                  <input
+                    type="email"
+                    id="email"
+                    placeholder="Enter your email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      validate: (value) => isValidEmail(value) || 'Invalid email address',
+                    })}
+                    autoComplete="email"
+                  />
+                  {errors.email && <span className="error">{errors.email.message}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    placeholder="Enter your password"
+                    {...register('password', {
+                      required: 'Password is required',
+                    })}
+                    autoComplete="current-password"
+                  />
+                  {errors.password && (
+                    <span className="error">{errors.password.message}</span>
+                  )}
+                </div>
+
+                <div className="form-group-links">
+                  <Link to={ROUTES.ADMIN_RESET_PASSWORD}>Forgot password?</Link>
+                </div>
+
+                <button
+                  type="submit"
+                  className="btn btn-primary btn-block"
+                  disabled={submitting || lockout > 0}
+                >
+                  {submitting ? (
+                    <>
+                      <span className="login-spinner"></span>
+                      Signing in...
+                    </>
+                  ) : lockout > 0 ? (
+                    `Try again in ${formatCountdown(lockout)}`
+                  ) : (
+                    'Sign In'
+                  )}
+                </button>
+              </form>
+            )}
           </div>
         </div>
       </div>
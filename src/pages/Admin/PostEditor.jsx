@@ -7,8 +7,11 @@ import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useForm, Controller } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
+import { CanceledError, ConflictError, applyFieldErrors } from '@/services/errors';
 import { firebaseStorageService } from '@/services/firebaseStorage';
-import { ROUTES, POST_STATUS, POST_TYPE, MEDIA_TYPE } from '@/config/constants';
+import { ROUTES, POST_STATUS, POST_TYPE, MEDIA_TYPE, SUCCESS_MESSAGES } from '@/config/constants';
+import { PERMISSIONS, canEditPost } from '@/config/permissions';
+import { useAuth } from '@/context/AuthContext';
 import { validatePostData } from '@/utils/validation';
 import { generateSlug } from '@/utils/slugGenerator';
 import { getCurrentISO, isoToLocalDateTime, getCurrentLocalDateTime, localDateTimeToISO } from '@/utils/dateFormatter';
@@ -19,21 +22,31 @@ import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
 import MediaCarousel from '@/components/ImageCarousel/MediaCarousel';
 import RichTextEditor from '@/components/RichTextEditor';
+import ConflictResolver from '@/components/ConflictResolver';
 
 const AdminPostEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const isEditing = !!id;
+  const { user, can } = useAuth();
+  const canPublish = can(PERMISSIONS.PUBLISH_POSTS);
+  const canUpload = can(PERMISSIONS.UPLOAD_MEDIA);
   const [loading, setLoading] = useState(isEditing);
   const [saving, setSaving] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadingType, setUploadingType] = useState(null); // 'cover' or 'media'
+  const [uploadController, setUploadController] = useState(null); // cancels API uploads
   const [coverImagePreview, setCoverImagePreview] = useState('');
   const [mediaUrls, setMediaUrls] = useState([]);
   const [youtubeLink, setYoutubeLink] = useState('');
   const [videoSource, setVideoSource] = useState('upload'); // 'upload' or 'youtube'
   const [categories, setCategories] = useState([]);
+  // The post as loaded; its version detects concurrent edits and it is the base for merging
+  const [loadedPost, setLoadedPost] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  // Other people's posts, or published ones for roles that cannot publish, open read-only
+  const readOnly = isEditing && !!loadedPost && !canEditPost(user, loadedPost);
 
   const {
     register,
@@ -43,6 +56,7 @@ const AdminPostEditor = () => {
     setValue,
     reset,
     control,
+    setError,
   } = useForm({
     defaultValues: {
       title: '',
@@ -52,7 +66,7 @@ const AdminPostEditor = () => {
       content: '',
       category: '',
       tags: '',
-      status: POST_STATUS.PUBLISHED,
+      status: canPublish ? POST_STATUS.PUBLISHED : POST_STATUS.DRAFT,
       type: POST_TYPE.PROGRAMS,
       media_type: MEDIA_TYPE.NONE,
       cover_image_url: '',
@@ -208,57 +222,7 @@ const AdminPostEditor = () => {
       const postData = await adminAPI.getPost(id);
 
       if (postData.success && postData.data) {
-        const post = postData.data;
-        reset({
-          title: post.title || '',
-          subtitle: post.subtitle || '',
-          slug: post.slug || '',
-          excerpt: post.excerpt || '',
-          content: post.content || '',
-          category: post.category || '',
-          tags: Array.isArray(post.tags) ? post.tags.join(', ') : post.tags || '',
-          status: post.status || POST_STATUS.PUBLISHED,
-          type: post.type || POST_TYPE.PROGRAMS,
-          media_type: post.media_type || MEDIA_TYPE.NONE,
-          cover_image_url: post.cover_image_url || '',
-          media_urls: Array.isArray(post.media_urls) 
-            ? JSON.stringify(post.media_urls) 
-            : (post.media_urls ? post.media_urls : (post.media_url ? JSON.stringify([post.media_url]) : '')),
-          is_featured: post.is_featured || false,
-          published_at: post.published_at 
-            ? isoToLocalDateTime(post.published_at) 
-            : (post.created_at ? isoToLocalDateTime(post.created_at) : getCurrentLocalDateTime()),
-        });
-        // Set previews
-        if (post.cover_image_url) {
-          setCoverImagePreview(post.cover_image_url);
-        }
-        // Load media URLs
-        let loadedMediaUrls = [];
-        if (post.media_urls) {
-          try {
-            loadedMediaUrls = Array.isArray(post.media_urls) 
-              ? post.media_urls 
-              : (typeof post.media_urls === 'string' ? JSON.parse(post.media_urls) : []);
-          } catch (e) {
-            // Fallback: if media_url exists (old format), use it
-            if (post.media_url) {
-              loadedMediaUrls = [post.media_url];
-            }
-          }
-        } else if (post.media_url) {
-          // Backward compatibility: convert old media_url to array
-          loadedMediaUrls = [post.media_url];
-        }
-        setMediaUrls(Array.isArray(loadedMediaUrls) ? loadedMediaUrls : []);
-        
-        // Check if any media URL is YouTube
-        if (loadedMediaUrls.length > 0 && isValidYouTubeUrl(loadedMediaUrls[0])) {
-          setVideoSource('youtube');
-          setYoutubeLink(loadedMediaUrls[0]);
-        } else {
-          setVideoSource('upload');
-        }
+        applyPost(postData.data);
       } else {
         toast.error('Post not found');
         navigate(ROUTES.ADMIN_POSTS);
@@ -272,6 +236,59 @@ const AdminPostEditor = () => {
     }
   };
 
+  // Fills the form from a stored post
+  const applyPost = (post) => {
+    setLoadedPost(post);
+    reset({
+      title: post.title || '',
+      subtitle: post.subtitle || '',
+      slug: post.slug || '',
+      excerpt: post.excerpt || '',
+      content: post.content || '',
+      category: post.category || '',
+      tags: Array.isArray(post.tags) ? post.tags.join(', ') : post.tags || '',
+      status: post.status || POST_STATUS.PUBLISHED,
+      type: post.type || POST_TYPE.PROGRAMS,
+      media_type: post.media_type || MEDIA_TYPE.NONE,
+      cover_image_url: post.cover_image_url || '',
+      media_urls: Array.isArray(post.media_urls) 
+        ? JSON.stringify(post.media_urls) 
+        : (post.media_urls ? post.media_urls : (post.media_url ? JSON.stringify([post.media_url]) : '')),
+      is_featured: post.is_featured || false,
+      published_at: post.published_at 
+        ? isoToLocalDateTime(post.published_at) 
+        : (post.created_at ? isoToLocalDateTime(post.created_at) : getCurrentLocalDateTime()),
+    });
+    // Set previews
+    setCoverImagePreview(post.cover_image_url || '');
+    // Load media URLs
+    let loadedMediaUrls = [];
+    if (post.media_urls) {
+      try {
+        loadedMediaUrls = Array.isArray(post.media_urls) 
+          ? post.media_urls 
+          : (typeof post.media_urls === 'string' ? JSON.parse(post.media_urls) : []);
+      } catch (e) {
+        // Fallback: if media_url exists (old format), use it
+        if (post.media_url) {
+          loadedMediaUrls = [post.media_url];
+        }
+      }
+    } else if (post.media_url) {
+      // Backward compatibility: convert old media_url to array
+      loadedMediaUrls = [post.media_url];
+    }
+    setMediaUrls(Array.isArray(loadedMediaUrls) ? loadedMediaUrls : []);
+    
+    // Check if any media URL is YouTube
+    if (loadedMediaUrls.length > 0 && isValidYouTubeUrl(loadedMediaUrls[0])) {
+      setVideoSource('youtube');
+      setYoutubeLink(loadedMediaUrls[0]);
+    } else {
+      setVideoSource('upload');
+    }
+  };
+
   // Handle image upload for rich text editor
   const handleEditorImageUpload = async (file) => {
     try {
@@ -343,9 +360,15 @@ const AdminPostEditor = () => {
         }
       } else {
         // Fallback to API upload
-        const result = await adminAPI.uploadMedia(file, (progress) => {
-          setUploadProgress(progress);
-        });
+        const controller = new AbortController();
+        setUploadController(controller);
+        const result = await adminAPI.uploadMedia(
+          file,
+          (progress) => {
+            setUploadProgress(progress);
+          },
+          { signal: controller.signal }
+        );
 
         if (result.success && result.data) {
           const url = result.data.url || result.data.public_url;
@@ -365,12 +388,17 @@ const AdminPostEditor = () => {
         }
       }
     } catch (err) {
+      if (err instanceof CanceledError) {
+        toast.info('Upload cancelled');
+        return;
+      }
       console.error('Upload error:', err);
       toast.error(err.message || 'File upload failed');
     } finally {
       setUploading(false);
       setUploadingType(null);
       setUploadProgress(0);
+      setUploadController(null);
     }
   };
 
@@ -394,6 +422,9 @@ const AdminPostEditor = () => {
       return;
     }
 
+    // One controller for the batch: cancelling stops the current file and skips the rest
+    const controller = new AbortController();
+
     try {
       setUploading(true);
       setUploadingType(type);
@@ -402,7 +433,7 @@ const AdminPostEditor = () => {
       let uploadedCount = 0;
 
       // Upload files sequentially to avoid conflicts
-      for (let i = 0; i < filesToUpload.length; i++) {
+      for (let i = 0; i < filesToUpload.length && !controller.signal.aborted; i++) {
         const file = filesToUpload[i];
         setUploadProgress(Math.round(((i + 1) / filesToUpload.length) * 100));
 
@@ -428,10 +459,15 @@ const AdminPostEditor = () => {
             });
           } else {
             // Fallback to API upload
-            const result = await adminAPI.uploadMedia(file, (progress) => {
-              const fileProgress = Math.round((i / filesToUpload.length) * 100 + (progress / filesToUpload.length));
-              setUploadProgress(fileProgress);
-            });
+            setUploadController(controller);
+            const result = await adminAPI.uploadMedia(
+              file,
+              (progress) => {
+                const fileProgress = Math.round((i / filesToUpload.length) * 100 + (progress / filesToUpload.length));
+                setUploadProgress(fileProgress);
+              },
+              { signal: controller.signal }
+            );
 
             if (result.success && result.data) {
               url = result.data.url || result.data.public_url;
@@ -445,6 +481,10 @@ const AdminPostEditor = () => {
             uploadedCount++;
           }
         } catch (err) {
+          if (err instanceof CanceledError) {
+            toast.info('Upload cancelled');
+            break;
+          }
           console.error(`Error uploading file ${i + 1}:`, err);
           toast.error(`Failed to upload ${file.name || 'file'}`);
         }
@@ -460,7 +500,7 @@ const AdminPostEditor = () => {
         toast.success(`Successfully uploaded ${uploadedCount} file(s)`);
       }
 
-      if (uploadedCount < filesToUpload.length) {
+      if (uploadedCount < filesToUpload.length && !controller.signal.aborted) {
         toast.warning(`${uploadedCount} of ${filesToUpload.length} file(s) uploaded successfully`);
       }
     } catch (err) {
@@ -470,6 +510,7 @@ const AdminPostEditor = () => {
       setUploading(false);
       setUploadingType(null);
       setUploadProgress(0);
+      setUploadController(null);
     }
   };
 
@@ -557,7 +598,7 @@ const AdminPostEditor = () => {
       const postData = {
         ...sanitizedData,
         tags: tagsArray,
-        media_urls: mediaUrlsArray.length > 0 ? JSON.stringify(mediaUrlsArray) : '',
+        media_urls: mediaUrlsArray,
         published_at:
           sanitizedData.status === POST_STATUS.PUBLISHED && !sanitizedData.published_at
             ? getCurrentISO()
@@ -567,27 +608,62 @@ const AdminPostEditor = () => {
         updated_at: getCurrentISO(),
       };
 
-      let result;
-      if (isEditing) {
-        result = await adminAPI.updatePost(id, postData);
-      } else {
-        result = await adminAPI.createPost(postData);
-      }
+      await savePost(postData, loadedPost?.version ?? 0);
+    } catch (err) {
+      console.error('Save error:', err);
+      toast.error(err.message || 'Failed to save post');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Sends the post. An update based on a stale `version` opens the conflict resolver.
+   */
+  const savePost = async (postData, version) => {
+    try {
+      const result = isEditing
+        ? await adminAPI.updatePost(id, { ...postData, version })
+        : await adminAPI.createPost(postData);
 
       if (result.success) {
-        toast.success(`Post ${isEditing ? 'updated' : 'created'} successfully`);
+        toast.success(
+          result.queued
+            ? SUCCESS_MESSAGES.SAVED_OFFLINE
+            : `Post ${isEditing ? 'updated' : 'created'} successfully`
+        );
         navigate(ROUTES.ADMIN_POSTS);
       } else {
         toast.error(result.message || 'Failed to save post');
       }
     } catch (err) {
+      if (err instanceof ConflictError && err.current) {
+        setConflict({ local: postData, remote: err.current });
+        return;
+      }
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to save post');
-    } finally {
-      setSaving(false);
     }
   };
 
+  // Saves the merged/overwriting version on top of the stored one
+  const handleResolveConflict = async (postData) => {
+    const { remote } = conflict;
+    setSaving(true);
+    setConflict(null);
+    // The stored version is the base now, so a second conflict diffs against it
+    setLoadedPost(remote);
+    await savePost(postData, remote.version ?? 0);
+    setSaving(false);
+  };
+
+  const handleDiscardChanges = () => {
+    applyPost(conflict.remote);
+    setConflict(null);
+    toast.info('Loaded the latest saved version of this post');
+  };
+
   if (loading) {
     return <Loading fullScreen message="Loading post..." />;
   }
@@ -614,7 +690,14 @@ const AdminPostEditor = () => {
           </button>
         </div>
 
+        {readOnly && (
+          <div className="admin-alert admin-alert-error">
+            <p>Your role can view this post but not change it.</p>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit(onSubmit)} className="admin-form">
+          <fieldset disabled={readOnly} style={{ border: 0, padding: 0, margin: 0, minWidth: 0 }}>
           {/* Basic Information */}
           <div className="admin-card">
             <div className="card-header">
@@ -739,8 +822,8 @@ const AdminPostEditor = () => {
                     htmlFor="cover_image_upload" 
                     className="btn btn-secondary"
                     style={{ 
-                      cursor: uploading && uploadingType === 'cover' ? 'not-allowed' : 'pointer',
-                      opacity: uploading && uploadingType === 'cover' ? 0.6 : 1
+                      cursor: (uploading && uploadingType === 'cover') || !canUpload ? 'not-allowed' : 'pointer',
+                      opacity: (uploading && uploadingType === 'cover') || !canUpload ? 0.6 : 1
                     }}
                   >
                     {uploading && uploadingType === 'cover' ? `Uploading... ${uploadProgress}%` : 'Upload Image'}
@@ -753,7 +836,7 @@ const AdminPostEditor = () => {
                       const file = e.target.files[0];
                       if (file) handleFileUpload(file, 'cover');
                     }}
-                    disabled={uploading}
+                    disabled={uploading || !canUpload}
                     style={{ display: 'none' }}
                   />
                 </div>
@@ -774,6 +857,16 @@ const AdminPostEditor = () => {
                     }} />
                   </div>
                 )}
+                {uploadController && uploadingType === 'cover' && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => uploadController.abort()}
+                    style={{ marginTop: 'var(--space-2)' }}
+                  >
+                    Cancel Upload
+                  </button>
+                )}
               </div>
               {coverImagePreview && (
                 <div style={{ 
@@ -969,8 +1062,8 @@ const AdminPostEditor = () => {
                       htmlFor="media_upload" 
                       className="btn btn-secondary"
                       style={{ 
-                        cursor: uploading && uploadingType === 'media' ? 'not-allowed' : 'pointer',
-                        opacity: uploading && uploadingType === 'media' ? 0.6 : 1,
+                        cursor: (uploading && uploadingType === 'media') || !canUpload ? 'not-allowed' : 'pointer',
+                        opacity: (uploading && uploadingType === 'media') || !canUpload ? 0.6 : 1,
                         display: 'inline-block'
                       }}
                     >
@@ -990,7 +1083,7 @@ const AdminPostEditor = () => {
                         }
                         e.target.value = '';
                       }}
-                      disabled={uploading && uploadingType === 'media'}
+                      disabled={(uploading && uploadingType === 'media') || !canUpload}
                       style={{ display: 'none' }}
                     />
                     <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-2)' }}>
@@ -1020,6 +1113,16 @@ const AdminPostEditor = () => {
                         }} />
                       </div>
                     )}
+                    {uploadController && uploadingType === 'media' && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => uploadController.abort()}
+                        style={{ marginTop: 'var(--space-2)' }}
+                      >
+                        Cancel Upload
+                      </button>
+                    )}
                   </div>
                 )}
 
@@ -1224,8 +1327,15 @@ const AdminPostEditor = () => {
                 <label htmlFor="status">Status</label>
                 <select id="status" {...register('status')}>
                   <option value={POST_STATUS.DRAFT}>Draft</option>
-                  <option value={POST_STATUS.PUBLISHED}>Published</option>
+                  <option value={POST_STATUS.PUBLISHED} disabled={!canPublish}>
+                    Published
+                  </option>
                 </select>
+                {!canPublish && (
+                  <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-2)' }}>
+                    Your role saves drafts; an editor publishes them.
+                  </p>
+                )}
               </div>
             </div>
 
@@ -1254,6 +1364,7 @@ const AdminPostEditor = () => {
             </div>
             </div>
           </div>
+          </fieldset>
 
           {/* Actions */}
           <div className="form-actions">
@@ -1267,13 +1378,26 @@ const AdminPostEditor = () => {
             <button
               type="submit"
               className="btn btn-primary"
-              disabled={saving || uploading}
+              disabled={saving || uploading || readOnly}
             >
               {saving ? 'Saving...' : isEditing ? 'Update Post' : 'Create Post'}
             </button>
           </div>
         </form>
       </div>
+
+      {conflict && (
+        <ConflictResolver
+          base={loadedPost || {}}
+          local={conflict.local}
+          remote={conflict.remote}
+          labels={{ media_urls: 'Media', cover_image_url: 'Cover image', published_at: 'Publish date' }}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </>
   );
 };
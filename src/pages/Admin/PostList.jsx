@@ -1,28 +1,56 @@
 /**
  * Admin Post List
- * Manage all posts (view, edit, delete)
+ * Manage all posts (view, edit, delete) and apply bulk actions to a selection
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { adminAPI } from '@/services/api';
-import { ROUTES, POST_STATUS } from '@/config/constants';
+import { useDataLoader } from '@/hooks/useDataLoader';
+import { ROUTES, POST_STATUS, SUCCESS_MESSAGES } from '@/config/constants';
+import { PERMISSIONS, canDeletePost, canEditPost } from '@/config/permissions';
+import { useAuth } from '@/context/AuthContext';
 import { formatDate } from '@/utils/dateFormatter';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
 
+// Category select value meaning "remove the category"
+const NO_CATEGORY = '__none__';
+
+const pluralize = (count) => `${count} post${count === 1 ? '' : 's'}`;
+
 const AdminPostList = () => {
+  const { user, can } = useAuth();
+  const canEditPosts = can(PERMISSIONS.EDIT_OWN_POSTS);
+  const canDeletePosts = can(PERMISSIONS.DELETE_OWN_POSTS);
+  // Without either there is nothing to do with a selection
+  const canSelect = canEditPosts || canDeletePosts;
   const [posts, setPosts] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkTag, setBulkTag] = useState('');
+  const [bulkBusy, setBulkBusy] = useState(false);
 
-  useEffect(() => {
-    loadPosts();
-  }, [filter]);
+  const reloadPosts = useDataLoader((signal) => loadPosts(signal), [filter]);
 
-  const loadPosts = async () => {
+  useDataLoader(async (signal) => {
+    try {
+      const response = await adminAPI.getCategories({ signal });
+      if (response.success) {
+        setCategories(response.data || []);
+      }
+    } catch (err) {
+      if (signal.aborted) return;
+      // Only the "change category" action needs these
+      console.error('Error loading categories:', err);
+    }
+  }, []);
+
+  const loadPosts = async (signal) => {
     try {
       setLoading(true);
       setError(null);
@@ -32,16 +60,23 @@ const AdminPostList = () => {
         params.status = filter;
       }
 
-      const postsData = await adminAPI.listPosts(params);
+      const postsData = await adminAPI.listPosts(params, { signal });
 
       if (postsData.success) {
-        setPosts(postsData.data || []);
+        const loaded = postsData.data || [];
+        setPosts(loaded);
+        // Drop selections that are no longer listed (deleted, filtered out)
+        setSelectedIds((ids) => ids.filter((id) => loaded.some((post) => post.id === id)));
       }
     } catch (err) {
+      // Filter changed or page left - a newer load owns the state
+      if (signal.aborted) return;
       console.error('Error loading posts:', err);
       setError(err.message || 'Failed to load posts');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -52,9 +87,12 @@ const AdminPostList = () => {
 
     try {
       const result = await adminAPI.deletePost(id);
-      if (result.success) {
+      if (result.queued) {
+        toast.info(SUCCESS_MESSAGES.SAVED_OFFLINE);
+        setPosts((current) => current.filter((post) => post.id !== id));
+      } else if (result.success) {
         toast.success('Post deleted successfully');
-        loadPosts();
+        reloadPosts();
       } else {
         toast.error(result.message || 'Failed to delete post');
       }
@@ -63,6 +101,87 @@ const AdminPostList = () => {
     }
   };
 
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  };
+
+  const allSelected = posts.length > 0 && selectedIds.length === posts.length;
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : posts.map((post) => post.id));
+  };
+
+  /**
+   * Runs a bulk action on the selection and reports per-post failures.
+   * Posts that failed stay selected so the action can be retried.
+   * Resolves to true when the request itself went through.
+   */
+  const runBulkAction = async (verb, request) => {
+    setBulkBusy(true);
+    try {
+      const { data } = await request(selectedIds);
+
+      if (data.failed === 0) {
+        toast.success(`${pluralize(data.succeeded)} ${verb}`);
+      } else {
+        const failures = data.results.filter((result) => !result.success);
+        const details = failures
+          .slice(0, 3)
+          .map((result) => {
+            const title = posts.find((post) => post.id === result.id)?.title || result.id;
+            return `"${title}": ${result.error?.message || 'Failed'}`;
+          })
+          .join('; ');
+        const more = failures.length > 3 ? ` and ${failures.length - 3} more` : '';
+        toast.warning(
+          `${pluralize(data.succeeded)} ${verb}, ${data.failed} failed. ${details}${more}`
+        );
+      }
+
+      setSelectedIds(data.results.filter((result) => !result.success).map((result) => result.id));
+      if (data.succeeded > 0) {
+        reloadPosts();
+      }
+      return true;
+    } catch (err) {
+      toast.error(err.message || 'Bulk action failed');
+      return false;
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleBulkStatus = (status, verb) => {
+    runBulkAction(verb, (ids) => adminAPI.bulkUpdatePosts(ids, { status }));
+  };
+
+  const handleBulkCategory = (value) => {
+    const category = value === NO_CATEGORY ? '' : value;
+    runBulkAction('updated', (ids) => adminAPI.bulkUpdatePosts(ids, { category }));
+  };
+
+  const handleBulkTag = async (operation) => {
+    const tags = bulkTag
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    if (tags.length === 0) {
+      toast.error('Enter a tag first');
+      return;
+    }
+    const changes = operation === 'add' ? { addTags: tags } : { removeTags: tags };
+    if (await runBulkAction('updated', (ids) => adminAPI.bulkUpdatePosts(ids, changes))) {
+      setBulkTag('');
+    }
+  };
+
+  const handleBulkDelete = () => {
+    if (!window.confirm(`Are you sure you want to delete ${pluralize(selectedIds.length)}?`)) {
+      return;
+    }
+    runBulkAction('deleted', (ids) => adminAPI.bulkDeletePosts(ids));
+  };
+
   if (loading) {
     return <Loading fullScreen message="Loading posts..." />;
   }
@@ -79,9 +198,11 @@ const AdminPostList = () => {
             <h1>Manage Posts</h1>
             <p className="page-subtitle">Create, edit, and manage your blog posts</p>
           </div>
-          <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
-            <span>➕</span> New Post
-          </Link>
+          {can(PERMISSIONS.CREATE_POSTS) && (
+            <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
+              <span>➕</span> New Post
+            </Link>
+          )}
         </div>
 
         {/* Filter Tabs */}
@@ -104,12 +225,99 @@ const AdminPostList = () => {
           >
             Drafts
           </button>
+          <button
+            onClick={() => setFilter(POST_STATUS.ARCHIVED)}
+            className={`filter-tab ${filter === POST_STATUS.ARCHIVED ? 'active' : ''}`}
+          >
+            Archived
+          </button>
         </div>
 
+        {selectedIds.length > 0 && (
+          <div className="bulk-toolbar" role="toolbar" aria-label="Bulk actions">
+            <span className="bulk-toolbar-count">{pluralize(selectedIds.length)} selected</span>
+            <div className="bulk-toolbar-actions">
+              <button
+                onClick={() => handleBulkStatus(POST_STATUS.PUBLISHED, 'published')}
+                className="btn btn-sm btn-outline"
+                disabled={bulkBusy || !can(PERMISSIONS.PUBLISH_POSTS)}
+              >
+                Publish
+              </button>
+              <button
+                onClick={() => handleBulkStatus(POST_STATUS.DRAFT, 'unpublished')}
+                className="btn btn-sm btn-outline"
+                disabled={bulkBusy || !canEditPosts}
+              >
+                Unpublish
+              </button>
+              <button
+                onClick={() => handleBulkStatus(POST_STATUS.ARCHIVED, 'archived')}
+                className="btn btn-sm btn-outline"
+                disabled={bulkBusy || !canEditPosts}
+              >
+                Archive
+              </button>
+              <select
+                value=""
+                onChange={(e) => handleBulkCategory(e.target.value)}
+                disabled={bulkBusy || !canEditPosts}
+                aria-label="Change category"
+              >
+                <option value="" disabled>
+                  Change category...
+                </option>
+                <option value={NO_CATEGORY}>No category</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.name}>
+                    {category.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={bulkTag}
+                onChange={(e) => setBulkTag(e.target.value)}
+                placeholder="Tag(s), comma separated"
+                aria-label="Tags to add or remove"
+                disabled={bulkBusy || !canEditPosts}
+              />
+              <button
+                onClick={() => handleBulkTag('add')}
+                className="btn btn-sm btn-outline"
+                disabled={bulkBusy || !canEditPosts}
+              >
+                Add tag
+              </button>
+              <button
+                onClick={() => handleBulkTag('remove')}
+                className="btn btn-sm btn-outline"
+                disabled={bulkBusy || !canEditPosts}
+              >
+                Remove tag
+              </button>
+              <button
+                onClick={handleBulkDelete}
+                className="btn btn-sm btn-danger"
+                disabled={bulkBusy || !canDeletePosts}
+              >
+                Delete
+              </button>
+              <button
+                onClick={() => setSelectedIds([])}
+                className="btn btn-sm btn-ghost"
+                disabled={bulkBusy}
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        )}
+
         {error ? (
           <div className="admin-alert admin-alert-error">
             <p>{error}</p>
-            <button onClick={loadPosts} className="btn btn-sm btn-outline">
+            <button onClick={reloadPosts} className="btn btn-sm btn-outline">
               Retry
             </button>
           </div>
@@ -119,6 +327,16 @@ const AdminPostList = () => {
               <table className="admin-table">
                 <thead>
                   <tr>
+                    {canSelect && (
+                      <th className="table-select">
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={toggleAll}
+                          aria-label="Select all posts"
+                        />
+                      </th>
+                    )}
                     <th>Title</th>
                     <th>Status</th>
                     <th>Category</th>
@@ -128,7 +346,17 @@ const AdminPostList = () => {
                 </thead>
                 <tbody>
                   {posts.map((post) => (
-                    <tr key={post.id}>
+                    <tr key={post.id} className={selectedIds.includes(post.id) ? 'selected' : ''}>
+                      {canSelect && (
+                        <td data-label="Select" className="table-select">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(post.id)}
+                            onChange={() => toggleSelected(post.id)}
+                            aria-label={`Select "${post.title}"`}
+                          />
+                        </td>
+                      )}
                       <td data-label="Title">
                         <Link
                           to={`${ROUTES.ADMIN_POSTS}/${post.id}/edit`}
@@ -150,11 +378,12 @@ const AdminPostList = () => {
                             to={`${ROUTES.ADMIN_POSTS}/${post.id}/edit`}
                             className="btn btn-sm btn-outline"
                           >
-                            Edit
+                            {canEditPost(user, post) ? 'Edit' : 'View'}
                           </Link>
                           <button
                             onClick={() => handleDelete(post.id, post.title)}
                             className="btn btn-sm btn-danger"
+                            disabled={!canDeletePost(user, post)}
                           >
                             Delete
                           </button>
@@ -170,9 +399,11 @@ const AdminPostList = () => {
           <div className="admin-card">
             <div className="empty-state">
               <p>No posts found.</p>
-              <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
-                Create Your First Post
-              </Link>
+              {can(PERMISSIONS.CREATE_POSTS) && (
+                <Link to={ROUTES.ADMIN_POST_NEW} className="btn btn-primary">
+                  Create Your First Post
+                </Link>
+              )}
             </div>
           </div>
         )}
@@ -1,24 +1,34 @@
 /**
  * Admin Profile Editor
- * Edit profile information and manage social media links
+ * Edit profile information, manage social media links, change the password and sign out
+ * sessions on other devices. Every admin may use the account tabs; the profile and social
+ * links tabs need the manage site content permission.
  */
 
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
+import { ConflictError, applyFieldErrors } from '@/services/errors';
 import { firebaseStorageService } from '@/services/firebaseStorage';
 import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
+import { PERMISSIONS } from '@/config/permissions';
 import { sanitizeInput } from '@/utils/sanitize';
 import { validatePasswordStrength } from '@/utils/validation';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '@/context/AuthContext';
+import { useDataLoader } from '@/hooks/useDataLoader';
+import { formatDateTime, getRelativeTime } from '@/utils/dateFormatter';
+import ConflictResolver from '@/components/ConflictResolver';
+
+const ACCOUNT_TABS = ['password', 'sessions'];
 
 const ProfileEditor = () => {
   const navigate = useNavigate();
-  const { logout } = useAuth();
+  const { logout, can } = useAuth();
+  const canEditContent = can(PERMISSIONS.MANAGE_SITE_CONTENT);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [uploading, setUploading] = useState(false);
@@ -28,7 +38,14 @@ const ProfileEditor = () => {
   const [showAddSocialLink, setShowAddSocialLink] = useState(false);
   const [editingSocialLink, setEditingSocialLink] = useState(null);
   const [changingPassword, setChangingPassword] = useState(false);
-  const [activeTab, setActiveTab] = useState('profile');
+  // `?tab=` opens an account tab directly, e.g. from the security page
+  const requestedTab = useSearchParams()[0].get('tab');
+  const [activeTab, setActiveTab] = useState(
+    ACCOUNT_TABS.includes(requestedTab) ? requestedTab : canEditContent ? 'profile' : 'password'
+  );
+  // The profile as loaded; its version detects concurrent edits and it is the base for merging
+  const [loadedProfile, setLoadedProfile] = useState(null);
+  const [conflict, setConflict] = useState(null);
 
   const {
     register,
@@ -37,6 +54,7 @@ const ProfileEditor = () => {
     setValue,
     reset,
     watch,
+    setError,
   } = useForm({
     defaultValues: {
       name: '',
@@ -64,8 +82,12 @@ const ProfileEditor = () => {
 
   // Load profile data
   useEffect(() => {
-    loadProfileData();
-  }, []);
+    if (canEditContent) {
+      loadProfileData();
+    } else {
+      setLoading(false);
+    }
+  }, [canEditContent]);
 
   // Update preview when profile image URL changes
   useEffect(() => {
@@ -84,30 +106,7 @@ const ProfileEditor = () => {
       ]);
 
       if (profileData?.success && profileData.data) {
-        const profile = profileData.data;
-        reset({
-          name: profile.name || '',
-          title: profile.title || '',
-          bio: profile.bio || '',
-          short_bio: profile.short_bio || '',
-          profile_image_url: profile.profile_image_url || '',
-          email: profile.email || '',
-          phone: profile.phone || '',
-          location: profile.location || '',
-          website: profile.website || '',
-          awards: profile.awards || '',
-          education: profile.education || '',
-          experience: profile.experience || '',
-          specializations: profile.specializations || '',
-          languages: profile.languages || '',
-          total_stories: profile.total_stories || '',
-          countries_covered: profile.countries_covered || '',
-          awards_count: profile.awards_count || '',
-          years_experience: profile.years_experience || '',
-        });
-        if (profile.profile_image_url) {
-          setProfileImagePreview(profile.profile_image_url);
-        }
+        applyProfile(profileData.data);
       }
 
       if (socialData?.success && socialData.data) {
@@ -121,6 +120,32 @@ const ProfileEditor = () => {
     }
   };
 
+  // Fills the profile form from the stored profile
+  const applyProfile = (profile) => {
+    setLoadedProfile(profile);
+    reset({
+      name: profile.name || '',
+      title: profile.title || '',
+      bio: profile.bio || '',
+      short_bio: profile.short_bio || '',
+      profile_image_url: profile.profile_image_url || '',
+      email: profile.email || '',
+      phone: profile.phone || '',
+      location: profile.location || '',
+      website: profile.website || '',
+      awards: profile.awards || '',
+      education: profile.education || '',
+      experience: profile.experience || '',
+      specializations: profile.specializations || '',
+      languages: profile.languages || '',
+      total_stories: profile.total_stories || '',
+      countries_covered: profile.countries_covered || '',
+      awards_count: profile.awards_count || '',
+      years_experience: profile.years_experience || '',
+    });
+    setProfileImagePreview(profile.profile_image_url || '');
+  };
+
   const handleFileUpload = async (file) => {
     try {
       setUploading(true);
@@ -167,7 +192,18 @@ const ProfileEditor = () => {
       // Sanitize input
       const sanitizedData = sanitizeInput(data);
 
-      const result = await adminAPI.updateProfile(sanitizedData);
+      await saveProfile(sanitizedData, loadedProfile?.version ?? 0);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Sends the profile. An update based on a stale `version` opens the conflict resolver.
+   */
+  const saveProfile = async (profileData, version) => {
+    try {
+      const result = await adminAPI.updateProfile({ ...profileData, version });
 
       if (result.success) {
         toast.success(SUCCESS_MESSAGES.PROFILE_UPDATED);
@@ -177,13 +213,31 @@ const ProfileEditor = () => {
         toast.error(result.message || 'Failed to update profile');
       }
     } catch (err) {
+      if (err instanceof ConflictError && err.current) {
+        setConflict({ local: profileData, remote: err.current });
+        return;
+      }
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to update profile');
-    } finally {
-      setSaving(false);
     }
   };
 
+  // Saves the merged/overwriting version on top of the stored one
+  const handleResolveConflict = async (profileData) => {
+    const { remote } = conflict;
+    setSaving(true);
+    setConflict(null);
+    await saveProfile(profileData, remote.version ?? 0);
+    setSaving(false);
+  };
+
+  const handleDiscardChanges = () => {
+    applyProfile(conflict.remote);
+    setConflict(null);
+    toast.info('Loaded the latest saved version of the profile');
+  };
+
   const handleAddSocialLink = async (linkData) => {
     try {
       console.log('Adding social link with data:', linkData);
@@ -280,7 +334,7 @@ const ProfileEditor = () => {
     }
   };
 
-  const handleChangePassword = async (data) => {
+  const handleChangePassword = async (data, setFieldError) => {
     try {
       setChangingPassword(true);
 
@@ -331,12 +385,14 @@ const ProfileEditor = () => {
             });
           }, 2000);
         }
+        return true;
       } else {
         const errorMsg = result.message || result.error?.message || 'Failed to change password';
         toast.error(errorMsg);
       }
     } catch (err) {
       console.error('Change password error:', err);
+      applyFieldErrors(err, setFieldError);
       const errorMsg = err.response?.data?.message || err.message || 'Failed to change password';
       toast.error(errorMsg);
     } finally {
@@ -358,7 +414,11 @@ const ProfileEditor = () => {
         <div className="admin-page-header">
           <div>
             <h1>Edit Profile</h1>
-            <p className="page-subtitle">Manage organization profile, social links, and account settings</p>
+            <p className="page-subtitle">
+              {canEditContent
+                ? 'Manage organization profile, social links, and account settings'
+                : 'Manage your password and signed-in sessions'}
+            </p>
           </div>
           <button
             onClick={() => navigate(ROUTES.ADMIN_DASHBOARD)}
@@ -370,22 +430,26 @@ const ProfileEditor = () => {
 
         {/* Tab Navigation */}
         <div className="profile-tabs">
-          <button
-            type="button"
-            className={`profile-tab ${activeTab === 'profile' ? 'active' : ''}`}
-            onClick={() => setActiveTab('profile')}
-          >
-            <span>👤</span>
-            <span>Profile Information</span>
-          </button>
-          <button
-            type="button"
-            className={`profile-tab ${activeTab === 'social' ? 'active' : ''}`}
-            onClick={() => setActiveTab('social')}
-          >
-            <span>🔗</span>
-            <span>Social Media Links</span>
-          </button>
+          {canEditContent && (
+            <>
+              <button
+                type="button"
+                className={`profile-tab ${activeTab === 'profile' ? 'active' : ''}`}
+                onClick={() => setActiveTab('profile')}
+              >
+                <span>👤</span>
+                <span>Profile Information</span>
+              </button>
+              <button
+                type="button"
+                className={`profile-tab ${activeTab === 'social' ? 'active' : ''}`}
+                onClick={() => setActiveTab('social')}
+              >
+                <span>🔗</span>
+                <span>Social Media Links</span>
+              </button>
+            </>
+          )}
           <button
             type="button"
             className={`profile-tab ${activeTab === 'password' ? 'active' : ''}`}
@@ -394,6 +458,14 @@ const ProfileEditor = () => {
             <span>🔒</span>
             <span>Change Password</span>
           </button>
+          <button
+            type="button"
+            className={`profile-tab ${activeTab === 'sessions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('sessions')}
+          >
+            <span>💻</span>
+            <span>Sessions</span>
+          </button>
         </div>
 
         {/* Tab Content */}
@@ -867,22 +939,52 @@ const ProfileEditor = () => {
               </div>
             </div>
           )}
+
+          {/* Sessions Tab */}
+          {activeTab === 'sessions' && (
+            <div className="admin-card">
+              <div className="card-header">
+                <h2>Active Sessions</h2>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-2)' }}>
+                  Everywhere you are signed in. Sign out any you do not recognize or no longer use,
+                  such as a shared computer.
+                </p>
+              </div>
+              <div className="card-body">
+                <SessionList />
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      {conflict && (
+        <ConflictResolver
+          base={loadedProfile || {}}
+          local={conflict.local}
+          remote={conflict.remote}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </>
   );
 };
 
 // Password Change Form Component
 const PasswordChangeForm = ({ onSubmit, isSubmitting }) => {
-  const { register, handleSubmit, formState: { errors }, watch, reset } = useForm();
+  const { register, handleSubmit, formState: { errors }, watch, reset, setError } = useForm();
   const newPassword = watch('newPassword', '');
 
   const handleFormSubmit = async (data, e) => {
     e.preventDefault();
     e.stopPropagation();
-    await onSubmit(data);
-    reset(); // Clear form after successful submission
+    const saved = await onSubmit(data, setError);
+    if (saved) {
+      reset(); // Clear form after successful submission
+    }
   };
 
   // Get password strength
@@ -1036,6 +1138,174 @@ const PasswordChangeForm = ({ onSubmit, isSubmitting }) => {
   );
 };
 
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Safari', /Safari\//],
+];
+// Before Linux and macOS, whose names Android and iOS user agents also contain
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * A readable name for the device of a user agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, 60);
+};
+
+// Sessions List Component
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // The session being signed out, or 'others'
+  const [revoking, setRevoking] = useState(null);
+
+  const reload = useDataLoader(async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminAPI.listSessions({ signal });
+      setSessions(response.data || []);
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error('Error loading sessions:', err);
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevoking(session.id);
+      await adminAPI.revokeSession(session.id);
+      setSessions((current) => current.filter((s) => s.id !== session.id));
+      toast.success(`Signed out ${describeDevice(session.user_agent)}`);
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      toast.error(err.message || 'Failed to sign out the session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out everywhere except on this device?')) {
+      return;
+    }
+    try {
+      setRevoking('others');
+      const result = await adminAPI.revokeOtherSessions();
+      setSessions((current) => current.filter((s) => s.current));
+      const count = result.data?.revoked ?? 0;
+      toast.success(`Signed out ${count} other session${count === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      toast.error(err.message || 'Failed to sign out the other sessions');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (loading) {
+    return <Loading message="Loading sessions..." />;
+  }
+
+  if (error) {
+    return (
+      <div className="admin-alert admin-alert-error">
+        <p>{error}</p>
+        <button type="button" onClick={reload} className="btn btn-sm btn-outline">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <>
+      <div className="table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Device</th>
+              <th>IP Address</th>
+              <th>Signed In</th>
+              <th>Last Active</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map((session) => (
+              <tr key={session.id}>
+                <td data-label="Device" title={session.user_agent || ''}>
+                  {describeDevice(session.user_agent)}
+                  {session.current && (
+                    <>
+                      {' '}
+                      <span className="status-badge status-published">This device</span>
+                    </>
+                  )}
+                </td>
+                <td data-label="IP Address">{session.ip || '—'}</td>
+                <td data-label="Signed In">{formatDateTime(session.created_at)}</td>
+                <td data-label="Last Active" title={formatDateTime(session.last_seen_at)}>
+                  {session.current ? 'Now' : getRelativeTime(session.last_seen_at)}
+                </td>
+                <td data-label="Actions">
+                  {!session.current && (
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(session)}
+                      className="btn btn-sm btn-danger"
+                      disabled={revoking !== null}
+                    >
+                      {revoking === session.id ? 'Signing out...' : 'Sign Out'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {hasOthers && (
+        <div className="form-actions" style={{ marginTop: '1rem' }}>
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            className="btn btn-outline"
+            disabled={revoking !== null}
+          >
+            {revoking === 'others' ? 'Signing out...' : 'Sign Out All Other Sessions'}
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
 // Social Link Form Component
 const SocialLinkForm = ({ link, onSubmit, onCancel }) => {
   const { register, handleSubmit, formState: { errors } } = useForm({
@@ -7,7 +7,8 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { adminAPI } from '@/services/api';
-import { ROUTES } from '@/config/constants';
+import { applyFieldErrors } from '@/services/errors';
+import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
@@ -25,6 +26,7 @@ const AdminPublicationEditor = () => {
     formState: { errors },
     setValue,
     reset,
+    setError,
   } = useForm({
     defaultValues: {
       name: '',
@@ -99,13 +101,18 @@ const AdminPublicationEditor = () => {
       }
 
       if (result.success) {
-        toast.success(`Publication ${isEditing ? 'updated' : 'created'} successfully`);
+        toast.success(
+          result.queued
+            ? SUCCESS_MESSAGES.SAVED_OFFLINE
+            : `Publication ${isEditing ? 'updated' : 'created'} successfully`
+        );
         navigate(ROUTES.ADMIN_PUBLICATIONS);
       } else {
         toast.error(result.message || 'Failed to save publication');
       }
     } catch (err) {
       console.error('Save error:', err);
+      applyFieldErrors(err, setError);
       toast.error(err.message || 'Failed to save publication');
     } finally {
       setSaving(false);
@@ -6,7 +6,7 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { adminAPI } from '@/services/api';
-import { ROUTES } from '@/config/constants';
+import { ROUTES, SUCCESS_MESSAGES } from '@/config/constants';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
 import { Helmet } from 'react-helmet-async';
@@ -55,7 +55,10 @@ const AdminPublicationList = () => {
 
     try {
       const result = await adminAPI.deletePublication(id);
-      if (result.success) {
+      if (result.queued) {
+        toast.info(SUCCESS_MESSAGES.SAVED_OFFLINE);
+        setPublications((current) => current.filter((publication) => publication.id !== id));
+      } else if (result.success) {
         toast.success('Publication deleted successfully');
         loadPublications();
       } else {
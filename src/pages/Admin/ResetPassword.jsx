@@ -0,0 +1,230 @@
+/**
+ * Admin Password Reset Page
+ * Without a token it asks for the account email and has a one-time link sent to it. The link
+ * opens this page again with `?token=` (or Firebase's `?oobCode=`), where a new password is
+ * chosen. Links expire after an hour and work once. The new password form is shared with the
+ * invitation page (see AcceptInvite).
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { Helmet } from 'react-helmet-async';
+import { adminAPI } from '@/services/api';
+import { ValidationError, applyFieldErrors } from '@/services/errors';
+import { clearLoginFailures } from '@/services/loginThrottle';
+import { isValidEmail, validatePasswordStrength } from '@/utils/validation';
+import { ROUTES } from '@/config/constants';
+
+const RequestResetForm = () => {
+  const [sentTo, setSentTo] = useState('');
+  const [error, setError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      setError('');
+      await adminAPI.requestPasswordReset(data.email.trim());
+      setSentTo(data.email.trim());
+    } catch (err) {
+      setError(err.message || 'Failed to send the reset link');
+    }
+  };
+
+  if (sentTo) {
+    return (
+      <div className="success-message" role="status">
+        If {sentTo} belongs to an admin account, a reset link is on its way. It expires in an
+        hour. Check your spam folder if it does not arrive.
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit(onSubmit)} className="login-form">
+        <div className="form-group">
+          <label htmlFor="email">Email Address</label>
+          <input
+            type="email"
+            id="email"
+            placeholder="Enter your email"
+            {...register('email', {
+              required: 'Email is required',
+              validate: (value) => isValidEmail(value) || 'Invalid email address',
+            })}
+            autoComplete="email"
+          />
+          {errors.email && <span className="error">{errors.email.message}</span>}
+        </div>
+
+        <button type="submit" className="btn btn-primary btn-block" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <span className="login-spinner"></span>
+              Sending...
+            </>
+          ) : (
+            'Send Reset Link'
+          )}
+        </button>
+      </form>
+    </>
+  );
+};
+
+/**
+ * Sets a password with the token of a reset or invitation link. `save` is the adminAPI call;
+ * `invalidLink` is shown instead of the form once the backend rejects the token.
+ */
+export const NewPasswordForm = ({
+  token,
+  save = adminAPI.resetPassword,
+  successMessage = 'Password reset. Sign in with your new password.',
+  submitLabel = 'Set New Password',
+  invalidLink = (
+    <>
+      This reset link is invalid or has expired.{' '}
+      <Link to={ROUTES.ADMIN_RESET_PASSWORD}>Request a new one</Link>.
+    </>
+  ),
+}) => {
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const [linkInvalid, setLinkInvalid] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    setError: setFieldError,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      setError('');
+      const result = await save(token, data.newPassword, data.confirmPassword);
+      // A fresh password should not stay behind an earlier lockout
+      if (result.data?.email) clearLoginFailures(result.data.email);
+      toast.success(successMessage);
+      navigate(ROUTES.ADMIN_LOGIN, { replace: true });
+    } catch (err) {
+      if (err instanceof ValidationError && err.fieldErrors.token) {
+        setLinkInvalid(true);
+        return;
+      }
+      if (!applyFieldErrors(err, setFieldError)) {
+        setError(err.message || 'Failed to reset password');
+      }
+    }
+  };
+
+  if (linkInvalid) {
+    return (
+      <div className="error-message" role="alert">
+        {invalidLink}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit(onSubmit)} className="login-form">
+        <div className="form-group">
+          <label htmlFor="newPassword">New Password</label>
+          <input
+            type="password"
+            id="newPassword"
+            placeholder="Enter your new password"
+            {...register('newPassword', {
+              validate: (value) => {
+                const check = validatePasswordStrength(value);
+                return check.valid || check.message;
+              },
+            })}
+            autoComplete="new-password"
+          />
+          {errors.newPassword && <span className="error">{errors.newPassword.message}</span>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="confirmPassword">Confirm New Password</label>
+          <input
+            type="password"
+            id="confirmPassword"
+            placeholder="Enter the new password again"
+            {...register('confirmPassword', {
+              required: 'Please confirm your new password',
+              validate: (value) => value === getValues('newPassword') || 'Passwords do not match',
+            })}
+            autoComplete="new-password"
+          />
+          {errors.confirmPassword && (
+            <span className="error">{errors.confirmPassword.message}</span>
+          )}
+        </div>
+
+        <button type="submit" className="btn btn-primary btn-block" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <span className="login-spinner"></span>
+              Saving...
+            </>
+          ) : (
+            submitLabel
+          )}
+        </button>
+      </form>
+    </>
+  );
+};
+
+const AdminResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || searchParams.get('oobCode');
+
+  return (
+    <>
+      <Helmet>
+        <title>Reset Password</title>
+      </Helmet>
+
+      <div className="admin-login-page">
+        <div className="login-container">
+          <div className="login-card">
+            <div className="login-header">
+              <div className="login-logo">
+                <span className="logo-icon">🔑</span>
+                <h1>Reset Password</h1>
+              </div>
+              <p className="login-subtitle">
+                {token
+                  ? 'Choose a new password for your account'
+                  : 'We will email you a link to choose a new password'}
+              </p>
+            </div>
+
+            {token ? <NewPasswordForm token={token} /> : <RequestResetForm />}
+
+            <p className="login-footer">
+              <Link to={ROUTES.ADMIN_LOGIN}>Back to sign in</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AdminResetPassword;
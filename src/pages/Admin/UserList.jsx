@@ -1,59 +1,137 @@
 /**
  * Admin User List
- * Manage all users (view, add, delete) - Super Admin only
+ * Manage all users (invite, add, edit, disable, force a password reset and lift it, sign out
+ * everywhere, delete) and whether every admin must use two-factor authentication. The route requires the
+ * manage users permission.
  */
 
 import { useState, useEffect } from 'react';
 import { adminAPI } from '@/services/api';
-import { ROUTES } from '@/config/constants';
+import { applyFieldErrors } from '@/services/errors';
+import { ROLES, ROLE_DESCRIPTIONS, ROLE_LABELS } from '@/config/permissions';
+import { useAuth } from '@/context/AuthContext';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
+import Modal from '@/components/Modal';
 import { Helmet } from 'react-helmet-async';
 import { useForm } from 'react-hook-form';
 import { isValidEmail } from '@/utils/validation';
 import { sanitizeInput } from '@/utils/sanitize';
+import { formatDateTime } from '@/utils/dateFormatter';
+
+const EDIT_FORM_ID = 'edit-user-form';
+
+/**
+ * The badge for where the account stands
+ */
+const getUserStatus = (user) => {
+  if (user.invite_pending) return { label: 'Invited', className: 'status-draft' };
+  if (user.disabled) return { label: 'Disabled', className: 'status-archived' };
+  if (user.password_reset_required) return { label: 'Reset required', className: 'status-draft' };
+  return { label: 'Active', className: 'status-published' };
+};
+
+/**
+ * Name and role of a user. Nobody changes their own role, so a super admin always remains.
+ */
+const EditUserModal = ({ user, isSelf, onSaved, onClose }) => {
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({ defaultValues: { name: user.name || '', role: user.role } });
+
+  const onSubmit = async (data) => {
+    try {
+      const changes = sanitizeInput(isSelf ? { name: data.name } : data);
+      const result = await adminAPI.updateUser(user.id, changes);
+      toast.success(`${user.email} updated`);
+      onSaved(result.data);
+    } catch (err) {
+      console.error('Error updating user:', err);
+      if (!applyFieldErrors(err, setError)) {
+        toast.error(err.message || 'Failed to update user');
+      }
+    }
+  };
+
+  const footer = (
+    <>
+      <button type="button" className="btn btn-outline" onClick={onClose}>
+        Cancel
+      </button>
+      <button type="submit" form={EDIT_FORM_ID} className="btn btn-primary" disabled={isSubmitting}>
+        {isSubmitting ? 'Saving...' : 'Save'}
+      </button>
+    </>
+  );
+
+  return (
+    <Modal title={`Edit ${user.email}`} onClose={onClose} footer={footer}>
+      <form id={EDIT_FORM_ID} onSubmit={handleSubmit(onSubmit)}>
+        <div className="form-group">
+          <label htmlFor="edit-name">Name</label>
+          <input type="text" id="edit-name" autoFocus {...register('name')} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="edit-role">Role</label>
+          <select id="edit-role" disabled={isSelf} {...register('role')}>
+            {Object.values(ROLES).map((role) => (
+              <option key={role} value={role}>
+                {ROLE_LABELS[role]} – {ROLE_DESCRIPTIONS[role]}
+              </option>
+            ))}
+          </select>
+          {isSelf && <small>You cannot change your own role</small>}
+          {errors.role && <span className="error-message">{errors.role.message}</span>}
+        </div>
+      </form>
+    </Modal>
+  );
+};
 
 const AdminUserList = () => {
+  const { user: currentUser } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isSuperAdmin, setIsSuperAdmin] = useState(false);
+  // The user an action is running for
+  const [busyId, setBusyId] = useState(null);
+  const [editingUser, setEditingUser] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showInviteForm, setShowInviteForm] = useState(false);
+  // The last invitation sent: `{ email, link }`, for passing the link on by hand
+  const [invitation, setInvitation] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  // null when the backend has no security settings (e.g. Firestore)
+  const [security, setSecurity] = useState(null);
+  const [savingSecurity, setSavingSecurity] = useState(false);
 
   const {
     register,
     handleSubmit,
     formState: { errors },
     reset,
-  } = useForm();
+    setError: setFieldError,
+  } = useForm({ defaultValues: { role: ROLES.EDITOR } });
+
+  const {
+    register: registerInvite,
+    handleSubmit: handleInviteSubmit,
+    formState: { errors: inviteErrors, isSubmitting: inviting },
+    reset: resetInvite,
+    setError: setInviteFieldError,
+  } = useForm({ defaultValues: { role: ROLES.EDITOR } });
 
   useEffect(() => {
-    checkSuperAdmin();
     loadUsers();
+    adminAPI
+      .getSecuritySettings()
+      .then((response) => setSecurity(response.data))
+      .catch((err) => console.error('Error loading security settings:', err));
   }, []);
 
-  const checkSuperAdmin = async () => {
-    try {
-      const result = await adminAPI.checkSuperAdmin();
-      if (result.success && result.data?.isSuperAdmin) {
-        setIsSuperAdmin(true);
-      } else {
-        // Not super admin - redirect to dashboard
-        toast.error('Access denied. Only super admin can manage users.');
-        setTimeout(() => {
-          window.location.href = ROUTES.ADMIN_DASHBOARD;
-        }, 2000);
-      }
-    } catch (err) {
-      console.error('Error checking super admin:', err);
-      toast.error('Failed to verify permissions');
-      setTimeout(() => {
-        window.location.href = ROUTES.ADMIN_DASHBOARD;
-      }, 2000);
-    }
-  };
-
   const loadUsers = async () => {
     try {
       setLoading(true);
@@ -97,12 +175,162 @@ const AdminUserList = () => {
       }
     } catch (err) {
       console.error('Error creating user:', err);
+      applyFieldErrors(err, setFieldError);
       toast.error(err.message || 'Failed to create user');
     } finally {
       setSubmitting(false);
     }
   };
 
+  const replaceUser = (updated) => {
+    if (!updated) return;
+    setUsers((current) => current.map((u) => (u.id === updated.id ? updated : u)));
+  };
+
+  const onInvite = async (data) => {
+    try {
+      const result = await adminAPI.inviteUser(sanitizeInput(data));
+      toast.success(`Invitation sent to ${result.data.user.email}`);
+      setInvitation({ email: result.data.user.email, link: result.data.inviteLink });
+      resetInvite();
+      setShowInviteForm(false);
+      loadUsers();
+    } catch (err) {
+      console.error('Error inviting user:', err);
+      if (!applyFieldErrors(err, setInviteFieldError)) {
+        toast.error(err.message || 'Failed to send the invitation');
+      }
+    }
+  };
+
+  const handleResendInvite = async (user) => {
+    try {
+      setBusyId(user.id);
+      const result = await adminAPI.inviteUser({
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      });
+      toast.success(`A new invitation is on its way to ${user.email}`);
+      setInvitation({ email: user.email, link: result.data.inviteLink });
+      replaceUser(result.data.user);
+    } catch (err) {
+      console.error('Error resending invitation:', err);
+      toast.error(err.message || 'Failed to resend the invitation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(invitation.link);
+      toast.success('Invitation link copied');
+    } catch {
+      toast.error('Could not copy. Select the link and copy it yourself.');
+    }
+  };
+
+  const handleToggleDisabled = async (user) => {
+    const disable = !user.disabled;
+    if (
+      disable &&
+      !window.confirm(`Disable ${user.email}? They will be signed out and cannot sign in until enabled again.`)
+    ) {
+      return;
+    }
+    try {
+      setBusyId(user.id);
+      const result = disable
+        ? await adminAPI.disableUser(user.id)
+        : await adminAPI.enableUser(user.id);
+      toast.success(`${user.email} ${disable ? 'disabled' : 'enabled'}`);
+      replaceUser(result.data);
+    } catch (err) {
+      console.error('Error updating user:', err);
+      toast.error(err.message || `Failed to ${disable ? 'disable' : 'enable'} user`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleForceReset = async (user) => {
+    if (
+      !window.confirm(
+        `Make ${user.email} choose a new password? They will be signed out and emailed a reset link; their current password stops working.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setBusyId(user.id);
+      const result = await adminAPI.forcePasswordReset(user.id);
+      toast.success(`${user.email} has been sent a password reset link`);
+      replaceUser(result.data);
+    } catch (err) {
+      console.error('Error forcing password reset:', err);
+      toast.error(err.message || 'Failed to reset the password');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLiftReset = async (user) => {
+    if (
+      !window.confirm(
+        `Let ${user.email} sign in again? Do this once they have chosen a new password, or to cancel the reset.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setBusyId(user.id);
+      const result = await adminAPI.liftPasswordReset(user.id);
+      toast.success(`${user.email} can sign in again`);
+      replaceUser(result.data);
+    } catch (err) {
+      console.error('Error lifting password reset:', err);
+      toast.error(err.message || 'Failed to lift the password reset');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Sign ${user.email} out on every device? They can sign in again right away.`)) {
+      return;
+    }
+    try {
+      setBusyId(user.id);
+      const result = await adminAPI.revokeUserSessions(user.id);
+      const count = result.data?.revoked ?? 0;
+      toast.success(`${user.email} was signed out of ${count} session${count === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      toast.error(err.message || 'Failed to sign the user out');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRequireTwoFactor = async (required) => {
+    try {
+      setSavingSecurity(true);
+      const result = await adminAPI.updateSecuritySettings({ require_two_factor: required });
+      setSecurity(result.data);
+      toast.success(
+        required
+          ? 'Two-factor authentication is now required for every admin'
+          : 'Two-factor authentication is now optional'
+      );
+    } catch (err) {
+      console.error('Error updating security settings:', err);
+      toast.error(err.fieldErrors?.require_two_factor || err.message || 'Failed to save');
+    } finally {
+      setSavingSecurity(false);
+    }
+  };
+
   const handleDelete = async (id, email) => {
     if (!window.confirm(`Are you sure you want to delete user "${email}"? This action cannot be undone.`)) {
       return;
@@ -126,16 +354,6 @@ const AdminUserList = () => {
     return <Loading fullScreen message="Loading users..." />;
   }
 
-  if (!isSuperAdmin) {
-    return (
-      <div className="admin-page">
-        <div className="admin-alert admin-alert-error">
-          <p>Access denied. Only super admin can manage users.</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <>
       <Helmet>
@@ -148,13 +366,21 @@ const AdminUserList = () => {
             <h1>Manage Users</h1>
             <p className="page-subtitle">Add and manage admin users</p>
           </div>
-          {!showAddForm && (
-            <button
-              onClick={() => setShowAddForm(true)}
-              className="btn btn-primary"
-            >
-              <span>➕</span> Add User
-            </button>
+          {!showAddForm && !showInviteForm && (
+            <div className="form-actions">
+              <button
+                onClick={() => setShowAddForm(true)}
+                className="btn btn-outline"
+              >
+                <span>➕</span> Add User
+              </button>
+              <button
+                onClick={() => setShowInviteForm(true)}
+                className="btn btn-primary"
+              >
+                <span>✉️</span> Invite User
+              </button>
+            </div>
           )}
         </div>
 
@@ -223,6 +449,20 @@ const AdminUserList = () => {
                   />
                 </div>
 
+                <div className="form-group">
+                  <label htmlFor="role">Role</label>
+                  <select id="role" {...register('role')}>
+                    {Object.values(ROLES).map((role) => (
+                      <option key={role} value={role}>
+                        {ROLE_LABELS[role]} – {ROLE_DESCRIPTIONS[role]}
+                      </option>
+                    ))}
+                  </select>
+                  {errors.role && (
+                    <span className="error-message">{errors.role.message}</span>
+                  )}
+                </div>
+
                 <div className="form-actions">
                   <button
                     type="button"
@@ -248,6 +488,140 @@ const AdminUserList = () => {
           </div>
         )}
 
+        {/* Invite User Form */}
+        {showInviteForm && (
+          <div className="admin-card" style={{ marginBottom: 'var(--space-8)' }}>
+            <div className="card-header">
+              <h2>Invite User</h2>
+              <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-2)' }}>
+                They get an email with a link to choose their own password. The link works for 7
+                days.
+              </p>
+            </div>
+            <div className="card-body">
+              <form onSubmit={handleInviteSubmit(onInvite)}>
+                <div className="form-group">
+                  <label htmlFor="invite-email">Email *</label>
+                  <input
+                    type="email"
+                    id="invite-email"
+                    {...registerInvite('email', {
+                      required: 'Email is required',
+                      validate: (value) => isValidEmail(value) || 'Invalid email address',
+                    })}
+                    placeholder="user@example.com"
+                    className={inviteErrors.email ? 'error' : ''}
+                  />
+                  {inviteErrors.email && (
+                    <span className="error-message">{inviteErrors.email.message}</span>
+                  )}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="invite-name">Name</label>
+                  <input
+                    type="text"
+                    id="invite-name"
+                    {...registerInvite('name')}
+                    placeholder="User's full name (optional)"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="invite-role">Role</label>
+                  <select id="invite-role" {...registerInvite('role')}>
+                    {Object.values(ROLES).map((role) => (
+                      <option key={role} value={role}>
+                        {ROLE_LABELS[role]} – {ROLE_DESCRIPTIONS[role]}
+                      </option>
+                    ))}
+                  </select>
+                  {inviteErrors.role && (
+                    <span className="error-message">{inviteErrors.role.message}</span>
+                  )}
+                </div>
+
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setShowInviteForm(false);
+                      resetInvite();
+                    }}
+                    className="btn btn-outline"
+                    disabled={inviting}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={inviting}
+                  >
+                    {inviting ? 'Sending...' : 'Send Invitation'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {invitation?.link && (
+          <div className="admin-card" style={{ marginBottom: 'var(--space-8)' }}>
+            <div className="card-header">
+              <h2>Invitation Sent</h2>
+            </div>
+            <div className="card-body">
+              <div className="form-group">
+                <label htmlFor="invite-link">
+                  If the email to {invitation.email} does not arrive, send them this link yourself
+                </label>
+                <input
+                  type="text"
+                  id="invite-link"
+                  value={invitation.link}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                />
+              </div>
+              <div className="form-actions">
+                <button type="button" className="btn btn-outline" onClick={() => setInvitation(null)}>
+                  Done
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleCopyInvite}>
+                  Copy Link
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {security && (
+          <div className="admin-card" style={{ marginBottom: 'var(--space-8)' }}>
+            <div className="card-header">
+              <h2>Security</h2>
+            </div>
+            <div className="card-body">
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-2)', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!security.require_two_factor}
+                    onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+                    disabled={savingSecurity}
+                    style={{ margin: 0, width: 'auto', cursor: 'pointer' }}
+                  />
+                  <span>Require two-factor authentication for every admin</span>
+                </label>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-secondary)', marginTop: 'var(--space-2)' }}>
+                  Admins without it can do nothing but set it up until they have. Turn it on for
+                  your own account first.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Users Table */}
         <div className="admin-card">
           <div className="card-header">
@@ -264,8 +638,10 @@ const AdminUserList = () => {
                     <tr>
                       <th>Email</th>
                       <th>Name</th>
-                      <th>Type</th>
-                      <th>Created</th>
+                      <th>Role</th>
+                      <th>Status</th>
+                      <th>2FA</th>
+                      <th>Last Login</th>
                       <th>Actions</th>
                     </tr>
                   </thead>
@@ -278,28 +654,95 @@ const AdminUserList = () => {
                         <td data-label="Name">
                           {user.name || 'N/A'}
                         </td>
-                        <td data-label="Type">
-                          <span className={`status-badge ${user.is_super_admin ? 'status-published' : 'status-draft'}`}>
-                            {user.is_super_admin ? 'Super Admin' : 'Admin'}
+                        <td data-label="Role">
+                          <span className={`status-badge ${user.role === ROLES.SUPER_ADMIN ? 'status-published' : 'status-draft'}`}>
+                            {ROLE_LABELS[user.role]}
                           </span>
                         </td>
-                        <td data-label="Created">
-                          {user.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A'}
+                        <td data-label="Status">
+                          <span className={`status-badge ${getUserStatus(user).className}`}>
+                            {getUserStatus(user).label}
+                          </span>
+                        </td>
+                        <td data-label="2FA">
+                          <span className={`status-badge ${user.two_factor_enabled ? 'status-published' : 'status-draft'}`}>
+                            {user.two_factor_enabled ? 'On' : 'Off'}
+                          </span>
+                        </td>
+                        <td data-label="Last Login">
+                          {user.last_login_at
+                            ? formatDateTime(user.last_login_at)
+                            : user.invite_pending
+                              ? `Invited ${user.invited_at ? formatDateTime(user.invited_at) : ''}`
+                              : 'Never'}
                         </td>
                         <td data-label="Actions">
-                          {!user.is_super_admin && (
-                            <button
-                              onClick={() => handleDelete(user.id || user.email, user.email)}
-                              className="btn btn-sm btn-danger"
-                            >
-                              Delete
-                            </button>
-                          )}
-                          {user.is_super_admin && (
-                            <span style={{ fontSize: 'var(--text-sm)', color: 'var(--text-tertiary)' }}>
-                              Cannot delete
-                            </span>
-                          )}
+                          <div className="table-actions">
+                            {user.id && (
+                              <button
+                                onClick={() => setEditingUser(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {user.invite_pending && (
+                              <button
+                                onClick={() => handleResendInvite(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                Resend Invite
+                              </button>
+                            )}
+                            {/* Nobody disables or resets themselves, so a super admin always remains */}
+                            {user.id && user.id !== currentUser?.id && !user.invite_pending && (
+                              <button
+                                onClick={() => handleForceReset(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                Reset Password
+                              </button>
+                            )}
+                            {user.id && user.id !== currentUser?.id && user.password_reset_required && (
+                              <button
+                                onClick={() => handleLiftReset(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                Allow Sign-in
+                              </button>
+                            )}
+                            {user.id && user.id !== currentUser?.id && !user.invite_pending && (
+                              <button
+                                onClick={() => handleRevokeSessions(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                Sign Out Everywhere
+                              </button>
+                            )}
+                            {user.id && user.id !== currentUser?.id && (
+                              <button
+                                onClick={() => handleToggleDisabled(user)}
+                                className="btn btn-sm btn-outline"
+                                disabled={busyId === user.id}
+                              >
+                                {user.disabled ? 'Enable' : 'Disable'}
+                              </button>
+                            )}
+                            {user.role !== ROLES.SUPER_ADMIN && (
+                              <button
+                                onClick={() => handleDelete(user.id || user.email, user.email)}
+                                className="btn btn-sm btn-danger"
+                                disabled={busyId === user.id}
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </div>
                         </td>
                       </tr>
                     ))}
@@ -314,6 +757,18 @@ const AdminUserList = () => {
           </div>
         </div>
       </div>
+
+      {editingUser && (
+        <EditUserModal
+          user={editingUser}
+          isSelf={editingUser.id === currentUser?.id}
+          onSaved={(updated) => {
+            replaceUser(updated);
+            setEditingUser(null);
+          }}
+          onClose={() => setEditingUser(null)}
+        />
+      )}
     </>
   );
 };
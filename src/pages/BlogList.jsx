@@ -3,10 +3,11 @@
  * Modern blog listing with filters, search, and pagination
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { formatDate } from '@/utils/dateFormatter';
 import { ROUTES, PAGINATION } from '@/config/constants';
 import Loading from '@/components/Loading';
@@ -28,11 +29,9 @@ const BlogList = () => {
   const currentPage = parseInt(searchParams.get('page') || '1', 10);
   const selectedCategory = searchParams.get('category') || '';
 
-  useEffect(() => {
-    loadData();
-  }, [currentPage, selectedCategory]);
+  useDataLoader((signal) => loadData(signal), [currentPage, selectedCategory]);
 
-  const loadData = async () => {
+  const loadData = async (signal) => {
     try {
       setLoading(true);
       setError(null);
@@ -52,10 +51,13 @@ const BlogList = () => {
       }
 
       const [postsData, categoriesData] = await Promise.all([
-        publicAPI.listPosts(params).catch(() => null),
-        publicAPI.getCategories().catch(() => null),
+        publicAPI.listPosts(params, { signal }).catch(() => null),
+        publicAPI.getCategories({ signal }).catch(() => null),
       ]);
 
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
+
       if (postsData?.success && postsData.data?.length > 0) {
         // Filter posts by type: show only 'news' or 'both' type posts
         let filteredPosts = postsData.data.filter(post => 
@@ -98,7 +100,9 @@ const BlogList = () => {
       setPosts([]);
       setCategories([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -252,11 +256,11 @@ const BlogList = () => {
                         {post.excerpt && (
                           <p className="post-excerpt">{post.excerpt}</p>
                         )}
-                        {post.tags && typeof post.tags === 'string' && post.tags.length > 0 && (
+                        {post.tags?.length > 0 && (
                           <div className="post-tags">
-                            {post.tags.split(',').slice(0, 3).map((tag, index) => (
+                            {post.tags.slice(0, 3).map((tag, index) => (
                               <span key={index} className="tag">
-                                {tag.trim()}
+                                {tag}
                               </span>
                             ))}
                           </div>
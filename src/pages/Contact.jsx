@@ -3,10 +3,11 @@
  * Modern contact form with comprehensive information
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { useForm } from 'react-hook-form';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { isValidEmail } from '@/utils/validation';
 import { toast } from 'react-toastify';
 import Loading from '@/components/Loading';
@@ -25,19 +26,20 @@ const Contact = () => {
     reset,
   } = useForm();
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  useDataLoader((signal) => loadData(signal), []);
 
-  const loadData = async () => {
+  const loadData = async (signal) => {
     try {
       setLoading(true);
 
       const [profileData, socialData] = await Promise.all([
-        publicAPI.getProfile().catch(() => null),
-        publicAPI.getSocialLinks().catch(() => null),
+        publicAPI.getProfile({ signal }).catch(() => null),
+        publicAPI.getSocialLinks({ signal }).catch(() => null),
       ]);
 
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
+
       // Use API data only - no mock fallbacks for dynamic content
       if (profileData?.success && profileData.data) {
         setProfile(profileData.data);
@@ -55,7 +57,9 @@ const Contact = () => {
       setProfile(null);
       setSocialLinks([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
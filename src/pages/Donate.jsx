@@ -3,10 +3,11 @@
  * Dynamic page showing account information and QR code for donations
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { toast } from 'react-toastify';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { ENV } from '@/config/env';
 import { BreadcrumbSchema } from '@/components/SEO/StructuredData';
 import Loading from '@/components/Loading';
@@ -15,14 +16,15 @@ const Donate = () => {
   const [loading, setLoading] = useState(true);
   const [donateInfo, setDonateInfo] = useState(null);
 
-  useEffect(() => {
-    loadDonateData();
-  }, []);
+  useDataLoader((signal) => loadDonateData(signal), []);
 
-  const loadDonateData = async () => {
+  const loadDonateData = async (signal) => {
     try {
       setLoading(true);
-      const donateData = await publicAPI.getDonateInfo().catch(() => null);
+      const donateData = await publicAPI.getDonateInfo({ signal }).catch(() => null);
+
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
 
       if (donateData?.success && donateData.data) {
         setDonateInfo(donateData.data);
@@ -55,7 +57,9 @@ const Donate = () => {
         additional_info: '',
       });
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -3,10 +3,11 @@
  * Hero section, featured posts, stats, and professional sections
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { formatDate } from '@/utils/dateFormatter';
 import { ROUTES } from '@/config/constants';
 import Loading from '@/components/Loading';
@@ -24,23 +25,24 @@ const Home = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  useDataLoader((signal) => loadData(signal), []);
 
-  const loadData = async () => {
+  const loadData = async (signal) => {
     try {
       setLoading(true);
       setError(null);
 
       const [profileData, postsData, socialData, awardsData, publicationsData] = await Promise.all([
-        publicAPI.getProfile().catch(() => null),
-        publicAPI.listPosts({ limit: 6, featured: 'true', status: 'published' }).catch(() => null),
-        publicAPI.getSocialLinks().catch(() => null),
-        publicAPI.getAwards().catch(() => null),
-        publicAPI.getPublications().catch(() => null),
+        publicAPI.getProfile({ signal }).catch(() => null),
+        publicAPI.listPosts({ limit: 6, featured: 'true', status: 'published' }, { signal }).catch(() => null),
+        publicAPI.getSocialLinks({ signal }).catch(() => null),
+        publicAPI.getAwards({ signal }).catch(() => null),
+        publicAPI.getPublications({ signal }).catch(() => null),
       ]);
 
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
+
       // Use API data only - no mock fallbacks for dynamic content
       if (profileData?.success && profileData.data) {
         setProfile(profileData.data);
@@ -80,7 +82,9 @@ const Home = () => {
       setAwards([]);
       setPublications([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -3,10 +3,11 @@
  * Showcase of featured stories and highlights
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { formatDate } from '@/utils/dateFormatter';
 import { ROUTES } from '@/config/constants';
 import Loading from '@/components/Loading';
@@ -20,11 +21,9 @@ const Portfolio = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  useDataLoader((signal) => loadData(signal), []);
 
-  const loadData = async () => {
+  const loadData = async (signal) => {
     try {
       setLoading(true);
       setError(null);
@@ -38,10 +37,13 @@ const Portfolio = () => {
       };
 
       const [postsData, categoriesData] = await Promise.all([
-        publicAPI.listPosts(params).catch(() => null),
-        publicAPI.getCategories().catch(() => null),
+        publicAPI.listPosts(params, { signal }).catch(() => null),
+        publicAPI.getCategories({ signal }).catch(() => null),
       ]);
 
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
+
       // Filter posts by type: show only 'programs' or 'both' type posts
       if (postsData?.success && postsData.data?.length > 0) {
         let filteredPosts = postsData.data.filter(post => 
@@ -72,7 +74,9 @@ const Portfolio = () => {
       setPosts([]);
       setCategories([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -10,6 +10,7 @@ import ReactMarkdown from 'react-markdown';
 import ReactPlayer from 'react-player';
 import { toast } from 'react-toastify';
 import { publicAPI } from '@/services/api';
+import { useDataLoader } from '@/hooks/useDataLoader';
 import { formatDate, formatDateTime } from '@/utils/dateFormatter';
 import { sanitizeHtml } from '@/utils/sanitize';
 import Loading from '@/components/Loading';
@@ -26,13 +27,16 @@ const ProgramDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    if (slug) {
-      // Scroll to top immediately when slug changes
-      window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
-      loadPost();
-    }
-  }, [slug]);
+  useDataLoader(
+    (signal) => {
+      if (slug) {
+        // Scroll to top immediately when slug changes
+        window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+        loadPost(signal);
+      }
+    },
+    [slug]
+  );
 
   // Scroll to top after post loads to ensure we're at the top
   useEffect(() => {
@@ -44,12 +48,15 @@ const ProgramDetail = () => {
     }
   }, [post, loading]);
 
-  const loadPost = async () => {
+  const loadPost = async (signal) => {
     try {
       setLoading(true);
       setError(null);
 
-      const postData = await publicAPI.getPost(slug).catch(() => null);
+      const postData = await publicAPI.getPost(slug, { signal }).catch(() => null);
+
+      // Navigated away or params changed - a newer load owns the state
+      if (signal.aborted) return;
 
       if (postData?.success && postData.data) {
         const loadedPost = postData.data;
@@ -70,7 +77,8 @@ const ProgramDetail = () => {
             status: 'published',
             type: 'programs',
             exclude: loadedPost.id,
-          }).catch(() => null);
+          }, { signal }).catch(() => null);
+          if (signal.aborted) return;
           
           if (relatedData?.success && relatedData.data?.length > 0) {
             // Filter to only show programs or both type posts
@@ -92,7 +100,9 @@ const ProgramDetail = () => {
       console.error('Error loading program:', err);
       setError(err.message || 'Failed to load program');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
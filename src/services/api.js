@@ -1,467 +1,484 @@
 /**
  * API Service
- * Centralized API client with security, error handling, and retry logic
+ * publicAPI/adminAPI for the site and admin panel. Each call is an action that the configured
+ * driver carries to the backend (see ./drivers); this module adds what every backend shares:
+ * response validation, ApiErrors, caching, de-duplication, batching, session refresh and the
+ * offline outbox.
  */
 
-import axios from 'axios';
 import { API_CONFIG, API_ACTIONS, ERROR_MESSAGES } from '@/config/constants';
-import { tokenStorage, refreshTokenStorage } from '@/utils/storage';
+import {
+  tokenStorage,
+  refreshTokenStorage,
+  tokenExpiryStorage,
+  storeSessionTokens,
+  userStorage,
+} from '@/utils/storage';
 import { ENV } from '@/config/env';
+import { getDriver } from './drivers';
+import { toApiError } from './drivers/http';
+import { cachedRequest, invalidateForMutation, getCacheKey } from './apiCache';
+import { parseRecord, parseResponse } from './schemas';
+import { createBatcher } from './batch';
+import { enqueueMutation, getOutboxOwner, isQueueable, replayOutbox } from './outbox';
+import { readAsBase64, uploadInChunks } from './chunkedUpload';
+import { requestReLogin } from './reLogin';
+import {
+  ApiError,
+  AuthError,
+  CanceledError,
+  ConflictError,
+  NetworkError,
+  NotFoundError,
+  createEnvelopeError,
+} from './errors';
+
+const driver = getDriver();
 
-// Create axios instance
-const apiClient = axios.create({
-  baseURL: ENV.API_BASE_URL,
-  timeout: API_CONFIG.TIMEOUT,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-  // Google Apps Script redirects POST requests (302) - we need to follow redirects
-  maxRedirects: 5,
-  // Accept any status code including redirects (Google Apps Script redirects POST to GET)
-  validateStatus: function (status) {
-    // Accept redirects (3xx), success codes (2xx), and client errors (4xx)
-    return status >= 200 && status < 500;
-  },
-});
+/**
+ * Turns a response envelope into the value callers receive.
+ * Apps Script reports failures as 200 + { success: false }; both that and 4xx become ApiErrors.
+ * Successful payloads are validated and normalized for the action (ResponseSchemaError on drift).
+ */
+const settleEnvelope = (action, body, { status = 200, retryAfter } = {}) => {
+  if (status >= 400 || body?.success === false) {
+    const error = createEnvelopeError(body, { status, action, retryAfter });
+    if (error instanceof ConflictError) {
+      error.current = parseRecord(action, error.current);
+    }
+    throw error;
+  }
+  return parseResponse(action, body);
+};
 
-// Request interceptor - Add auth token
-apiClient.interceptors.request.use(
-  (config) => {
-    const token = tokenStorage.get();
-    
-    // For Google Apps Script, avoid Authorization header to prevent CORS preflight
-    // GET requests: Token should be in query params (adminAPI methods handle this)
-    // POST requests: Token should be in form data body (adminAPI methods handle this)
-    // We don't add Authorization header as it triggers CORS preflight for GET requests
-    // Note: adminAPI methods already add token to params/body, so we don't need to add it here
-    
-    // Only add default action for GET requests with params
-    // POST requests should have action in the body, not params
-    if (config.method === 'get' && config.params) {
-      // Only set default action if not already specified
-      if (!config.params.action) {
-        config.params.action = API_ACTIONS.LIST_POSTS;
-      }
-    } else if (config.method === 'get' && !config.params) {
-      // For GET requests without params, add default action
-      config.params = { action: API_ACTIONS.LIST_POSTS };
-    }
-    // For POST requests, don't modify params - action should be in body
-    
-    // Debug logging
-    if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-      console.log('API Request:', {
-        url: config.url,
-        method: config.method,
-        params: config.params,
-        data: config.data,
-        baseURL: config.baseURL,
-        hasToken: !!token,
-      });
-    }
-    
-    return config;
-  },
-  (error) => {
-    if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-      console.error('API Request Error:', error);
-    }
-    return Promise.reject(error);
+/**
+ * Logs developer diagnostics (CORS checklist, raw response) that are kept out of the message
+ */
+const logApiError = (apiError) => {
+  if ((ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) && !(apiError instanceof CanceledError)) {
+    console.error(`🚫 ${apiError.name} (${apiError.code}):`, apiError.message, apiError.details || '');
   }
-);
-
-// Response interceptor - Handle errors and token refresh
-apiClient.interceptors.response.use(
-  (response) => {
-    // Debug logging
-    if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-      console.log('📥 API Response:', {
-        url: response.config.url,
-        finalUrl: response.request?.responseURL || response.config.url,
-        status: response.status,
-        statusText: response.statusText,
-        data: response.data,
-        dataType: typeof response.data,
-        isString: typeof response.data === 'string',
-        isObject: typeof response.data === 'object',
-      });
-    }
-    
-    // Google Apps Script returns data directly, but sometimes as string
-    // After redirect, the response might be parsed automatically by axios
-    let responseData = response.data;
-    
-    // If data is already an object, return it directly (axios might have parsed it)
-    if (typeof responseData === 'object' && responseData !== null) {
-      // Check if it's already the JSON we want
-      if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-        console.log('📥 Response is already an object:', responseData);
-      }
-      return responseData;
-    }
-    
-    // If data is a string, try to parse it as JSON
-    if (typeof responseData === 'string') {
-      // Trim whitespace first
-      responseData = responseData.trim();
-      
-      // If empty string, return empty object
-      if (responseData === '') {
-        console.warn('⚠️ Empty response received');
-        return {};
-      }
-      
-      try {
-        const parsed = JSON.parse(responseData);
-        if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-          console.log('📥 Parsed response data from string:', parsed);
-        }
-        return parsed;
-      } catch (e) {
-        // If parsing fails, it might be HTML (wrong URL) or plain text
-        if (responseData.includes('<!doctype html>') || responseData.includes('<html>')) {
-          console.error('❌ Received HTML instead of JSON. API URL might be incorrect.');
-          throw new Error('API returned HTML instead of JSON. Please check VITE_API_BASE_URL in .env file.');
-        }
-        // Return as-is if it's not JSON
-        if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-          console.warn('⚠️ Response is not JSON:', responseData.substring(0, 100));
-        }
-        // Try to return as error response
-        return {
-          success: false,
-          error: {
-            message: 'Invalid response format',
-            raw: responseData.substring(0, 200),
-          },
-        };
-      }
+  return apiError;
+};
+
+// A 401 from these means the credentials themselves were rejected, so no refresh is attempted.
+// Signing out needs no live session either.
+const NO_REFRESH_ACTIONS = [
+  API_ACTIONS.LOGIN,
+  API_ACTIONS.LOGOUT,
+  API_ACTIONS.VERIFY_TWO_FACTOR,
+  API_ACTIONS.REFRESH_TOKEN,
+  API_ACTIONS.REQUEST_PASSWORD_RESET,
+  API_ACTIONS.RESET_PASSWORD,
+  API_ACTIONS.ACCEPT_INVITE,
+];
+
+// Envelope backends answer 200 for an expired token, so its code counts like a 401
+const SESSION_ERROR_CODES = ['UNAUTHORIZED', 'INVALID_TOKEN', 'TOKEN_EXPIRED'];
+
+const isSessionError = (error, status) =>
+  status === 401 || (error instanceof AuthError && SESSION_ERROR_CODES.includes(error.code));
+
+/**
+ * Exchanges the stored refresh token for a new session and resolves with the new token.
+ * If the refresh token is rejected the admin is asked to sign in again (see reLogin.js);
+ * without that the session is cleared and admin pages go back to the login screen.
+ */
+const renewSession = async (action) => {
+  const refreshToken = refreshTokenStorage.get();
+  try {
+    if (!refreshToken) {
+      throw new Error('No refresh token available');
     }
-    
-    // Fallback: return the data as-is
-    return responseData;
-  },
-  async (error) => {
-    const originalRequest = error.config;
-    
-    // Debug logging
-    if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
-      console.error('API Error:', {
-        url: error.config?.url,
-        method: error.config?.method,
-        status: error.response?.status,
-        message: error.message,
-        code: error.code,
-        response: error.response?.data,
-        baseURL: error.config?.baseURL,
-        hasRequest: !!error.request,
-        hasResponse: !!error.response,
-      });
-    }
-    
-    // Check if API base URL is missing - but don't crash, just warn
-    if (!ENV.API_BASE_URL || ENV.API_BASE_URL === '') {
-      console.warn('API_BASE_URL is not set! API calls will fail. Using mock data as fallback.');
-      console.warn('To fix: Create .env.production file with REACT_APP_API_BASE_URL');
-      // Don't reject - let the calling code handle it with mock data
-      return Promise.reject({
-        message: 'API endpoint not configured. Using mock data.',
-        code: 'API_NOT_CONFIGURED',
-        useMockData: true,
-      });
-    }
-    
-    // Detect CORS errors early
-    if (!error.response && error.request) {
-      // No response but request was made - likely CORS or network issue
-      if (error.code === 'ERR_NETWORK' || 
-          error.message.includes('CORS') || 
-          error.message.includes('Access-Control') ||
-          error.message.includes('Cross-Origin')) {
-        const corsError = {
-          message: 'CORS Error: The server is blocking requests from this origin.\n\n' +
-                   'Please verify:\n' +
-                   '1. Google Apps Script Web App deployment: "Who has access" must be "Anyone"\n' +
-                   '2. Script Properties: ALLOWED_ORIGINS should include your origin\n' +
-                   '3. Redeploy the Web App after making changes\n' +
-                   '4. Check browser console for detailed CORS error message',
-          code: 'CORS_ERROR',
-          isCorsError: true,
-        };
-        console.error('🚫 CORS ERROR:', corsError);
-        return Promise.reject(corsError);
-      }
+
+    const response = await driver.write(API_ACTIONS.REFRESH_TOKEN, { refreshToken });
+    const { data } = settleEnvelope(API_ACTIONS.REFRESH_TOKEN, response.data, {
+      status: response.status,
+    });
+    if (!data?.token) {
+      throw new Error('Refresh response did not include a token');
     }
 
-    // Handle 401 Unauthorized - Try to refresh token
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
+    storeSessionTokens(data);
+    return data.token;
+  } catch (refreshError) {
+    // Offline says nothing about the session; keep it for when the connection is back
+    if (refreshError instanceof NetworkError) {
+      throw refreshError;
+    }
 
-      try {
-        const refreshToken = refreshTokenStorage.get();
-        if (!refreshToken) {
-          throw new Error('No refresh token available');
-        }
+    // Refresh tokens are single use, so another tab refreshing first makes ours fail
+    const storedRefreshToken = refreshTokenStorage.get();
+    if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+      return tokenStorage.get();
+    }
 
-        // Attempt to refresh token - use form data to avoid CORS
-        const params = new URLSearchParams();
-        params.append('action', API_ACTIONS.REFRESH_TOKEN);
-        params.append('refreshToken', refreshToken);
-        
-        const response = await axios.post(ENV.API_BASE_URL, params.toString(), {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        });
+    const token = await requestReLogin();
+    if (token) {
+      return token;
+    }
 
-        // Response might be string or object after redirect
-        let responseData = response.data;
-        if (typeof responseData === 'string') {
-          try {
-            responseData = JSON.parse(responseData);
-          } catch (e) {
-            throw new Error('Invalid response format');
-          }
-        }
+    // Refresh failed - clear storage and redirect to login
+    tokenStorage.remove();
+    refreshTokenStorage.remove();
+    tokenExpiryStorage.remove();
 
-        const { token, refreshToken: newRefreshToken } = responseData.data || responseData;
+    if (window.location.pathname.startsWith('/admin')) {
+      window.location.href = '/admin/login';
+    }
 
-        if (token) {
-          tokenStorage.set(token);
-          if (newRefreshToken) {
-            refreshTokenStorage.set(newRefreshToken);
-          }
+    throw new AuthError(ERROR_MESSAGES.UNAUTHORIZED, {
+      code: 'TOKEN_REFRESH_FAILED',
+      action,
+      cause: refreshError,
+    });
+  }
+};
 
-          // Retry original request with new token
-          // For GET requests, add token to params instead of headers
-          if (originalRequest.method === 'get' || originalRequest.method === 'GET') {
-            if (!originalRequest.params) {
-              originalRequest.params = {};
-            }
-            originalRequest.params.token = token;
-          } else {
-            // For POST requests, token should be in form data body
-            // The request will be retried with the token in the body
-            if (!originalRequest.params) {
-              originalRequest.params = {};
-            }
-            originalRequest.params.token = token;
-          }
-          return apiClient(originalRequest);
-        }
-      } catch (refreshError) {
-        // Refresh failed - clear storage and redirect to login
-        tokenStorage.remove();
-        refreshTokenStorage.remove();
-        
-        if (window.location.pathname.startsWith('/admin')) {
-          window.location.href = '/admin/login';
-        }
-        
-        return Promise.reject({
-          message: ERROR_MESSAGES.UNAUTHORIZED,
-          code: 'TOKEN_REFRESH_FAILED',
-        });
-      }
+// The refresh in progress; concurrent callers share it rather than spend the refresh token twice
+let pendingRefresh = null;
+
+const refreshSession = (action) => {
+  if (!pendingRefresh) {
+    pendingRefresh = renewSession(action).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+/**
+ * Sends one action through the driver and settles its envelope.
+ * `write: true` marks mutations, which successful responses turn into cache invalidations.
+ * A 401 (or an expired-token code) refreshes the session once and repeats the call with the
+ * new token.
+ */
+const sendAction = async (
+  action,
+  params = {},
+  { write = false, ...options } = {},
+  refreshed = false
+) => {
+  let status;
+  try {
+    const configError = driver.getConfigError?.(action);
+    if (configError) {
+      throw configError;
     }
 
-    // Handle other errors
-    const errorMessage = getErrorMessage(error);
-    return Promise.reject({
-      message: errorMessage,
-      code: error.response?.status || 'UNKNOWN_ERROR',
-      data: error.response?.data,
+    const response = await (write ? driver.write : driver.read)(action, params, options);
+    status = response.status;
+    const data = settleEnvelope(action, response.data, {
+      status,
+      retryAfter: Number(response.headers?.['retry-after']) || undefined,
     });
+
+    // Successful admin mutations make cached public reads stale
+    if (write && data?.success === true) {
+      invalidateForMutation(action);
+    }
+
+    return data;
+  } catch (error) {
+    if (isSessionError(error, status) && !refreshed && !NO_REFRESH_ACTIONS.includes(action)) {
+      const token = await refreshSession(action);
+      const retryParams = 'token' in params ? { ...params, token } : params;
+      return sendAction(action, retryParams, { write, ...options }, true);
+    }
+    throw logApiError(toApiError(error, action));
+  }
+};
+
+/**
+ * Reads an action described by its params (`{ action, ...params }`, the cache key format)
+ */
+const readAction = ({ action, ...params }, options) => sendAction(action, params, options);
+
+/**
+ * API Methods
+ * Every method takes a trailing `options` object that is passed through to the driver,
+ * e.g. `publicAPI.getProfile({ retry: false })`. Pass `{ signal }` (an AbortSignal) to cancel:
+ * the call then rejects with a CanceledError.
+ */
+
+// Reads currently on the wire, keyed by their params
+const inFlightRequests = new Map();
+
+/**
+ * Settles like `promise`, but rejects with a CanceledError as soon as `signal` aborts
+ */
+const withSignal = (promise, signal, action) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new CanceledError(undefined, { action }));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CanceledError(undefined, { action }));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Concurrent reads are bundled into one `batch` action when the driver supports it. Each entry
+ * of the batch response is an envelope that goes through the same validation as a standalone
+ * response. If the backend rejects the batch itself (e.g. UNKNOWN_ACTION on an older Apps
+ * Script deployment), the reads are retried individually and batching is off for the session.
+ */
+const batcher = createBatcher({
+  windowMs: API_CONFIG.BATCH_WINDOW,
+  maxSize: API_CONFIG.BATCH_MAX_SIZE,
+  sendSingle: (params, signal) => readAction(params, { signal }),
+  sendBatch: async (paramsList) => {
+    const response = await sendAction(API_ACTIONS.BATCH, {
+      requests: JSON.stringify(paramsList),
+    });
+    if (!Array.isArray(response.data) || response.data.length !== paramsList.length) {
+      throw new ApiError(undefined, { code: 'INVALID_RESPONSE', action: API_ACTIONS.BATCH });
+    }
+    return response.data.map((envelope, index) =>
+      Promise.resolve()
+        .then(() => settleEnvelope(paramsList[index].action, envelope))
+        .catch((error) => {
+          // Each entry carries the token, so an expired one is retried alone, which refreshes
+          if (isSessionError(error) && !NO_REFRESH_ACTIONS.includes(paramsList[index].action)) {
+            return readAction(paramsList[index]);
+          }
+          throw logApiError(error);
+        })
+    );
+  },
+  // Connectivity problems are not the backend's fault; anything else means no batch support
+  onBatchError: (error) => !(error instanceof NetworkError),
+});
+
+/**
+ * Read an action, coalescing identical concurrent calls.
+ * Calls with the same params while a request is pending share its promise,
+ * so components mounting together trigger a single backend request.
+ * Calls without custom options go through the batcher; `{ batch: false }` opts out.
+ * The shared request is only aborted once every caller that shares it has aborted; a caller
+ * without a signal keeps it alive.
+ */
+const dedupedGet = (params, { batch = true, signal, ...options } = {}) => {
+  const key = getCacheKey(params);
+  let entry = inFlightRequests.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    const request =
+      batch && driver.supportsBatch && Object.keys(options).length === 0
+        ? batcher.enqueue(params, controller.signal)
+        : readAction(params, { ...options, signal: controller.signal });
+    entry = {
+      controller,
+      callers: 0,
+      promise: request.finally(() => inFlightRequests.delete(key)),
+    };
+    inFlightRequests.set(key, entry);
+  }
+
+  entry.callers += 1;
+  if (!signal) {
+    return entry.promise;
   }
-);
+
+  const shared = entry;
+  signal.addEventListener(
+    'abort',
+    () => {
+      shared.callers -= 1;
+      if (shared.callers === 0) {
+        shared.controller.abort();
+      }
+    },
+    { once: true }
+  );
+  return withSignal(shared.promise, signal, params.action);
+};
 
 /**
- * Gets user-friendly error message
+ * Send a mutation through the driver's write path. The session token is added unless
+ * `withToken: false` is passed; other options go to the driver.
  */
-const getErrorMessage = (error) => {
-  // Check for CORS errors specifically
-  if (error.message && (
-    error.message.includes('CORS') || 
-    error.message.includes('Access-Control') ||
-    error.message.includes('Cross-Origin')
-  )) {
-    return 'CORS Error: The server is blocking requests from this origin. Please check:\n' +
-           '1. Google Apps Script Web App is deployed with "Who has access: Anyone"\n' +
-           '2. ALLOWED_ORIGINS in Script Properties includes your URL\n' +
-           '3. The Web App has been redeployed after updating CORS settings';
+const postAction = (action, payload = {}, { withToken = true, ...options } = {}) =>
+  sendAction(
+    action,
+    {
+      ...(withToken && { token: tokenStorage.get() || '' }),
+      ...payload,
+    },
+    { ...options, write: true }
+  );
+
+const queueMutation = async (action, payload) => {
+  const entry = await enqueueMutation(action, payload, getOutboxOwner(userStorage.get()));
+  return {
+    success: true,
+    queued: true,
+    data: { ...payload, ...(entry.tempId && { id: entry.tempId }) },
+  };
+};
+
+/**
+ * POST a create/update/delete that may be kept in the offline outbox (see outbox.js).
+ * When the browser is offline, or the request fails without reaching the server, the change
+ * is queued and the call resolves with `{ success: true, queued: true, data }`, where `data`
+ * echoes the payload (creates get a temporary id). Timeouts are not queued, since the server
+ * may already have applied the change.
+ */
+const queueableAction = async (action, payload, options = {}) => {
+  if (!isQueueable(action)) {
+    return postAction(action, payload, options);
   }
-  
-  // Check if it's a network/CORS error (request made but no response)
-  if (error.request && !error.response) {
-    // Check error code for CORS-related issues
-    if (error.code === 'ERR_NETWORK' || error.code === 'ERR_CANCELED') {
-      // This is likely a CORS error
-      return 'CORS Error: Unable to connect to server. The request was blocked by CORS policy.\n\n' +
-             'Please verify:\n' +
-             '1. Google Apps Script Web App deployment: "Who has access" must be "Anyone"\n' +
-             '2. Script Properties: ALLOWED_ORIGINS should include your origin\n' +
-             '3. Redeploy the Web App after making changes\n' +
-             '4. Check browser console for detailed CORS error message';
-    }
-    
-    // Check if it's a timeout
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      return 'Request timed out. Google Apps Script might be slow. Please try again.';
-    }
-    
-    // Generic network error
-    return ERROR_MESSAGES.NETWORK_ERROR;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return queueMutation(action, payload);
   }
-  
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
-
-    if (data?.error?.message) {
-      return data.error.message;
-    }
-
-    switch (status) {
-      case 400:
-        return ERROR_MESSAGES.VALIDATION_ERROR;
-      case 401:
-        return ERROR_MESSAGES.UNAUTHORIZED;
-      case 403:
-        return ERROR_MESSAGES.FORBIDDEN;
-      case 404:
-        return ERROR_MESSAGES.NOT_FOUND;
-      case 429:
-        return 'Too many requests. Please try again later.';
-      case 500:
-      case 502:
-      case 503:
-        return ERROR_MESSAGES.SERVER_ERROR;
-      default:
-        return ERROR_MESSAGES.GENERIC;
+
+  try {
+    return await postAction(action, payload, options);
+  } catch (error) {
+    if (!(error instanceof NetworkError) || error.code === 'TIMEOUT') {
+      throw error;
+    }
+    try {
+      return await queueMutation(action, payload);
+    } catch (queueError) {
+      console.error('Outbox error:', queueError);
+      throw error;
     }
   }
+};
 
-  return ERROR_MESSAGES.GENERIC;
+/**
+ * Public read through the stale-while-revalidate cache.
+ * Pass `{ cache: false }` in options to always hit the network.
+ */
+const cachedGet = (params, { cache = true, signal, ...options } = {}) => {
+  const request = (requestSignal) => dedupedGet(params, { ...options, signal: requestSignal });
+  return cache ? cachedRequest(params, request, { signal }) : request(signal);
 };
 
+// Cleared when the backend turns out not to know the chunked upload actions
+let chunkedUploads = true;
+
+// A backend without the action answers UNKNOWN_ACTION (Apps Script) or 404 (REST)
+const isUnsupportedAction = (error) =>
+  error.code === 'UNKNOWN_ACTION' || error instanceof NotFoundError;
+
 /**
- * API Methods
+ * Sends a whole file in one UPLOAD_MEDIA request: base64 in a form field for the Apps Script
+ * protocol (multipart/form-data would trigger a CORS preflight), or the File itself for drivers
+ * that accept files
  */
+const uploadWholeFile = async (file, onProgress, options = {}) => {
+  const payload = { fileName: file.name, fileType: file.type };
+  payload.file = driver.acceptsFiles ? file : await readAsBase64(file, options.signal);
+
+  const response = await postAction(API_ACTIONS.UPLOAD_MEDIA, payload, {
+    timeout: 120000, // 2 minutes for large files
+    ...options,
+    onUploadProgress: (event) => {
+      if (onProgress && event.total) {
+        const percent = Math.min(99, Math.floor((event.loaded / event.total) * 100));
+        onProgress(percent, { loaded: event.loaded, total: event.total });
+      }
+    },
+  });
+  onProgress?.(100, { loaded: file.size, total: file.size });
+  return response;
+};
 
 // Public API methods
 export const publicAPI = {
   /**
    * Get list of published posts
    */
-  listPosts: async (params = {}) => {
-    return apiClient.get('', {
-      params: {
+  listPosts: async (params = {}, options = {}) => {
+    return cachedGet(
+      {
         action: API_ACTIONS.LIST_POSTS,
         ...params,
       },
-    });
+      options
+    );
   },
 
   /**
    * Get single post by slug
    */
-  getPost: async (slug) => {
-    return apiClient.get('', {
-      params: {
+  getPost: async (slug, options = {}) => {
+    return cachedGet(
+      {
         action: API_ACTIONS.GET_POST,
         slug,
       },
-    });
+      options
+    );
   },
 
   /**
    * Get profile information
    */
-  getProfile: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_PROFILE,
-      },
-    });
+  getProfile: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_PROFILE }, options);
   },
 
   /**
    * Get social links
    */
-  getSocialLinks: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_SOCIAL_LINKS,
-      },
-    });
+  getSocialLinks: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_SOCIAL_LINKS }, options);
   },
 
   /**
    * Get categories
    */
-  getCategories: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_CATEGORIES,
-      },
-    });
+  getCategories: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_CATEGORIES }, options);
   },
 
   /**
    * Get tags
    */
-  getTags: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_TAGS,
-      },
-    });
+  getTags: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_TAGS }, options);
   },
 
   /**
    * Get awards
    */
-  getAwards: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_AWARDS,
-      },
-    });
+  getAwards: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_AWARDS }, options);
   },
 
   /**
    * Get publications
    */
-  getPublications: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_PUBLICATIONS,
-      },
-    });
+  getPublications: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_PUBLICATIONS }, options);
   },
 
   /**
    * Get donate information
    */
-  getDonateInfo: async () => {
-    return apiClient.get('', {
-      params: {
-        action: API_ACTIONS.GET_DONATE_INFO,
-      },
-    });
+  getDonateInfo: async (options = {}) => {
+    return cachedGet({ action: API_ACTIONS.GET_DONATE_INFO }, options);
   },
 
   /**
    * Search posts
    */
-  searchPosts: async (query, params = {}) => {
-    return apiClient.get('', {
-      params: {
+  searchPosts: async (query, params = {}, options = {}) => {
+    return cachedGet(
+      {
         action: API_ACTIONS.SEARCH_POSTS,
         query,
         ...params,
       },
-    });
+      options
+    );
   },
 };
 
@@ -470,199 +487,80 @@ export const adminAPI = {
   /**
    * Login
    */
-  login: async (email, password) => {
-    try {
-      // Check if API URL is configured
-      if (!ENV.API_BASE_URL || ENV.API_BASE_URL === '') {
-        const errorMsg = 'API_BASE_URL is not configured. Please set VITE_API_BASE_URL in your .env file.\n' +
-          'Note: In Vite, environment variables must use VITE_ prefix (not REACT_APP_).';
-        console.error(errorMsg);
-        throw new Error(errorMsg);
-      }
-
-      // Check if API URL is pointing to localhost (wrong!)
-      if (ENV.API_BASE_URL.includes('localhost:3000') || ENV.API_BASE_URL.includes('127.0.0.1:3000')) {
-        const errorMsg = 'API_BASE_URL is pointing to localhost:3000 (Vite dev server). This is incorrect!\n\n' +
-          'Please set VITE_API_BASE_URL to your Google Apps Script Web App URL:\n' +
-          'Example: https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec\n\n' +
-          'Current value: ' + ENV.API_BASE_URL + '\n\n' +
-          'Note: In Vite, use VITE_ prefix, not REACT_APP_';
-        console.error('❌', errorMsg);
-        throw new Error('API_BASE_URL is incorrectly configured. Please set VITE_API_BASE_URL to your Google Apps Script URL.');
-      }
-
-      console.log('🔐 Attempting login:', {
-        email,
-        apiUrl: ENV.API_BASE_URL,
-        payload: { action: API_ACTIONS.LOGIN, email, password: '***' }
-      });
-
-      // WORKAROUND: Use URLSearchParams to avoid CORS preflight issue
-      // Google Apps Script Web Apps have known issues with POST + JSON Content-Type
-      // URLSearchParams (application/x-www-form-urlencoded) doesn't trigger preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.LOGIN);
-      params.append('email', email);
-      params.append('password', password);
-
-      // Make sure we're not adding params to POST requests
-      // Increase timeout for Google Apps Script which can be slow
-      const response = await apiClient.post('', params.toString(), {
-        // Explicitly don't add params to POST requests
-        params: {},
+  login: async (email, password, options = {}) => {
+    // Increase timeout for Google Apps Script which can be slow.
+    // Failures reject with an ApiError (AuthError for bad credentials, ConfigurationError, ...)
+    return postAction(
+      API_ACTIONS.LOGIN,
+      { email, password },
+      {
+        withToken: false,
         timeout: 60000, // 60 seconds for Google Apps Script
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded', // This doesn't trigger preflight
-        },
-        validateStatus: function (status) {
-          // Accept any status code as valid (Google Apps Script might return 200 even on errors)
-          return status >= 200 && status < 500;
-        },
-      });
-      
-      console.log('✅ Login response received:', response);
-      console.log('Response status:', response?.status || 'no status');
-      console.log('Response data type:', typeof response);
-      console.log('Response data:', response);
-      
-      return response;
-    } catch (error) {
-      console.error('❌ Login error:', error);
-      
-      // Check if response is HTML (means wrong URL)
-      if (error.response && typeof error.response.data === 'string' && error.response.data.includes('<!doctype html>')) {
-        const errorMsg = 'Received HTML instead of JSON response. This means API_BASE_URL is pointing to the wrong URL.\n\n' +
-          'Current API_BASE_URL: ' + ENV.API_BASE_URL + '\n\n' +
-          'This should be your Google Apps Script Web App URL, not localhost!\n' +
-          'Example: https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec\n\n' +
-          'Please update VITE_API_BASE_URL in your .env file and restart the dev server.\n' +
-          'Note: In Vite, use VITE_ prefix, not REACT_APP_';
-        console.error('❌', errorMsg);
-        throw new Error('API URL is incorrect - receiving HTML instead of JSON. Please set VITE_API_BASE_URL to your Google Apps Script URL.');
+        ...options,
       }
-
-      // Detailed error logging
-      if (error.response) {
-        // Server responded with error status
-        console.error('Server Error Response:', {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data,
-          headers: error.response.headers,
-        });
-      } else if (error.request) {
-        // Request was made but no response received - likely CORS or network issue
-        console.error('❌ No Response Received:', {
-          message: error.message,
-          code: error.code,
-          request: error.request,
-          url: error.config?.url,
-          method: error.config?.method,
-        });
-        
-        // Check for CORS error
-        if (error.code === 'ERR_NETWORK' || error.message.includes('CORS') || error.message.includes('Access-Control')) {
-          console.error('🚫 CORS ERROR DETECTED!');
-          console.error('This means the browser blocked the request due to CORS policy.');
-          console.error('');
-          console.error('🔧 FIX STEPS:');
-          console.error('1. Go to Google Apps Script → Deploy → Manage deployments');
-          console.error('2. Click Edit (pencil icon) on your Web App');
-          console.error('3. Make sure "Who has access" is set to "Anyone" (NOT "Only myself")');
-          console.error('4. Click "Deploy" to save');
-          console.error('5. In Script Properties, set ALLOWED_ORIGINS to:');
-          console.error('   http://localhost:3000,http://localhost:5173,https://epabitra3.github.io');
-          console.error('6. Redeploy the Web App');
-          console.error('7. Clear browser cache and try again');
-        } else {
-          console.error('This usually means:');
-          console.error('1. Request timed out - Google Apps Script might be slow');
-          console.error('2. CORS issue - check Google Apps Script CORS settings');
-          console.error('3. Network connectivity issue');
-          console.error('4. Google Apps Script not deployed or URL is wrong');
-          console.error('5. Google Apps Script execution error - check execution log');
-        }
-        
-        // Check if it's a timeout
-        if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-          console.error('⏱️ Request timed out. Google Apps Script might be taking too long to respond.');
-          console.error('💡 Try:');
-          console.error('   - Check Google Apps Script execution log for errors');
-          console.error('   - Verify the script is deployed correctly');
-          console.error('   - Check if Script Properties are set correctly');
-        }
-      } else {
-        // Error setting up the request
-        console.error('Request Setup Error:', error.message);
-      }
-      
-      // Provide user-friendly error message
-      let userMessage = 'Login failed. ';
-      
-      // Check for CORS error first
-      if (error.code === 'ERR_NETWORK' || 
-          error.message.includes('CORS') || 
-          error.message.includes('Access-Control') ||
-          (!error.response && error.request)) {
-        userMessage = 'CORS Error: Unable to connect to server.\n\n';
-        userMessage += 'The request was blocked by CORS policy. Please:\n';
-        userMessage += '1. Go to Google Apps Script → Deploy → Manage deployments\n';
-        userMessage += '2. Edit your Web App deployment\n';
-        userMessage += '3. Set "Who has access" to "Anyone" (NOT "Only myself")\n';
-        userMessage += '4. Redeploy the Web App\n';
-        userMessage += '5. Check Script Properties: ALLOWED_ORIGINS should include your URL\n';
-        userMessage += '6. Clear browser cache and try again';
-      } else if (error.code === 'ECONNABORTED') {
-        userMessage += 'Request timed out. Please check your internet connection and try again.';
-      } else if (error.response?.status === 401) {
-        userMessage += 'Invalid email or password.';
-      } else if (error.response?.status >= 500) {
-        userMessage += 'Server error. Please try again later.';
-      } else {
-        userMessage += error.message || 'Unknown error occurred.';
-      }
-      
-      throw new Error(userMessage);
-    }
+    );
   },
 
+  /**
+   * Second sign-in step: the `challenge` from login plus an authenticator or backup code.
+   * Resolves with the session like login does.
+   */
+  verifyTwoFactor: async (challenge, code, options = {}) =>
+    postAction(
+      API_ACTIONS.VERIFY_TWO_FACTOR,
+      { challenge, code },
+      { timeout: 60000, ...options, withToken: false }
+    ),
+
   /**
    * Logout
    */
-  logout: async () => {
+  logout: async (options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.LOGOUT);
-      params.append('token', token || '');
-      
-      await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
+      await postAction(API_ACTIONS.LOGOUT, {}, options);
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       tokenStorage.remove();
       refreshTokenStorage.remove();
+      tokenExpiryStorage.remove();
+    }
+  },
+
+  /**
+   * Replay the signed-in admin's mutations queued in the offline outbox, oldest first.
+   * Resolves with `{ synced, pending, conflicts }`.
+   */
+  syncOutbox: async () => {
+    try {
+      const owner = getOutboxOwner(userStorage.get());
+      return await replayOutbox((action, payload) => {
+        // Someone else signed in while replaying: their token must not send these
+        if (getOutboxOwner(userStorage.get()) !== owner) {
+          throw new AuthError('Signed in as someone else', { action });
+        }
+        return postAction(action, payload);
+      }, owner);
+    } catch (error) {
+      console.error('Sync outbox error:', error);
+      throw error;
     }
   },
 
   /**
    * List posts (admin version - can see all statuses)
    */
-  listPosts: async (params = {}) => {
+  listPosts: async (params = {}, options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.LIST_POSTS,
           token,
           ...params,
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('List posts error:', error);
       throw error;
@@ -672,30 +570,32 @@ export const adminAPI = {
   /**
    * Get single post by ID (admin version)
    */
-  getPost: async (id) => {
+  getPost: async (id, options = {}) => {
     try {
       const token = tokenStorage.get();
       // First try to get by ID, if not found try by slug
-      const response = await apiClient.get('', {
-        params: {
+      const response = await dedupedGet(
+        {
           action: API_ACTIONS.GET_POST,
           id,
           token,
         },
-      });
+        options
+      );
       return response;
     } catch (error) {
       console.error('Get post error:', error);
       // If ID lookup fails, try slug lookup
       try {
         const token = tokenStorage.get();
-        return apiClient.get('', {
-          params: {
+        return await dedupedGet(
+          {
             action: API_ACTIONS.GET_POST,
             slug: id,
             token,
           },
-        });
+          options
+        );
       } catch (slugError) {
         throw error;
       }
@@ -705,32 +605,9 @@ export const adminAPI = {
   /**
    * Create new post
    */
-  createPost: async (postData) => {
+  createPost: async (postData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_POST);
-      params.append('token', token || '');
-      
-      // Add all post data fields
-      Object.keys(postData).forEach(key => {
-        const value = postData[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value)) {
-            params.append(key, value.join(', '));
-          } else {
-            params.append(key, String(value));
-          }
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.CREATE_POST, postData, options);
     } catch (error) {
       console.error('Create post error:', error);
       throw error;
@@ -738,35 +615,13 @@ export const adminAPI = {
   },
 
   /**
-   * Update existing post
+   * Update existing post.
+   * Include the `version` the editor loaded: if someone saved the post since, the call rejects
+   * with a ConflictError whose `current` is the stored post. Omit it to overwrite blindly.
    */
-  updatePost: async (id, postData) => {
+  updatePost: async (id, postData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_POST);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      // Add all post data fields
-      Object.keys(postData).forEach(key => {
-        const value = postData[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value)) {
-            params.append(key, value.join(', '));
-          } else {
-            params.append(key, String(value));
-          }
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.UPDATE_POST, { ...postData, id }, options);
     } catch (error) {
       console.error('Update post error:', error);
       throw error;
@@ -776,21 +631,9 @@ export const adminAPI = {
   /**
    * Delete post
    */
-  deletePost: async (id) => {
+  deletePost: async (id, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_POST);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.DELETE_POST, { id }, options);
     } catch (error) {
       console.error('Delete post error:', error);
       throw error;
@@ -798,71 +641,60 @@ export const adminAPI = {
   },
 
   /**
-   * Upload media file
-   * WORKAROUND: Convert file to base64 and send as URL-encoded form data
-   * This avoids CORS preflight issues with multipart/form-data
+   * Delete several posts at once.
+   * Resolves with `data: { results: [{ id, success, error }], succeeded, failed }`; posts that
+   * could not be deleted are reported per item instead of rejecting the whole call.
    */
-  uploadMedia: async (file, onProgress) => {
+  bulkDeletePosts: async (ids, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      
-      // Convert file to base64 to avoid CORS preflight with multipart/form-data
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = async () => {
-          try {
-            // Get base64 string (remove data:type;base64, prefix)
-            const base64String = reader.result.split(',')[1];
-            const fileName = file.name;
-            const fileType = file.type;
-            
-            // Simulate progress for base64 conversion
-            if (onProgress) {
-              onProgress(30); // Conversion complete
-            }
-            
-            // Use URL-encoded form data (doesn't trigger preflight)
-            // Note: URLSearchParams automatically URL-encodes values, which is good for base64
-            const params = new URLSearchParams();
-            params.append('action', API_ACTIONS.UPLOAD_MEDIA);
-            params.append('token', token || '');
-            // Base64 string will be automatically URL-encoded by URLSearchParams
-            // This is safe - Google Apps Script will decode it automatically
-            params.append('file', base64String);
-            params.append('fileName', fileName);
-            params.append('fileType', fileType);
-            
-            // Simulate progress
-            if (onProgress) {
-              onProgress(50);
-            }
-            
-            const response = await apiClient.post('', params.toString(), {
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-              },
-              timeout: 120000, // 2 minutes for large files
-            });
-            
-            if (onProgress) {
-              onProgress(100);
-            }
-            
-            resolve(response);
-          } catch (error) {
-            console.error('Upload media error:', error);
-            reject(error);
-          }
-        };
-        
-        reader.onerror = () => {
-          reject(new Error('Failed to read file'));
-        };
-        
-        // Start reading file as base64
-        reader.readAsDataURL(file);
-      });
+      return await postAction(API_ACTIONS.BULK_DELETE_POSTS, { ids }, options);
+    } catch (error) {
+      console.error('Bulk delete posts error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply the same changes to several posts.
+   * `changes` accepts `status`, `category`, `addTags` and `removeTags` (arrays of tag names).
+   * Resolves with the same per-item report as bulkDeletePosts.
+   */
+  bulkUpdatePosts: async (ids, changes, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.BULK_UPDATE_POSTS, { ids, changes }, options);
+    } catch (error) {
+      console.error('Bulk update posts error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Upload a media file and resolve with the media record (`data.url`).
+   * Files go up in chunks (see chunkedUpload.js): `onProgress(percent, { loaded, total })`
+   * follows the bytes sent, failed chunks are retried, and uploading the same file again after
+   * an interruption resumes it. Backends without chunked uploads get the whole file in one
+   * request, and drivers that accept File objects (Firestore) upload it directly.
+   * Aborting `options.signal` cancels the upload.
+   */
+  uploadMedia: async (file, onProgress, options = {}) => {
+    try {
+      if (driver.acceptsFiles || !chunkedUploads) {
+        return await uploadWholeFile(file, onProgress, options);
+      }
+      try {
+        return await uploadInChunks(file, {
+          send: (action, payload, sendOptions) =>
+            postAction(action, payload, { ...options, ...sendOptions }),
+          onProgress,
+          signal: options.signal,
+        });
+      } catch (error) {
+        if (error.action !== API_ACTIONS.START_UPLOAD || !isUnsupportedAction(error)) {
+          throw error;
+        }
+        chunkedUploads = false;
+        return await uploadWholeFile(file, onProgress, options);
+      }
     } catch (error) {
       console.error('Upload media error:', error);
       throw error;
@@ -872,15 +704,16 @@ export const adminAPI = {
   /**
    * Get categories (admin version)
    */
-  getCategories: async () => {
+  getCategories: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_CATEGORIES,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get categories error:', error);
       throw error;
@@ -890,32 +723,9 @@ export const adminAPI = {
   /**
    * Create category
    */
-  createCategory: async (categoryData) => {
+  createCategory: async (categoryData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_CATEGORY);
-      params.append('token', token || '');
-      
-      // Add all category data fields
-      Object.keys(categoryData).forEach(key => {
-        const value = categoryData[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value)) {
-            params.append(key, value.join(', '));
-          } else {
-            params.append(key, String(value));
-          }
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.CREATE_CATEGORY, categoryData, options);
     } catch (error) {
       console.error('Create category error:', error);
       throw error;
@@ -923,35 +733,11 @@ export const adminAPI = {
   },
 
   /**
-   * Update category
+   * Update category. Send the loaded `version` to detect concurrent edits (see updatePost).
    */
-  updateCategory: async (id, categoryData) => {
+  updateCategory: async (id, categoryData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_CATEGORY);
-      params.append('token', token || '');
-      params.append('id', id);
-      
-      // Add all category data fields
-      Object.keys(categoryData).forEach(key => {
-        const value = categoryData[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value)) {
-            params.append(key, value.join(', '));
-          } else {
-            params.append(key, String(value));
-          }
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.UPDATE_CATEGORY, { ...categoryData, id }, options);
     } catch (error) {
       console.error('Update category error:', error);
       throw error;
@@ -961,21 +747,9 @@ export const adminAPI = {
   /**
    * Delete category
    */
-  deleteCategory: async (id) => {
+  deleteCategory: async (id, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_CATEGORY);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.DELETE_CATEGORY, { id }, options);
     } catch (error) {
       console.error('Delete category error:', error);
       throw error;
@@ -985,15 +759,16 @@ export const adminAPI = {
   /**
    * Get awards (admin can see all, including inactive)
    */
-  getAwards: async () => {
+  getAwards: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_AWARDS,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get awards error:', error);
       throw error;
@@ -1003,26 +778,9 @@ export const adminAPI = {
   /**
    * Create award
    */
-  createAward: async (awardData) => {
+  createAward: async (awardData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_AWARD);
-      params.append('token', token || '');
-      
-      Object.keys(awardData).forEach(key => {
-        const value = awardData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.CREATE_AWARD, awardData, options);
     } catch (error) {
       console.error('Create award error:', error);
       throw error;
@@ -1032,27 +790,9 @@ export const adminAPI = {
   /**
    * Update award
    */
-  updateAward: async (id, awardData) => {
+  updateAward: async (id, awardData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_AWARD);
-      params.append('token', token || '');
-      params.append('id', id);
-      
-      Object.keys(awardData).forEach(key => {
-        const value = awardData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.UPDATE_AWARD, { ...awardData, id }, options);
     } catch (error) {
       console.error('Update award error:', error);
       throw error;
@@ -1062,20 +802,9 @@ export const adminAPI = {
   /**
    * Delete award
    */
-  deleteAward: async (id) => {
+  deleteAward: async (id, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_AWARD);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.DELETE_AWARD, { id }, options);
     } catch (error) {
       console.error('Delete award error:', error);
       throw error;
@@ -1085,15 +814,16 @@ export const adminAPI = {
   /**
    * Get publications (admin can see all, including inactive)
    */
-  getPublications: async () => {
+  getPublications: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_PUBLICATIONS,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get publications error:', error);
       throw error;
@@ -1103,26 +833,9 @@ export const adminAPI = {
   /**
    * Create publication
    */
-  createPublication: async (publicationData) => {
+  createPublication: async (publicationData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_PUBLICATION);
-      params.append('token', token || '');
-      
-      Object.keys(publicationData).forEach(key => {
-        const value = publicationData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.CREATE_PUBLICATION, publicationData, options);
     } catch (error) {
       console.error('Create publication error:', error);
       throw error;
@@ -1132,27 +845,13 @@ export const adminAPI = {
   /**
    * Update publication
    */
-  updatePublication: async (id, publicationData) => {
+  updatePublication: async (id, publicationData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_PUBLICATION);
-      params.append('token', token || '');
-      params.append('id', id);
-      
-      Object.keys(publicationData).forEach(key => {
-        const value = publicationData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(
+        API_ACTIONS.UPDATE_PUBLICATION,
+        { ...publicationData, id },
+        options
+      );
     } catch (error) {
       console.error('Update publication error:', error);
       throw error;
@@ -1162,20 +861,9 @@ export const adminAPI = {
   /**
    * Delete publication
    */
-  deletePublication: async (id) => {
+  deletePublication: async (id, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_PUBLICATION);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await queueableAction(API_ACTIONS.DELETE_PUBLICATION, { id }, options);
     } catch (error) {
       console.error('Delete publication error:', error);
       throw error;
@@ -1183,34 +871,12 @@ export const adminAPI = {
   },
 
   /**
-   * Update profile information
+   * Update profile information. Send the loaded `version` to detect concurrent edits
+   * (see updatePost).
    */
-  updateProfile: async (profileData) => {
+  updateProfile: async (profileData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_PROFILE);
-      params.append('token', token || '');
-      
-      // Add all profile data fields
-      Object.keys(profileData).forEach(key => {
-        const value = profileData[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value)) {
-            params.append(key, value.join(', '));
-          } else {
-            params.append(key, String(value));
-          }
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.UPDATE_PROFILE, profileData, options);
     } catch (error) {
       console.error('Update profile error:', error);
       throw error;
@@ -1220,15 +886,16 @@ export const adminAPI = {
   /**
    * Get profile (admin version - can see all fields)
    */
-  getProfile: async () => {
+  getProfile: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_PROFILE,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get profile error:', error);
       throw error;
@@ -1238,15 +905,16 @@ export const adminAPI = {
   /**
    * List social links (admin version)
    */
-  listSocialLinks: async () => {
+  listSocialLinks: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.LIST_SOCIAL_LINKS,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('List social links error:', error);
       throw error;
@@ -1256,28 +924,9 @@ export const adminAPI = {
   /**
    * Create social link
    */
-  createSocialLink: async (linkData) => {
+  createSocialLink: async (linkData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_SOCIAL_LINK);
-      params.append('token', token || '');
-      
-      // Add all link data fields
-      Object.keys(linkData).forEach(key => {
-        const value = linkData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.CREATE_SOCIAL_LINK, linkData, options);
     } catch (error) {
       console.error('Create social link error:', error);
       throw error;
@@ -1287,29 +936,9 @@ export const adminAPI = {
   /**
    * Update social link
    */
-  updateSocialLink: async (id, linkData) => {
+  updateSocialLink: async (id, linkData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_SOCIAL_LINK);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      // Add all link data fields
-      Object.keys(linkData).forEach(key => {
-        const value = linkData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.UPDATE_SOCIAL_LINK, { ...linkData, id }, options);
     } catch (error) {
       console.error('Update social link error:', error);
       throw error;
@@ -1319,21 +948,9 @@ export const adminAPI = {
   /**
    * Delete social link
    */
-  deleteSocialLink: async (id) => {
+  deleteSocialLink: async (id, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_SOCIAL_LINK);
-      params.append('id', id);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.DELETE_SOCIAL_LINK, { id }, options);
     } catch (error) {
       console.error('Delete social link error:', error);
       throw error;
@@ -1343,46 +960,132 @@ export const adminAPI = {
   /**
    * Change password
    */
-  changePassword: async (currentPassword, newPassword, confirmPassword) => {
+  changePassword: async (currentPassword, newPassword, confirmPassword, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      if (!token) {
-        throw new Error('Authentication required');
+      if (!tokenStorage.get()) {
+        throw new AuthError('Authentication required', { action: API_ACTIONS.CHANGE_PASSWORD });
       }
 
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CHANGE_PASSWORD);
-      params.append('token', token);
-      params.append('currentPassword', currentPassword);
-      params.append('newPassword', newPassword);
-      params.append('confirmPassword', confirmPassword);
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(
+        API_ACTIONS.CHANGE_PASSWORD,
+        { currentPassword, newPassword, confirmPassword },
+        options
+      );
     } catch (error) {
       console.error('Change password error:', error);
       throw error;
     }
   },
 
+  /**
+   * Email a one-time password reset link. Resolves the same whether or not the email has an
+   * account, so the form cannot be used to find admin addresses.
+   */
+  requestPasswordReset: async (email, options = {}) => {
+    try {
+      return await postAction(
+        API_ACTIONS.REQUEST_PASSWORD_RESET,
+        { email },
+        { ...options, withToken: false }
+      );
+    } catch (error) {
+      console.error('Request password reset error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set a new password with the token from a reset link. A used or expired token fails with a
+   * ValidationError on `token`.
+   */
+  resetPassword: async (token, newPassword, confirmPassword, options = {}) => {
+    try {
+      return await postAction(
+        API_ACTIONS.RESET_PASSWORD,
+        { token, newPassword, confirmPassword },
+        { ...options, withToken: false }
+      );
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Choose the password of an invited account with the token from the invitation link. A used
+   * or expired token fails with a ValidationError on `token`.
+   */
+  acceptInvite: async (token, newPassword, confirmPassword, options = {}) => {
+    try {
+      return await postAction(
+        API_ACTIONS.ACCEPT_INVITE,
+        { token, newPassword, confirmPassword },
+        { ...options, withToken: false }
+      );
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the signed-in user's sessions (device, IP address, last seen), most recently used
+   * first; `current` marks this browser's
+   */
+  listSessions: async (options = {}) => {
+    try {
+      const token = tokenStorage.get();
+      return dedupedGet(
+        {
+          action: API_ACTIONS.LIST_SESSIONS,
+          token: token || '',
+        },
+        options
+      );
+    } catch (error) {
+      console.error('List sessions error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out one of the user's own sessions, e.g. on a shared computer
+   */
+  revokeSession: async (id, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.REVOKE_SESSION, { id }, options);
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out every session of the user except this one; resolves with the `revoked` count
+   */
+  revokeOtherSessions: async (options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.REVOKE_OTHER_SESSIONS, {}, options);
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get media files
    */
-  getMediaFiles: async (params = {}) => {
+  getMediaFiles: async (params = {}, options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_MEDIA_FILES,
           token: token || '',
           ...params,
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get media files error:', error);
       throw error;
@@ -1392,43 +1095,40 @@ export const adminAPI = {
   /**
    * Delete media file
    */
-  deleteMedia: async (fileId) => {
+  deleteMedia: async (fileId, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_MEDIA);
-      params.append('fileId', fileId);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.DELETE_MEDIA, { fileId }, options);
     } catch (error) {
       console.error('Delete media error:', error);
       throw error;
     }
   },
 
+  /**
+   * Renew the stored session before it expires (see AuthService.scheduleTokenRefresh).
+   * Shares the refresh of any requests that just failed with an expired token, and like them
+   * asks the admin to sign in again when the refresh token is no longer valid. Resolves with
+   * the new session token.
+   */
+  refreshSession: async () => {
+    try {
+      return await refreshSession(API_ACTIONS.REFRESH_TOKEN);
+    } catch (error) {
+      console.error('Refresh session error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Refresh authentication token
    */
-  refreshToken: async (refreshToken) => {
+  refreshToken: async (refreshToken, options = {}) => {
     try {
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.REFRESH_TOKEN);
-      params.append('refreshToken', refreshToken);
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(
+        API_ACTIONS.REFRESH_TOKEN,
+        { refreshToken },
+        { ...options, withToken: false }
+      );
     } catch (error) {
       console.error('Refresh token error:', error);
       throw error;
@@ -1438,15 +1138,16 @@ export const adminAPI = {
   /**
    * Get donate information (admin version)
    */
-  getDonateInfo: async () => {
+  getDonateInfo: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.GET_DONATE_INFO,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Get donate info error:', error);
       throw error;
@@ -1456,28 +1157,9 @@ export const adminAPI = {
   /**
    * Update donate information
    */
-  updateDonateInfo: async (donateData) => {
+  updateDonateInfo: async (donateData, options = {}) => {
     try {
-      const token = tokenStorage.get();
-      // Use form data to avoid CORS preflight
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.UPDATE_DONATE_INFO);
-      params.append('token', token || '');
-      
-      // Add all donate data fields
-      Object.keys(donateData).forEach(key => {
-        const value = donateData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-      return response;
+      return await postAction(API_ACTIONS.UPDATE_DONATE_INFO, donateData, options);
     } catch (error) {
       console.error('Update donate info error:', error);
       throw error;
@@ -1485,17 +1167,18 @@ export const adminAPI = {
   },
 
   /**
-   * List users (super admin only)
+   * List users (needs the manage users permission)
    */
-  listUsers: async () => {
+  listUsers: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.LIST_USERS,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('List users error:', error);
       throw error;
@@ -1503,69 +1186,241 @@ export const adminAPI = {
   },
 
   /**
-   * Create user (super admin only)
+   * Create user with `{ email, password, name, role }`; the role defaults to editor
+   */
+  createUser: async (userData, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.CREATE_USER, userData, options);
+    } catch (error) {
+      console.error('Create user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a user's `role`, `name` or `disabled`. Nobody can change their own role or disable
+   * themselves.
+   */
+  updateUser: async (id, userData, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.UPDATE_USER, { ...userData, id }, options);
+    } catch (error) {
+      console.error('Update user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Disable a user without deleting them: their sessions end and signing in is refused
+   */
+  disableUser: async (id, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.UPDATE_USER, { id, disabled: true }, options);
+    } catch (error) {
+      console.error('Disable user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Let a disabled user sign in again
+   */
+  enableUser: async (id, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.UPDATE_USER, { id, disabled: false }, options);
+    } catch (error) {
+      console.error('Enable user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Invite `{ email, name, role }`: creates the account without a password and emails a link
+   * to choose one. Inviting a pending invitee again sends a new link. Resolves with the `user`
+   * and the `inviteLink`, to pass on by hand when email does not arrive.
+   */
+  inviteUser: async (userData, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.INVITE_USER, userData, options);
+    } catch (error) {
+      console.error('Invite user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Make a user choose a new password: signs them out everywhere and emails them a reset link.
+   * Signing in with the old password is refused until they have used it.
    */
-  createUser: async (userData) => {
+  forcePasswordReset: async (id, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.FORCE_PASSWORD_RESET, { id }, options);
+    } catch (error) {
+      console.error('Force password reset error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Let a user sign in again without waiting for their forced reset, once they have reset the
+   * password some other way or the reset is no longer wanted. On Firestore this is how a reset
+   * ends, as the site cannot tell when the password changed.
+   */
+  liftPasswordReset: async (id, options = {}) => {
+    try {
+      return await postAction(
+        API_ACTIONS.UPDATE_USER,
+        { id, password_reset_required: false },
+        options
+      );
+    } catch (error) {
+      console.error('Lift password reset error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign a user out everywhere (needs the manage users permission); resolves with the
+   * `revoked` count
+   */
+  revokeUserSessions: async (id, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.REVOKE_USER_SESSIONS, { id }, options);
+    } catch (error) {
+      console.error('Revoke user sessions error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete user (super admins cannot be deleted)
+   */
+  deleteUser: async (userId, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.DELETE_USER, { id: userId }, options);
+    } catch (error) {
+      console.error('Delete user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Start two-factor setup: resolves with a new `secret` and its `otpauth://` `uri` for the QR
+   * code. Nothing changes until enableTwoFactor confirms a code.
+   */
+  setupTwoFactor: async (options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.SETUP_TWO_FACTOR, {}, options);
+    } catch (error) {
+      console.error('Setup two-factor error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turn two-factor authentication on with a code from the app; resolves with `backupCodes`
+   */
+  enableTwoFactor: async (code, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.ENABLE_TWO_FACTOR, { code }, options);
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turn two-factor authentication off (needs the account password)
+   */
+  disableTwoFactor: async (password, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.DISABLE_TWO_FACTOR, { password }, options);
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the backup codes (needs the account password); resolves with `backupCodes`
+   */
+  regenerateBackupCodes: async (password, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.REGENERATE_BACKUP_CODES, { password }, options);
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get site-wide security settings (`require_two_factor`)
+   */
+  getSecuritySettings: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.CREATE_USER);
-      params.append('token', token || '');
-      
-      Object.keys(userData).forEach(key => {
-        const value = userData[key];
-        if (value !== null && value !== undefined) {
-          params.append(key, String(value));
-        }
-      });
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
+      return dedupedGet(
+        {
+          action: API_ACTIONS.GET_SECURITY_SETTINGS,
+          token: token || '',
         },
-      });
-      return response;
+        options
+      );
     } catch (error) {
-      console.error('Create user error:', error);
+      console.error('Get security settings error:', error);
       throw error;
     }
   },
 
   /**
-   * Delete user (super admin only)
+   * Update site-wide security settings (super admins)
    */
-  deleteUser: async (userId) => {
+  updateSecuritySettings: async (settings, options = {}) => {
+    try {
+      return await postAction(API_ACTIONS.UPDATE_SECURITY_SETTINGS, settings, options);
+    } catch (error) {
+      console.error('Update security settings error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the audit log of admin changes, newest first. `params` filter it: `actor` (user id or
+   * email), `entity` (see AUDIT_ENTITIES), `from` and `to` (ISO times), plus `page` and
+   * `limit`. Resolves with `{ data, total, page, limit }`.
+   */
+  getAuditLog: async (params = {}, options = {}) => {
     try {
       const token = tokenStorage.get();
-      const params = new URLSearchParams();
-      params.append('action', API_ACTIONS.DELETE_USER);
-      params.append('id', userId);
-      params.append('token', token || '');
-      
-      const response = await apiClient.post('', params.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
+      return dedupedGet(
+        {
+          action: API_ACTIONS.GET_AUDIT_LOG,
+          token: token || '',
+          ...params,
         },
-      });
-      return response;
+        options
+      );
     } catch (error) {
-      console.error('Delete user error:', error);
+      console.error('Get audit log error:', error);
       throw error;
     }
   },
 
   /**
-   * Check if current user is super admin
+   * Check if current user is super admin; also reports their current `role` and whether
+   * two-factor authentication is on for them (`twoFactorEnabled`) and required by the site
+   * (`twoFactorRequired`)
    */
-  checkSuperAdmin: async () => {
+  checkSuperAdmin: async (options = {}) => {
     try {
       const token = tokenStorage.get();
-      return apiClient.get('', {
-        params: {
+      return dedupedGet(
+        {
           action: API_ACTIONS.CHECK_SUPER_ADMIN,
           token: token || '',
         },
-      });
+        options
+      );
     } catch (error) {
       console.error('Check super admin error:', error);
       throw error;
@@ -1573,5 +1428,8 @@ export const adminAPI = {
   },
 };
 
-export default apiClient;
+export default {
+  publicAPI,
+  adminAPI,
+};
 
@@ -0,0 +1,174 @@
+/**
+ * API Response Cache
+ * Stale-while-revalidate cache for public read actions, persisted to localStorage
+ */
+
+import { API_ACTIONS, API_CACHE, STORAGE_KEYS } from '@/config/constants';
+import { apiCacheStorage } from '@/utils/storage';
+import { ENV } from '@/config/env';
+
+/**
+ * Read actions whose cached responses each admin mutation makes stale
+ */
+const POST_READS = [
+  API_ACTIONS.LIST_POSTS,
+  API_ACTIONS.GET_POST,
+  API_ACTIONS.SEARCH_POSTS,
+  API_ACTIONS.GET_TAGS,
+];
+
+export const MUTATION_INVALIDATES = {
+  [API_ACTIONS.CREATE_POST]: POST_READS,
+  [API_ACTIONS.UPDATE_POST]: POST_READS,
+  [API_ACTIONS.DELETE_POST]: POST_READS,
+  [API_ACTIONS.BULK_DELETE_POSTS]: POST_READS,
+  [API_ACTIONS.BULK_UPDATE_POSTS]: POST_READS,
+  [API_ACTIONS.CREATE_CATEGORY]: [API_ACTIONS.GET_CATEGORIES],
+  [API_ACTIONS.UPDATE_CATEGORY]: [API_ACTIONS.GET_CATEGORIES, ...POST_READS],
+  [API_ACTIONS.DELETE_CATEGORY]: [API_ACTIONS.GET_CATEGORIES, ...POST_READS],
+  [API_ACTIONS.CREATE_AWARD]: [API_ACTIONS.GET_AWARDS],
+  [API_ACTIONS.UPDATE_AWARD]: [API_ACTIONS.GET_AWARDS],
+  [API_ACTIONS.DELETE_AWARD]: [API_ACTIONS.GET_AWARDS],
+  [API_ACTIONS.CREATE_PUBLICATION]: [API_ACTIONS.GET_PUBLICATIONS],
+  [API_ACTIONS.UPDATE_PUBLICATION]: [API_ACTIONS.GET_PUBLICATIONS],
+  [API_ACTIONS.DELETE_PUBLICATION]: [API_ACTIONS.GET_PUBLICATIONS],
+  [API_ACTIONS.UPDATE_PROFILE]: [API_ACTIONS.GET_PROFILE],
+  [API_ACTIONS.CREATE_SOCIAL_LINK]: [API_ACTIONS.GET_SOCIAL_LINKS],
+  [API_ACTIONS.UPDATE_SOCIAL_LINK]: [API_ACTIONS.GET_SOCIAL_LINKS],
+  [API_ACTIONS.DELETE_SOCIAL_LINK]: [API_ACTIONS.GET_SOCIAL_LINKS],
+  [API_ACTIONS.UPDATE_DONATE_INFO]: [API_ACTIONS.GET_DONATE_INFO],
+};
+
+let entries = null;
+const revalidating = new Set();
+
+// Another tab (e.g. the admin panel) changed the cache - reload it on next access
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEYS.API_CACHE) {
+    entries = null;
+  }
+});
+
+const getEntries = () => {
+  if (!entries) {
+    entries = apiCacheStorage.get() || {};
+  }
+  return entries;
+};
+
+/**
+ * Persists entries, evicting the oldest ones beyond MAX_ENTRIES
+ */
+const persist = () => {
+  const keys = Object.keys(entries);
+  if (keys.length > API_CACHE.MAX_ENTRIES) {
+    keys
+      .sort((a, b) => entries[a].storedAt - entries[b].storedAt)
+      .slice(0, keys.length - API_CACHE.MAX_ENTRIES)
+      .forEach((key) => delete entries[key]);
+  }
+  apiCacheStorage.set(entries);
+};
+
+/**
+ * Builds a stable cache key from the request params (key order does not matter)
+ */
+export const getCacheKey = (params) =>
+  JSON.stringify(
+    Object.keys(params)
+      .filter((key) => params[key] !== undefined && params[key] !== null)
+      .sort()
+      .map((key) => [key, String(params[key])])
+  );
+
+export const isCacheable = (action) => !!API_CACHE.TTL[action];
+
+const store = (key, action, response) => {
+  // Only cache successful envelopes; errors should be retried on the next call
+  if (!response || response.success !== true) return;
+  getEntries()[key] = { action, response, storedAt: Date.now() };
+  persist();
+};
+
+const revalidate = (key, action, request) => {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  request()
+    .then((response) => store(key, action, response))
+    .catch((error) => {
+      if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+        console.warn(`Background revalidation of ${action} failed:`, error);
+      }
+    })
+    .finally(() => revalidating.delete(key));
+};
+
+/**
+ * Returns a cached response when possible.
+ * - fresh (younger than the action's TTL): served without a request
+ * - stale (younger than MAX_STALE): served immediately and revalidated in the background
+ * - missing or expired: fetched and stored
+ * `request(signal)` receives the caller's AbortSignal; background revalidation runs without it
+ * so leaving the page does not throw away a refresh that is already under way.
+ */
+export const cachedRequest = async (params, request, { signal } = {}) => {
+  const { action } = params;
+  if (!isCacheable(action)) {
+    return request(signal);
+  }
+
+  const key = getCacheKey(params);
+  const entry = getEntries()[key];
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  if (age < API_CACHE.TTL[action]) {
+    return entry.response;
+  }
+
+  if (age < API_CACHE.MAX_STALE) {
+    revalidate(key, action, request);
+    return entry.response;
+  }
+
+  const response = await request(signal);
+  store(key, action, response);
+  return response;
+};
+
+/**
+ * Drops cached responses for the given read actions
+ */
+export const invalidateActions = (actions) => {
+  const current = getEntries();
+  const stale = Object.keys(current).filter((key) => actions.includes(current[key].action));
+  if (stale.length === 0) return;
+
+  stale.forEach((key) => delete current[key]);
+  persist();
+};
+
+/**
+ * Invalidates everything a successful admin mutation may have changed
+ */
+export const invalidateForMutation = (mutationAction) => {
+  const actions = MUTATION_INVALIDATES[mutationAction];
+  if (actions) {
+    invalidateActions(actions);
+  }
+};
+
+/**
+ * Clears the whole cache
+ */
+export const clearApiCache = () => {
+  entries = {};
+  apiCacheStorage.remove();
+};
+
+export default {
+  cachedRequest,
+  invalidateActions,
+  invalidateForMutation,
+  clearApiCache,
+};
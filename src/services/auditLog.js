@@ -0,0 +1,219 @@
+/**
+ * Audit Log
+ * Which admin actions are recorded, how an entry is built and how the log is queried. Shared
+ * by the reference server, the local backend and the Firestore driver, so this module has no
+ * imports; action names are the API_ACTIONS values and entities the collection keys of the
+ * server and local databases.
+ *
+ * A backend copies the records an audited action may touch before running it and compares
+ * them afterwards, so every record it created, changed or deleted gets one entry, whatever
+ * the handler did. Secret fields are logged as changed without their values, and long values
+ * (post content, data URLs) are shortened.
+ */
+
+export const AUDIT_ENTITIES = {
+  POSTS: 'posts',
+  MEDIA: 'media',
+  CATEGORIES: 'categories',
+  AWARDS: 'awards',
+  PUBLICATIONS: 'publications',
+  SOCIAL_LINKS: 'socialLinks',
+  PROFILE: 'profile',
+  DONATE_INFO: 'donateInfo',
+  USERS: 'users',
+  SECURITY: 'security',
+};
+
+const E = AUDIT_ENTITIES;
+
+export const AUDIT_ENTITY_LABELS = {
+  [E.POSTS]: 'Post',
+  [E.MEDIA]: 'Media file',
+  [E.CATEGORIES]: 'Category',
+  [E.AWARDS]: 'Award',
+  [E.PUBLICATIONS]: 'Publication',
+  [E.SOCIAL_LINKS]: 'Social link',
+  [E.PROFILE]: 'Profile',
+  [E.DONATE_INFO]: 'Donate info',
+  [E.USERS]: 'User',
+  [E.SECURITY]: 'Security settings',
+};
+
+/**
+ * The entity each audited action changes
+ */
+export const AUDITED_ACTIONS = {
+  createPost: E.POSTS,
+  updatePost: E.POSTS,
+  deletePost: E.POSTS,
+  bulkUpdatePosts: E.POSTS,
+  bulkDeletePosts: E.POSTS,
+  uploadMedia: E.MEDIA,
+  finishUpload: E.MEDIA,
+  deleteMedia: E.MEDIA,
+  createCategory: E.CATEGORIES,
+  updateCategory: E.CATEGORIES,
+  deleteCategory: E.CATEGORIES,
+  createAward: E.AWARDS,
+  updateAward: E.AWARDS,
+  deleteAward: E.AWARDS,
+  createPublication: E.PUBLICATIONS,
+  updatePublication: E.PUBLICATIONS,
+  deletePublication: E.PUBLICATIONS,
+  createSocialLink: E.SOCIAL_LINKS,
+  updateSocialLink: E.SOCIAL_LINKS,
+  deleteSocialLink: E.SOCIAL_LINKS,
+  updateProfile: E.PROFILE,
+  updateDonateInfo: E.DONATE_INFO,
+  createUser: E.USERS,
+  updateUser: E.USERS,
+  deleteUser: E.USERS,
+  inviteUser: E.USERS,
+  acceptInvite: E.USERS,
+  forcePasswordReset: E.USERS,
+  changePassword: E.USERS,
+  resetPassword: E.USERS,
+  enableTwoFactor: E.USERS,
+  disableTwoFactor: E.USERS,
+  regenerateBackupCodes: E.USERS,
+  updateSecuritySettings: E.SECURITY,
+};
+
+// Stored as one object rather than a list of records
+export const SINGLETON_ENTITIES = [E.PROFILE, E.DONATE_INFO, E.SECURITY];
+
+// Logged as changed, never with their values
+const SECRET_FIELDS = [
+  'password',
+  'password_hash',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_last_step',
+  'backup_codes',
+  'backup_code_hashes',
+];
+// Bookkeeping the entry already shows (id, time) or that every update touches
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'version'];
+// Tried in order for the name an entry shows for its record
+const LABEL_FIELDS = ['title', 'name', 'award_name', 'email', 'platform', 'file_name', 'year'];
+const MAX_VALUE_LENGTH = 200;
+
+export const REDACTED_VALUE = '[hidden]';
+
+/**
+ * Copies the records of `entity` in `db`, keyed by id, to compare with after the action.
+ * The copies are shallow: handlers replace nested values rather than change them in place.
+ */
+export const snapshotEntity = (db, entity) => {
+  if (SINGLETON_ENTITIES.includes(entity)) {
+    return new Map([[entity, { ...(db[entity] || {}) }]]);
+  }
+  return new Map((db[entity] || []).map((record) => [String(record.id), { ...record }]));
+};
+
+const toLogValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (SECRET_FIELDS.includes(field)) return REDACTED_VALUE;
+  const logged = typeof value === 'object' ? JSON.stringify(value) : value;
+  return typeof logged === 'string' && logged.length > MAX_VALUE_LENGTH
+    ? `${logged.slice(0, MAX_VALUE_LENGTH)}…`
+    : logged;
+};
+
+/**
+ * Field-by-field differences between two versions of a record, as `{ field: { from, to } }`.
+ * `before` is null for a created record and `after` for a deleted one.
+ */
+export const diffRecords = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from ?? null) === JSON.stringify(to ?? null)) return;
+    changes[field] = { from: toLogValue(field, from), to: toLogValue(field, to) };
+  });
+  return changes;
+};
+
+const getRecordLabel = (record) => {
+  const field = LABEL_FIELDS.find((name) => record?.[name]);
+  return field ? String(record[field]) : '';
+};
+
+const getOperation = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  return 'update';
+};
+
+/**
+ * The entries for one run of an audited action: one per record that differs between the
+ * `before` and `after` snapshots (Maps of id to record). `actor` is the signed-in user;
+ * `createId` makes entry ids in the backend's format.
+ */
+export const createAuditEntries = ({ action, entity, actor, before, after, createId }) => {
+  const time = new Date().toISOString();
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  const entries = [];
+
+  ids.forEach((id) => {
+    const previous = before.get(id) || null;
+    const current = after.get(id) || null;
+    const changes = diffRecords(previous, current);
+    if (Object.keys(changes).length === 0) return;
+
+    // Reset and invitation links sign nobody in; the user is acting on their own account
+    const by = actor || (entity === E.USERS ? current || previous : null);
+    entries.push({
+      id: createId(),
+      created_at: time,
+      actor_id: by?.id ? String(by.id) : null,
+      actor_email: by?.email || null,
+      action,
+      entity,
+      operation: getOperation(previous, current),
+      target_id: SINGLETON_ENTITIES.includes(entity) ? null : id,
+      target_label: getRecordLabel(current || previous),
+      changes,
+    });
+  });
+  return entries;
+};
+
+/**
+ * Filters and pages the log, newest first. Takes the getAuditLog params: `actor` (user id or
+ * email), `entity`, `from` and `to` (ISO times, inclusive), `page` and `limit`.
+ * Returns the list shape `{ data, total, page, limit }`.
+ */
+export const queryAuditLog = (entries, params = {}, maxLimit = 100) => {
+  const actor = String(params.actor || '').toLowerCase();
+  const from = params.from ? Date.parse(params.from) : null;
+  const to = params.to ? Date.parse(params.to) : null;
+
+  // Entries are stored oldest first; reversed, those of the same millisecond stay newest first
+  const matches = [...entries]
+    .reverse()
+    .filter((entry) => {
+      const time = Date.parse(entry.created_at);
+      return (
+        (!actor ||
+          String(entry.actor_id || '').toLowerCase() === actor ||
+          String(entry.actor_email || '').toLowerCase() === actor) &&
+        (!params.entity || entry.entity === params.entity) &&
+        (!from || time >= from) &&
+        (!to || time <= to)
+      );
+    })
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+
+  const limit = Math.min(Math.max(Number(params.limit) || 20, 1), maxLimit);
+  const page = Math.max(Number(params.page) || 1, 1);
+  return {
+    data: matches.slice((page - 1) * limit, page * limit),
+    total: matches.length,
+    page,
+    limit,
+  };
+};
@@ -4,16 +4,63 @@
  */
 
 import { adminAPI } from './api';
-import { tokenStorage, refreshTokenStorage, userStorage, clearAuthStorage } from '@/utils/storage';
+import {
+  tokenStorage,
+  tokenExpiryStorage,
+  userStorage,
+  activityStorage,
+  clearAuthStorage,
+  storeSessionTokens,
+} from '@/utils/storage';
 import { isValidEmail } from '@/utils/validation';
 import { SECURITY } from '@/config/constants';
+import { getUserRole } from '@/config/permissions';
+import { AuthError, RateLimitError } from './errors';
+import {
+  clearLoginFailures,
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginRetryAfter,
+} from './loginThrottle';
+
+const LOCKOUT_MESSAGE = 'Too many failed sign-in attempts. Please wait before trying again.';
+
+// setTimeout fires at once for delays beyond 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Refusals that come after the password was accepted, so they are not failed attempts
+const ACCOUNT_STATE_CODES = ['ACCOUNT_DISABLED', 'PASSWORD_RESET_REQUIRED'];
+
+const lockoutError = (ms) =>
+  new RateLimitError(LOCKOUT_MESSAGE, { retryAfter: Math.ceil(ms / 1000) });
+
+/**
+ * Counts a rejected sign-in step against `email` and returns the error to throw: a lockout it
+ * caused, or `error` itself
+ */
+const toLoginError = (email, error) => {
+  if (error instanceof RateLimitError) {
+    recordLoginRetryAfter(email, error.retryAfter || SECURITY.LOGIN_LOCKOUT_BASE / 1000);
+  } else if (error instanceof AuthError && !ACCOUNT_STATE_CODES.includes(error.code)) {
+    // Only rejected credentials count; network and server failures say nothing about them
+    const lockout = recordLoginFailure(email);
+    if (lockout > 0) {
+      return lockoutError(lockout);
+    }
+  }
+  return error;
+};
 
 /**
  * Authentication Service
  */
 class AuthService {
   /**
-   * Login with email and password
+   * Login with email and password.
+   * Rejects with a RateLimitError (`retryAfter` in seconds) while the email is locked out after
+   * repeated failures (see loginThrottle); no request is sent then.
+   * For users with two-factor authentication it resolves with `{ twoFactorRequired: true,
+   * challenge }` instead of signing in; pass the challenge to verifyTwoFactor with the code.
    */
   async login(email, password) {
     // Validate input
@@ -25,122 +72,69 @@ class AuthService {
       throw new Error('Password is required');
     }
 
+    const lockout = getLoginLockout(email);
+    if (lockout > 0) {
+      throw lockoutError(lockout);
+    }
+
+    // Failures reject with an ApiError; a resolved response passed the LOGIN schema, so it has
+    // a token or a two-factor challenge
+    let response;
+    try {
+      response = await adminAPI.login(email, password);
+    } catch (error) {
+      throw toLoginError(email, error);
+    }
+
+    if (response.data.twoFactorRequired) {
+      const { challenge, expiresAt } = response.data;
+      return { success: false, twoFactorRequired: true, challenge, expiresAt };
+    }
+    return this.startSession(email, response.data);
+  }
+
+  /**
+   * Second sign-in step for users with two-factor authentication: `code` is from their
+   * authenticator app or one of their backup codes. Wrong codes count as failed sign-ins for
+   * `email`, so the same lockout applies.
+   */
+  async verifyTwoFactor(email, challenge, code) {
+    const lockout = getLoginLockout(email);
+    if (lockout > 0) {
+      throw lockoutError(lockout);
+    }
+
+    let response;
     try {
-      console.log('🔑 AuthService: Starting login process...');
-      const response = await adminAPI.login(email, password);
-      
-      console.log('🔑 AuthService: Login API response:', response);
-      console.log('🔑 AuthService: Response type:', typeof response);
-      console.log('🔑 AuthService: Response keys:', response ? Object.keys(response) : 'null');
-      console.log('🔑 AuthService: Full response JSON:', JSON.stringify(response, null, 2));
-      
-      // Handle different response structures
-      // Google Apps Script returns: { success: true, data: { token, expiresAt, user } }
-      let responseData = response;
-      
-      // If response is wrapped in a data property (axios response wrapper)
-      // Check if it's an axios response object with a data property
-      if (response && typeof response === 'object' && 'data' in response && 'status' in response) {
-        // This looks like an axios response object, extract the actual data
-        responseData = response.data;
-        console.log('🔑 AuthService: Extracted data from axios response:', responseData);
-      }
-      
-      // Log the structure for debugging
-      console.log('🔑 AuthService: Response structure:', {
-        hasSuccess: !!responseData?.success,
-        hasData: !!responseData?.data,
-        hasToken: !!responseData?.data?.token,
-        responseKeys: responseData ? Object.keys(responseData) : [],
-        responseDataType: typeof responseData,
-        responseDataValue: responseData,
-      });
-      
-      // Check if response has success flag
-      if (responseData && responseData.success === true) {
-        // Google Apps Script format: { success: true, data: { token, expiresAt, user } }
-        const token = responseData.data?.token;
-        const refreshToken = responseData.data?.refreshToken;
-        const expiresAt = responseData.data?.expiresAt;
-        const user = responseData.data?.user || { email };
-        
-        if (!token) {
-          console.error('❌ AuthService: No token in response:', responseData);
-          throw new Error('Login successful but no token received from server');
-        }
-        
-        console.log('✅ AuthService: Token received, storing...');
-        
-        // Store tokens
-        tokenStorage.set(token);
-        if (refreshToken) {
-          refreshTokenStorage.set(refreshToken);
-        }
-        
-        // Store user data
-        if (user) {
-          userStorage.set(user);
-        }
-        
-        // Schedule token refresh
-        if (expiresAt) {
-          this.scheduleTokenRefresh(expiresAt);
-        }
-        
-        console.log('✅ AuthService: Login successful, token stored');
-        
-        return {
-          success: true,
-          user: user || { email },
-        };
-      }
-      
-      // If response doesn't have expected structure
-      console.error('⚠️ AuthService: Unexpected response structure');
-      console.error('Full response:', JSON.stringify(response, null, 2));
-      console.error('Response type:', typeof response);
-      console.error('Response success:', responseData?.success);
-      console.error('Response data:', responseData?.data);
-      console.error('Response token:', responseData?.token || responseData?.data?.token);
-      console.error('Response keys:', responseData ? Object.keys(responseData) : 'null');
-      
-      // Check if it's actually a successful response but in wrong format
-      if (responseData && responseData.data && responseData.data.token) {
-        console.warn('⚠️ Token found but success flag missing - attempting to use response anyway');
-        const token = responseData.data.token;
-        const expiresAt = responseData.data.expiresAt;
-        const user = responseData.data.user || { email };
-        
-        tokenStorage.set(token);
-        if (expiresAt) {
-          this.scheduleTokenRefresh(expiresAt);
-        }
-        if (user) {
-          userStorage.set(user);
-        }
-        
-        return {
-          success: true,
-          user: user || { email },
-        };
-      }
-      
-      // Try to extract error message
-      const errorMessage = responseData?.error?.message || 
-                          responseData?.message || 
-                          response?.message || 
-                          'Login failed - invalid response from server';
-      
-      throw new Error(errorMessage);
+      response = await adminAPI.verifyTwoFactor(challenge, String(code || '').trim());
     } catch (error) {
-      console.error('❌ AuthService: Login error:', error);
-      console.error('Error details:', {
-        message: error.message,
-        response: error.response,
-        stack: error.stack,
-      });
-      throw error;
+      throw toLoginError(email, error);
     }
+    return this.startSession(email, response.data);
+  }
+
+  /**
+   * Stores a new session from a login response
+   */
+  startSession(email, data) {
+    clearLoginFailures(email);
+
+    const user = { email, ...data.user, two_factor_setup_required: !!data.twoFactorSetupRequired };
+
+    // Store tokens
+    storeSessionTokens(data);
+
+    // Store user data
+    userStorage.set(user);
+    // Starts the idle timeout afresh (see useIdleTimeout)
+    activityStorage.set(Date.now());
+
+    this.scheduleTokenRefresh();
+
+    return {
+      success: true,
+      user,
+    };
   }
 
   /**
@@ -172,6 +166,30 @@ class AuthService {
     return userStorage.get();
   }
 
+  /**
+   * Fetches the current user's role and two-factor state from the backend and stores them with
+   * the user, so changes made by a super admin apply without signing in again. Returns the
+   * updated user.
+   */
+  async syncAccount() {
+    const response = await adminAPI.checkSuperAdmin();
+    const { isSuperAdmin, role, twoFactorEnabled, twoFactorRequired } = response.data || {};
+    return this.updateCurrentUser({
+      role: getUserRole({ role, is_super_admin: isSuperAdmin }),
+      two_factor_enabled: !!twoFactorEnabled,
+      two_factor_setup_required: !!twoFactorRequired && !twoFactorEnabled,
+    });
+  }
+
+  /**
+   * Merges `changes` into the stored user and returns the result
+   */
+  updateCurrentUser(changes) {
+    const user = { ...userStorage.get(), ...changes };
+    userStorage.set(user);
+    return user;
+  }
+
   /**
    * Get auth token
    */
@@ -180,22 +198,21 @@ class AuthService {
   }
 
   /**
-   * Schedule token refresh before expiry
+   * Schedules the session refresh SECURITY.TOKEN_REFRESH_THRESHOLD before the stored expiry,
+   * or right away when that time has passed. Called on sign-in and on app start; sessions
+   * whose backend reports no expiry are only refreshed when a request is rejected.
    */
-  scheduleTokenRefresh(expiresAt) {
+  scheduleTokenRefresh() {
     this.clearTokenRefresh();
-    
-    if (!expiresAt) return;
-    
-    const expiryTime = new Date(expiresAt).getTime();
-    const now = Date.now();
-    const refreshTime = expiryTime - now - SECURITY.TOKEN_REFRESH_THRESHOLD;
-    
-    if (refreshTime > 0) {
-      this.tokenRefreshTimeout = setTimeout(() => {
-        this.refreshToken();
-      }, refreshTime);
-    }
+
+    const expiresAt = tokenExpiryStorage.get();
+    if (!expiresAt || !this.isAuthenticated()) return;
+
+    const delay = expiresAt - SECURITY.TOKEN_REFRESH_THRESHOLD - Date.now();
+    this.tokenRefreshTimeout = setTimeout(
+      () => this.refreshToken(),
+      Math.min(Math.max(delay, 0), MAX_TIMER_DELAY)
+    );
   }
 
   /**
@@ -209,40 +226,25 @@ class AuthService {
   }
 
   /**
-   * Refresh authentication token
+   * Refresh authentication token. Resolves with whether the session is still good; a refresh
+   * token that is no longer valid asks the admin to sign in again (see adminAPI.refreshSession).
    */
   async refreshToken() {
+    this.clearTokenRefresh();
+
+    // Another tab may have refreshed already, or the delay was capped at MAX_TIMER_DELAY
+    const expiresAt = tokenExpiryStorage.get();
+    if (expiresAt && expiresAt - Date.now() > SECURITY.TOKEN_REFRESH_THRESHOLD) {
+      this.scheduleTokenRefresh();
+      return true;
+    }
+
     try {
-      const refreshToken = refreshTokenStorage.get();
-      if (!refreshToken) {
-        throw new Error('No refresh token available');
-      }
-
-      const response = await adminAPI.refreshToken(refreshToken);
-      
-      if (response.success && response.data) {
-        const { token, refreshToken: newRefreshToken, expiresAt } = response.data;
-        
-        tokenStorage.set(token);
-        if (newRefreshToken) {
-          refreshTokenStorage.set(newRefreshToken);
-        }
-        
-        this.scheduleTokenRefresh(expiresAt);
-        
-        return true;
-      }
-      
-      throw new Error('Token refresh failed');
+      await adminAPI.refreshSession();
+      this.scheduleTokenRefresh();
+      return true;
     } catch (error) {
-      // Refresh failed - clear auth and redirect to login
-      clearAuthStorage();
-      this.clearTokenRefresh();
-      
-      if (window.location.pathname.startsWith('/admin')) {
-        window.location.href = '/admin/login';
-      }
-      
+      console.error('Token refresh error:', error);
       return false;
     }
   }
@@ -0,0 +1,74 @@
+/**
+ * Request Batching
+ * Collects read actions issued within a short window and sends them as one `batch` action,
+ * so a page that mounts with several loads pays the Apps Script latency once.
+ * Each caller still gets its own promise, settled with its own result.
+ * Reads whose AbortSignal fires before the batch is sent are dropped from it.
+ */
+
+/**
+ * Creates a batcher.
+ * - `sendBatch(paramsList)` performs the batch request and resolves to one promise per entry
+ * - `sendSingle(params, signal)` performs a regular request (lone reads and the fallback)
+ * - `onBatchError(error)` returns true when batching should be turned off (backend lacks it)
+ */
+export const createBatcher = ({ sendBatch, sendSingle, onBatchError, windowMs, maxSize }) => {
+  let queue = [];
+  let timer = null;
+  let disabled = false;
+
+  const settle = (entry, promise) => promise.then(entry.resolve, entry.reject);
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    const entries = queue.filter((entry) => {
+      if (!entry.signal?.aborted) return true;
+      entry.reject(entry.signal.reason);
+      return false;
+    });
+    queue = [];
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (entries.length === 1) {
+      settle(entries[0], sendSingle(entries[0].params, entries[0].signal));
+      return;
+    }
+
+    try {
+      const results = await sendBatch(entries.map((entry) => entry.params));
+      entries.forEach((entry, index) => settle(entry, results[index]));
+    } catch (error) {
+      if (onBatchError(error)) {
+        disabled = true;
+      }
+      // Fall back to individual requests so callers never see a batch-level failure
+      entries.forEach((entry) => settle(entry, sendSingle(entry.params, entry.signal)));
+    }
+  };
+
+  /**
+   * Queues a read; resolves with the same value a direct request would
+   */
+  const enqueue = (params, signal) => {
+    if (disabled) {
+      return sendSingle(params, signal);
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ params, signal, resolve, reject });
+      if (queue.length >= maxSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, windowMs);
+      }
+    });
+  };
+
+  return { enqueue, flush };
+};
+
+export default createBatcher;
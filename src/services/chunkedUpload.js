@@ -0,0 +1,209 @@
+/**
+ * Chunked Uploads
+ * Sends a file in FILE_UPLOAD.CHUNK_SIZE slices, each base64-encoded in its own form request,
+ * so large videos stay within request size and time limits and a dropped connection costs one
+ * chunk instead of the whole file.
+ *
+ * Protocol (every step is an admin action):
+ * - startUpload { fileName, fileType, size, chunkSize, totalChunks } -> upload { id, received }
+ * - uploadChunk { uploadId, index, chunk } for each chunk the backend does not have yet
+ * - finishUpload { uploadId } -> the media record, once every chunk is in
+ * - getUploadStatus { uploadId } -> upload { id, received }, used to resume
+ * - cancelUpload { uploadId } discards the received chunks
+ *
+ * `received` lists the indexes of the chunks the backend has stored. The upload id is kept in
+ * localStorage under a fingerprint of the file (name, size, last modified), so choosing the
+ * same file again after a reload or a failed attempt only sends the missing chunks.
+ */
+
+import { API_ACTIONS, API_CONFIG, FILE_UPLOAD } from '@/config/constants';
+import { uploadSessionStorage } from '@/utils/storage';
+import { CanceledError, NetworkError, RateLimitError, ServerError } from './errors';
+
+const getFingerprint = (file) => [file.name, file.size, file.lastModified].join(':');
+
+/**
+ * Saved upload sessions younger than FILE_UPLOAD.SESSION_TTL, keyed by fingerprint
+ */
+const loadSessions = () => {
+  const cutoff = Date.now() - FILE_UPLOAD.SESSION_TTL;
+  return Object.fromEntries(
+    Object.entries(uploadSessionStorage.get() || {}).filter(
+      ([, session]) => session?.startedAt > cutoff
+    )
+  );
+};
+
+const saveSession = (fingerprint, session) => {
+  const sessions = loadSessions();
+  if (session) {
+    sessions[fingerprint] = session;
+  } else {
+    delete sessions[fingerprint];
+  }
+  uploadSessionStorage.set(sessions);
+};
+
+/**
+ * Reads a file or a slice of one as base64 (without the data URL prefix)
+ */
+export const readAsBase64 = (blob, signal) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    const onAbort = () => {
+      reader.abort();
+      reject(new CanceledError());
+    };
+    reader.onload = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(String(reader.result).split(',')[1] || '');
+    };
+    reader.onerror = () => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new Error('Failed to read file'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    reader.readAsDataURL(blob);
+  });
+
+// Chunks are idempotent by index, so any transient failure (including timeouts) is retried.
+// A full backend store will not empty itself between attempts.
+const isRetryable = (error) =>
+  error instanceof NetworkError ||
+  error instanceof RateLimitError ||
+  (error instanceof ServerError && error.code !== 'STORAGE_FULL');
+
+const getRetryDelay = (error, attempt) => {
+  if (error.retryAfter > 0) {
+    return Math.min(error.retryAfter * 1000, API_CONFIG.RETRY_MAX_DELAY);
+  }
+  return Math.min(API_CONFIG.RETRY_DELAY * 2 ** attempt, API_CONFIG.RETRY_MAX_DELAY);
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CanceledError(undefined, { action: API_ACTIONS.UPLOAD_CHUNK }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Uploads `file` in chunks and resolves with the finishUpload response.
+ * - `send(action, payload, options)` performs one admin action and resolves with its settled
+ *   response; `options` may carry `signal`, `timeout`, `retry` and `onUploadProgress`
+ * - `onProgress(percent, { loaded, total })` reports bytes the backend has accepted, including
+ *   the part of the current chunk already on the wire
+ * - `signal` cancels: the backend is asked to discard the chunks and the call rejects with a
+ *   CanceledError
+ * Other failures keep the session, so uploading the same file again resumes it.
+ */
+export const uploadInChunks = async (file, { send, onProgress, signal } = {}) => {
+  const chunkSize = FILE_UPLOAD.CHUNK_SIZE;
+  const totalChunks = Math.ceil(file.size / chunkSize);
+  const fingerprint = getFingerprint(file);
+  const getChunkBytes = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+
+  let loaded = 0;
+  const report = (bytes) => {
+    if (!onProgress) return;
+    // 100 is reserved for the finished upload
+    const percent = file.size ? Math.min(99, Math.floor((bytes / file.size) * 100)) : 99;
+    onProgress(percent, { loaded: bytes, total: file.size });
+  };
+
+  let session = loadSessions()[fingerprint];
+  let received = [];
+
+  if (session?.chunkSize === chunkSize) {
+    try {
+      const status = await send(
+        API_ACTIONS.GET_UPLOAD_STATUS,
+        { uploadId: session.uploadId },
+        { signal }
+      );
+      received = status.data?.received || [];
+    } catch (error) {
+      if (error instanceof NetworkError || error instanceof CanceledError) {
+        throw error;
+      }
+      // Expired or unknown on the backend: start over
+      session = null;
+    }
+  } else {
+    session = null;
+  }
+
+  if (!session) {
+    const started = await send(
+      API_ACTIONS.START_UPLOAD,
+      { fileName: file.name, fileType: file.type, size: file.size, chunkSize, totalChunks },
+      { signal }
+    );
+    session = { uploadId: started.data.id, fileName: file.name, chunkSize, startedAt: Date.now() };
+    received = started.data.received || [];
+    saveSession(fingerprint, session);
+  }
+
+  const { uploadId } = session;
+  const done = new Set(received.map(Number));
+
+  try {
+    done.forEach((index) => {
+      loaded += getChunkBytes(index);
+    });
+    report(loaded);
+
+    for (let index = 0; index < totalChunks; index += 1) {
+      if (done.has(index)) continue;
+
+      const bytes = getChunkBytes(index);
+      const start = index * chunkSize;
+      const chunk = await readAsBase64(file.slice(start, start + bytes), signal);
+
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          await send(
+            API_ACTIONS.UPLOAD_CHUNK,
+            { uploadId, index, chunk },
+            {
+              signal,
+              timeout: FILE_UPLOAD.CHUNK_TIMEOUT,
+              retry: false,
+              onUploadProgress: (event) => {
+                if (event.total) report(loaded + bytes * Math.min(event.loaded / event.total, 1));
+              },
+            }
+          );
+          break;
+        } catch (error) {
+          if (!isRetryable(error) || attempt >= FILE_UPLOAD.CHUNK_RETRY_ATTEMPTS) {
+            throw error;
+          }
+          await wait(getRetryDelay(error, attempt), signal);
+        }
+      }
+
+      loaded += bytes;
+      report(loaded);
+    }
+
+    const result = await send(API_ACTIONS.FINISH_UPLOAD, { uploadId }, { signal });
+    saveSession(fingerprint, null);
+    onProgress?.(100, { loaded: file.size, total: file.size });
+    return result;
+  } catch (error) {
+    if (error instanceof CanceledError) {
+      saveSession(fingerprint, null);
+      send(API_ACTIONS.CANCEL_UPLOAD, { uploadId }).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+export default uploadInChunks;
@@ -0,0 +1,89 @@
+/**
+ * Apps Script Driver
+ * Talks to the Google Apps Script Web App. Every action goes to the one Web App URL as
+ * `action`: public reads are GETs with their params in the query string, while writes and
+ * every call that carries the session token are form-encoded POSTs, so the token never lands
+ * in browser history, proxy logs or Apps Script execution logs. Neither uses custom headers,
+ * so the browser never sends a CORS preflight, which Apps Script cannot answer. The Web App's
+ * doPost therefore serves read actions too. Apps Script replies 200 with the response
+ * envelope, after redirecting POSTs.
+ *
+ * VITE_API_MODE=local serves the same protocol from the in-browser backend (localBackend).
+ */
+
+import { API_ACTIONS, API_DRIVERS } from '@/config/constants';
+import { ENV } from '@/config/env';
+import { localAdapter } from '../localBackend';
+import { encodeForm, FORM_CONTENT_TYPE } from '../formEncoding';
+import { ConfigurationError } from '../errors';
+import { createHttpClient } from './http';
+
+const client = createHttpClient({
+  baseURL: ENV.API_BASE_URL,
+  // Google Apps Script redirects POST requests (302) - we need to follow redirects
+  maxRedirects: 5,
+  // VITE_API_MODE=local serves every action from the in-browser backend instead of the network
+  ...(ENV.USE_LOCAL_API && { adapter: localAdapter }),
+});
+
+/**
+ * The Web App URL must be set, and must not be the Vite dev server (a common .env mistake)
+ */
+const getConfigError = (action) => {
+  if (ENV.USE_LOCAL_API) return null;
+
+  if (!ENV.API_BASE_URL) {
+    return new ConfigurationError(undefined, {
+      action,
+      details:
+        'API_BASE_URL is not configured. Please set VITE_API_BASE_URL in your .env file.\n' +
+        'Note: In Vite, environment variables must use VITE_ prefix (not REACT_APP_).',
+    });
+  }
+
+  if (ENV.API_BASE_URL.includes('localhost:3000') || ENV.API_BASE_URL.includes('127.0.0.1:3000')) {
+    return new ConfigurationError(undefined, {
+      action,
+      details:
+        'API_BASE_URL is pointing to localhost:3000 (Vite dev server). ' +
+        'Please set VITE_API_BASE_URL to your Google Apps Script Web App URL, e.g. ' +
+        'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec (current value: ' +
+        ENV.API_BASE_URL +
+        ')',
+    });
+  }
+
+  return null;
+};
+
+/**
+ * POSTs an action with its params in the body. Google Apps Script Web Apps have known issues
+ * with POST + JSON Content-Type, so the payload is form-encoded with encodeForm, which keeps
+ * arrays, objects, booleans and nulls intact.
+ */
+const postForm = (action, payload, options = {}) =>
+  client.post('', encodeForm({ action, ...payload }), {
+    ...options,
+    action,
+    headers: {
+      'Content-Type': FORM_CONTENT_TYPE,
+      ...options.headers,
+    },
+  });
+
+export const appsScriptDriver = {
+  name: API_DRIVERS.APPS_SCRIPT,
+  supportsBatch: true,
+  acceptsFiles: false,
+  getConfigError,
+
+  // Batches are always POSTed since their entries may carry the token. Reads stay retryable.
+  read: (action, params = {}, options = {}) =>
+    params.token || action === API_ACTIONS.BATCH
+      ? postForm(action, params, { retry: true, ...options })
+      : client.get('', { ...options, action, params: { action, ...params } }),
+
+  write: (action, payload = {}, options = {}) => postForm(action, payload, options),
+};
+
+export default appsScriptDriver;
@@ -0,0 +1,60 @@
+/**
+ * Firestore Driver
+ * Runs actions directly against Cloud Firestore, using the Firebase app from config/firebase.
+ * Admins sign in with Firebase Authentication and access control lives in Firestore security
+ * rules (see firestoreActions.js for the collections and what each action reads or writes).
+ *
+ * The Firestore and Auth SDKs load with the action handlers on first use, so sites on the
+ * other drivers do not download them.
+ */
+
+import { API_DRIVERS } from '@/config/constants';
+import { app, isFirebaseConfigured } from '@/config/firebase';
+import { CanceledError, ConfigurationError } from '../errors';
+
+let actionsPromise = null;
+
+const loadActions = () => {
+  if (!actionsPromise) {
+    actionsPromise = import('./firestoreActions').catch((error) => {
+      actionsPromise = null;
+      throw error;
+    });
+  }
+  return actionsPromise;
+};
+
+/**
+ * Firestore calls cannot be aborted, so a cancelled call rejects without waiting for the result
+ * (file uploads are the exception: their Storage upload task is cancelled)
+ */
+const run = async (action, params = {}, options = {}) => {
+  const { signal } = options;
+  if (signal?.aborted) {
+    throw new CanceledError(undefined, { action });
+  }
+  const { handleFirestoreAction } = await loadActions();
+  const envelope = await handleFirestoreAction(action, params, options);
+  if (signal?.aborted) {
+    throw new CanceledError(undefined, { action });
+  }
+  return { status: 200, data: envelope, headers: {} };
+};
+
+export const firestoreDriver = {
+  name: API_DRIVERS.FIRESTORE,
+  supportsBatch: false,
+  // Files go straight to Firebase Storage, whose resumable upload sends them in chunks
+  acceptsFiles: true,
+  getConfigError: (action) =>
+    isFirebaseConfigured() && app
+      ? null
+      : new ConfigurationError(undefined, {
+          action,
+          details: 'VITE_API_DRIVER=firestore needs the VITE_FIREBASE_* settings.',
+        }),
+  read: run,
+  write: run,
+};
+
+export default firestoreDriver;
@@ -0,0 +1,966 @@
+/**
+ * Firestore Actions
+ * Implementation of the API actions on Cloud Firestore, loaded by the Firestore driver.
+ * Handlers mirror localBackend and return the same response envelopes.
+ *
+ * Data layout:
+ * - posts, categories, awards, publications, social_links, media: one document per record
+ * - users/{uid}: admin profile (`name`, `role`, `disabled`, `password_reset_required`,
+ *   `last_login_at`) for each Firebase Auth account
+ * - settings/profile and settings/donate_info: the site-wide singletons
+ * - audit_log: one document per change an admin made (see services/auditLog), written by the
+ *   admin's browser after the change; password changes happen in Firebase Auth and are not in it
+ *
+ * Checks here only shape the responses; firestore.rules at the repository root enforces them.
+ * It allows public reads of published posts (queries filter on `status`), the other content
+ * collections and settings. Writes need a users/{uid} profile that is not `disabled`, since this
+ * client cannot end Firebase sessions, and a `role` with the permission config/permissions asks
+ * for, plus the same post ownership checks. Admins may create audit_log documents but never
+ * change or delete them, and only super admins read them.
+ * Users may update only their own `last_login_at`.
+ * A forced password reset sets `password_reset_required` and sends Firebase's reset email, but
+ * the old password keeps working in Firebase Auth and no client can prove it changed. So the
+ * flag stays until a super admin lifts it (liftPasswordReset) once the user has reset it.
+ * Admin accounts are created in the Firebase console; creating, inviting and deleting users is
+ * not available on this backend. Neither is the site's own two-factor authentication: Firebase
+ * offers TOTP through Identity Platform, set up in the Google Cloud console. Nor is the session
+ * list, as Firebase Auth does not expose sessions to clients.
+ *
+ * Password reset emails are sent by Firebase Auth. For the link to open the site's reset page,
+ * set the action URL of the password reset template (Authentication > Templates) to
+ * `<site>/admin/reset-password`; the page accepts Firebase's `oobCode` as the token.
+ */
+
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  initializeFirestore,
+  query,
+  runTransaction,
+  setDoc,
+  where,
+} from 'firebase/firestore';
+import {
+  ACTION_PERMISSIONS,
+  ROLES,
+  canDeletePost,
+  canEditPost,
+  canSetPostStatus,
+  getUserRole,
+  hasPermission,
+  isValidRole,
+} from '@/config/permissions';
+import {
+  EmailAuthProvider,
+  confirmPasswordReset,
+  getAuth,
+  reauthenticateWithCredential,
+  sendPasswordResetEmail,
+  signInWithEmailAndPassword,
+  signOut,
+  updatePassword,
+  verifyPasswordResetCode,
+} from 'firebase/auth';
+import {
+  deleteObject,
+  getDownloadURL,
+  ref,
+  uploadBytesResumable,
+  uploadString,
+} from 'firebase/storage';
+import { app, storage } from '@/config/firebase';
+import { API_ACTIONS, PAGINATION, POST_STATUS, ROUTES, VALIDATION } from '@/config/constants';
+import { NetworkError } from '../errors';
+import {
+  AUDIT_ENTITIES,
+  AUDITED_ACTIONS,
+  createAuditEntries,
+  queryAuditLog,
+} from '../auditLog';
+import {
+  BULK_CHANGE_FIELDS,
+  applyBulkChanges,
+  collectTags,
+  queryPostList,
+  splitList,
+} from '../postQuery';
+
+const db = initializeFirestore(app, { ignoreUndefinedProperties: true });
+const auth = getAuth(app);
+
+const COLLECTIONS = {
+  POSTS: 'posts',
+  CATEGORIES: 'categories',
+  AWARDS: 'awards',
+  PUBLICATIONS: 'publications',
+  SOCIAL_LINKS: 'social_links',
+  MEDIA: 'media',
+  USERS: 'users',
+  SETTINGS: 'settings',
+  AUDIT_LOG: 'audit_log',
+};
+
+/**
+ * Error raised by action handlers, converted into an error envelope
+ */
+class FirestoreActionError extends Error {
+  constructor(message, code = 'BAD_REQUEST', fields = null, current = null) {
+    super(message);
+    this.name = 'FirestoreActionError';
+    this.code = code;
+    this.fields = fields;
+    this.current = current;
+  }
+}
+
+const assertNewPassword = (params) => {
+  if (!params.newPassword || params.newPassword.length < VALIDATION.PASSWORD_MIN_LENGTH) {
+    throw new FirestoreActionError('Password is too short', 'VALIDATION_ERROR', {
+      newPassword: `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters long`,
+    });
+  }
+  if (params.newPassword !== params.confirmPassword) {
+    throw new FirestoreActionError(
+      'New password and confirmation do not match',
+      'VALIDATION_ERROR',
+      { confirmPassword: 'Passwords do not match' }
+    );
+  }
+};
+
+// Firestore/Auth error codes and the envelope codes they become
+const FIREBASE_ERROR_CODES = {
+  'permission-denied': 'FORBIDDEN',
+  unauthenticated: 'UNAUTHORIZED',
+  'not-found': 'NOT_FOUND',
+  'invalid-argument': 'VALIDATION_ERROR',
+  'resource-exhausted': 'RATE_LIMITED',
+  'auth/invalid-credential': 'INVALID_CREDENTIALS',
+  'auth/invalid-email': 'INVALID_CREDENTIALS',
+  'auth/user-not-found': 'INVALID_CREDENTIALS',
+  'auth/wrong-password': 'INVALID_CREDENTIALS',
+  'auth/user-disabled': 'FORBIDDEN',
+  'auth/weak-password': 'VALIDATION_ERROR',
+  'auth/too-many-requests': 'RATE_LIMITED',
+  'auth/requires-recent-login': 'UNAUTHORIZED',
+  'storage/unauthorized': 'FORBIDDEN',
+  'storage/unauthenticated': 'UNAUTHORIZED',
+  'storage/quota-exceeded': 'STORAGE_FULL',
+  'storage/canceled': 'CANCELED',
+};
+
+// The client could not reach Firestore; surfaced as a NetworkError so the outbox can queue it
+const OFFLINE_CODES = [
+  'unavailable',
+  'deadline-exceeded',
+  'auth/network-request-failed',
+  'storage/retry-limit-exceeded',
+];
+
+// Reset links Firebase rejects as used, expired or malformed
+const INVALID_RESET_CODES = [
+  'auth/expired-action-code',
+  'auth/invalid-action-code',
+  'auth/user-disabled',
+  'auth/user-not-found',
+];
+
+const now = () => new Date().toISOString();
+
+/**
+ * Document data with its id, Firestore Timestamps converted to ISO strings
+ */
+const toRecord = (snapshot) => {
+  const data = snapshot.data();
+  Object.keys(data).forEach((key) => {
+    if (typeof data[key]?.toDate === 'function') {
+      data[key] = data[key].toDate().toISOString();
+    }
+  });
+  return { ...data, id: snapshot.id };
+};
+
+/**
+ * Strips protocol fields (action, token, id) from request params
+ */
+const getPayload = ({ action: _action, token: _token, id: _id, ...rest }) => rest;
+
+// Posts are credited to the session user, never to an author_id sent by the client
+const getPostPayload = ({ author_id: _authorId, ...params }) => getPayload(params);
+
+const listCollection = async (name, ...constraints) => {
+  const source =
+    constraints.length > 0 ? query(collection(db, name), ...constraints) : collection(db, name);
+  const snapshot = await getDocs(source);
+  return snapshot.docs.map(toRecord);
+};
+
+const findById = async (name, id, label) => {
+  const snapshot = await getDoc(doc(db, name, String(id)));
+  if (!snapshot.exists()) {
+    throw new FirestoreActionError(`${label} not found`, 'NOT_FOUND');
+  }
+  return toRecord(snapshot);
+};
+
+const sortByDisplayOrder = (items) =>
+  [...items].sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+
+/**
+ * Optimistic concurrency, as in localBackend: a stale `version` is rejected with CONFLICT and
+ * the stored record. Runs in a transaction so two saves cannot both pass the check.
+ * `upsert` creates the document when it does not exist yet (settings singletons).
+ */
+const updateVersioned = (reference, { version, ...data }, label, { upsert = false } = {}) =>
+  runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(reference);
+    if (!snapshot.exists() && !upsert) {
+      throw new FirestoreActionError(`${label} not found`, 'NOT_FOUND');
+    }
+    const record = snapshot.exists() ? toRecord(snapshot) : { id: reference.id };
+    const currentVersion = Number(record.version) || 0;
+    if (version !== undefined && version !== '' && Number(version) !== currentVersion) {
+      throw new FirestoreActionError(
+        `${label} was changed by someone else`,
+        'CONFLICT',
+        null,
+        record
+      );
+    }
+    const changes = { ...data, version: currentVersion + 1, updated_at: now() };
+    transaction.set(reference, changes, { merge: true });
+    return { ...record, ...changes };
+  });
+
+// Auth
+
+const getCurrentUser = async () => {
+  await auth.authStateReady();
+  return auth.currentUser;
+};
+
+const requireUser = async () => {
+  const user = await getCurrentUser();
+  if (!user) {
+    throw new FirestoreActionError('Invalid or expired token', 'UNAUTHORIZED');
+  }
+  return user;
+};
+
+const getUserProfile = async (user) => {
+  const snapshot = await getDoc(doc(db, COLLECTIONS.USERS, user.uid));
+  const profile = {
+    name: user.displayName || '',
+    is_super_admin: false,
+    ...(snapshot.exists() ? snapshot.data() : {}),
+    id: user.uid,
+    email: user.email,
+  };
+  return { ...profile, role: getUserRole(profile) };
+};
+
+// Checked once the password is right, so they tell someone guessing nothing
+const assertCanSignIn = async (profile) => {
+  if (profile.disabled) {
+    await signOut(auth);
+    throw new FirestoreActionError(
+      'This account has been disabled. Ask a super admin to enable it.',
+      'ACCOUNT_DISABLED'
+    );
+  }
+  if (profile.password_reset_required) {
+    await signOut(auth);
+    throw new FirestoreActionError(
+      'You need to choose a new password. Use the link we emailed you, then ask a super admin ' +
+        'to let you sign in again.',
+      'PASSWORD_RESET_REQUIRED'
+    );
+  }
+};
+
+const requirePermission = async (permission) => {
+  const profile = await getUserProfile(await requireUser());
+  // Disabled while signed in: end the session here, signing in again is refused
+  if (profile.disabled) {
+    await signOut(auth);
+    throw new FirestoreActionError('Invalid or expired token', 'UNAUTHORIZED');
+  }
+  if (!hasPermission(profile, permission)) {
+    throw new FirestoreActionError('Your role does not allow this action', 'FORBIDDEN');
+  }
+  return profile;
+};
+
+/**
+ * Ownership and publishing checks on top of the role check in handleFirestoreAction
+ */
+const assertCanEditPost = (profile, post, status) => {
+  if (!canEditPost(profile, post)) {
+    throw new FirestoreActionError('You cannot edit this post', 'FORBIDDEN');
+  }
+  if (status && status !== post.status && !canSetPostStatus(profile, status)) {
+    throw new FirestoreActionError('Your role cannot publish posts', 'FORBIDDEN');
+  }
+};
+
+const assertCanDeletePost = (profile, post) => {
+  if (!canDeletePost(profile, post)) {
+    throw new FirestoreActionError('You cannot delete this post', 'FORBIDDEN');
+  }
+};
+
+/**
+ * Admin reads carry the session token; public pages never do, so they only see published
+ * content even while an admin is signed in
+ */
+const isAdminRequest = async (params) => !!params.token && !!(await getCurrentUser());
+
+/**
+ * Session payload in the shape of the login response. The Firebase ID token is the session
+ * token and the SDK keeps the refresh token itself.
+ */
+const createSession = async (user) => {
+  const { token, expirationTime } = await user.getIdTokenResult();
+  return {
+    token,
+    refreshToken: user.refreshToken,
+    expiresAt: new Date(expirationTime).toISOString(),
+    user: await getUserProfile(user),
+  };
+};
+
+/**
+ * Generic CRUD handlers for simple collections
+ */
+const createCrudHandlers = (name, label) => ({
+  create: async (params) => {
+    await requireUser();
+    const reference = doc(collection(db, name));
+    const item = {
+      is_active: true,
+      ...getPayload(params),
+      created_at: now(),
+      updated_at: now(),
+    };
+    await setDoc(reference, item);
+    return { ...item, id: reference.id };
+  },
+  update: async (params) => {
+    await requireUser();
+    return updateVersioned(doc(db, name, String(params.id)), getPayload(params), label);
+  },
+  remove: async (params) => {
+    await requireUser();
+    await findById(name, params.id, label);
+    await deleteDoc(doc(db, name, String(params.id)));
+    return { id: params.id };
+  },
+  list: async (params) => {
+    const items = sortByDisplayOrder(await listCollection(name));
+    // Admins see inactive entries too
+    const isAdmin = await isAdminRequest(params);
+    return isAdmin ? items : items.filter((item) => item.is_active !== false);
+  },
+});
+
+const categoryHandlers = createCrudHandlers(COLLECTIONS.CATEGORIES, 'Category');
+const awardHandlers = createCrudHandlers(COLLECTIONS.AWARDS, 'Award');
+const publicationHandlers = createCrudHandlers(COLLECTIONS.PUBLICATIONS, 'Publication');
+const socialLinkHandlers = createCrudHandlers(COLLECTIONS.SOCIAL_LINKS, 'Social link');
+
+const getSetting = async (name) => {
+  const snapshot = await getDoc(doc(db, COLLECTIONS.SETTINGS, name));
+  return snapshot.exists() ? toRecord(snapshot) : {};
+};
+
+// Posts
+
+const listPosts = async (params) => {
+  const isAdmin = await isAdminRequest(params);
+  // Public queries must filter on status for the security rules to allow them
+  const posts = isAdmin
+    ? await listCollection(COLLECTIONS.POSTS)
+    : await listCollection(COLLECTIONS.POSTS, where('status', '==', POST_STATUS.PUBLISHED));
+  return queryPostList(posts, params, { isAdmin });
+};
+
+const assertUniqueSlug = async (slug, postId = null) => {
+  if (!slug) return;
+  const matches = await listCollection(COLLECTIONS.POSTS, where('slug', '==', slug));
+  if (matches.some((post) => post.id !== postId)) {
+    throw new FirestoreActionError('A post with this slug already exists', 'DUPLICATE_SLUG', {
+      slug: 'This slug is already in use',
+    });
+  }
+};
+
+const getBulkIds = (params) => {
+  const ids = splitList(params.ids);
+  if (ids.length === 0) {
+    throw new FirestoreActionError('No posts selected', 'VALIDATION_ERROR', {
+      ids: 'Select at least one post',
+    });
+  }
+  return [...new Set(ids)];
+};
+
+const getBulkChanges = (changes) => {
+  const fields = Object.keys(changes || {}).filter((key) => BULK_CHANGE_FIELDS.includes(key));
+  if (typeof changes !== 'object' || fields.length === 0) {
+    throw new FirestoreActionError('No changes provided', 'VALIDATION_ERROR', {
+      changes: `Provide one of: ${BULK_CHANGE_FIELDS.join(', ')}`,
+    });
+  }
+  if ('status' in changes && !Object.values(POST_STATUS).includes(changes.status)) {
+    throw new FirestoreActionError('Invalid post status', 'VALIDATION_ERROR', {
+      status: `Status must be one of: ${Object.values(POST_STATUS).join(', ')}`,
+    });
+  }
+  return changes;
+};
+
+/**
+ * Runs `apply(id)` for every id in turn, recording a per-item outcome
+ */
+const runBulk = async (ids, apply) => {
+  const results = [];
+  for (const id of ids) {
+    try {
+      await apply(id);
+      results.push({ id, success: true });
+    } catch (error) {
+      results.push({
+        id,
+        success: false,
+        error: { message: error.message, code: toErrorCode(error) },
+      });
+    }
+  }
+  const succeeded = results.filter((result) => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+};
+
+/**
+ * Action handlers keyed by API action name.
+ * Each receives the request params and resolves with the `data` payload.
+ */
+/**
+ * Uploads a File with a resumable Storage task, which sends it in chunks and retries failed
+ * ones. Progress goes to `onUploadProgress` and aborting `signal` cancels the task.
+ */
+const uploadResumable = (fileRef, file, metadata, { signal, onUploadProgress } = {}) =>
+  new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(fileRef, file, metadata);
+    const onAbort = () => task.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    task.on(
+      'state_changed',
+      (snapshot) =>
+        onUploadProgress?.({ loaded: snapshot.bytesTransferred, total: snapshot.totalBytes }),
+      (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+      () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(task.snapshot);
+      }
+    );
+  });
+
+const handlers = {
+  // Public actions
+  [API_ACTIONS.LIST_POSTS]: listPosts,
+  [API_ACTIONS.SEARCH_POSTS]: listPosts,
+
+  [API_ACTIONS.GET_POST]: async (params) => {
+    const isAdmin = await isAdminRequest(params);
+    let post = null;
+    if (params.id) {
+      const snapshot = await getDoc(doc(db, COLLECTIONS.POSTS, String(params.id)));
+      post = snapshot.exists() ? toRecord(snapshot) : null;
+    } else if (params.slug) {
+      const constraints = [where('slug', '==', params.slug)];
+      if (!isAdmin) constraints.push(where('status', '==', POST_STATUS.PUBLISHED));
+      [post = null] = await listCollection(COLLECTIONS.POSTS, ...constraints);
+    }
+    if (!post || (!isAdmin && post.status !== POST_STATUS.PUBLISHED)) {
+      throw new FirestoreActionError('Post not found', 'NOT_FOUND');
+    }
+    return post;
+  },
+
+  [API_ACTIONS.GET_PROFILE]: () => getSetting('profile'),
+  [API_ACTIONS.GET_SOCIAL_LINKS]: (params) => socialLinkHandlers.list(params),
+  [API_ACTIONS.GET_CATEGORIES]: (params) => categoryHandlers.list(params),
+  [API_ACTIONS.GET_AWARDS]: (params) => awardHandlers.list(params),
+  [API_ACTIONS.GET_PUBLICATIONS]: (params) => publicationHandlers.list(params),
+  [API_ACTIONS.GET_DONATE_INFO]: () => getSetting('donate_info'),
+
+  [API_ACTIONS.GET_TAGS]: async () =>
+    collectTags(
+      await listCollection(COLLECTIONS.POSTS, where('status', '==', POST_STATUS.PUBLISHED))
+    ),
+
+  // Auth actions
+  [API_ACTIONS.LOGIN]: async (params) => {
+    const { user } = await signInWithEmailAndPassword(
+      auth,
+      String(params.email || ''),
+      String(params.password || '')
+    );
+    await assertCanSignIn(await getUserProfile(user));
+    await setDoc(
+      doc(db, COLLECTIONS.USERS, user.uid),
+      { last_login_at: now() },
+      { merge: true }
+    ).catch((error) => console.error('Error recording sign-in time:', error));
+    return createSession(user);
+  },
+
+  [API_ACTIONS.LOGOUT]: async () => {
+    await signOut(auth);
+    return { loggedOut: true };
+  },
+
+  // The SDK refreshes with its own stored token; this forces a new ID token for the session
+  [API_ACTIONS.REFRESH_TOKEN]: async () => {
+    const user = await getCurrentUser();
+    if (!user) {
+      throw new FirestoreActionError('Invalid refresh token', 'UNAUTHORIZED');
+    }
+    await user.getIdToken(true);
+    return createSession(user);
+  },
+
+  [API_ACTIONS.CHANGE_PASSWORD]: async (params) => {
+    const user = await requireUser();
+    assertNewPassword(params);
+    try {
+      await reauthenticateWithCredential(
+        user,
+        EmailAuthProvider.credential(user.email, String(params.currentPassword || ''))
+      );
+    } catch (error) {
+      if (toErrorCode(error) !== 'INVALID_CREDENTIALS') throw error;
+      throw new FirestoreActionError('Current password is incorrect', 'VALIDATION_ERROR', {
+        currentPassword: 'Current password is incorrect',
+      });
+    }
+    await updatePassword(user, params.newPassword);
+    // Firebase keeps this session signed in after a password change
+    return { requiresReauth: false };
+  },
+
+  // Answers the same whether or not the email has an account
+  [API_ACTIONS.REQUEST_PASSWORD_RESET]: async (params) => {
+    try {
+      await sendPasswordResetEmail(auth, String(params.email || '').trim(), {
+        url: `${window.location.origin}${ROUTES.ADMIN_LOGIN}`,
+      });
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+    }
+    return { sent: true };
+  },
+
+  [API_ACTIONS.RESET_PASSWORD]: async (params) => {
+    assertNewPassword(params);
+    const code = String(params.token || '');
+    let email;
+    try {
+      email = await verifyPasswordResetCode(auth, code);
+      await confirmPasswordReset(auth, code, params.newPassword);
+    } catch (error) {
+      if (!INVALID_RESET_CODES.includes(error.code)) throw error;
+      throw new FirestoreActionError(
+        'This reset link is invalid or has expired',
+        'VALIDATION_ERROR',
+        { token: 'Request a new reset link' }
+      );
+    }
+    return { email };
+  },
+
+  // Posts
+  [API_ACTIONS.CREATE_POST]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    const data = getPostPayload(params);
+    if (!canSetPostStatus(profile, data.status)) {
+      throw new FirestoreActionError('Your role cannot publish posts', 'FORBIDDEN');
+    }
+    if (!data.title) {
+      throw new FirestoreActionError('Title is required', 'VALIDATION_ERROR', {
+        title: 'Title is required',
+      });
+    }
+    await assertUniqueSlug(data.slug);
+    const reference = doc(collection(db, COLLECTIONS.POSTS));
+    const post = {
+      status: POST_STATUS.DRAFT,
+      view_count: 0,
+      author_name: profile.name || profile.email,
+      ...data,
+      author_id: profile.id,
+      created_at: now(),
+      updated_at: now(),
+    };
+    await setDoc(reference, post);
+    return { ...post, id: reference.id };
+  },
+
+  [API_ACTIONS.UPDATE_POST]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    const data = getPostPayload(params);
+    assertCanEditPost(profile, await findById(COLLECTIONS.POSTS, params.id, 'Post'), data.status);
+    await assertUniqueSlug(data.slug, String(params.id));
+    return updateVersioned(doc(db, COLLECTIONS.POSTS, String(params.id)), data, 'Post');
+  },
+
+  [API_ACTIONS.DELETE_POST]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    assertCanDeletePost(profile, await findById(COLLECTIONS.POSTS, params.id, 'Post'));
+    await deleteDoc(doc(db, COLLECTIONS.POSTS, String(params.id)));
+    return { id: params.id };
+  },
+
+  [API_ACTIONS.BULK_DELETE_POSTS]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    const report = await runBulk(getBulkIds(params), async (id) => {
+      assertCanDeletePost(profile, await findById(COLLECTIONS.POSTS, id, 'Post'));
+      await deleteDoc(doc(db, COLLECTIONS.POSTS, id));
+    });
+    return { ...report, deleted: report.succeeded };
+  },
+
+  [API_ACTIONS.BULK_UPDATE_POSTS]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    const ids = getBulkIds(params);
+    const changes = getBulkChanges(params.changes);
+    return runBulk(ids, (id) =>
+      runTransaction(db, async (transaction) => {
+        const reference = doc(db, COLLECTIONS.POSTS, id);
+        const snapshot = await transaction.get(reference);
+        if (!snapshot.exists()) {
+          throw new FirestoreActionError('Post not found', 'NOT_FOUND');
+        }
+        assertCanEditPost(profile, toRecord(snapshot), changes.status);
+        const post = applyBulkChanges(toRecord(snapshot), changes);
+        delete post.id;
+        transaction.set(reference, post);
+      })
+    );
+  },
+
+  // Media, stored in Firebase Storage with a document per file
+  // `file` is the File itself (see the driver's acceptsFiles) or, from older callers, base64
+  [API_ACTIONS.UPLOAD_MEDIA]: async (params, options) => {
+    await requireUser();
+    if (!params.file) {
+      throw new FirestoreActionError('No file provided', 'VALIDATION_ERROR');
+    }
+    const reference = doc(collection(db, COLLECTIONS.MEDIA));
+    const storagePath = `media/${reference.id}_${params.fileName || 'file'}`;
+    const fileRef = ref(storage, storagePath);
+    const metadata = { contentType: params.fileType || 'application/octet-stream' };
+    if (typeof params.file === 'string') {
+      await uploadString(fileRef, params.file, 'base64', metadata);
+    } else {
+      await uploadResumable(fileRef, params.file, metadata, options);
+    }
+    const url = await getDownloadURL(fileRef);
+    const media = {
+      file_name: params.fileName,
+      file_type: params.fileType,
+      url,
+      public_url: url,
+      storage_path: storagePath,
+      created_at: now(),
+    };
+    await setDoc(reference, media);
+    return { ...media, id: reference.id };
+  },
+
+  [API_ACTIONS.GET_MEDIA_FILES]: async () => {
+    await requireUser();
+    return listCollection(COLLECTIONS.MEDIA);
+  },
+
+  [API_ACTIONS.DELETE_MEDIA]: async (params) => {
+    await requireUser();
+    const media = await findById(COLLECTIONS.MEDIA, params.fileId, 'Media file');
+    if (media.storage_path) {
+      await deleteObject(ref(storage, media.storage_path)).catch((error) => {
+        // Already gone from Storage; still drop the record
+        if (error.code !== 'storage/object-not-found') throw error;
+      });
+    }
+    await deleteDoc(doc(db, COLLECTIONS.MEDIA, String(params.fileId)));
+    return { id: params.fileId };
+  },
+
+  // Profile and social links
+  [API_ACTIONS.UPDATE_PROFILE]: async (params) => {
+    await requireUser();
+    const reference = doc(db, COLLECTIONS.SETTINGS, 'profile');
+    return updateVersioned(reference, getPayload(params), 'Profile', { upsert: true });
+  },
+
+  [API_ACTIONS.LIST_SOCIAL_LINKS]: async (params) => {
+    await requireUser();
+    return socialLinkHandlers.list(params);
+  },
+  [API_ACTIONS.CREATE_SOCIAL_LINK]: socialLinkHandlers.create,
+  [API_ACTIONS.UPDATE_SOCIAL_LINK]: socialLinkHandlers.update,
+  [API_ACTIONS.DELETE_SOCIAL_LINK]: socialLinkHandlers.remove,
+
+  // Categories, awards, publications
+  [API_ACTIONS.CREATE_CATEGORY]: categoryHandlers.create,
+  [API_ACTIONS.UPDATE_CATEGORY]: categoryHandlers.update,
+  [API_ACTIONS.DELETE_CATEGORY]: categoryHandlers.remove,
+  [API_ACTIONS.CREATE_AWARD]: awardHandlers.create,
+  [API_ACTIONS.UPDATE_AWARD]: awardHandlers.update,
+  [API_ACTIONS.DELETE_AWARD]: awardHandlers.remove,
+  [API_ACTIONS.CREATE_PUBLICATION]: publicationHandlers.create,
+  [API_ACTIONS.UPDATE_PUBLICATION]: publicationHandlers.update,
+  [API_ACTIONS.DELETE_PUBLICATION]: publicationHandlers.remove,
+
+  // Donate info
+  [API_ACTIONS.UPDATE_DONATE_INFO]: async (params) => {
+    await requireUser();
+    const reference = doc(db, COLLECTIONS.SETTINGS, 'donate_info');
+    await setDoc(reference, getPayload(params), { merge: true });
+    return getSetting('donate_info');
+  },
+
+  // Users
+  [API_ACTIONS.LIST_USERS]: async () => {
+    const users = await listCollection(COLLECTIONS.USERS);
+    return users.map((user) => ({ ...user, role: getUserRole(user) }));
+  },
+
+  // Only the role and name live in Firestore; the account itself stays in Firebase Auth
+  [API_ACTIONS.UPDATE_USER]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    await findById(COLLECTIONS.USERS, params.id, 'User');
+    const changes = {};
+    if (params.role !== undefined) {
+      if (!isValidRole(params.role)) {
+        throw new FirestoreActionError('Invalid role', 'VALIDATION_ERROR', {
+          role: 'Choose a role',
+        });
+      }
+      if (String(params.id) === profile.id) {
+        throw new FirestoreActionError('You cannot change your own role', 'FORBIDDEN');
+      }
+      changes.role = params.role;
+      changes.is_super_admin = params.role === ROLES.SUPER_ADMIN;
+    }
+    if (params.name !== undefined) {
+      changes.name = params.name;
+    }
+    if (params.disabled !== undefined) {
+      changes.disabled = String(params.disabled) === 'true';
+      if (changes.disabled && String(params.id) === profile.id) {
+        throw new FirestoreActionError('You cannot disable your own account', 'FORBIDDEN');
+      }
+    }
+    // Lifting a forced reset; forcePasswordReset sets it
+    if (String(params.password_reset_required) === 'false') {
+      changes.password_reset_required = false;
+    }
+    const reference = doc(db, COLLECTIONS.USERS, String(params.id));
+    await setDoc(reference, { ...changes, updated_at: now() }, { merge: true });
+    const user = await findById(COLLECTIONS.USERS, params.id, 'User');
+    return { ...user, role: getUserRole(user) };
+  },
+
+  // Firebase sends the reset email; signing in is refused until the user has used it
+  [API_ACTIONS.FORCE_PASSWORD_RESET]: async (params) => {
+    const profile = await getUserProfile(await requireUser());
+    const user = await findById(COLLECTIONS.USERS, params.id, 'User');
+    if (String(params.id) === profile.id) {
+      throw new FirestoreActionError('Use Change Password for your own account', 'FORBIDDEN');
+    }
+    if (!user.email) {
+      throw new FirestoreActionError('This user has no email address on record', 'BAD_REQUEST');
+    }
+    await sendPasswordResetEmail(auth, user.email, {
+      url: `${window.location.origin}${ROUTES.ADMIN_LOGIN}`,
+    });
+    const reference = doc(db, COLLECTIONS.USERS, String(params.id));
+    await setDoc(reference, { password_reset_required: true, updated_at: now() }, { merge: true });
+    const updated = await findById(COLLECTIONS.USERS, params.id, 'User');
+    return { ...updated, role: getUserRole(updated) };
+  },
+
+  [API_ACTIONS.GET_AUDIT_LOG]: async (params) =>
+    queryAuditLog(await listCollection(COLLECTIONS.AUDIT_LOG), params, PAGINATION.MAX_PAGE_SIZE),
+
+  [API_ACTIONS.CHECK_SUPER_ADMIN]: async () => {
+    const { role } = await getUserProfile(await requireUser());
+    return { isSuperAdmin: role === ROLES.SUPER_ADMIN, role };
+  },
+};
+
+// Actions this backend leaves to the Firebase console, and what to tell the user. Accounts of
+// other people can only be created or removed with the Admin SDK.
+const USER_MANAGEMENT_MESSAGE = 'Admin accounts are managed in the Firebase console for this site.';
+const TWO_FACTOR_MESSAGE =
+  'Two-factor authentication is managed in the Firebase console for this site.';
+// Firebase keeps sessions to itself; a password change ends the other ones
+const SESSIONS_MESSAGE =
+  'Sessions cannot be listed for this site. Changing the password signs out everywhere else.';
+const CONSOLE_ACTIONS = {
+  [API_ACTIONS.CREATE_USER]: USER_MANAGEMENT_MESSAGE,
+  [API_ACTIONS.INVITE_USER]: USER_MANAGEMENT_MESSAGE,
+  [API_ACTIONS.ACCEPT_INVITE]: USER_MANAGEMENT_MESSAGE,
+  [API_ACTIONS.DELETE_USER]: USER_MANAGEMENT_MESSAGE,
+  [API_ACTIONS.VERIFY_TWO_FACTOR]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.SETUP_TWO_FACTOR]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.ENABLE_TWO_FACTOR]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.DISABLE_TWO_FACTOR]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.REGENERATE_BACKUP_CODES]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.GET_SECURITY_SETTINGS]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.UPDATE_SECURITY_SETTINGS]: TWO_FACTOR_MESSAGE,
+  [API_ACTIONS.LIST_SESSIONS]: SESSIONS_MESSAGE,
+  [API_ACTIONS.REVOKE_SESSION]: SESSIONS_MESSAGE,
+  [API_ACTIONS.REVOKE_OTHER_SESSIONS]: SESSIONS_MESSAGE,
+  [API_ACTIONS.REVOKE_USER_SESSIONS]: SESSIONS_MESSAGE,
+};
+
+// Audit log
+
+// Where each audited entity is stored: a settings document or a collection
+const AUDIT_SETTINGS = {
+  [AUDIT_ENTITIES.PROFILE]: 'profile',
+  [AUDIT_ENTITIES.DONATE_INFO]: 'donate_info',
+};
+const AUDIT_COLLECTIONS = {
+  [AUDIT_ENTITIES.POSTS]: COLLECTIONS.POSTS,
+  [AUDIT_ENTITIES.MEDIA]: COLLECTIONS.MEDIA,
+  [AUDIT_ENTITIES.CATEGORIES]: COLLECTIONS.CATEGORIES,
+  [AUDIT_ENTITIES.AWARDS]: COLLECTIONS.AWARDS,
+  [AUDIT_ENTITIES.PUBLICATIONS]: COLLECTIONS.PUBLICATIONS,
+  [AUDIT_ENTITIES.SOCIAL_LINKS]: COLLECTIONS.SOCIAL_LINKS,
+  [AUDIT_ENTITIES.USERS]: COLLECTIONS.USERS,
+};
+
+// Reading whole collections would be too costly, so only the records an action names are
+// compared: its `id`, `fileId` or bulk `ids`, and the `id` of what it created
+const getAuditTargetIds = (params, result) => [
+  ...new Set(
+    [params.id, params.fileId, ...splitList(params.ids), result?.id].filter(Boolean).map(String)
+  ),
+];
+
+/**
+ * Copies the target records of `entity`, keyed by id (see snapshotEntity in auditLog)
+ */
+const snapshotAuditTargets = async (entity, ids) => {
+  if (AUDIT_SETTINGS[entity]) {
+    return new Map([[entity, await getSetting(AUDIT_SETTINGS[entity])]]);
+  }
+  if (!AUDIT_COLLECTIONS[entity]) return new Map();
+  const snapshots = await Promise.all(
+    ids.map((id) => getDoc(doc(db, AUDIT_COLLECTIONS[entity], id)))
+  );
+  const records = snapshots.filter((snapshot) => snapshot.exists()).map(toRecord);
+  return new Map(records.map((record) => [record.id, record]));
+};
+
+/**
+ * Writes the entries for what an audited action changed. Failures are only logged: the change
+ * itself went through and must not be reported as failed.
+ */
+const recordAudit = async (action, before, ids) => {
+  try {
+    const entity = AUDITED_ACTIONS[action];
+    const user = await getCurrentUser();
+    const entries = createAuditEntries({
+      action,
+      entity,
+      actor: user && { id: user.uid, email: user.email },
+      before,
+      after: await snapshotAuditTargets(entity, ids),
+      createId: () => doc(collection(db, COLLECTIONS.AUDIT_LOG)).id,
+    });
+    await Promise.all(
+      entries.map(({ id, ...entry }) => setDoc(doc(db, COLLECTIONS.AUDIT_LOG, id), entry))
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+const toErrorCode = (error) =>
+  error.code && FIREBASE_ERROR_CODES[error.code]
+    ? FIREBASE_ERROR_CODES[error.code]
+    : error instanceof FirestoreActionError
+      ? error.code
+      : 'SERVER_ERROR';
+
+/**
+ * Executes an action against Firestore and resolves with the response envelope.
+ * Rejects only with a NetworkError, when Firestore cannot be reached.
+ * `options` are the driver call options; uploadMedia uses `signal` and `onUploadProgress`.
+ */
+export const handleFirestoreAction = async (action, params = {}, options = {}) => {
+  const handler = handlers[action];
+
+  if (!handler) {
+    return {
+      success: false,
+      error: CONSOLE_ACTIONS[action]
+        ? { message: CONSOLE_ACTIONS[action], code: 'UNSUPPORTED_ACTION' }
+        : { message: `Unknown action: ${action}`, code: 'UNKNOWN_ACTION' },
+    };
+  }
+
+  try {
+    if (ACTION_PERMISSIONS[action]) {
+      await requirePermission(ACTION_PERMISSIONS[action]);
+    }
+    const audited = action in AUDITED_ACTIONS;
+    const before =
+      audited && (await snapshotAuditTargets(AUDITED_ACTIONS[action], getAuditTargetIds(params)));
+    const result = await handler(params, options);
+    if (audited) {
+      await recordAudit(action, before, getAuditTargetIds(params, result));
+    }
+    // List queries return { data, total, ... } so pagination metadata stays top-level
+    if (result && typeof result === 'object' && 'total' in result && Array.isArray(result.data)) {
+      return { success: true, ...result };
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    if (OFFLINE_CODES.includes(error.code)) {
+      throw new NetworkError(undefined, { action, cause: error });
+    }
+    const code = toErrorCode(error);
+    if (code === 'SERVER_ERROR') {
+      console.error('Firestore API error:', error);
+    }
+    // Firebase messages are not meant for users; the ApiError default message is used instead
+    let message = error instanceof FirestoreActionError ? error.message : undefined;
+    if (code === 'INVALID_CREDENTIALS') {
+      message = 'Invalid email or password';
+    }
+    return {
+      success: false,
+      error: {
+        message,
+        code,
+        ...(error.fields && { fields: error.fields }),
+        ...(error.current && { current: error.current }),
+      },
+    };
+  }
+};
+
+export default {
+  handleFirestoreAction,
+};
@@ -0,0 +1,300 @@
+/**
+ * HTTP Transport
+ * axios plumbing shared by the drivers that talk to a backend over HTTP (Apps Script, REST):
+ * debug logging, JSON body parsing, retries with backoff and conversion of axios failures into
+ * ApiErrors. Per-call options `action` (for logs) and `retry` ride along on the axios config.
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '@/config/constants';
+import { ENV } from '@/config/env';
+import {
+  ApiError,
+  CanceledError,
+  ConfigurationError,
+  CorsError,
+  NetworkError,
+  createEnvelopeError,
+} from '../errors';
+
+/**
+ * Resolves how many times a request may be retried.
+ * GETs are idempotent and retried by default; POSTs (createPost, uploadMedia, ...) are only
+ * retried when the caller opts in with `retry`, so mutations are never silently duplicated.
+ * Per call: `{ retry: false }` disables, `{ retry: 5 }` overrides the attempt count.
+ */
+const getMaxRetries = (config) => {
+  if (config.retry === false) return 0;
+  if (typeof config.retry === 'number') return config.retry;
+  if (config.retry === true || config.method === 'get') return API_CONFIG.RETRY_ATTEMPTS;
+  return 0;
+};
+
+/**
+ * Transient failures worth retrying: timeouts, rate limiting and 5xx responses.
+ * ERR_NETWORK is not retried since browsers report CORS rejections the same way.
+ */
+const isTransientError = (error) => {
+  if (axios.isCancel(error)) return false;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return true;
+  const status = error.response?.status;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Exponential backoff with jitter, honouring a server-provided Retry-After header
+ */
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, API_CONFIG.RETRY_MAX_DELAY);
+  }
+  const backoff = Math.min(API_CONFIG.RETRY_DELAY * 2 ** attempt, API_CONFIG.RETRY_MAX_DELAY);
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Waits `ms` before a retry, or rejects as canceled as soon as the request's `signal` aborts
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Fields the debug logs never print: session tokens, passwords, two-factor codes and secrets.
+// Requests also carry a bare `code` (the two-factor code); in responses that is the error code.
+const SECRET_RESPONSE_FIELDS = /password|token|secret|backup_?codes?/i;
+const SECRET_REQUEST_FIELDS = /password|token|secret|backup_?codes?|^code$/i;
+
+const maskSecrets = (value, pattern) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => maskSecrets(item, pattern));
+  }
+  if (!value || typeof value !== 'object' || value.constructor !== Object) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      pattern.test(key) ? '[redacted]' : maskSecrets(item, pattern),
+    ])
+  );
+};
+
+/**
+ * A copy of a request or response body for the debug logs, with secret fields masked. String
+ * bodies (JSON, or the form-encoded requests of the Apps Script driver) are decoded first.
+ */
+const redactForLog = (body, pattern) => {
+  if (typeof body !== 'string') {
+    return maskSecrets(body, pattern);
+  }
+  try {
+    return maskSecrets(JSON.parse(body), pattern);
+  } catch {
+    return pattern === SECRET_REQUEST_FIELDS
+      ? maskSecrets(Object.fromEntries(new URLSearchParams(body)), pattern)
+      : body;
+  }
+};
+
+/**
+ * Normalizes the response body (Apps Script sometimes returns JSON as a string)
+ */
+export const parseResponseData = (response) => {
+  // Debug logging
+  if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+    console.log('📥 API Response:', {
+      url: response.config.url,
+      finalUrl: response.request?.responseURL || response.config.url,
+      status: response.status,
+      statusText: response.statusText,
+      data: redactForLog(response.data, SECRET_RESPONSE_FIELDS),
+      dataType: typeof response.data,
+      isString: typeof response.data === 'string',
+      isObject: typeof response.data === 'object',
+    });
+  }
+
+  // Google Apps Script returns data directly, but sometimes as string
+  // After redirect, the response might be parsed automatically by axios
+  let responseData = response.data;
+
+  // If data is already an object, return it directly (axios might have parsed it)
+  if (typeof responseData === 'object' && responseData !== null) {
+    return responseData;
+  }
+
+  // If data is a string, try to parse it as JSON
+  if (typeof responseData === 'string') {
+    // Trim whitespace first
+    responseData = responseData.trim();
+
+    // If empty string, return empty object
+    if (responseData === '') {
+      console.warn('⚠️ Empty response received');
+      return {};
+    }
+
+    try {
+      return JSON.parse(responseData);
+    } catch (e) {
+      // If parsing fails, it might be HTML (wrong URL) or plain text
+      if (responseData.includes('<!doctype html>') || responseData.includes('<html>')) {
+        throw new ConfigurationError(undefined, {
+          code: 'INVALID_RESPONSE',
+          action: response.config.action,
+          details: 'API returned HTML instead of JSON. Please check VITE_API_BASE_URL in .env file.',
+        });
+      }
+      // Return as-is if it's not JSON
+      if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+        console.warn('⚠️ Response is not JSON:', responseData.substring(0, 100));
+      }
+      // Try to return as error response
+      return {
+        success: false,
+        error: {
+          message: 'Invalid response format',
+          raw: responseData.substring(0, 200),
+        },
+      };
+    }
+  }
+
+  // Fallback: return the data as-is
+  return responseData;
+};
+
+/**
+ * Creates an axios instance with the shared interceptors.
+ * Responses resolve with `data` replaced by `transformResponse(response)` (parseResponseData
+ * by default); 4xx responses resolve too, so the caller reads the error from the body.
+ */
+export const createHttpClient = (config, { transformResponse = parseResponseData } = {}) => {
+  const client = axios.create({
+    timeout: API_CONFIG.TIMEOUT,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    // Accept any status code including redirects (Google Apps Script redirects POST to GET)
+    validateStatus: function (status) {
+      // Accept redirects (3xx), success codes (2xx), and client errors (4xx)
+      return status >= 200 && status < 500;
+    },
+    ...config,
+  });
+
+  // Debug logging
+  client.interceptors.request.use((requestConfig) => {
+    if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+      console.log('API Request:', {
+        action: requestConfig.action,
+        url: requestConfig.url,
+        method: requestConfig.method,
+        params: redactForLog(requestConfig.params, SECRET_REQUEST_FIELDS),
+        data: redactForLog(requestConfig.data, SECRET_REQUEST_FIELDS),
+        baseURL: requestConfig.baseURL,
+      });
+    }
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      response.data = transformResponse(response);
+      return response;
+    },
+    async (error) => {
+      const originalRequest = error.config;
+
+      // Debug logging
+      if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+        console.error('API Error:', {
+          action: originalRequest?.action,
+          url: originalRequest?.url,
+          method: originalRequest?.method,
+          status: error.response?.status,
+          message: error.message,
+          code: error.code,
+          response: redactForLog(error.response?.data, SECRET_RESPONSE_FIELDS),
+          baseURL: originalRequest?.baseURL,
+          hasRequest: !!error.request,
+          hasResponse: !!error.response,
+        });
+      }
+
+      // Retry transient failures with backoff
+      if (originalRequest && isTransientError(error)) {
+        const attempt = originalRequest._retryCount || 0;
+        if (attempt < getMaxRetries(originalRequest)) {
+          originalRequest._retryCount = attempt + 1;
+          const delay = getRetryDelay(error, attempt);
+          if (ENV.ENABLE_DEBUG || ENV.IS_DEVELOPMENT) {
+            console.warn(
+              `Retrying ${originalRequest.action || 'request'} in ${Math.round(delay)}ms ` +
+                `(attempt ${attempt + 1})`
+            );
+          }
+          await sleep(delay, originalRequest.signal);
+          return client(originalRequest);
+        }
+      }
+
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+};
+
+/**
+ * Converts an axios error into the matching ApiError subclass
+ */
+export const toApiError = (error, action = null) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (axios.isCancel(error)) {
+    return new CanceledError(undefined, { action, cause: error });
+  }
+
+  if (error.response) {
+    return createEnvelopeError(error.response.data, {
+      status: error.response.status,
+      action,
+      retryAfter: Number(error.response.headers?.['retry-after']) || undefined,
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.message?.includes('timeout')) {
+    return new NetworkError('Request timed out. Please try again.', {
+      code: 'TIMEOUT',
+      action,
+      cause: error,
+    });
+  }
+
+  // No response at all: browsers report CORS rejections as a bare network error
+  if (
+    error.request &&
+    (error.code === 'ERR_NETWORK' || /CORS|Access-Control|Cross-Origin/.test(error.message || ''))
+  ) {
+    return new CorsError(undefined, { action, cause: error });
+  }
+
+  return new NetworkError(undefined, { action, cause: error });
+};
@@ -0,0 +1,69 @@
+/**
+ * Backend Drivers
+ * publicAPI/adminAPI describe every call as an action plus params; a driver carries it to one
+ * kind of backend and hands back the response envelope. VITE_API_DRIVER picks the driver
+ * (see API_DRIVERS), so the same UI runs on Apps Script, a JSON REST API or Firestore.
+ *
+ * A driver is an object with:
+ * - `read(action, params, options)` and `write(action, payload, options)`: perform the action
+ *   and resolve with `{ status, data, headers }`, where `data` is the `{ success, data, error }`
+ *   envelope. Failures the backend reports go in the envelope; only transport problems reject.
+ *   `params.token` is the session token of admin calls; it must never be put in a URL. `options`
+ *   carries per-call settings such as `signal`, `timeout` and `retry`.
+ * - `supportsBatch`: whether concurrent reads may be bundled into the `batch` action
+ * - `acceptsFiles`: whether `uploadMedia` may be written with the File itself as `file`, in
+ *   which case the driver reports progress through `options.onUploadProgress` (drivers without
+ *   it get base64 chunks, see chunkedUpload.js)
+ * - `getConfigError(action)`: returns a ConfigurationError when the environment lacks what
+ *   the driver needs, or null
+ */
+
+import { API_DRIVERS } from '@/config/constants';
+import { ENV } from '@/config/env';
+import { ConfigurationError } from '../errors';
+import { appsScriptDriver } from './appsScript';
+import { restDriver } from './rest';
+import { firestoreDriver } from './firestore';
+
+const DRIVERS = {
+  [API_DRIVERS.APPS_SCRIPT]: appsScriptDriver,
+  [API_DRIVERS.REST]: restDriver,
+  [API_DRIVERS.FIRESTORE]: firestoreDriver,
+};
+
+/**
+ * Stand-in for a misspelled VITE_API_DRIVER: every call fails with a ConfigurationError
+ */
+const createUnknownDriver = (name) => {
+  const getConfigError = (action) =>
+    new ConfigurationError(undefined, {
+      action,
+      details:
+        `Unknown VITE_API_DRIVER "${name}". ` +
+        `Use one of: ${Object.values(API_DRIVERS).join(', ')}.`,
+    });
+  const fail = (action) => Promise.reject(getConfigError(action));
+  return {
+    name,
+    supportsBatch: false,
+    acceptsFiles: false,
+    getConfigError,
+    read: fail,
+    write: fail,
+  };
+};
+
+/**
+ * The driver for the configured backend. VITE_API_MODE=local always uses the Apps Script
+ * driver, whose protocol the in-browser backend implements.
+ */
+export const getDriver = () => {
+  if (ENV.USE_LOCAL_API) {
+    return appsScriptDriver;
+  }
+  return DRIVERS[ENV.API_DRIVER] || createUnknownDriver(ENV.API_DRIVER);
+};
+
+export { appsScriptDriver, restDriver, firestoreDriver };
+
+export default getDriver;
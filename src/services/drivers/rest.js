@@ -0,0 +1,195 @@
+/**
+ * REST Driver
+ * Maps actions onto a conventional JSON API under VITE_API_BASE_URL (see REST_ROUTES):
+ * `:name` segments are filled from the params, the rest go in the query string for GET/DELETE
+ * and in a JSON body otherwise. The session token is sent as `Authorization: Bearer`, and
+ * failures are reported with HTTP status codes.
+ *
+ * Responses may be the `{ success, data, error }` envelope or the bare resource. Bare bodies
+ * are wrapped: `{ data, total, page, limit }` keeps its list metadata, an X-Total-Count header
+ * becomes `total`, and error bodies may carry `message`, `code`, `fields` and `current` (the
+ * stored record of a 409) at the top level.
+ */
+
+import { API_ACTIONS, API_DRIVERS } from '@/config/constants';
+import { ENV } from '@/config/env';
+import { ApiError, ConfigurationError } from '../errors';
+import { createHttpClient, parseResponseData } from './http';
+
+const route = (method, path) => ({ method, path });
+
+export const REST_ROUTES = {
+  // Public
+  [API_ACTIONS.LIST_POSTS]: route('get', '/posts'),
+  [API_ACTIONS.SEARCH_POSTS]: route('get', '/posts/search'),
+  [API_ACTIONS.GET_POST]: (params) =>
+    params.id ? route('get', '/posts/:id') : route('get', '/posts/slug/:slug'),
+  [API_ACTIONS.GET_PROFILE]: route('get', '/profile'),
+  [API_ACTIONS.GET_SOCIAL_LINKS]: route('get', '/social-links'),
+  [API_ACTIONS.GET_CATEGORIES]: route('get', '/categories'),
+  [API_ACTIONS.GET_AWARDS]: route('get', '/awards'),
+  [API_ACTIONS.GET_PUBLICATIONS]: route('get', '/publications'),
+  [API_ACTIONS.GET_TAGS]: route('get', '/tags'),
+  [API_ACTIONS.GET_DONATE_INFO]: route('get', '/donate-info'),
+
+  // Auth
+  [API_ACTIONS.LOGIN]: route('post', '/auth/login'),
+  [API_ACTIONS.LOGOUT]: route('post', '/auth/logout'),
+  [API_ACTIONS.REFRESH_TOKEN]: route('post', '/auth/refresh'),
+  [API_ACTIONS.LIST_SESSIONS]: route('get', '/auth/sessions'),
+  [API_ACTIONS.REVOKE_SESSION]: route('delete', '/auth/sessions/:id'),
+  [API_ACTIONS.REVOKE_OTHER_SESSIONS]: route('post', '/auth/sessions/revoke-others'),
+  [API_ACTIONS.CHANGE_PASSWORD]: route('post', '/auth/change-password'),
+  [API_ACTIONS.CHECK_SUPER_ADMIN]: route('get', '/auth/super-admin'),
+  [API_ACTIONS.REQUEST_PASSWORD_RESET]: route('post', '/auth/password-reset'),
+  [API_ACTIONS.RESET_PASSWORD]: route('post', '/auth/password-reset/confirm'),
+  [API_ACTIONS.ACCEPT_INVITE]: route('post', '/auth/invite/accept'),
+  [API_ACTIONS.VERIFY_TWO_FACTOR]: route('post', '/auth/two-factor/verify'),
+  [API_ACTIONS.SETUP_TWO_FACTOR]: route('post', '/auth/two-factor/setup'),
+  [API_ACTIONS.ENABLE_TWO_FACTOR]: route('post', '/auth/two-factor/enable'),
+  [API_ACTIONS.DISABLE_TWO_FACTOR]: route('post', '/auth/two-factor/disable'),
+  [API_ACTIONS.REGENERATE_BACKUP_CODES]: route('post', '/auth/two-factor/backup-codes'),
+  [API_ACTIONS.GET_SECURITY_SETTINGS]: route('get', '/settings/security'),
+  [API_ACTIONS.UPDATE_SECURITY_SETTINGS]: route('patch', '/settings/security'),
+  [API_ACTIONS.GET_AUDIT_LOG]: route('get', '/audit-log'),
+
+  // Posts and media
+  [API_ACTIONS.CREATE_POST]: route('post', '/posts'),
+  [API_ACTIONS.UPDATE_POST]: route('patch', '/posts/:id'),
+  [API_ACTIONS.DELETE_POST]: route('delete', '/posts/:id'),
+  [API_ACTIONS.BULK_DELETE_POSTS]: route('post', '/posts/bulk-delete'),
+  [API_ACTIONS.BULK_UPDATE_POSTS]: route('post', '/posts/bulk-update'),
+  [API_ACTIONS.UPLOAD_MEDIA]: route('post', '/media'),
+  [API_ACTIONS.GET_MEDIA_FILES]: route('get', '/media'),
+  [API_ACTIONS.DELETE_MEDIA]: route('delete', '/media/:fileId'),
+  [API_ACTIONS.START_UPLOAD]: route('post', '/uploads'),
+  [API_ACTIONS.UPLOAD_CHUNK]: route('put', '/uploads/:uploadId/chunks/:index'),
+  [API_ACTIONS.GET_UPLOAD_STATUS]: route('get', '/uploads/:uploadId'),
+  [API_ACTIONS.FINISH_UPLOAD]: route('post', '/uploads/:uploadId/complete'),
+  [API_ACTIONS.CANCEL_UPLOAD]: route('delete', '/uploads/:uploadId'),
+
+  // Site content
+  [API_ACTIONS.UPDATE_PROFILE]: route('patch', '/profile'),
+  [API_ACTIONS.UPDATE_DONATE_INFO]: route('patch', '/donate-info'),
+  [API_ACTIONS.LIST_SOCIAL_LINKS]: route('get', '/social-links'),
+  [API_ACTIONS.CREATE_SOCIAL_LINK]: route('post', '/social-links'),
+  [API_ACTIONS.UPDATE_SOCIAL_LINK]: route('patch', '/social-links/:id'),
+  [API_ACTIONS.DELETE_SOCIAL_LINK]: route('delete', '/social-links/:id'),
+  [API_ACTIONS.CREATE_CATEGORY]: route('post', '/categories'),
+  [API_ACTIONS.UPDATE_CATEGORY]: route('patch', '/categories/:id'),
+  [API_ACTIONS.DELETE_CATEGORY]: route('delete', '/categories/:id'),
+  [API_ACTIONS.CREATE_AWARD]: route('post', '/awards'),
+  [API_ACTIONS.UPDATE_AWARD]: route('patch', '/awards/:id'),
+  [API_ACTIONS.DELETE_AWARD]: route('delete', '/awards/:id'),
+  [API_ACTIONS.CREATE_PUBLICATION]: route('post', '/publications'),
+  [API_ACTIONS.UPDATE_PUBLICATION]: route('patch', '/publications/:id'),
+  [API_ACTIONS.DELETE_PUBLICATION]: route('delete', '/publications/:id'),
+
+  // Users
+  [API_ACTIONS.LIST_USERS]: route('get', '/users'),
+  [API_ACTIONS.CREATE_USER]: route('post', '/users'),
+  [API_ACTIONS.UPDATE_USER]: route('patch', '/users/:id'),
+  [API_ACTIONS.DELETE_USER]: route('delete', '/users/:id'),
+  [API_ACTIONS.INVITE_USER]: route('post', '/users/invite'),
+  [API_ACTIONS.FORCE_PASSWORD_RESET]: route('post', '/users/:id/password-reset'),
+  [API_ACTIONS.REVOKE_USER_SESSIONS]: route('delete', '/users/:id/sessions'),
+};
+
+/**
+ * Wraps a bare REST body in the response envelope
+ */
+const toEnvelope = (response) => {
+  // 204 No Content, from DELETE and some updates: no `data`, which the mutation schemas allow
+  if (response.status === 204) {
+    return { success: true, data: undefined };
+  }
+  const body = parseResponseData(response);
+
+  if (body && typeof body === 'object' && typeof body.success === 'boolean') {
+    return body;
+  }
+
+  if (response.status >= 400) {
+    const error =
+      body?.error && typeof body.error === 'object'
+        ? body.error
+        : {
+            message: body?.message || (typeof body?.error === 'string' ? body.error : undefined),
+            code: body?.code,
+            fields: body?.fields,
+            current: body?.current,
+          };
+    return { success: false, error };
+  }
+
+  if (body && typeof body === 'object' && !Array.isArray(body) && 'data' in body) {
+    return { success: true, ...body };
+  }
+
+  const total = response.headers?.['x-total-count'];
+  return {
+    success: true,
+    data: body,
+    ...(total !== undefined && { total: Number(total) }),
+  };
+};
+
+const client = createHttpClient({ baseURL: ENV.API_BASE_URL }, { transformResponse: toEnvelope });
+
+/**
+ * Fills the `:name` segments of the action's route, returning the URL and the leftover params
+ */
+const resolveRoute = (action, params) => {
+  const entry = REST_ROUTES[action];
+  if (!entry) {
+    throw new ApiError(`The REST API has no route for "${action}"`, {
+      code: 'UNKNOWN_ACTION',
+      action,
+    });
+  }
+
+  const { method, path } = typeof entry === 'function' ? entry(params) : entry;
+  const rest = { ...params };
+  const url = path.replace(/:(\w+)/g, (_match, name) => {
+    const value = rest[name];
+    delete rest[name];
+    return encodeURIComponent(value ?? '');
+  });
+  return { method, url, params: rest };
+};
+
+const send = async (action, { token, ...params } = {}, options = {}) => {
+  const { method, url, params: rest } = resolveRoute(action, params);
+  const inQuery = method === 'get' || method === 'delete';
+
+  return client.request({
+    ...options,
+    action,
+    method,
+    url,
+    ...(inQuery ? { params: rest } : { data: rest }),
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...options.headers,
+    },
+  });
+};
+
+export const restDriver = {
+  name: API_DRIVERS.REST,
+  supportsBatch: false,
+  acceptsFiles: false,
+  getConfigError: (action) =>
+    ENV.API_BASE_URL
+      ? null
+      : new ConfigurationError(undefined, {
+          action,
+          details:
+            'Set VITE_API_BASE_URL to the root URL of the REST API, ' +
+            'e.g. https://api.example.org/v1.',
+        }),
+  read: send,
+  write: send,
+};
+
+export default restDriver;
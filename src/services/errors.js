@@ -0,0 +1,230 @@
+/**
+ * API Errors
+ * Every adminAPI/publicAPI method rejects with an ApiError subclass, so callers can branch on
+ * `instanceof` (or `error.type`) instead of inspecting status codes and ad-hoc flags.
+ *
+ * `message` is always safe to show to the user. Developer diagnostics (CORS checklists, raw
+ * responses) live in `details` and are only logged in development.
+ */
+
+import { ERROR_MESSAGES } from '@/config/constants';
+
+export class ApiError extends Error {
+  constructor(message = ERROR_MESSAGES.GENERIC, { code, status, action, details, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = 'api';
+    this.code = code || 'UNKNOWN_ERROR';
+    this.status = status ?? null;
+    this.action = action ?? null;
+    this.details = details ?? null;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS failure, timeout)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = ERROR_MESSAGES.NETWORK_ERROR, options = {}) {
+    super(message, { code: 'NETWORK_ERROR', ...options });
+    this.name = 'NetworkError';
+    this.type = 'network';
+  }
+}
+
+/**
+ * The browser blocked the response, usually a Web App deployment or ALLOWED_ORIGINS problem
+ */
+export class CorsError extends NetworkError {
+  constructor(message = 'Unable to reach the server. Please try again later.', options = {}) {
+    super(message, {
+      code: 'CORS_ERROR',
+      details:
+        'The server is blocking requests from this origin. Please verify:\n' +
+        '1. Google Apps Script Web App deployment: "Who has access" must be "Anyone"\n' +
+        '2. Script Properties: ALLOWED_ORIGINS should include your origin\n' +
+        '3. Redeploy the Web App after making changes',
+      ...options,
+    });
+    this.name = 'CorsError';
+    this.type = 'cors';
+  }
+}
+
+/**
+ * VITE_API_BASE_URL is missing in remote mode
+ */
+export class ConfigurationError extends ApiError {
+  constructor(message = 'The site is not connected to its content service yet.', options = {}) {
+    super(message, {
+      code: 'API_NOT_CONFIGURED',
+      details: 'Set VITE_API_BASE_URL, or VITE_API_MODE=local to use the in-browser backend.',
+      ...options,
+    });
+    this.name = 'ConfigurationError';
+    this.type = 'configuration';
+  }
+}
+
+/**
+ * Missing/expired session (401) or insufficient permissions (403)
+ */
+export class AuthError extends ApiError {
+  constructor(message = ERROR_MESSAGES.UNAUTHORIZED, options = {}) {
+    super(message, { code: 'UNAUTHORIZED', status: 401, ...options });
+    this.name = 'AuthError';
+    this.type = 'auth';
+  }
+
+  get isForbidden() {
+    return this.status === 403;
+  }
+}
+
+/**
+ * The backend rejected the input. `fieldErrors` maps form field names to messages.
+ */
+export class ValidationError extends ApiError {
+  constructor(message = ERROR_MESSAGES.VALIDATION_ERROR, { fieldErrors, ...options } = {}) {
+    super(message, { code: 'VALIDATION_ERROR', status: 400, ...options });
+    this.name = 'ValidationError';
+    this.type = 'validation';
+    this.fieldErrors = fieldErrors || {};
+  }
+}
+
+/**
+ * Someone else saved the record after it was loaded (the update carried a stale `version`).
+ * `current` is the stored record, so the editor can offer to merge, overwrite or discard.
+ */
+export class ConflictError extends ApiError {
+  constructor(message = 'This record was changed by someone else.', options = {}) {
+    const { current, ...rest } = options;
+    super(message, { code: 'CONFLICT', status: 409, ...rest });
+    this.name = 'ConflictError';
+    this.type = 'conflict';
+    this.current = current ?? null;
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = ERROR_MESSAGES.NOT_FOUND, options = {}) {
+    super(message, { code: 'NOT_FOUND', status: 404, ...options });
+    this.name = 'NotFoundError';
+    this.type = 'not_found';
+  }
+}
+
+/**
+ * Too many requests. `retryAfter` is in seconds when the server provided it.
+ */
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests. Please try again later.', options = {}) {
+    const { retryAfter, ...rest } = options;
+    super(message, { code: 'RATE_LIMITED', status: 429, ...rest });
+    this.name = 'RateLimitError';
+    this.type = 'rate_limited';
+    this.retryAfter = retryAfter ?? null;
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message = ERROR_MESSAGES.SERVER_ERROR, options = {}) {
+    super(message, { code: 'SERVER_ERROR', status: 500, ...options });
+    this.name = 'ServerError';
+    this.type = 'server';
+  }
+}
+
+/**
+ * The caller aborted the request through its AbortSignal (navigation, param change).
+ * Not a failure: callers should simply drop the result.
+ */
+export class CanceledError extends ApiError {
+  constructor(message = 'Request was cancelled.', options = {}) {
+    super(message, { code: 'CANCELED', ...options });
+    this.name = 'CanceledError';
+    this.type = 'canceled';
+  }
+}
+
+// Envelope `error.code` values reported by the backends, mapped to error classes
+const CODE_CLASSES = {
+  UNAUTHORIZED: AuthError,
+  INVALID_CREDENTIALS: AuthError,
+  INVALID_TOKEN: AuthError,
+  TOKEN_EXPIRED: AuthError,
+  TOKEN_REFRESH_FAILED: AuthError,
+  FORBIDDEN: AuthError,
+  // The site requires two-factor authentication and the user has not set it up
+  TWO_FACTOR_REQUIRED: AuthError,
+  // The password was right, but the account may not sign in (see services/auth.js)
+  ACCOUNT_DISABLED: AuthError,
+  PASSWORD_RESET_REQUIRED: AuthError,
+  VALIDATION_ERROR: ValidationError,
+  BAD_REQUEST: ValidationError,
+  DUPLICATE_SLUG: ValidationError,
+  DUPLICATE_EMAIL: ValidationError,
+  CONFLICT: ConflictError,
+  NOT_FOUND: NotFoundError,
+  RATE_LIMITED: RateLimitError,
+  SERVER_ERROR: ServerError,
+  STORAGE_FULL: ServerError,
+};
+
+const FORBIDDEN_CODES = [
+  'FORBIDDEN',
+  'TWO_FACTOR_REQUIRED',
+  'ACCOUNT_DISABLED',
+  'PASSWORD_RESET_REQUIRED',
+];
+
+const statusClass = (status) => {
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 409) return ConflictError;
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return ApiError;
+};
+
+/**
+ * Builds the ApiError for a failed response envelope (`{ success: false, error }`).
+ * Apps Script always answers 200, so the envelope code decides the class; the HTTP
+ * status is only used when the body carries no code.
+ */
+export const createEnvelopeError = (body, { status, action, retryAfter } = {}) => {
+  const error = body?.error && typeof body.error === 'object' ? body.error : {};
+  const message =
+    error.message || (typeof body?.error === 'string' ? body.error : null) || body?.message;
+  const code = error.code || null;
+  const ErrorClass = CODE_CLASSES[code] || (error.fields ? ValidationError : statusClass(status));
+
+  const options = {
+    action,
+    details: body,
+    ...(code && { code }),
+    ...(status >= 400 && { status }),
+  };
+  if (ErrorClass === ValidationError) options.fieldErrors = error.fields;
+  if (ErrorClass === RateLimitError) options.retryAfter = error.retryAfter ?? retryAfter;
+  if (ErrorClass === ConflictError) options.current = error.current;
+  if (FORBIDDEN_CODES.includes(code)) options.status = 403;
+
+  return new ErrorClass(message || undefined, options);
+};
+
+/**
+ * Adds field-level backend validation errors to a react-hook-form form.
+ * Returns true when at least one field error was applied.
+ */
+export const applyFieldErrors = (error, setError) => {
+  if (!(error instanceof ValidationError)) return false;
+  const entries = Object.entries(error.fieldErrors);
+  entries.forEach(([field, message]) => setError(field, { type: 'server', message }));
+  return entries.length > 0;
+};
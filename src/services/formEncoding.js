@@ -0,0 +1,86 @@
+/**
+ * Form Encoding
+ * Serializer for action payloads sent as application/x-www-form-urlencoded.
+ *
+ * Form bodies keep requests "simple" (no CORS preflight against Apps Script), but every value
+ * becomes a string. To stay lossless, anything that is not a plain string (arrays, objects,
+ * booleans, numbers, null, dates) is JSON-encoded and its name is declared in the
+ * JSON_FIELDS_MARKER field, so the backend knows exactly which fields to JSON.parse:
+ *
+ *   action=createPost&title=Hello&tags=["a, b","c"]&is_featured=true&_json=["tags","is_featured"]
+ *
+ * Plain strings are sent as-is, so backends that ignore the marker still read them unchanged.
+ * This module has no dependencies so the Node reference server can share it.
+ */
+
+export const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+// Field listing the names of JSON-encoded fields (itself a JSON array)
+export const JSON_FIELDS_MARKER = '_json';
+
+/**
+ * Serializes a flat params object into a form-encoded string.
+ * `undefined` values are omitted; dates are sent as ISO 8601 strings.
+ */
+export const encodeForm = (payload = {}) => {
+  const params = new URLSearchParams();
+  const jsonFields = [];
+
+  Object.keys(payload).forEach((key) => {
+    const value = payload[key];
+    if (value === undefined) return;
+
+    if (typeof value === 'string') {
+      params.append(key, value);
+    } else if (value instanceof Date) {
+      params.append(key, value.toISOString());
+    } else {
+      params.append(key, JSON.stringify(value));
+      jsonFields.push(key);
+    }
+  });
+
+  if (jsonFields.length > 0) {
+    params.append(JSON_FIELDS_MARKER, JSON.stringify(jsonFields));
+  }
+  return params.toString();
+};
+
+/**
+ * Decodes a form-encoded body produced by encodeForm back into typed values.
+ * Accepts a string or URLSearchParams; fields not declared in the marker stay strings.
+ */
+export const decodeForm = (body) => {
+  const params = typeof body === 'string' ? new URLSearchParams(body) : body;
+  const result = {};
+  params.forEach((value, key) => {
+    result[key] = value;
+  });
+
+  let jsonFields = [];
+  if (result[JSON_FIELDS_MARKER]) {
+    try {
+      jsonFields = JSON.parse(result[JSON_FIELDS_MARKER]);
+    } catch {
+      jsonFields = [];
+    }
+    delete result[JSON_FIELDS_MARKER];
+  }
+
+  if (Array.isArray(jsonFields)) {
+    jsonFields.forEach((key) => {
+      if (!(key in result)) return;
+      try {
+        result[key] = JSON.parse(result[key]);
+      } catch {
+        // Malformed value - keep the raw string
+      }
+    });
+  }
+  return result;
+};
+
+export default {
+  encodeForm,
+  decodeForm,
+};
@@ -0,0 +1,1491 @@
+/**
+ * Local API Backend
+ * In-browser implementation of the Google Apps Script action protocol.
+ * Enabled with VITE_API_MODE=local so the site and admin panel work without a network.
+ */
+
+import { CanceledError } from 'axios';
+import {
+  API_ACTIONS,
+  FILE_UPLOAD,
+  PAGINATION,
+  POST_STATUS,
+  ROUTES,
+  VALIDATION,
+} from '@/config/constants';
+import {
+  ACTION_PERMISSIONS,
+  ROLES,
+  ROLE_LABELS,
+  canDeletePost,
+  canEditPost,
+  canSetPostStatus,
+  getUserRole,
+  hasPermission,
+  isValidRole,
+} from '@/config/permissions';
+import { ENV } from '@/config/env';
+import { localDbStorage } from '@/utils/storage';
+import { decodeForm } from './formEncoding';
+import {
+  generateBackupCodes,
+  generateTotpSecret,
+  getTotpUri,
+  normalizeBackupCode,
+  verifyTotp,
+} from './totp';
+import {
+  AUDITED_ACTIONS,
+  createAuditEntries,
+  queryAuditLog,
+  snapshotEntity,
+} from './auditLog';
+import {
+  BULK_CHANGE_FIELDS,
+  applyBulkChanges,
+  collectTags,
+  queryPostList,
+  splitList,
+} from './postQuery';
+import {
+  mockProfile,
+  mockSocialLinks,
+  mockPosts,
+  mockCategories,
+  mockAwards,
+  mockPublications,
+} from '@/utils/mockData';
+
+// Default login for a freshly seeded local database
+export const LOCAL_ADMIN_CREDENTIALS = {
+  email: 'admin@localhost.dev',
+  password: 'admin12345',
+};
+
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const RESET_TTL = 60 * 60 * 1000; // 1 hour
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CHALLENGE_TTL = 5 * 60 * 1000; // Time to enter the two-factor code
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const LAST_SEEN_INTERVAL = 60 * 1000; // How often a session's last_seen_at is rewritten
+const SIMULATED_LATENCY = 150; // ms, keeps loading states visible
+const MAX_AUDIT_ENTRIES = 500; // localStorage is small; the oldest entries are dropped
+
+const BOOLEAN_FIELDS = ['is_featured', 'is_active', 'is_super_admin'];
+const NUMBER_FIELDS = ['year', 'display_order', 'articles', 'view_count', 'read_time_minutes'];
+
+/**
+ * Error raised by action handlers, converted into an error envelope
+ */
+class LocalApiError extends Error {
+  constructor(message, code = 'BAD_REQUEST', fields = null, current = null) {
+    super(message);
+    this.name = 'LocalApiError';
+    this.code = code;
+    // Per-field messages for validation errors, keyed by form field name
+    this.fields = fields;
+    // The stored record, sent back with CONFLICT errors
+    this.current = current;
+  }
+}
+
+/**
+ * Generates a unique ID with the given prefix
+ */
+const generateId = (prefix) =>
+  `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Builds the initial database from mock data
+ */
+const createSeedDb = () => {
+  const timestamp = now();
+
+  return {
+    profile: { ...mockProfile },
+    socialLinks: mockSocialLinks.map((link, index) => ({
+      ...link,
+      id: String(link.id),
+      display_order: index + 1,
+    })),
+    posts: mockPosts.map((post) => ({
+      status: POST_STATUS.PUBLISHED,
+      created_at: post.published_at || timestamp,
+      updated_at: post.published_at || timestamp,
+      ...post,
+      type: ['programs', 'news', 'both'].includes(post.type) ? post.type : 'news',
+    })),
+    categories: mockCategories.map((category, index) => ({
+      ...category,
+      display_order: index + 1,
+    })),
+    awards: mockAwards.map((award, index) => ({
+      id: `award_${index + 1}`,
+      award_name: award.award,
+      description: '',
+      is_active: true,
+      display_order: index + 1,
+      ...award,
+    })),
+    publications: mockPublications.map((publication, index) => ({
+      id: `pub_${index + 1}`,
+      url: '',
+      is_active: true,
+      display_order: index + 1,
+      ...publication,
+    })),
+    donateInfo: {
+      bank_name: '',
+      account_name: '',
+      account_number: '',
+      ifsc_code: '',
+      branch: '',
+      upi_id: '',
+      upi_name: '',
+      qr_code_url: '',
+      additional_info: '',
+    },
+    media: [],
+    uploads: [],
+    passwordResets: [],
+    loginChallenges: [],
+    security: { require_two_factor: false },
+    auditLog: [],
+    // Emails the local backend "sent" (see sendLocalMail)
+    outbox: [],
+    users: [
+      {
+        id: 'user_1',
+        email: LOCAL_ADMIN_CREDENTIALS.email,
+        password: LOCAL_ADMIN_CREDENTIALS.password,
+        name: 'Local Admin',
+        role: ROLES.SUPER_ADMIN,
+        is_super_admin: true,
+        created_at: timestamp,
+      },
+    ],
+    sessions: [],
+  };
+};
+
+let db = null;
+
+/**
+ * Loads the database from storage, seeding it on first use
+ */
+const getDb = () => {
+  if (!db) {
+    db = localDbStorage.get() || createSeedDb();
+    localDbStorage.set(db);
+  }
+  return db;
+};
+
+/**
+ * Persists the database, failing loudly when storage is full
+ */
+const saveDb = () => {
+  if (!localDbStorage.set(db)) {
+    throw new LocalApiError('Local storage is full. Delete some media and try again.', 'STORAGE_FULL');
+  }
+};
+
+/**
+ * Resets the local database to its seeded state
+ */
+export const resetLocalDb = () => {
+  db = createSeedDb();
+  localDbStorage.set(db);
+};
+
+/**
+ * Coerces form-encoded string values into the types stored in the database
+ */
+const coerceFields = (data) => {
+  const result = {};
+  Object.keys(data).forEach((key) => {
+    const value = data[key];
+    if (BOOLEAN_FIELDS.includes(key)) {
+      result[key] = value === true || value === 'true' || value === 'TRUE';
+    } else if (NUMBER_FIELDS.includes(key) && value !== '' && !isNaN(Number(value))) {
+      result[key] = Number(value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+};
+
+// Fields the backend keeps itself: ids, timestamps, the concurrency `version` (updates read the
+// expected one from params), view counts, and the author, always the session user
+const SERVER_FIELDS = ['id', 'version', 'created_at', 'updated_at', 'author_id', 'view_count'];
+
+/**
+ * Strips protocol fields (action, token) and the fields the backend keeps from request params
+ */
+const getPayload = ({ action: _action, token: _token, ...rest }) =>
+  coerceFields(
+    Object.fromEntries(Object.entries(rest).filter(([key]) => !SERVER_FIELDS.includes(key)))
+  );
+
+
+// Or before two-factor authentication
+const getLoginChallenges = () =>
+  (getDb().loginChallenges || []).filter((entry) => new Date(entry.expiresAt) > new Date());
+const getSecurity = () => getDb().security || { require_two_factor: false };
+
+/**
+ * Strips the password and two-factor secrets from a user record
+ */
+const omitPassword = ({
+  password: _password,
+  totp_secret: _secret,
+  totp_pending_secret: _pendingSecret,
+  totp_last_step: _lastStep,
+  backup_codes: backupCodes,
+  ...user
+}) => ({
+  ...user,
+  role: getUserRole(user),
+  two_factor_enabled: !!user.two_factor_enabled,
+  ...(user.two_factor_enabled && { backup_codes_remaining: backupCodes?.length || 0 }),
+});
+
+const needsTwoFactorSetup = (user) =>
+  !!getSecurity().require_two_factor && !user.two_factor_enabled;
+
+/**
+ * Resolves the user owning a valid, unexpired session token, unless they are disabled
+ */
+const getSessionUser = (token) => {
+  if (!token) return null;
+  const session = getDb().sessions.find((s) => s.token === token);
+  if (!session || new Date(session.expiresAt).getTime() < Date.now()) {
+    return null;
+  }
+  const user = getDb().users.find((u) => u.id === session.userId);
+  return user && !user.disabled ? user : null;
+};
+
+// Checked only once the password is right, so they tell someone guessing nothing
+const assertCanSignIn = (user) => {
+  if (user.disabled) {
+    throw new LocalApiError(
+      'This account has been disabled. Ask a super admin to enable it.',
+      'ACCOUNT_DISABLED'
+    );
+  }
+  if (user.password_reset_required) {
+    throw new LocalApiError(
+      'You need to choose a new password. Use the link we emailed you, or request a new one.',
+      'PASSWORD_RESET_REQUIRED'
+    );
+  }
+};
+
+const signOutEverywhere = (user) => {
+  getDb().sessions = getDb().sessions.filter((s) => s.userId !== user.id);
+};
+
+/**
+ * Records that the session of `token` is in use, at most once per LAST_SEEN_INTERVAL
+ */
+const touchSession = (token) => {
+  const session = getDb().sessions.find((s) => s.token === token);
+  if (!session || Date.now() - Date.parse(session.last_seen_at || 0) < LAST_SEEN_INTERVAL) {
+    return;
+  }
+  session.last_seen_at = now();
+  saveDb();
+};
+
+const publicSession = (session, token) => ({
+  id: session.id,
+  ip: null,
+  user_agent: session.user_agent || null,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at || session.created_at,
+  current: session.token === token,
+});
+
+/**
+ * Signs out the sessions of `user` except the one of `keepToken`; returns how many ended
+ */
+const revokeSessionsOf = (user, keepToken) => {
+  const count = getDb().sessions.length;
+  getDb().sessions = getDb().sessions.filter(
+    (s) => s.userId !== user.id || s.token === keepToken
+  );
+  saveDb();
+  return count - getDb().sessions.length;
+};
+
+const requireUser = (params) => {
+  const user = getSessionUser(params.token);
+  if (!user) {
+    throw new LocalApiError('Invalid or expired token', 'UNAUTHORIZED');
+  }
+  return user;
+};
+
+const requirePermission = (params, permission) => {
+  const user = requireUser(params);
+  if (!hasPermission(user, permission)) {
+    throw new LocalApiError('Your role does not allow this action', 'FORBIDDEN');
+  }
+  return user;
+};
+
+/**
+ * Creates a new session for a user. Refreshing passes the `previous` session, whose id and
+ * sign-in time carry over so the session list shows one entry per sign-in.
+ */
+const createSession = (user, previous = null) => {
+  const session = {
+    id: previous?.id || generateId('session'),
+    token: generateId('tok'),
+    refreshToken: generateId('ref'),
+    userId: user.id,
+    expiresAt: new Date(Date.now() + SESSION_TTL).toISOString(),
+    // There is no server to see an address; every session is this browser
+    user_agent: navigator.userAgent,
+    created_at: previous?.created_at || now(),
+    last_seen_at: now(),
+  };
+  getDb().sessions.push(session);
+  saveDb();
+
+  return {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresAt: session.expiresAt,
+    user: omitPassword(user),
+    twoFactorSetupRequired: needsTwoFactorSetup(user),
+  };
+};
+
+/**
+ * Accepts a current authenticator code, each only once, or an unused backup code, which is
+ * then used up. The caller saves the database.
+ */
+const consumeSecondFactor = (user, code) => {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step !== null && step > (user.totp_last_step ?? -1)) {
+    user.totp_last_step = step;
+    return true;
+  }
+  const backupCode = normalizeBackupCode(code);
+  const codes = (user.backup_codes || []).map(normalizeBackupCode);
+  if (backupCode && codes.includes(backupCode)) {
+    user.backup_codes = user.backup_codes.filter((c) => normalizeBackupCode(c) !== backupCode);
+    return true;
+  }
+  return false;
+};
+
+const assertPassword = (user, password) => {
+  if (user.password !== password) {
+    throw new LocalApiError('Password is incorrect', 'VALIDATION_ERROR', {
+      password: 'Password is incorrect',
+    });
+  }
+};
+
+const findById = (collection, id, label) => {
+  const item = collection.find((entry) => String(entry.id) === String(id));
+  if (!item) {
+    throw new LocalApiError(`${label} not found`, 'NOT_FOUND');
+  }
+  return item;
+};
+
+const sortByDisplayOrder = (items) =>
+  [...items].sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+
+/**
+ * Optimistic concurrency: `version` in an update is the version the client started editing.
+ * A stale version is rejected with CONFLICT and the stored record; updates without a version
+ * keep last-write-wins. Every update bumps the version.
+ */
+const applyVersionedUpdate = (record, data, label, version) => {
+  const currentVersion = Number(record.version) || 0;
+  if (version !== undefined && version !== '' && Number(version) !== currentVersion) {
+    throw new LocalApiError(`${label} was changed by someone else`, 'CONFLICT', null, {
+      ...record,
+    });
+  }
+  return Object.assign(record, data, { version: currentVersion + 1, updated_at: now() });
+};
+
+/**
+ * Generic CRUD handlers for simple collections
+ */
+const createCrudHandlers = (collectionKey, prefix, label) => ({
+  create: (params) => {
+    requireUser(params);
+    const item = {
+      is_active: true,
+      ...getPayload(params),
+      id: generateId(prefix),
+      created_at: now(),
+      updated_at: now(),
+    };
+    getDb()[collectionKey].push(item);
+    saveDb();
+    return item;
+  },
+  update: (params) => {
+    requireUser(params);
+    const item = findById(getDb()[collectionKey], params.id, label);
+    applyVersionedUpdate(item, getPayload(params), label, params.version);
+    saveDb();
+    return item;
+  },
+  remove: (params) => {
+    requireUser(params);
+    findById(getDb()[collectionKey], params.id, label);
+    getDb()[collectionKey] = getDb()[collectionKey].filter(
+      (entry) => String(entry.id) !== String(params.id)
+    );
+    saveDb();
+    return { id: params.id };
+  },
+  list: (params) => {
+    const items = sortByDisplayOrder(getDb()[collectionKey]);
+    // Admins see inactive entries too
+    return getSessionUser(params.token) ? items : items.filter((item) => item.is_active !== false);
+  },
+});
+
+const categoryHandlers = createCrudHandlers('categories', 'cat', 'Category');
+const awardHandlers = createCrudHandlers('awards', 'award', 'Award');
+const publicationHandlers = createCrudHandlers('publications', 'pub', 'Publication');
+const socialLinkHandlers = createCrudHandlers('socialLinks', 'link', 'Social link');
+
+const getBulkIds = (params) => {
+  const ids = splitList(params.ids);
+  if (ids.length === 0) {
+    throw new LocalApiError('No posts selected', 'VALIDATION_ERROR', {
+      ids: 'Select at least one post',
+    });
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Validates a bulk `changes` object: { status?, category?, addTags?, removeTags? }
+ */
+const getBulkChanges = (changes) => {
+  const fields = Object.keys(changes || {}).filter((key) => BULK_CHANGE_FIELDS.includes(key));
+  if (typeof changes !== 'object' || fields.length === 0) {
+    throw new LocalApiError('No changes provided', 'VALIDATION_ERROR', {
+      changes: `Provide one of: ${BULK_CHANGE_FIELDS.join(', ')}`,
+    });
+  }
+  if ('status' in changes && !Object.values(POST_STATUS).includes(changes.status)) {
+    throw new LocalApiError('Invalid post status', 'VALIDATION_ERROR', {
+      status: `Status must be one of: ${Object.values(POST_STATUS).join(', ')}`,
+    });
+  }
+  return changes;
+};
+
+/**
+ * Ownership and publishing checks on top of the role check in handleLocalAction
+ */
+const assertCanEditPost = (user, post, status) => {
+  if (!canEditPost(user, post)) {
+    throw new LocalApiError('You cannot edit this post', 'FORBIDDEN');
+  }
+  if (status && status !== post.status && !canSetPostStatus(user, status)) {
+    throw new LocalApiError('Your role cannot publish posts', 'FORBIDDEN');
+  }
+};
+
+const assertCanDeletePost = (user, post) => {
+  if (!canDeletePost(user, post)) {
+    throw new LocalApiError('You cannot delete this post', 'FORBIDDEN');
+  }
+};
+
+/**
+ * Runs `apply(id)` for every id, recording a per-item outcome instead of failing the whole request
+ */
+const runBulk = (ids, apply) => {
+  const results = ids.map((id) => {
+    try {
+      apply(id);
+      return { id, success: true };
+    } catch (error) {
+      return {
+        id,
+        success: false,
+        error: { message: error.message, code: error.code || 'SERVER_ERROR' },
+      };
+    }
+  });
+  const succeeded = results.filter((result) => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+};
+
+/**
+ * Filters, sorts and paginates posts the way the Apps Script backend does
+ */
+/**
+ * Stores a base64 file as a data URL media record
+ */
+const createMedia = (fileName, fileType, base64) => {
+  const url = `data:${fileType || 'application/octet-stream'};base64,${base64}`;
+  const media = {
+    id: generateId('media'),
+    file_name: fileName,
+    file_type: fileType,
+    url,
+    public_url: url,
+    created_at: now(),
+  };
+  getDb().media.push(media);
+  return media;
+};
+
+// Databases saved before chunked uploads have no uploads collection
+const getUploads = () => getDb().uploads || [];
+
+// Or before password resets
+const getPasswordResets = () =>
+  (getDb().passwordResets || []).filter((reset) => new Date(reset.expiresAt) > new Date());
+
+/**
+ * Issues a single-use token for choosing a password: `purpose` is 'reset' or 'invite'.
+ * The caller saves the database.
+ */
+const createPasswordToken = (user, purpose = 'reset') => {
+  const ttl = purpose === 'invite' ? INVITE_TTL : RESET_TTL;
+  const reset = {
+    token: generateId(purpose),
+    userId: user.id,
+    purpose,
+    expiresAt: new Date(Date.now() + ttl).toISOString(),
+  };
+  getDb().passwordResets = [...getPasswordResets(), reset];
+  return reset.token;
+};
+
+/**
+ * Redeems a token of `purpose`, invalidating every token of its user, and returns the user.
+ * Null for unknown, used or expired tokens.
+ */
+const consumePasswordToken = (token, purpose = 'reset') => {
+  const reset = getPasswordResets().find(
+    (entry) => entry.token === token && (entry.purpose || 'reset') === purpose
+  );
+  const user = reset && getDb().users.find((u) => u.id === reset.userId);
+  if (!user) return null;
+  getDb().passwordResets = getPasswordResets().filter((entry) => entry.userId !== user.id);
+  return user;
+};
+
+const assertNewPassword = (params) => {
+  if (!params.newPassword || params.newPassword.length < VALIDATION.PASSWORD_MIN_LENGTH) {
+    throw new LocalApiError('Password is too short', 'VALIDATION_ERROR', {
+      newPassword: `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters long`,
+    });
+  }
+  if (params.newPassword !== params.confirmPassword) {
+    throw new LocalApiError('New password and confirmation do not match', 'VALIDATION_ERROR', {
+      confirmPassword: 'Passwords do not match',
+    });
+  }
+};
+
+/**
+ * Local stand-in for the server's mailer: keeps the message in the database outbox and logs
+ * it, so reset links can be followed without an email account
+ */
+const sendLocalMail = (message) => {
+  getDb().outbox = [...(getDb().outbox || []), { ...message, created_at: now() }].slice(-20);
+  console.warn(`[local outbox] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+};
+
+/**
+ * An upload as the client sees it: the stored chunks become the indexes in `received`
+ */
+const toUploadStatus = ({ chunks, ...upload }) => ({
+  ...upload,
+  received: Object.keys(chunks)
+    .map(Number)
+    .sort((a, b) => a - b),
+});
+
+const queryPosts = (params) =>
+  queryPostList(getDb().posts, params, { isAdmin: !!getSessionUser(params.token) });
+
+/**
+ * Action handlers keyed by API action name.
+ * Each receives the decoded request params and returns the `data` payload.
+ */
+const handlers = {
+  // Public actions
+  [API_ACTIONS.LIST_POSTS]: queryPosts,
+  [API_ACTIONS.SEARCH_POSTS]: queryPosts,
+
+  [API_ACTIONS.GET_POST]: (params) => {
+    const isAdmin = !!getSessionUser(params.token);
+    const post = getDb().posts.find(
+      (entry) =>
+        (params.id && String(entry.id) === String(params.id)) ||
+        (params.slug && entry.slug === params.slug)
+    );
+    if (!post || (!isAdmin && post.status !== POST_STATUS.PUBLISHED)) {
+      throw new LocalApiError('Post not found', 'NOT_FOUND');
+    }
+    if (!isAdmin) {
+      post.view_count = (Number(post.view_count) || 0) + 1;
+      saveDb();
+    }
+    return post;
+  },
+
+  [API_ACTIONS.GET_PROFILE]: () => getDb().profile,
+  [API_ACTIONS.GET_SOCIAL_LINKS]: (params) => socialLinkHandlers.list(params),
+  [API_ACTIONS.GET_CATEGORIES]: (params) => categoryHandlers.list(params),
+  [API_ACTIONS.GET_AWARDS]: (params) => awardHandlers.list(params),
+  [API_ACTIONS.GET_PUBLICATIONS]: (params) => publicationHandlers.list(params),
+  [API_ACTIONS.GET_DONATE_INFO]: () => getDb().donateInfo,
+
+  [API_ACTIONS.GET_TAGS]: () => collectTags(getDb().posts),
+
+  // Auth actions
+  [API_ACTIONS.LOGIN]: (params) => {
+    const email = String(params.email || '').toLowerCase();
+    const user = getDb().users.find((u) => u.email.toLowerCase() === email);
+    if (!user || user.password !== params.password) {
+      throw new LocalApiError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+    assertCanSignIn(user);
+    if (user.two_factor_enabled) {
+      const challenge = {
+        token: generateId('mfa'),
+        userId: user.id,
+        attempts: 0,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL).toISOString(),
+      };
+      getDb().loginChallenges = [...getLoginChallenges(), challenge];
+      saveDb();
+      const { token, expiresAt } = challenge;
+      return { twoFactorRequired: true, challenge: token, expiresAt };
+    }
+    user.last_login_at = now();
+    return createSession(user);
+  },
+
+  // Second sign-in step for users with two-factor authentication
+  [API_ACTIONS.VERIFY_TWO_FACTOR]: (params) => {
+    const challenge = getLoginChallenges().find((entry) => entry.token === params.challenge);
+    const user = challenge && getDb().users.find((u) => u.id === challenge.userId);
+    if (!user) {
+      throw new LocalApiError('Your sign-in has expired. Please sign in again.', 'UNAUTHORIZED');
+    }
+    if (!consumeSecondFactor(user, params.code)) {
+      challenge.attempts += 1;
+      getDb().loginChallenges = getLoginChallenges().filter(
+        (entry) => entry.attempts < MAX_CHALLENGE_ATTEMPTS
+      );
+      saveDb();
+      throw new LocalApiError('Invalid verification code', 'INVALID_CREDENTIALS');
+    }
+    getDb().loginChallenges = getLoginChallenges().filter((entry) => entry !== challenge);
+    // Disabled or reset while the code was being entered
+    assertCanSignIn(user);
+    user.last_login_at = now();
+    return createSession(user);
+  },
+
+  [API_ACTIONS.LOGOUT]: (params) => {
+    getDb().sessions = getDb().sessions.filter((s) => s.token !== params.token);
+    saveDb();
+    return { loggedOut: true };
+  },
+
+  [API_ACTIONS.REFRESH_TOKEN]: (params) => {
+    const session = getDb().sessions.find((s) => s.refreshToken === params.refreshToken);
+    if (!session) {
+      throw new LocalApiError('Invalid refresh token', 'UNAUTHORIZED');
+    }
+    const user = findById(getDb().users, session.userId, 'User');
+    getDb().sessions = getDb().sessions.filter((s) => s !== session);
+    return createSession(user, session);
+  },
+
+  // The caller's signed-in sessions, most recently used first
+  [API_ACTIONS.LIST_SESSIONS]: (params) => {
+    const user = requireUser(params);
+    const sessions = getDb().sessions.filter((s) => s.userId === user.id);
+    // Sessions from before they had ids
+    if (sessions.some((s) => !s.id)) {
+      sessions.forEach((s) => {
+        s.id = s.id || generateId('session');
+      });
+      saveDb();
+    }
+    return sessions
+      .map((s) => publicSession(s, params.token))
+      .sort((a, b) => Date.parse(b.last_seen_at) - Date.parse(a.last_seen_at));
+  },
+
+  [API_ACTIONS.REVOKE_SESSION]: (params) => {
+    const user = requireUser(params);
+    const session = getDb().sessions.find((s) => s.userId === user.id && s.id === params.id);
+    if (!session) {
+      throw new LocalApiError('Session not found', 'NOT_FOUND');
+    }
+    getDb().sessions = getDb().sessions.filter((s) => s !== session);
+    saveDb();
+    return { revoked: 1 };
+  },
+
+  [API_ACTIONS.REVOKE_OTHER_SESSIONS]: (params) => ({
+    revoked: revokeSessionsOf(requireUser(params), params.token),
+  }),
+
+  // Signs a user out everywhere; the caller's own session stays
+  [API_ACTIONS.REVOKE_USER_SESSIONS]: (params) => ({
+    revoked: revokeSessionsOf(findById(getDb().users, params.id, 'User'), params.token),
+  }),
+
+  [API_ACTIONS.CHANGE_PASSWORD]: (params) => {
+    const user = requireUser(params);
+    if (user.password !== params.currentPassword) {
+      throw new LocalApiError('Current password is incorrect', 'VALIDATION_ERROR', {
+        currentPassword: 'Current password is incorrect',
+      });
+    }
+    assertNewPassword(params);
+    user.password = params.newPassword;
+    signOutEverywhere(user);
+    saveDb();
+    return { requiresReauth: true };
+  },
+
+  // Two-factor authentication. Setup keeps the new secret aside until a code from the
+  // authenticator app proves it was scanned.
+  [API_ACTIONS.SETUP_TWO_FACTOR]: (params) => {
+    const user = requireUser(params);
+    if (user.two_factor_enabled) {
+      throw new LocalApiError('Two-factor authentication is already on', 'BAD_REQUEST');
+    }
+    const secret = generateTotpSecret();
+    user.totp_pending_secret = secret;
+    saveDb();
+    return { secret, uri: getTotpUri({ secret, account: user.email, issuer: ENV.SITE_NAME }) };
+  },
+
+  [API_ACTIONS.ENABLE_TWO_FACTOR]: (params) => {
+    const user = requireUser(params);
+    if (!user.totp_pending_secret) {
+      throw new LocalApiError('Start the two-factor setup again', 'BAD_REQUEST');
+    }
+    const step = verifyTotp(user.totp_pending_secret, params.code);
+    if (step === null) {
+      throw new LocalApiError('Invalid verification code', 'VALIDATION_ERROR', {
+        code: 'The code is not valid. Check the time on your phone and try again.',
+      });
+    }
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_last_step = step;
+    user.two_factor_enabled = true;
+    delete user.totp_pending_secret;
+    user.backup_codes = generateBackupCodes();
+    user.updated_at = now();
+    saveDb();
+    return { backupCodes: user.backup_codes, user: omitPassword(user) };
+  },
+
+  [API_ACTIONS.DISABLE_TWO_FACTOR]: (params) => {
+    const user = requireUser(params);
+    assertPassword(user, params.password);
+    if (getSecurity().require_two_factor) {
+      throw new LocalApiError('Two-factor authentication is required on this site', 'FORBIDDEN');
+    }
+    user.two_factor_enabled = false;
+    delete user.totp_secret;
+    delete user.totp_last_step;
+    delete user.backup_codes;
+    user.updated_at = now();
+    saveDb();
+    return omitPassword(user);
+  },
+
+  [API_ACTIONS.REGENERATE_BACKUP_CODES]: (params) => {
+    const user = requireUser(params);
+    if (!user.two_factor_enabled) {
+      throw new LocalApiError('Two-factor authentication is off', 'BAD_REQUEST');
+    }
+    assertPassword(user, params.password);
+    user.backup_codes = generateBackupCodes();
+    saveDb();
+    return { backupCodes: user.backup_codes };
+  },
+
+  [API_ACTIONS.GET_SECURITY_SETTINGS]: (params) => {
+    requireUser(params);
+    return getSecurity();
+  },
+
+  [API_ACTIONS.UPDATE_SECURITY_SETTINGS]: (params) => {
+    const user = requireUser(params);
+    const security = { ...getSecurity() };
+    if (params.require_two_factor !== undefined) {
+      const required = String(params.require_two_factor) === 'true';
+      // Otherwise the super admin would be locked out of everything but the setup
+      if (required && !user.two_factor_enabled) {
+        throw new LocalApiError(
+          'Turn on two-factor authentication for your own account first',
+          'VALIDATION_ERROR',
+          { require_two_factor: 'Set up two-factor authentication for your account first' }
+        );
+      }
+      security.require_two_factor = required;
+    }
+    security.updated_at = now();
+    getDb().security = security;
+    saveDb();
+    return security;
+  },
+
+  // Answers the same whether or not the email has an account
+  [API_ACTIONS.REQUEST_PASSWORD_RESET]: (params) => {
+    const email = String(params.email || '').trim().toLowerCase();
+    const user = getDb().users.find((u) => u.email.toLowerCase() === email);
+    if (user && !user.disabled) {
+      const token = createPasswordToken(user);
+      const link = `${window.location.origin}${ROUTES.ADMIN_RESET_PASSWORD}?token=${token}`;
+      sendLocalMail({
+        to: user.email,
+        subject: 'Reset your admin password',
+        text: `Open this link within an hour to choose a new password:\n${link}`,
+      });
+      saveDb();
+    }
+    return { sent: true };
+  },
+
+  [API_ACTIONS.RESET_PASSWORD]: (params) => {
+    assertNewPassword(params);
+    // Single use: every outstanding link of the user stops working
+    const user = consumePasswordToken(params.token);
+    if (!user) {
+      throw new LocalApiError('This reset link is invalid or has expired', 'VALIDATION_ERROR', {
+        token: 'Request a new reset link',
+      });
+    }
+    user.password = params.newPassword;
+    // Also the answer to an invitation or a reset a super admin asked for
+    delete user.invite_pending;
+    delete user.password_reset_required;
+    user.updated_at = now();
+    signOutEverywhere(user);
+    saveDb();
+    return { email: user.email };
+  },
+
+  [API_ACTIONS.ACCEPT_INVITE]: (params) => {
+    assertNewPassword(params);
+    const user = consumePasswordToken(params.token, 'invite');
+    if (!user?.invite_pending) {
+      throw new LocalApiError('This invitation is invalid or has expired', 'VALIDATION_ERROR', {
+        token: 'Ask for a new invitation',
+      });
+    }
+    user.password = params.newPassword;
+    delete user.invite_pending;
+    user.updated_at = now();
+    saveDb();
+    return { email: user.email };
+  },
+
+  // Posts
+  [API_ACTIONS.CREATE_POST]: (params) => {
+    const user = requireUser(params);
+    const data = getPayload(params);
+    if (!canSetPostStatus(user, data.status)) {
+      throw new LocalApiError('Your role cannot publish posts', 'FORBIDDEN');
+    }
+    if (!data.title) {
+      throw new LocalApiError('Title is required', 'VALIDATION_ERROR', {
+        title: 'Title is required',
+      });
+    }
+    if (data.slug && getDb().posts.some((post) => post.slug === data.slug)) {
+      throw new LocalApiError('A post with this slug already exists', 'DUPLICATE_SLUG', {
+        slug: 'This slug is already in use',
+      });
+    }
+    const post = {
+      status: POST_STATUS.DRAFT,
+      view_count: 0,
+      author_name: user.name || user.email,
+      ...data,
+      author_id: user.id,
+      id: generateId('post'),
+      created_at: now(),
+      updated_at: now(),
+    };
+    getDb().posts.push(post);
+    saveDb();
+    return post;
+  },
+
+  [API_ACTIONS.UPDATE_POST]: (params) => {
+    const user = requireUser(params);
+    const post = findById(getDb().posts, params.id, 'Post');
+    const data = getPayload(params);
+    assertCanEditPost(user, post, data.status);
+    if (data.slug && getDb().posts.some((p) => p.slug === data.slug && p !== post)) {
+      throw new LocalApiError('A post with this slug already exists', 'DUPLICATE_SLUG', {
+        slug: 'This slug is already in use',
+      });
+    }
+    applyVersionedUpdate(post, data, 'Post', params.version);
+    saveDb();
+    return post;
+  },
+
+  [API_ACTIONS.DELETE_POST]: (params) => {
+    const user = requireUser(params);
+    assertCanDeletePost(user, findById(getDb().posts, params.id, 'Post'));
+    getDb().posts = getDb().posts.filter((post) => String(post.id) !== String(params.id));
+    saveDb();
+    return { id: params.id };
+  },
+
+  [API_ACTIONS.BULK_DELETE_POSTS]: (params) => {
+    const user = requireUser(params);
+    const report = runBulk(getBulkIds(params), (id) => {
+      assertCanDeletePost(user, findById(getDb().posts, id, 'Post'));
+      getDb().posts = getDb().posts.filter((post) => String(post.id) !== id);
+    });
+    saveDb();
+    return { ...report, deleted: report.succeeded };
+  },
+
+  [API_ACTIONS.BULK_UPDATE_POSTS]: (params) => {
+    const user = requireUser(params);
+    const ids = getBulkIds(params);
+    const changes = getBulkChanges(params.changes);
+    const report = runBulk(ids, (id) => {
+      const post = findById(getDb().posts, id, 'Post');
+      assertCanEditPost(user, post, changes.status);
+      applyBulkChanges(post, changes);
+    });
+    saveDb();
+    return report;
+  },
+
+  // Media
+  [API_ACTIONS.UPLOAD_MEDIA]: (params) => {
+    requireUser(params);
+    if (!params.file) {
+      throw new LocalApiError('No file provided', 'VALIDATION_ERROR');
+    }
+    const media = createMedia(params.fileName, params.fileType, params.file);
+    saveDb();
+    return media;
+  },
+
+  [API_ACTIONS.START_UPLOAD]: (params) => {
+    requireUser(params);
+    const size = Number(params.size);
+    const chunkSize = Number(params.chunkSize);
+    const totalChunks = Number(params.totalChunks);
+    if (
+      !params.fileName ||
+      !(size >= 0 && chunkSize > 0) ||
+      totalChunks !== Math.ceil(size / chunkSize)
+    ) {
+      throw new LocalApiError('Invalid upload', 'VALIDATION_ERROR');
+    }
+    const cutoff = Date.now() - FILE_UPLOAD.SESSION_TTL;
+    const upload = {
+      id: generateId('upload'),
+      file_name: params.fileName,
+      file_type: params.fileType,
+      size,
+      chunk_size: chunkSize,
+      total_chunks: totalChunks,
+      chunks: {},
+      created_at: now(),
+    };
+    getDb().uploads = getUploads().filter((entry) => new Date(entry.created_at) > cutoff);
+    getDb().uploads.push(upload);
+    saveDb();
+    return toUploadStatus(upload);
+  },
+
+  [API_ACTIONS.UPLOAD_CHUNK]: (params) => {
+    requireUser(params);
+    const upload = findById(getUploads(), params.uploadId, 'Upload');
+    const index = Number(params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= upload.total_chunks) {
+      throw new LocalApiError('Invalid chunk index', 'VALIDATION_ERROR');
+    }
+    upload.chunks[index] = params.chunk || '';
+    saveDb();
+    return toUploadStatus(upload);
+  },
+
+  [API_ACTIONS.GET_UPLOAD_STATUS]: (params) => {
+    requireUser(params);
+    return toUploadStatus(findById(getUploads(), params.uploadId, 'Upload'));
+  },
+
+  [API_ACTIONS.FINISH_UPLOAD]: (params) => {
+    requireUser(params);
+    const upload = findById(getUploads(), params.uploadId, 'Upload');
+    const { received } = toUploadStatus(upload);
+    if (received.length < upload.total_chunks) {
+      throw new LocalApiError(
+        `Upload is missing ${upload.total_chunks - received.length} chunk(s)`,
+        'VALIDATION_ERROR'
+      );
+    }
+    // Chunks are whole base64 groups (see FILE_UPLOAD.CHUNK_SIZE), so they join as text
+    const base64 = received.map((index) => upload.chunks[index]).join('');
+    const media = createMedia(upload.file_name, upload.file_type, base64);
+    getDb().uploads = getUploads().filter((entry) => entry.id !== upload.id);
+    saveDb();
+    return media;
+  },
+
+  [API_ACTIONS.CANCEL_UPLOAD]: (params) => {
+    requireUser(params);
+    getDb().uploads = getUploads().filter((entry) => entry.id !== params.uploadId);
+    saveDb();
+    return { id: params.uploadId };
+  },
+
+  [API_ACTIONS.GET_MEDIA_FILES]: (params) => {
+    requireUser(params);
+    return getDb().media;
+  },
+
+  [API_ACTIONS.DELETE_MEDIA]: (params) => {
+    requireUser(params);
+    findById(getDb().media, params.fileId, 'Media file');
+    getDb().media = getDb().media.filter((media) => media.id !== params.fileId);
+    saveDb();
+    return { id: params.fileId };
+  },
+
+  // Profile and social links
+  [API_ACTIONS.UPDATE_PROFILE]: (params) => {
+    requireUser(params);
+    applyVersionedUpdate(getDb().profile, getPayload(params), 'Profile', params.version);
+    saveDb();
+    return getDb().profile;
+  },
+
+  [API_ACTIONS.LIST_SOCIAL_LINKS]: (params) => {
+    requireUser(params);
+    return socialLinkHandlers.list(params);
+  },
+  [API_ACTIONS.CREATE_SOCIAL_LINK]: socialLinkHandlers.create,
+  [API_ACTIONS.UPDATE_SOCIAL_LINK]: socialLinkHandlers.update,
+  [API_ACTIONS.DELETE_SOCIAL_LINK]: socialLinkHandlers.remove,
+
+  // Categories, awards, publications
+  [API_ACTIONS.CREATE_CATEGORY]: categoryHandlers.create,
+  [API_ACTIONS.UPDATE_CATEGORY]: categoryHandlers.update,
+  [API_ACTIONS.DELETE_CATEGORY]: categoryHandlers.remove,
+  [API_ACTIONS.CREATE_AWARD]: awardHandlers.create,
+  [API_ACTIONS.UPDATE_AWARD]: awardHandlers.update,
+  [API_ACTIONS.DELETE_AWARD]: awardHandlers.remove,
+  [API_ACTIONS.CREATE_PUBLICATION]: publicationHandlers.create,
+  [API_ACTIONS.UPDATE_PUBLICATION]: publicationHandlers.update,
+  [API_ACTIONS.DELETE_PUBLICATION]: publicationHandlers.remove,
+
+  // Donate info
+  [API_ACTIONS.UPDATE_DONATE_INFO]: (params) => {
+    requireUser(params);
+    Object.assign(getDb().donateInfo, getPayload(params));
+    saveDb();
+    return getDb().donateInfo;
+  },
+
+  // Users
+  [API_ACTIONS.LIST_USERS]: (params) => {
+    requireUser(params);
+    return getDb().users.map(omitPassword);
+  },
+
+  [API_ACTIONS.CREATE_USER]: (params) => {
+    requireUser(params);
+    const email = String(params.email || '').trim().toLowerCase();
+    const role = params.role || ROLES.EDITOR;
+    if (!email || !params.password) {
+      throw new LocalApiError('Email and password are required', 'VALIDATION_ERROR');
+    }
+    if (!isValidRole(role)) {
+      throw new LocalApiError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+    }
+    if (getDb().users.some((u) => u.email.toLowerCase() === email)) {
+      throw new LocalApiError('A user with this email already exists', 'DUPLICATE_EMAIL', {
+        email: 'This email is already registered',
+      });
+    }
+    const user = {
+      id: generateId('user'),
+      email,
+      password: params.password,
+      name: params.name || '',
+      role,
+      is_super_admin: role === ROLES.SUPER_ADMIN,
+      created_at: now(),
+    };
+    getDb().users.push(user);
+    saveDb();
+    return omitPassword(user);
+  },
+
+  [API_ACTIONS.UPDATE_USER]: (params) => {
+    const currentUser = requireUser(params);
+    const user = findById(getDb().users, params.id, 'User');
+    if (params.role !== undefined && params.role !== getUserRole(user)) {
+      if (!isValidRole(params.role)) {
+        throw new LocalApiError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+      }
+      // Keeps at least one super admin: the one making the change
+      if (user.id === currentUser.id) {
+        throw new LocalApiError('You cannot change your own role', 'FORBIDDEN');
+      }
+      user.role = params.role;
+      user.is_super_admin = params.role === ROLES.SUPER_ADMIN;
+    }
+    if (params.name !== undefined) {
+      user.name = params.name;
+    }
+    if (params.disabled !== undefined) {
+      const disabled = String(params.disabled) === 'true';
+      if (disabled && user.id === currentUser.id) {
+        throw new LocalApiError('You cannot disable your own account', 'FORBIDDEN');
+      }
+      user.disabled = disabled;
+      if (disabled) {
+        signOutEverywhere(user);
+      }
+    }
+    // Lifting a forced reset; forcePasswordReset sets it
+    if (String(params.password_reset_required) === 'false') {
+      delete user.password_reset_required;
+    }
+    user.updated_at = now();
+    saveDb();
+    return omitPassword(user);
+  },
+
+  // Inviting someone whose invitation is still open sends them a new link
+  [API_ACTIONS.INVITE_USER]: (params) => {
+    const currentUser = requireUser(params);
+    const email = String(params.email || '').trim().toLowerCase();
+    const role = params.role || ROLES.EDITOR;
+    if (!email) {
+      throw new LocalApiError('Email is required', 'VALIDATION_ERROR', {
+        email: 'Email is required',
+      });
+    }
+    if (!isValidRole(role)) {
+      throw new LocalApiError('Invalid role', 'VALIDATION_ERROR', { role: 'Choose a role' });
+    }
+    let user = getDb().users.find((u) => u.email.toLowerCase() === email);
+    if (user && !user.invite_pending) {
+      throw new LocalApiError('A user with this email already exists', 'DUPLICATE_EMAIL', {
+        email: 'This email is already registered',
+      });
+    }
+    if (!user) {
+      user = { id: generateId('user'), email, invite_pending: true, created_at: now() };
+      getDb().users.push(user);
+    }
+    Object.assign(user, {
+      name: params.name ?? user.name ?? '',
+      role,
+      is_super_admin: role === ROLES.SUPER_ADMIN,
+      invited_at: now(),
+    });
+    // Only the newest link works
+    getDb().passwordResets = getPasswordResets().filter((entry) => entry.userId !== user.id);
+    const token = createPasswordToken(user, 'invite');
+    const inviteLink = `${window.location.origin}${ROUTES.ADMIN_ACCEPT_INVITE}?token=${token}`;
+    sendLocalMail({
+      to: user.email,
+      subject: 'You are invited to the admin panel',
+      text:
+        `${currentUser.name || currentUser.email} invited you as ${ROLE_LABELS[role]}.\n` +
+        `Open this link within 7 days to choose your password:\n${inviteLink}`,
+    });
+    saveDb();
+    return { user: omitPassword(user), inviteLink };
+  },
+
+  [API_ACTIONS.FORCE_PASSWORD_RESET]: (params) => {
+    const currentUser = requireUser(params);
+    const user = findById(getDb().users, params.id, 'User');
+    if (user.id === currentUser.id) {
+      throw new LocalApiError('Use Change Password for your own account', 'FORBIDDEN');
+    }
+    if (user.invite_pending) {
+      throw new LocalApiError('This user has not accepted their invitation yet', 'BAD_REQUEST');
+    }
+    user.password_reset_required = true;
+    user.updated_at = now();
+    signOutEverywhere(user);
+    const token = createPasswordToken(user);
+    const link = `${window.location.origin}${ROUTES.ADMIN_RESET_PASSWORD}?token=${token}`;
+    sendLocalMail({
+      to: user.email,
+      subject: 'Choose a new admin password',
+      text:
+        'An administrator has asked you to choose a new password.\n' +
+        `Open this link within an hour to choose one:\n${link}`,
+    });
+    saveDb();
+    return omitPassword(user);
+  },
+
+  [API_ACTIONS.DELETE_USER]: (params) => {
+    requireUser(params);
+    const user = getDb().users.find((u) => u.id === params.id || u.email === params.id);
+    if (!user) {
+      throw new LocalApiError('User not found', 'NOT_FOUND');
+    }
+    if (getUserRole(user) === ROLES.SUPER_ADMIN) {
+      throw new LocalApiError('Super admin cannot be deleted', 'FORBIDDEN');
+    }
+    getDb().users = getDb().users.filter((u) => u !== user);
+    signOutEverywhere(user);
+    getDb().passwordResets = getPasswordResets().filter((entry) => entry.userId !== user.id);
+    saveDb();
+    return { id: user.id };
+  },
+
+  [API_ACTIONS.GET_AUDIT_LOG]: (params) =>
+    queryAuditLog(getDb().auditLog || [], params, PAGINATION.MAX_PAGE_SIZE),
+
+  [API_ACTIONS.CHECK_SUPER_ADMIN]: (params) => {
+    const user = requireUser(params);
+    const role = getUserRole(user);
+    return {
+      isSuperAdmin: role === ROLES.SUPER_ADMIN,
+      role,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      twoFactorRequired: !!getSecurity().require_two_factor,
+    };
+  },
+};
+
+// Read actions that may be bundled into one `batch` request
+const BATCHABLE_ACTIONS = [
+  API_ACTIONS.LIST_POSTS,
+  API_ACTIONS.GET_POST,
+  API_ACTIONS.SEARCH_POSTS,
+  API_ACTIONS.GET_PROFILE,
+  API_ACTIONS.GET_SOCIAL_LINKS,
+  API_ACTIONS.GET_CATEGORIES,
+  API_ACTIONS.GET_AWARDS,
+  API_ACTIONS.GET_PUBLICATIONS,
+  API_ACTIONS.GET_TAGS,
+  API_ACTIONS.GET_DONATE_INFO,
+  API_ACTIONS.LIST_SOCIAL_LINKS,
+  API_ACTIONS.GET_MEDIA_FILES,
+  API_ACTIONS.LIST_USERS,
+  API_ACTIONS.CHECK_SUPER_ADMIN,
+  API_ACTIONS.GET_SECURITY_SETTINGS,
+  API_ACTIONS.GET_AUDIT_LOG,
+  API_ACTIONS.LIST_SESSIONS,
+];
+const MAX_BATCH_SIZE = 10;
+
+// What a user who still has to set up required two-factor authentication may do
+const TWO_FACTOR_SETUP_ACTIONS = [
+  API_ACTIONS.LOGOUT,
+  API_ACTIONS.REFRESH_TOKEN,
+  API_ACTIONS.CHECK_SUPER_ADMIN,
+  API_ACTIONS.GET_SECURITY_SETTINGS,
+  API_ACTIONS.SETUP_TWO_FACTOR,
+  API_ACTIONS.ENABLE_TWO_FACTOR,
+  API_ACTIONS.BATCH,
+];
+
+/**
+ * Runs each request of a `batch` action and returns their envelopes in order.
+ * `requests` is a JSON array of action params, as they would appear in a query string.
+ */
+const runBatch = ({ requests }) => {
+  let list;
+  try {
+    list = JSON.parse(requests || '[]');
+  } catch {
+    list = null;
+  }
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_BATCH_SIZE) {
+    throw new LocalApiError(
+      `requests must be a JSON array of 1-${MAX_BATCH_SIZE} actions`,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  return list.map((request) => {
+    if (!BATCHABLE_ACTIONS.includes(request?.action)) {
+      return {
+        success: false,
+        error: { message: `Action cannot be batched: ${request?.action}`, code: 'BAD_REQUEST' },
+      };
+    }
+    return handleLocalAction(decodeRequestParams({ params: request }));
+  });
+};
+
+/**
+ * Records what an audited action changed, comparing with the snapshot taken before it ran
+ */
+const recordAudit = (action, before, actor) => {
+  const entity = AUDITED_ACTIONS[action];
+  const entries = createAuditEntries({
+    action,
+    entity,
+    actor,
+    before,
+    after: snapshotEntity(getDb(), entity),
+    createId: () => generateId('audit'),
+  });
+  if (entries.length === 0) return;
+  const previous = getDb().auditLog || [];
+  getDb().auditLog = [...previous, ...entries].slice(-MAX_AUDIT_ENTRIES);
+  try {
+    saveDb();
+  } catch (error) {
+    // The change itself is saved; only its entries did not fit
+    getDb().auditLog = previous;
+    console.warn('Audit log entry not saved:', error.message);
+  }
+};
+
+/**
+ * Executes an action against the local database and returns the response envelope
+ */
+export const handleLocalAction = (params) => {
+  const handler = params.action === API_ACTIONS.BATCH ? runBatch : handlers[params.action];
+
+  if (!handler) {
+    return {
+      success: false,
+      error: { message: `Unknown action: ${params.action}`, code: 'UNKNOWN_ACTION' },
+    };
+  }
+
+  try {
+    const sessionUser = getSessionUser(params.token);
+    if (sessionUser) {
+      touchSession(params.token);
+    }
+    if (
+      sessionUser &&
+      needsTwoFactorSetup(sessionUser) &&
+      !TWO_FACTOR_SETUP_ACTIONS.includes(params.action)
+    ) {
+      throw new LocalApiError(
+        'Set up two-factor authentication to continue',
+        'TWO_FACTOR_REQUIRED'
+      );
+    }
+    // Role check for the action; post handlers add ownership checks
+    if (ACTION_PERMISSIONS[params.action]) {
+      requirePermission(params, ACTION_PERMISSIONS[params.action]);
+    }
+    const audited = params.action in AUDITED_ACTIONS;
+    const before = audited && snapshotEntity(getDb(), AUDITED_ACTIONS[params.action]);
+    const result = handler(params);
+    if (audited) {
+      recordAudit(params.action, before, sessionUser);
+    }
+    // List queries return { data, total, ... } so pagination metadata stays top-level
+    if (result && typeof result === 'object' && 'total' in result && Array.isArray(result.data)) {
+      return { success: true, ...result };
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    if (!(error instanceof LocalApiError)) {
+      console.error('Local API error:', error);
+    }
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code || 'SERVER_ERROR',
+        ...(error.fields && { fields: error.fields }),
+        ...(error.current && { current: error.current }),
+      },
+    };
+  }
+};
+
+/**
+ * Decodes the action params from an axios request config.
+ * GET requests carry them in `params`, POST requests as a form-encoded body (see formEncoding).
+ */
+const decodeRequestParams = (config) => {
+  const params = {};
+
+  // axios drops undefined/null params from the query string and stringifies the rest.
+  // Like the real backends, a session token is only accepted in the POST body.
+  Object.keys(config.params || {}).forEach((key) => {
+    const value = config.params[key];
+    if (value !== undefined && value !== null && key !== 'token') {
+      params[key] = String(value);
+    }
+  });
+
+  if (typeof config.data === 'string' && config.data !== '') {
+    Object.assign(params, decodeForm(config.data));
+  }
+
+  return params;
+};
+
+/**
+ * Axios adapter that serves requests from the local database
+ */
+export const localAdapter = (config) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      config.signal?.removeEventListener('abort', onAbort);
+      const data = handleLocalAction(decodeRequestParams(config));
+      resolve({
+        data,
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json' },
+        config,
+        request: {},
+      });
+    }, SIMULATED_LATENCY);
+
+    // Honour AbortSignal like the real adapters: nothing runs once the caller cancels
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new CanceledError(undefined, undefined, config));
+    }
+    if (config.signal?.aborted) {
+      onAbort();
+    } else {
+      config.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+export default {
+  handleLocalAction,
+  localAdapter,
+  resetLocalDb,
+};
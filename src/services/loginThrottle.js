@@ -0,0 +1,94 @@
+/**
+ * Login Throttle
+ * Counts failed sign-ins per email in localStorage so the login form cannot be used to guess
+ * passwords at full speed. Reloading the page does not reset it.
+ *
+ * Failures older than SECURITY.LOGIN_ATTEMPT_WINDOW are forgotten. Once MAX_LOGIN_ATTEMPTS
+ * failures are on record, each further one locks the email for LOGIN_LOCKOUT_BASE, doubled per
+ * extra failure and capped at the window. A retry-after from the backend locks it as well.
+ */
+
+import { SECURITY } from '@/config/constants';
+import { loginAttemptStorage } from '@/utils/storage';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Stored entries with failures outside the window and expired lockouts dropped
+ */
+const loadAttempts = () => {
+  const now = Date.now();
+  const cutoff = now - SECURITY.LOGIN_ATTEMPT_WINDOW;
+  const attempts = {};
+  Object.entries(loginAttemptStorage.get() || {}).forEach(([email, entry]) => {
+    const failures = (entry?.failures || []).filter((time) => time > cutoff);
+    const lockedUntil = entry?.lockedUntil > now ? entry.lockedUntil : null;
+    if (failures.length > 0 || lockedUntil) {
+      attempts[email] = { failures, lockedUntil };
+    }
+  });
+  return attempts;
+};
+
+const saveEntry = (email, entry) => {
+  const attempts = loadAttempts();
+  if (entry) {
+    attempts[email] = entry;
+  } else {
+    delete attempts[email];
+  }
+  loginAttemptStorage.set(attempts);
+};
+
+/**
+ * Milliseconds until `email` may try again; 0 when it is not locked
+ */
+export const getLoginLockout = (email) => {
+  const lockedUntil = loadAttempts()[normalizeEmail(email)]?.lockedUntil;
+  return lockedUntil ? lockedUntil - Date.now() : 0;
+};
+
+/**
+ * Failed attempts left before the next one locks `email`
+ */
+export const getRemainingLoginAttempts = (email) => {
+  const failures = loadAttempts()[normalizeEmail(email)]?.failures.length || 0;
+  return Math.max(SECURITY.MAX_LOGIN_ATTEMPTS - failures, 0);
+};
+
+/**
+ * Records a rejected password and returns the lockout it caused in milliseconds (0 for none)
+ */
+export const recordLoginFailure = (email) => {
+  const key = normalizeEmail(email);
+  const entry = loadAttempts()[key] || { failures: [], lockedUntil: null };
+  const failures = [...entry.failures, Date.now()];
+  const excess = failures.length - SECURITY.MAX_LOGIN_ATTEMPTS;
+
+  let lockout = 0;
+  if (excess >= 0) {
+    lockout = Math.min(SECURITY.LOGIN_LOCKOUT_BASE * 2 ** excess, SECURITY.LOGIN_ATTEMPT_WINDOW);
+  }
+  const lockedUntil =
+    lockout > 0 ? Math.max(entry.lockedUntil || 0, Date.now() + lockout) : entry.lockedUntil;
+
+  saveEntry(key, { failures, lockedUntil });
+  return lockout;
+};
+
+/**
+ * Locks `email` for the `retryAfter` seconds the backend asked for
+ */
+export const recordLoginRetryAfter = (email, retryAfter) => {
+  const key = normalizeEmail(email);
+  const entry = loadAttempts()[key] || { failures: [], lockedUntil: null };
+  const lockedUntil = Date.now() + retryAfter * 1000;
+  saveEntry(key, { ...entry, lockedUntil: Math.max(entry.lockedUntil || 0, lockedUntil) });
+};
+
+/**
+ * Forgets the failures of `email` after a successful sign-in
+ */
+export const clearLoginFailures = (email) => {
+  saveEntry(normalizeEmail(email), null);
+};
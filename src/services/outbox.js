@@ -0,0 +1,272 @@
+/**
+ * Offline Outbox
+ * Keeps admin mutations that could not reach the server (offline, dropped connection) in
+ * IndexedDB and replays them in the order they were made once connectivity returns.
+ *
+ * Entries store the action, payload and the admin who made them; the session token is
+ * attached when an entry is sent, so nothing secret is written to disk. Only the signed-in
+ * admin's own entries are shown and replayed: on a shared computer, changes queued by someone
+ * who signed out wait for them rather than going out under the next admin's account.
+ * A queued create gets a temporary id, and once it syncs, later entries for the same record are
+ * rewritten to the id the server assigned.
+ *
+ * Replay outcome per entry:
+ * - accepted: removed from the outbox
+ * - network, expired session, rate-limit or server failure: replay stops and the entry stays
+ *   pending
+ * - any other rejection (validation, not found, forbidden by the role): the entry becomes a
+ *   conflict and is kept for the admin to retry or discard; later entries for the same record
+ *   wait behind it
+ */
+
+import { API_ACTIONS, OUTBOX } from '@/config/constants';
+import { AuthError, NetworkError, NotFoundError, RateLimitError, ServerError } from './errors';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+};
+
+// Mutations that may be queued, with the record type and operation each performs
+export const OUTBOX_ACTIONS = {
+  [API_ACTIONS.CREATE_POST]: { entity: 'post', operation: 'create' },
+  [API_ACTIONS.UPDATE_POST]: { entity: 'post', operation: 'update' },
+  [API_ACTIONS.DELETE_POST]: { entity: 'post', operation: 'delete' },
+  [API_ACTIONS.CREATE_CATEGORY]: { entity: 'category', operation: 'create' },
+  [API_ACTIONS.UPDATE_CATEGORY]: { entity: 'category', operation: 'update' },
+  [API_ACTIONS.DELETE_CATEGORY]: { entity: 'category', operation: 'delete' },
+  [API_ACTIONS.CREATE_AWARD]: { entity: 'award', operation: 'create' },
+  [API_ACTIONS.UPDATE_AWARD]: { entity: 'award', operation: 'update' },
+  [API_ACTIONS.DELETE_AWARD]: { entity: 'award', operation: 'delete' },
+  [API_ACTIONS.CREATE_PUBLICATION]: { entity: 'publication', operation: 'create' },
+  [API_ACTIONS.UPDATE_PUBLICATION]: { entity: 'publication', operation: 'update' },
+  [API_ACTIONS.DELETE_PUBLICATION]: { entity: 'publication', operation: 'delete' },
+};
+
+const TEMP_ID_PREFIX = 'outbox_';
+
+export const isOutboxSupported = () => typeof indexedDB !== 'undefined';
+
+export const isQueueable = (action) => action in OUTBOX_ACTIONS && isOutboxSupported();
+
+export const isTemporaryId = (id) => String(id ?? '').startsWith(TEMP_ID_PREFIX);
+
+/**
+ * The owner key for entries queued by `user`, or null when nobody is signed in
+ */
+export const getOutboxOwner = (user) => {
+  const key = user?.id || user?.email;
+  return key ? String(key) : null;
+};
+
+// IndexedDB plumbing
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX.STORE_NAME, {
+          keyPath: 'seq',
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs one request against the store and resolves with its result once the transaction commits
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(OUTBOX.STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Change notifications
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Calls `listener` whenever entries are added, updated or removed. Returns an unsubscribe function.
+ */
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const putEntry = async (entry) => {
+  await withStore('readwrite', (store) => store.put(entry));
+  notify();
+};
+
+const removeEntry = async (seq) => {
+  await withStore('readwrite', (store) => store.delete(seq));
+  notify();
+};
+
+/**
+ * The entries queued by `owner` (see getOutboxOwner), oldest first
+ */
+export const getOutboxEntries = async (owner) => {
+  if (!isOutboxSupported() || !owner) return [];
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries.filter((entry) => entry.owner === owner);
+};
+
+/**
+ * Stores a mutation made by `owner` for later replay and returns the saved entry.
+ * Creates get `tempId`, which stands in for the record id until the create syncs.
+ */
+export const enqueueMutation = async (action, payload = {}, owner = null) => {
+  const { entity, operation } = OUTBOX_ACTIONS[action];
+  const entry = {
+    action,
+    owner,
+    entity,
+    operation,
+    payload,
+    tempId:
+      operation === 'create'
+        ? `${TEMP_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+        : null,
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  };
+  entry.seq = await withStore('readwrite', (store) => store.add(entry));
+  notify();
+  return entry;
+};
+
+/**
+ * Marks a conflicting entry as pending again so the next replay resends it
+ */
+export const retryOutboxEntry = async (seq) => {
+  const entry = await withStore('readonly', (store) => store.get(seq));
+  if (entry) {
+    await putEntry({ ...entry, status: OUTBOX_STATUS.PENDING, error: null });
+  }
+};
+
+/**
+ * Drops an entry without sending it
+ */
+export const discardOutboxEntry = (seq) => removeEntry(seq);
+
+// Replay
+
+// Failures worth retrying later, as opposed to the server rejecting the change itself. An
+// expired session is one; a role or account that may not make the change is not.
+const isTransient = (error) =>
+  error instanceof NetworkError ||
+  (error instanceof AuthError && !error.isForbidden) ||
+  error instanceof RateLimitError ||
+  error instanceof ServerError;
+
+const describeError = (error) => ({
+  message: error.message,
+  code: error.code || null,
+  fieldErrors: error.fieldErrors || null,
+});
+
+// Creates are keyed by their temporary id, which later entries for the record use as `id`
+const recordKey = (entry) => `${entry.entity}:${entry.tempId || entry.payload.id}`;
+
+const drain = async (send, owner) => {
+  const entries = await getOutboxEntries(owner);
+  const blocked = new Set();
+  let synced = 0;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const key = recordKey(entry);
+    if (entry.status === OUTBOX_STATUS.CONFLICT || blocked.has(key)) {
+      blocked.add(key);
+      continue;
+    }
+
+    try {
+      const response = await send(entry.action, entry.payload);
+      await removeEntry(entry.seq);
+      synced++;
+
+      const createdId = entry.tempId && response?.data?.id;
+      if (createdId) {
+        const followUps = entries
+          .slice(index + 1)
+          .filter((later) => later.payload.id === entry.tempId);
+        for (const later of followUps) {
+          later.payload = { ...later.payload, id: String(createdId) };
+          await putEntry(later);
+        }
+      }
+    } catch (error) {
+      // Deleting something that is already gone is what the admin wanted
+      if (entry.operation === 'delete' && error instanceof NotFoundError) {
+        await removeEntry(entry.seq);
+        synced++;
+        continue;
+      }
+
+      const failed = { ...entry, attempts: entry.attempts + 1, error: describeError(error) };
+      if (isTransient(error)) {
+        await putEntry(failed);
+        break;
+      }
+      await putEntry({ ...failed, status: OUTBOX_STATUS.CONFLICT });
+      blocked.add(key);
+    }
+  }
+
+  const remaining = await getOutboxEntries(owner);
+  const conflicts = remaining.filter((entry) => entry.status === OUTBOX_STATUS.CONFLICT).length;
+  return { synced, conflicts, pending: remaining.length - conflicts };
+};
+
+let replaying = null;
+
+/**
+ * Sends the entries of `owner` in order with `send(action, payload)`.
+ * Concurrent calls share one run, and a Web Lock keeps other tabs from replaying at the same time.
+ * Resolves with `{ synced, pending, conflicts }`.
+ */
+export const replayOutbox = (send, owner) => {
+  if (!isOutboxSupported() || !owner) {
+    return Promise.resolve({ synced: 0, pending: 0, conflicts: 0 });
+  }
+  if (!replaying) {
+    const run = () => drain(send, owner);
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    replaying = (locks ? locks.request(OUTBOX.LOCK_NAME, run) : run()).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+export default {
+  enqueueMutation,
+  getOutboxEntries,
+  replayOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry,
+  subscribeOutbox,
+};
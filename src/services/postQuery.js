@@ -0,0 +1,123 @@
+/**
+ * Post Queries
+ * Filtering, sorting, pagination and bulk edits for posts, shared by the backends that run in
+ * the browser (localBackend and the Firestore driver) so they behave like Apps Script.
+ */
+
+import { POST_STATUS, PAGINATION } from '@/config/constants';
+
+// Lists arrive as arrays (JSON-encoded form fields) or as legacy comma-separated strings
+export const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Filters, sorts and paginates posts the way the Apps Script backend does.
+ * Returns `{ data, total, page, limit }`.
+ */
+export const queryPostList = (allPosts, params, { isAdmin = false } = {}) => {
+  let posts = [...allPosts];
+
+  // Only admins can see drafts and archived posts
+  if (!isAdmin) {
+    posts = posts.filter((post) => post.status === POST_STATUS.PUBLISHED);
+  }
+
+  if (params.status) {
+    posts = posts.filter((post) => post.status === params.status);
+  }
+
+  if (params.type) {
+    posts = posts.filter((post) => post.type === params.type || post.type === 'both');
+  }
+
+  if (params.category) {
+    const category = params.category.toLowerCase();
+    posts = posts.filter((post) => {
+      const postCategory = String(post.category || '').toLowerCase();
+      return postCategory === category || postCategory.replace(/\s+/g, '-') === category;
+    });
+  }
+
+  if (params.featured === 'true') {
+    posts = posts.filter((post) => post.is_featured === true);
+  }
+
+  if (params.tag) {
+    posts = posts.filter((post) => splitList(post.tags).includes(params.tag));
+  }
+
+  if (params.exclude) {
+    posts = posts.filter((post) => String(post.id) !== String(params.exclude));
+  }
+
+  if (params.query) {
+    const query = params.query.toLowerCase();
+    posts = posts.filter((post) =>
+      [post.title, post.subtitle, post.excerpt, post.content, post.tags]
+        .filter(Boolean)
+        .some((field) => String(field).toLowerCase().includes(query))
+    );
+  }
+
+  const sortField = params.sort || 'published_at';
+  const direction = params.order === 'asc' ? 1 : -1;
+  posts.sort((a, b) => {
+    const valueA = a[sortField] || a.created_at || '';
+    const valueB = b[sortField] || b.created_at || '';
+    return valueA < valueB ? -direction : valueA > valueB ? direction : 0;
+  });
+
+  const total = posts.length;
+  const limit = params.limit ? Math.min(Number(params.limit), PAGINATION.MAX_PAGE_SIZE) : total;
+  const page = Math.max(Number(params.page) || 1, 1);
+
+  return {
+    data: limit > 0 ? posts.slice((page - 1) * limit, page * limit) : posts,
+    total,
+    page,
+    limit,
+  };
+};
+
+/**
+ * Sorted, de-duplicated tags of published posts
+ */
+export const collectTags = (posts) => {
+  const tags = new Set();
+  posts
+    .filter((post) => post.status === POST_STATUS.PUBLISHED)
+    .forEach((post) => splitList(post.tags).forEach((tag) => tags.add(tag)));
+  return [...tags].sort();
+};
+
+export const BULK_CHANGE_FIELDS = ['status', 'category', 'addTags', 'removeTags'];
+
+/**
+ * Applies a validated bulk `changes` object ({ status?, category?, addTags?, removeTags? })
+ * to a post in place and bumps its version
+ */
+export const applyBulkChanges = (post, changes) => {
+  const timestamp = new Date().toISOString();
+  if (changes.status) {
+    post.status = changes.status;
+    if (changes.status === POST_STATUS.PUBLISHED && !post.published_at) {
+      post.published_at = timestamp;
+    }
+  }
+  if ('category' in changes) {
+    post.category = changes.category || '';
+  }
+  if (changes.addTags || changes.removeTags) {
+    const removed = splitList(changes.removeTags);
+    const tags = splitList(post.tags).filter((tag) => !removed.includes(tag));
+    splitList(changes.addTags).forEach((tag) => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+    post.tags = tags;
+  }
+  post.version = (Number(post.version) || 0) + 1;
+  post.updated_at = timestamp;
+  return post;
+};
@@ -0,0 +1,35 @@
+/**
+ * Re-login
+ * What happens when a session can no longer be refreshed. Without a handler api.js clears the
+ * session and sends admin pages to the login screen. The admin layout registers one that asks
+ * for the password again over the current page (see SessionExpiredModal), so unsaved work
+ * survives and the failed requests are sent again once the admin is back.
+ */
+
+let handler = null;
+
+/**
+ * Registers `reLogin`, which resolves with the new session token or rejects when the admin
+ * signs out instead. Returns a function that unregisters it.
+ */
+export const setReLoginHandler = (reLogin) => {
+  handler = reLogin;
+  return () => {
+    if (handler === reLogin) {
+      handler = null;
+    }
+  };
+};
+
+/**
+ * Asks the registered handler for a new session. Resolves with its token, or null when there
+ * is no handler or the admin did not sign in again.
+ */
+export const requestReLogin = async () => {
+  if (!handler) return null;
+  try {
+    return (await handler()) || null;
+  } catch {
+    return null;
+  }
+};
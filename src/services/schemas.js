@@ -0,0 +1,423 @@
+/**
+ * API Response Schemas
+ * Zod schemas that validate and normalize every API action's response in one place.
+ *
+ * Google Sheets hands values back loosely typed, so the schemas coerce them:
+ * - booleans from true/"TRUE"/"true"/1
+ * - lists (tags, media_urls) from comma strings or JSON-encoded arrays
+ * - dates to ISO 8601 strings (null when empty or unparseable)
+ * - numeric columns from numeric strings
+ * Unknown fields are passed through untouched.
+ */
+
+import { z } from 'zod';
+import { API_ACTIONS, ERROR_MESSAGES } from '@/config/constants';
+import { getUserRole } from '@/config/permissions';
+import { ApiError } from './errors';
+
+/**
+ * Error thrown when the backend response does not match the expected shape.
+ * The offending paths are kept in `details` for debugging.
+ */
+export class ResponseSchemaError extends ApiError {
+  constructor(action, issues) {
+    const details = issues
+      .slice(0, 5)
+      .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    super(ERROR_MESSAGES.SERVER_ERROR, {
+      code: 'INVALID_RESPONSE',
+      action,
+      details: `Unexpected response from "${action}": ${details}`,
+    });
+    this.name = 'ResponseSchemaError';
+    this.type = 'invalid_response';
+    this.issues = issues;
+  }
+}
+
+// Field coercions
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const sheetBoolean = z.preprocess((value) => {
+  if (isBlank(value)) return undefined;
+  if (typeof value === 'string') return ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+  return Boolean(value);
+}, z.boolean().optional());
+
+const sheetNumber = z.preprocess((value) => {
+  if (isBlank(value)) return undefined;
+  const number = Number(value);
+  return isNaN(number) ? undefined : number;
+}, z.number().optional());
+
+const isoDate = z.preprocess((value) => {
+  if (value === undefined) return undefined;
+  if (isBlank(value)) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}, z.string().nullable().optional());
+
+const stringList = z.preprocess(
+  (value) => {
+    if (isBlank(value)) return [];
+    if (Array.isArray(value)) return value;
+    const raw = String(value).trim();
+    if (raw.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) return parsed;
+      } catch {
+        // Not JSON - fall through to comma splitting
+      }
+    }
+    return raw.split(',');
+  },
+  z
+    .array(z.coerce.string().transform((item) => item.trim()))
+    .transform((items) => items.filter(Boolean))
+);
+
+const id = z.preprocess(
+  (value) => (typeof value === 'number' ? String(value) : value),
+  z.string({ required_error: 'Required' }).min(1)
+);
+
+const text = z.preprocess(
+  (value) => (value === null ? undefined : value),
+  z.coerce.string().optional()
+);
+
+// Entities
+
+const timestamps = {
+  created_at: isoDate,
+  updated_at: isoDate,
+};
+
+export const postSchema = z
+  .object({
+    id,
+    title: z.coerce.string(),
+    slug: text,
+    status: text,
+    type: text,
+    category: text,
+    tags: stringList,
+    media_urls: stringList,
+    media_url: text,
+    is_featured: sheetBoolean,
+    view_count: sheetNumber,
+    read_time_minutes: sheetNumber,
+    version: sheetNumber,
+    published_at: isoDate,
+    ...timestamps,
+  })
+  .passthrough()
+  .transform((post) => ({
+    ...post,
+    // Legacy single media_url becomes the first entry of media_urls
+    media_urls: post.media_urls.length === 0 && post.media_url ? [post.media_url] : post.media_urls,
+  }));
+
+export const categorySchema = z
+  .object({
+    id,
+    name: z.coerce.string(),
+    slug: text,
+    is_active: sheetBoolean,
+    display_order: sheetNumber,
+    post_count: sheetNumber,
+    version: sheetNumber,
+    ...timestamps,
+  })
+  .passthrough();
+
+export const awardSchema = z
+  .object({
+    id,
+    year: sheetNumber,
+    is_active: sheetBoolean,
+    display_order: sheetNumber,
+    ...timestamps,
+  })
+  .passthrough();
+
+export const publicationSchema = z
+  .object({
+    id,
+    name: text,
+    articles: sheetNumber,
+    is_active: sheetBoolean,
+    display_order: sheetNumber,
+    ...timestamps,
+  })
+  .passthrough();
+
+export const socialLinkSchema = z
+  .object({
+    id,
+    platform: text,
+    url: text,
+    is_active: sheetBoolean,
+    display_order: sheetNumber,
+  })
+  .passthrough();
+
+export const profileSchema = z.object({ version: sheetNumber }).passthrough();
+
+export const donateInfoSchema = z.object({}).passthrough();
+
+export const userSchema = z
+  .object({
+    id: id.optional(),
+    email: z.string(),
+    name: text,
+    is_super_admin: sheetBoolean,
+    role: text,
+    two_factor_enabled: sheetBoolean,
+    backup_codes_remaining: sheetNumber,
+    disabled: sheetBoolean,
+    // Invited and has not chosen a password yet
+    invite_pending: sheetBoolean,
+    invited_at: isoDate,
+    // A super admin asked for a new password; signing in is refused until it is set
+    password_reset_required: sheetBoolean,
+    last_login_at: isoDate,
+    ...timestamps,
+  })
+  .passthrough()
+  // Users saved before roles existed only have `is_super_admin`
+  .transform((user) => ({ ...user, role: getUserRole(user) }));
+
+export const mediaSchema = z
+  .object({
+    url: text,
+    public_url: text,
+  })
+  .passthrough()
+  .transform((media) => ({ ...media, url: media.url || media.public_url }));
+
+/**
+ * A chunked upload in progress; `received` lists the indexes of the stored chunks
+ */
+export const uploadSessionSchema = z
+  .object({
+    id,
+    received: stringList.pipe(z.array(z.coerce.number().int().nonnegative())),
+  })
+  .passthrough();
+
+export const authSessionSchema = z
+  .object({
+    token: z.string().min(1),
+    refreshToken: z.string().optional(),
+    expiresAt: isoDate,
+    user: userSchema.optional(),
+    twoFactorSetupRequired: sheetBoolean,
+  })
+  .passthrough();
+
+/**
+ * Login answer for users with two-factor authentication: no session yet, only the challenge
+ * to send with the code (see verifyTwoFactor)
+ */
+export const twoFactorChallengeSchema = z
+  .object({
+    twoFactorRequired: sheetBoolean.pipe(z.literal(true)),
+    challenge: z.string().min(1),
+    expiresAt: isoDate,
+  })
+  .passthrough();
+
+/**
+ * A signed-in session in the session list; `current` is the one making the request
+ */
+export const sessionSchema = z
+  .object({
+    id,
+    ip: text,
+    user_agent: text,
+    current: sheetBoolean,
+    last_seen_at: isoDate,
+    expires_at: isoDate,
+    created_at: isoDate,
+  })
+  .passthrough();
+
+const revokedSchema = z.object({ revoked: sheetNumber }).passthrough();
+
+const backupCodesSchema = z.object({ backupCodes: z.array(z.string()) }).passthrough();
+
+const securitySettingsSchema = z
+  .object({ require_two_factor: sheetBoolean, updated_at: isoDate })
+  .passthrough();
+
+// A sheet row keeps the changes as a JSON string
+const auditChanges = z.preprocess(
+  (value) => {
+    if (typeof value !== 'string') return value ?? {};
+    try {
+      return JSON.parse(value);
+    } catch {
+      return {};
+    }
+  },
+  z.record(z.object({ from: z.unknown(), to: z.unknown() }))
+);
+
+export const auditEntrySchema = z
+  .object({
+    id,
+    created_at: isoDate,
+    actor_id: text,
+    actor_email: text,
+    action: z.string(),
+    entity: z.string(),
+    operation: z.enum(['create', 'update', 'delete']),
+    target_id: text,
+    target_label: text,
+    changes: auditChanges,
+  })
+  .passthrough();
+
+/**
+ * Per-item outcome of a bulk action; a failed item does not fail the request
+ */
+export const bulkResultSchema = z
+  .object({
+    results: z.array(
+      z
+        .object({
+          id,
+          success: sheetBoolean.default(false),
+          error: z.object({ message: text, code: text }).passthrough().nullable().optional(),
+        })
+        .passthrough()
+    ),
+  })
+  .passthrough()
+  // Counts are derived from the results so they always agree with them
+  .transform((report) => {
+    const succeeded = report.results.filter((result) => result.success).length;
+    return { ...report, succeeded, failed: report.results.length - succeeded };
+  });
+
+const tokenSchema = z
+  .object({
+    token: z.string().min(1),
+    refreshToken: z.string().optional(),
+    expiresAt: isoDate,
+  })
+  .passthrough();
+
+/**
+ * `data` schema for each action. Actions not listed are passed through unvalidated.
+ */
+export const RESPONSE_SCHEMAS = {
+  [API_ACTIONS.LIST_POSTS]: z.array(postSchema),
+  [API_ACTIONS.SEARCH_POSTS]: z.array(postSchema),
+  [API_ACTIONS.GET_POST]: postSchema,
+  [API_ACTIONS.CREATE_POST]: postSchema.optional(),
+  [API_ACTIONS.UPDATE_POST]: postSchema.optional(),
+  [API_ACTIONS.GET_PROFILE]: profileSchema.nullable(),
+  [API_ACTIONS.UPDATE_PROFILE]: profileSchema.optional(),
+  [API_ACTIONS.GET_SOCIAL_LINKS]: z.array(socialLinkSchema),
+  [API_ACTIONS.LIST_SOCIAL_LINKS]: z.array(socialLinkSchema),
+  [API_ACTIONS.CREATE_SOCIAL_LINK]: socialLinkSchema.optional(),
+  [API_ACTIONS.UPDATE_SOCIAL_LINK]: socialLinkSchema.optional(),
+  [API_ACTIONS.GET_CATEGORIES]: z.array(categorySchema),
+  [API_ACTIONS.CREATE_CATEGORY]: categorySchema.optional(),
+  [API_ACTIONS.UPDATE_CATEGORY]: categorySchema.optional(),
+  [API_ACTIONS.GET_AWARDS]: z.array(awardSchema),
+  [API_ACTIONS.CREATE_AWARD]: awardSchema.optional(),
+  [API_ACTIONS.UPDATE_AWARD]: awardSchema.optional(),
+  [API_ACTIONS.GET_PUBLICATIONS]: z.array(publicationSchema),
+  [API_ACTIONS.CREATE_PUBLICATION]: publicationSchema.optional(),
+  [API_ACTIONS.UPDATE_PUBLICATION]: publicationSchema.optional(),
+  [API_ACTIONS.GET_TAGS]: z.array(z.coerce.string()),
+  [API_ACTIONS.GET_DONATE_INFO]: donateInfoSchema.nullable(),
+  [API_ACTIONS.UPDATE_DONATE_INFO]: donateInfoSchema.optional(),
+  [API_ACTIONS.BULK_DELETE_POSTS]: bulkResultSchema,
+  [API_ACTIONS.BULK_UPDATE_POSTS]: bulkResultSchema,
+  [API_ACTIONS.LOGIN]: z.union([twoFactorChallengeSchema, authSessionSchema]),
+  [API_ACTIONS.VERIFY_TWO_FACTOR]: authSessionSchema,
+  [API_ACTIONS.REFRESH_TOKEN]: tokenSchema,
+  [API_ACTIONS.LIST_SESSIONS]: z.array(sessionSchema),
+  [API_ACTIONS.REVOKE_SESSION]: revokedSchema,
+  [API_ACTIONS.REVOKE_OTHER_SESSIONS]: revokedSchema,
+  [API_ACTIONS.REVOKE_USER_SESSIONS]: revokedSchema,
+  [API_ACTIONS.UPLOAD_MEDIA]: mediaSchema,
+  [API_ACTIONS.START_UPLOAD]: uploadSessionSchema,
+  [API_ACTIONS.GET_UPLOAD_STATUS]: uploadSessionSchema,
+  [API_ACTIONS.FINISH_UPLOAD]: mediaSchema,
+  [API_ACTIONS.GET_MEDIA_FILES]: z.array(mediaSchema),
+  [API_ACTIONS.LIST_USERS]: z.array(userSchema),
+  [API_ACTIONS.CREATE_USER]: userSchema.optional(),
+  [API_ACTIONS.UPDATE_USER]: userSchema.optional(),
+  [API_ACTIONS.INVITE_USER]: z
+    .object({ user: userSchema, inviteLink: text.optional() })
+    .passthrough(),
+  [API_ACTIONS.ACCEPT_INVITE]: z.object({ email: text.optional() }).passthrough(),
+  [API_ACTIONS.FORCE_PASSWORD_RESET]: userSchema,
+  [API_ACTIONS.CHECK_SUPER_ADMIN]: z
+    .object({
+      isSuperAdmin: sheetBoolean,
+      role: text.optional(),
+      twoFactorEnabled: sheetBoolean,
+      twoFactorRequired: sheetBoolean,
+    })
+    .passthrough(),
+  [API_ACTIONS.REQUEST_PASSWORD_RESET]: z.object({ sent: sheetBoolean }).passthrough(),
+  [API_ACTIONS.RESET_PASSWORD]: z.object({ email: text.optional() }).passthrough(),
+  [API_ACTIONS.SETUP_TWO_FACTOR]: z.object({ secret: z.string(), uri: z.string() }).passthrough(),
+  [API_ACTIONS.ENABLE_TWO_FACTOR]: backupCodesSchema,
+  [API_ACTIONS.DISABLE_TWO_FACTOR]: userSchema,
+  [API_ACTIONS.REGENERATE_BACKUP_CODES]: backupCodesSchema,
+  [API_ACTIONS.GET_SECURITY_SETTINGS]: securitySettingsSchema,
+  [API_ACTIONS.UPDATE_SECURITY_SETTINGS]: securitySettingsSchema,
+  [API_ACTIONS.GET_AUDIT_LOG]: z.array(auditEntrySchema),
+};
+
+// List responses may carry pagination metadata next to `data`
+const envelopeMeta = {
+  total: sheetNumber,
+  page: sheetNumber,
+  limit: sheetNumber,
+};
+
+/**
+ * Validates and normalizes a response envelope for the given action.
+ * Error envelopes (`success !== true`) are returned unchanged.
+ * Throws ResponseSchemaError when a successful response has the wrong shape.
+ */
+export const parseResponse = (action, response) => {
+  const dataSchema = RESPONSE_SCHEMAS[action];
+  if (!dataSchema || !response || response.success !== true) {
+    return response;
+  }
+
+  const result = z
+    .object({ success: z.literal(true), data: dataSchema, ...envelopeMeta })
+    .passthrough()
+    .safeParse(response);
+
+  if (!result.success) {
+    throw new ResponseSchemaError(action, result.error.issues);
+  }
+  return result.data;
+};
+
+/**
+ * Normalizes a bare record with the action's `data` schema, e.g. the stored record sent back
+ * with a CONFLICT error. Returns the record unchanged when it does not match.
+ */
+export const parseRecord = (action, record) => {
+  const schema = RESPONSE_SCHEMAS[action];
+  if (!schema || !record) return record;
+  const result = schema.safeParse(record);
+  return result.success ? result.data : record;
+};
+
+export default parseResponse;
@@ -0,0 +1,202 @@
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords as shown by authenticator apps: HMAC-SHA1 over the 30-second
+ * time step, 6 digits, with a base32 secret. Shared by the reference server and the local
+ * backend, so this module has no imports and only needs `crypto.getRandomValues`. SHA-1 is
+ * implemented here because Web Crypto only offers an async HMAC and the backends are sync.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP = 30; // seconds
+export const TOTP_DIGITS = 6;
+export const BACKUP_CODE_COUNT = 10;
+
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach((byte) => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes a base32 secret, ignoring case, spaces and padding as users may type them
+ */
+export const base32Decode = (text) => {
+  const clean = String(text || '')
+    .toUpperCase()
+    .replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+const sha1 = (message) => {
+  const length = message.length;
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+  padded.set(message);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i += 1) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i += 1) w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i += 1) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const digestView = new DataView(digest.buffer);
+  h.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+};
+
+const hmacSha1 = (key, message) => {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i += 1) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+};
+
+/**
+ * A new random secret (160 bits), base32-encoded
+ */
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * The time step a timestamp (ms) falls in
+ */
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP);
+
+/**
+ * The code for a time step
+ */
+export const generateTotp = (secret, step = getTotpStep()) => {
+  const counter = new Uint8Array(8);
+  const view = new DataView(counter.buffer);
+  view.setUint32(0, Math.floor(step / 0x100000000));
+  view.setUint32(4, step >>> 0);
+
+  const hash = hmacSha1(base32Decode(secret), counter);
+  const offset = hash[19] & 15;
+  const binary =
+    ((hash[offset] & 0x7f) << 24) |
+    (hash[offset + 1] << 16) |
+    (hash[offset + 2] << 8) |
+    hash[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Checks a code against the current time step and `window` steps either side (clock drift).
+ * Returns the matching step, so callers can refuse a code that was already used, or null.
+ */
+export const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+  const current = getTotpStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (generateTotp(secret, step) === clean) return step;
+  }
+  return null;
+};
+
+/**
+ * The `otpauth://` URI authenticator apps read from the QR code
+ */
+export const getTotpUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // Spaces as %20: some apps show the `+` of form encoding literally
+  const query = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+/**
+ * One-time backup codes in the form `xxxx-xxxx`
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const text = base32Encode(randomBytes(5)).toLowerCase();
+    return `${text.slice(0, 4)}-${text.slice(4, 8)}`;
+  });
+
+/**
+ * Backup codes compared the way users may type them: any case, with or without the dash
+ */
+export const normalizeBackupCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[\s-]/g, '');
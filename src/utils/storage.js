@@ -71,13 +71,85 @@ export const userStorage = {
   remove: () => removeStorageItem(STORAGE_KEYS.USER_DATA),
 };
 
+/**
+ * Local API database storage (used by the in-browser backend)
+ */
+export const localDbStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.LOCAL_API_DB),
+  set: (db) => setStorageItem(STORAGE_KEYS.LOCAL_API_DB, db),
+  remove: () => removeStorageItem(STORAGE_KEYS.LOCAL_API_DB),
+};
+
+/**
+ * API response cache storage
+ */
+export const apiCacheStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.API_CACHE),
+  set: (entries) => setStorageItem(STORAGE_KEYS.API_CACHE, entries),
+  remove: () => removeStorageItem(STORAGE_KEYS.API_CACHE),
+};
+
+/**
+ * Interrupted chunked uploads, keyed by file fingerprint
+ */
+export const uploadSessionStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.UPLOAD_SESSIONS),
+  set: (sessions) => setStorageItem(STORAGE_KEYS.UPLOAD_SESSIONS, sessions),
+  remove: () => removeStorageItem(STORAGE_KEYS.UPLOAD_SESSIONS),
+};
+
+/**
+ * Failed sign-in attempts and lockouts, keyed by email
+ */
+export const loginAttemptStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.LOGIN_ATTEMPTS),
+  set: (attempts) => setStorageItem(STORAGE_KEYS.LOGIN_ATTEMPTS, attempts),
+  remove: () => removeStorageItem(STORAGE_KEYS.LOGIN_ATTEMPTS),
+};
+
+/**
+ * Time of the last user activity in any admin tab (ms since epoch), for the idle timeout
+ */
+export const activityStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.LAST_ACTIVITY),
+  set: (time) => setStorageItem(STORAGE_KEYS.LAST_ACTIVITY, time),
+  remove: () => removeStorageItem(STORAGE_KEYS.LAST_ACTIVITY),
+};
+
+/**
+ * When the session token expires (ms since epoch), for the proactive refresh
+ */
+export const tokenExpiryStorage = {
+  get: () => getStorageItem(STORAGE_KEYS.TOKEN_EXPIRY),
+  set: (time) => setStorageItem(STORAGE_KEYS.TOKEN_EXPIRY, time),
+  remove: () => removeStorageItem(STORAGE_KEYS.TOKEN_EXPIRY),
+};
+
+/**
+ * Stores the tokens of a new or refreshed session (`{ token, refreshToken, expiresAt }`)
+ */
+export const storeSessionTokens = ({ token, refreshToken, expiresAt }) => {
+  tokenStorage.set(token);
+  if (refreshToken) {
+    refreshTokenStorage.set(refreshToken);
+  }
+  const expiry = expiresAt ? new Date(expiresAt).getTime() : NaN;
+  if (Number.isNaN(expiry)) {
+    tokenExpiryStorage.remove();
+  } else {
+    tokenExpiryStorage.set(expiry);
+  }
+};
+
 /**
  * Clears all auth-related storage
  */
 export const clearAuthStorage = () => {
   tokenStorage.remove();
   refreshTokenStorage.remove();
+  tokenExpiryStorage.remove();
   userStorage.remove();
+  activityStorage.remove();
 };
 
 /**